@@ -29,12 +29,17 @@ SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 #===============================================================================
 # CREDENTIAL MANAGEMENT SYSTEM
 # Priority order:
-# 1. Environment variables (EPAK_DB_HOST, EPAK_DB_NAME, EPAK_DB_USER, EPAK_DB_PASS)
-# 2. Config file (~/.epak-config)
-# 3. MySQL config file (~/.my.cnf)
-# 4. Interactive prompt
+# 1. Credential vault entry (EPAK_VAULT_ENTRY)
+# 2. Environment variables (EPAK_DB_HOST, EPAK_DB_NAME, EPAK_DB_USER, EPAK_DB_PASS)
+# 3. Config file (~/.epak-config) - its DB_VAULT_ENTRY points into the vault
+# 4. MySQL config file (~/.my.cnf)
+# 5. Interactive prompt
+#
+# The vault is the web terminal's encrypted credentials.vault, read through
+# web-terminal/manage-credentials.js (needs node; EPAK_VAULT_PASSPHRASE if it has one)
 #===============================================================================
 CONFIG_FILE="${HOME}/.epak-config"
+VAULT_CLI="${SCRIPT_DIR}/web-terminal/manage-credentials.js"
 USE_MYSQL_CNF=false
 
 # Colors for output
@@ -86,11 +91,44 @@ run_mysql() {
     fi
 }
 
+# Load DB_HOST/DB_NAME/DB_USER/DB_PASS from a credential vault entry
+load_vault_entry() {
+    local entry="$1"
+    local host user pass name
+    
+    if ! command -v node > /dev/null 2>&1 || [ ! -f "$VAULT_CLI" ]; then
+        print_error "Credential vault entry '$entry' needs node and $VAULT_CLI"
+        return 1
+    fi
+    # Read the four NUL-ended fields as data - nothing the CLI prints is run as shell
+    if ! { IFS= read -r -d '' host && IFS= read -r -d '' user \
+            && IFS= read -r -d '' pass && IFS= read -r -d '' name; } \
+            < <(node "$VAULT_CLI" export "$entry" --format nul); then
+        print_error "Could not read credential vault entry '$entry'"
+        return 1
+    fi
+    DB_HOST="$host"
+    DB_USER="$user"
+    DB_PASS="$pass"
+    DB_NAME="$name"
+    return 0
+}
+
 # Load credentials from multiple sources
 load_credentials() {
     local source_used=""
     
-    # Priority 1: Check environment variables
+    # Priority 1: Credential vault entry
+    if [ -n "${EPAK_VAULT_ENTRY}" ]; then
+        if load_vault_entry "${EPAK_VAULT_ENTRY}"; then
+            source_used="credential vault"
+            print_success "Using credentials from vault entry ${EPAK_VAULT_ENTRY}"
+            return 0
+        fi
+        return 1
+    fi
+    
+    # Priority 2: Check environment variables
     if [ -n "${EPAK_DB_HOST}" ]; then
         DB_HOST="${EPAK_DB_HOST}"
         DB_NAME="${EPAK_DB_NAME:-msb}"
@@ -101,7 +139,7 @@ load_credentials() {
         return 0
     fi
     
-    # Priority 2: Check config file
+    # Priority 3: Check config file
     if [ -f "$CONFIG_FILE" ]; then
         # Verify file permissions (should be 600)
         FILE_PERMS=$(stat -f "%Lp" "$CONFIG_FILE" 2>/dev/null || stat -c "%a" "$CONFIG_FILE" 2>/dev/null)
@@ -113,13 +151,22 @@ load_credentials() {
         else
             # Load config file
             source "$CONFIG_FILE"
+            if [ -n "${DB_VAULT_ENTRY}" ]; then
+                load_vault_entry "${DB_VAULT_ENTRY}" || return 1
+                source_used="credential vault"
+                print_success "Loaded credentials from vault entry ${DB_VAULT_ENTRY}"
+                return 0
+            fi
+            if [ -n "${DB_PASS}" ]; then
+                print_warning "$CONFIG_FILE holds a plaintext password - use --config to move it to the credential vault"
+            fi
             source_used="config file"
             print_success "Loaded credentials from $CONFIG_FILE"
             return 0
         fi
     fi
     
-    # Priority 3: Try MySQL config file
+    # Priority 4: Try MySQL config file
     if [ -f "${HOME}/.my.cnf" ]; then
         print_info "Found ~/.my.cnf, testing MySQL config authentication..."
         if mysql -e "SELECT 1;" > /dev/null 2>&1; then
@@ -134,12 +181,34 @@ load_credentials() {
         fi
     fi
     
-    # Priority 4: No credentials found, will prompt user
+    # Priority 5: No credentials found, will prompt user
     return 1
 }
 
-# Save credentials to config file
+# Save credentials: the password goes into the credential vault, the config file only names the entry
 save_credentials() {
+    DB_VAULT_ENTRY="${DB_VAULT_ENTRY:-cli-$(whoami | tr 'A-Z' 'a-z' | tr -cd 'a-z0-9._-')}"
+    
+    if command -v node > /dev/null 2>&1 && [ -f "$VAULT_CLI" ] && \
+        EPAK_NEW_PASSWORD="$DB_PASS" node "$VAULT_CLI" set "$DB_VAULT_ENTRY" "$DB_HOST" "$DB_USER" "$DB_NAME" > /dev/null; then
+        cat > "$CONFIG_FILE" <<EOF
+# EPak Tool Configuration
+# Created: $(date)
+#
+# The password is kept in the encrypted credential vault
+# (node web-terminal/manage-credentials.js list)
+#
+DB_VAULT_ENTRY="$DB_VAULT_ENTRY"
+EOF
+        chmod 600 "$CONFIG_FILE"
+        print_success "Password saved to credential vault entry $DB_VAULT_ENTRY"
+        print_success "Configuration saved to $CONFIG_FILE"
+        return 0
+    fi
+    
+    # Without node the vault cannot be written; fall back to the config file
+    DB_VAULT_ENTRY=""
+    print_warning "Credential vault unavailable - the password is stored in plain text"
     cat > "$CONFIG_FILE" <<EOF
 # EPak Tool Configuration
 # Created: $(date)
@@ -157,6 +226,17 @@ EOF
     print_info "File permissions set to 600 (only you can read/write)"
 }
 
+# Delete the config file and the vault entry it points at
+delete_saved_credentials() {
+    local entry
+    entry=$(grep -E '^DB_VAULT_ENTRY=' "$CONFIG_FILE" 2>/dev/null | cut -d'"' -f2)
+    
+    if [ -n "$entry" ] && command -v node > /dev/null 2>&1 && [ -f "$VAULT_CLI" ]; then
+        node "$VAULT_CLI" remove "$entry" > /dev/null || print_warning "Could not remove credential vault entry $entry"
+    fi
+    rm -f "$CONFIG_FILE"
+}
+
 # Show help
 show_help() {
 echo ""
@@ -188,10 +268,14 @@ echo ""
     echo ""
     echo "Credential Management:"
     echo "  Credentials are automatically loaded from:"
-    echo "    1. Environment variables (EPAK_DB_*)"
-    echo "    2. Config file (~/.epak-config)"
-    echo "    3. MySQL config (~/.my.cnf)"
-    echo "    4. Interactive prompt (if none found)"
+    echo "    1. Credential vault entry (EPAK_VAULT_ENTRY)"
+    echo "    2. Environment variables (EPAK_DB_*)"
+    echo "    3. Config file (~/.epak-config, points at a vault entry)"
+    echo "    4. MySQL config (~/.my.cnf)"
+    echo "    5. Interactive prompt (if none found)"
+    echo ""
+    echo "  Saved passwords go into the encrypted vault (web-terminal/credentials.vault);"
+    echo "  manage it with: node web-terminal/manage-credentials.js list"
     echo ""
     echo "Examples:"
     echo "  ./fix-epak-interactive.sh"
@@ -436,11 +520,18 @@ manage_credentials() {
         
         # Load and display (mask password)
         source "$CONFIG_FILE"
+        if [ -n "${DB_VAULT_ENTRY}" ]; then
+            load_vault_entry "${DB_VAULT_ENTRY}"
+        fi
         echo -e "${BOLD}Current Configuration:${NC}"
         echo "  Host:     ${DB_HOST}"
         echo "  Database: ${DB_NAME}"
         echo "  User:     ${DB_USER}"
-        echo "  Password: ••••••••"
+        if [ -n "${DB_VAULT_ENTRY}" ]; then
+            echo "  Password: •••••••• (credential vault entry ${DB_VAULT_ENTRY})"
+        else
+            echo "  Password: •••••••• (plain text - choose 1 to move it to the vault)"
+        fi
         echo ""
         
         # Check permissions
@@ -519,7 +610,7 @@ echo ""
                 read -p "Are you sure? (yes/no): " CONFIRM
                 
                 if [[ "$CONFIRM" == "yes" ]]; then
-                    rm -f "$CONFIG_FILE"
+                    delete_saved_credentials
                     print_success "Credentials deleted!"
                     print_info "Next run will prompt for new credentials"
                 else
@@ -628,7 +719,7 @@ reset_credentials() {
         read -p "Are you sure? (yes/no): " CONFIRM
         
         if [[ "$CONFIRM" == "yes" ]]; then
-            rm -f "$CONFIG_FILE"
+            delete_saved_credentials
             print_success "Credentials deleted!"
             echo ""
             print_info "Next time you run the script, you'll be prompted for credentials."
@@ -2,11 +2,13 @@
 
 /**
  * PDF Signature Analyzer
- * Finds ALL signature dictionaries in a PDF file
+ * Lists every signature field of a PDF (all incremental-update revisions)
  */
 
 const fs = require('fs');
 const path = require('path');
+const PdfObjectReader = require('./pdfObjectReader');
+const PDFCertificateExtractor = require('./pdfCertificateExtractor');
 
 if (process.argv.length < 3) {
     console.log('Usage: node analyzePdf.js <pdf-file>');
@@ -28,122 +30,53 @@ console.log(`Size: ${fs.statSync(pdfPath).size} bytes`);
 console.log(`${'='.repeat(70)}\n`);
 
 const pdfBuffer = fs.readFileSync(pdfPath);
-const pdfString = pdfBuffer.toString('latin1');
 
-// Search for different signature patterns
-const patterns = [
-    {
-        name: 'Standard /Contents hex',
-        regex: /\/Contents\s*<([0-9A-Fa-f]+)>/g,
-        extract: (match) => match[1]
-    },
-    {
-        name: 'Indirect /Contents reference',
-        regex: /\/Contents\s+(\d+)\s+(\d+)\s+R/g,
-        extract: (match) => `${match[1]} ${match[2]} R`
-    },
-    {
-        name: '/ByteRange with /Contents',
-        regex: /\/ByteRange\s*\[([^\]]+)\][\s\S]{0,500}\/Contents\s*<([0-9A-Fa-f]+)>/g,
-        extract: (match) => match[2]
-    },
-    {
-        name: '/Sig dictionary',
-        regex: /\/Type\s*\/Sig[\s\S]{0,1000}\/Contents\s*<([0-9A-Fa-f]+)>/g,
-        extract: (match) => match[1]
-    },
-    {
-        name: 'PKCS#7 detached',
-        regex: /\/SubFilter\s*\/adbe\.pkcs7\.detached[\s\S]{0,1000}\/Contents\s*<([0-9A-Fa-f]+)>/g,
-        extract: (match) => match[1]
-    },
-    {
-        name: 'PKCS#7 SHA1',
-        regex: /\/SubFilter\s*\/adbe\.pkcs7\.sha1[\s\S]{0,1000}\/Contents\s*<([0-9A-Fa-f]+)>/g,
-        extract: (match) => match[1]
-    },
-    {
-        name: 'Aadhaar eSign',
-        regex: /\/SubFilter\s*\/ETSI\.CAdES\.detached[\s\S]{0,1000}\/Contents\s*<([0-9A-Fa-f]+)>/g,
-        extract: (match) => match[1]
-    }
-];
+let reader;
+try {
+    reader = new PdfObjectReader(pdfBuffer);
+} catch (error) {
+    console.error(`❌ Cannot read PDF structure: ${error.message}`);
+    process.exit(1);
+}
 
-let totalSignatures = 0;
-const foundSignatures = [];
+console.log(`Revisions (%%EOF markers): ${PdfObjectReader.revisionEnds(pdfBuffer).length}`);
+console.log(`Cross-reference sections:  ${reader.xrefSections || 'none (rebuilt by scanning)'}`);
+console.log(`Indexed objects:           ${reader.entries.size}`);
 
-for (const pattern of patterns) {
-    const matches = [...pdfString.matchAll(pattern.regex)];
-    
-    if (matches.length > 0) {
-        console.log(`\n📝 Found ${matches.length} signature(s) matching: ${pattern.name}`);
-        
-        matches.forEach((match, index) => {
-            const sigData = pattern.extract(match);
-            const sigSize = typeof sigData === 'string' && sigData.match(/^[0-9A-Fa-f]+$/) 
-                ? sigData.length / 2 
-                : 'N/A';
-            
-            console.log(`   [${index + 1}] Size: ${sigSize} bytes, Position: ${match.index}`);
-            
-            foundSignatures.push({
-                pattern: pattern.name,
-                data: sigData,
-                size: sigSize,
-                position: match.index
-            });
-            
-            totalSignatures++;
-        });
-    }
-}
+const signatures = reader.getSignatures();
 
 console.log(`\n${'='.repeat(70)}`);
-console.log(`TOTAL SIGNATURES FOUND: ${totalSignatures}`);
+console.log(`TOTAL SIGNATURES FOUND: ${signatures.length}`);
 console.log(`${'='.repeat(70)}\n`);
 
-if (totalSignatures === 0) {
-    console.log('⚠️  No signatures found! Searching for raw PKCS#7 structures...\n');
-    
-    // Search for PKCS#7 magic bytes (30 82 or 30 83 at start of potential signature)
-    const pkcs7Pattern = /3082|3083/gi;
-    const pkcs7Matches = [...pdfString.matchAll(pkcs7Pattern)];
-    
-    console.log(`Found ${pkcs7Matches.length} potential PKCS#7 patterns in PDF`);
-    console.log('(Note: Many may be false positives)\n');
+if (signatures.length === 0) {
+    console.log('⚠️  No signed signature fields in /AcroForm. The PDF may not be digitally signed.\n');
 }
 
-// Look for /Sig dictionaries
-console.log('Searching for /Sig dictionaries...\n');
-const sigDictPattern = /\/Type\s*\/Sig/g;
-const sigDictMatches = [...pdfString.matchAll(sigDictPattern)];
-console.log(`Found ${sigDictMatches.length} /Sig dictionary references`);
-
-sigDictMatches.forEach((match, index) => {
-    const contextStart = Math.max(0, match.index - 100);
-    const contextEnd = Math.min(pdfString.length, match.index + 500);
-    const context = pdfString.substring(contextStart, contextEnd);
-    
-    console.log(`\n--- /Sig Dictionary ${index + 1} ---`);
-    console.log(`Position: ${match.index}`);
-    console.log(`Context (showing 100 chars before and 500 after):`);
-    console.log(context.substring(0, 300).replace(/[\x00-\x1F\x7F-\x9F]/g, '.'));
-    console.log('...\n');
+signatures.forEach(signature => {
+    console.log(`--- Signature ${signature.index}: ${signature.fieldName || '(unnamed field)'} ---`);
+    console.log(`  Object:       ${signature.objectNumber !== null ? `${signature.objectNumber} 0 R` : 'direct'}`);
+    console.log(`  Filter:       ${signature.filter || 'N/A'}`);
+    console.log(`  SubFilter:    ${signature.subFilter || 'N/A'}`);
+    console.log(`  ByteRange:    [${signature.byteRange.join(' ')}]`);
+    console.log(`  Revision:     ${signature.revision !== null ? signature.revision : 'N/A'}`);
+    console.log(`  Signing time: ${signature.signingTime ? signature.signingTime.toISOString() : 'N/A'} (${signature.signingTimeRaw || 'no /M'})`);
+    const cmsSigningTime = PDFCertificateExtractor.extractSigningTimeFromPKCS7(signature.contents.toString('binary'));
+    console.log(`  CMS signed:   ${cmsSigningTime ? cmsSigningTime.toISOString() : 'N/A (no signingTime attribute)'}`);
+    console.log(`  Name:         ${signature.name || 'N/A'}`);
+    console.log(`  Reason:       ${signature.reason || 'N/A'}`);
+    console.log(`  Location:     ${signature.location || 'N/A'}`);
+    console.log(`  CMS size:     ${signature.contents.length} bytes`);
+
+    try {
+        const certificate = PDFCertificateExtractor.extractCertificateFromPKCS7(signature.contents.toString('binary'));
+        console.log(`  Certificate:  ${certificate.length} bytes (DER)`);
+    } catch (error) {
+        console.log(`  Certificate:  ✗ ${error.message}`);
+    }
+    console.log('');
 });
 
 console.log(`${'='.repeat(70)}`);
 console.log(`ANALYSIS COMPLETE`);
 console.log(`${'='.repeat(70)}\n`);
-
-// Export found signatures for testing
-if (foundSignatures.length > 0) {
-    console.log('Unique signature patterns found:');
-    const uniquePatterns = [...new Set(foundSignatures.map(s => s.pattern))];
-    uniquePatterns.forEach(p => console.log(`  - ${p}`));
-}
-
-
-
-
-
-
@@ -0,0 +1,547 @@
+const TransactionExecutor = require('./transactionExecutor');
+const ExecutionJournal = require('./executionJournal');
+const { ProgressChannel } = require('./progressHub');
+
+/**
+ * Job statuses
+ */
+const JOB_STATUS = {
+    RUNNING: 'running',
+    AWAITING_APPROVAL: 'awaiting-approval', // paused until an operator decides on the next ePak
+    COMPLETED: 'completed',
+    STOPPED: 'stopped',                     // stop-on-first-error, or the operator chose "stop"
+    CANCELLED: 'cancelled',
+    FAILED: 'failed'                        // the runner itself broke (not an ePak transaction)
+};
+
+/**
+ * Operator decisions for an ePak awaiting approval
+ */
+const DECISIONS = {
+    EXECUTE: 'execute',
+    SKIP: 'skip',
+    STOP: 'stop',
+    EXECUTE_ALL: 'execute-all'              // execute this one and auto-approve the rest
+};
+
+/**
+ * Progress events, in order, each { seq, at, type, ... }
+ *   job-started       { batchName, sheetPath, runId, totalEpaks, options }
+ *   epak-started      { epakId, index, operations }
+ *   awaiting-approval { epakId, index, operations }
+ *   epak-finished     { epakId, result (ExecutionJournal.EPAK_RESULTS), outcomes, rollbackId, error }
+ *   warning           { message }
+ *   job-finished      { status, summary, error }
+ */
+const EVENT_TYPES = {
+    JOB_STARTED: 'job-started',
+    EPAK_STARTED: 'epak-started',
+    AWAITING_APPROVAL: 'awaiting-approval',
+    EPAK_FINISHED: 'epak-finished',
+    WARNING: 'warning',
+    JOB_FINISHED: 'job-finished'
+};
+
+const MAX_CONCURRENCY = 8;
+
+// Finished jobs kept for polling / late attach
+const MAX_FINISHED_JOBS = 20;
+
+/**
+ * Batch Job Runner
+ * Executes a batch's fix sheet on the server, one transaction per ePak, so a batch keeps
+ * running when the browser tab goes away. Jobs report progress as numbered events
+ * (replayed to late subscribers) and can be cancelled; ePaks already in a transaction finish
+ * first, nothing new is started. Without auto-approve each ePak waits for an operator decision.
+ * Results go to the fix sheet and the execution journal exactly as in the terminal-driven loop.
+ */
+class BatchJobRunner {
+
+    /**
+     * @param {Object} options - { journal: ExecutionJournal, policy: SafetyPolicy, rollbacksPath,
+     *        recordResults: async (sheetPath, outcomes, timestamps) => warning|null, completeBatch: (batchName) => movedPath|null }
+     */
+    constructor(options = {}) {
+        this.journal = options.journal;
+        this.policy = options.policy || null;
+        this.rollbacksPath = options.rollbacksPath;
+        this.recordResults = options.recordResults || (async () => null);
+        this.completeBatch = options.completeBatch || (() => null);
+        this.jobs = new Map();
+    }
+
+    /**
+     * Start a job in the background
+     * @param {Object} request - { batchName, sheetPath, operations (validated fix-sheet summaries), pool,
+     *        autoApprove, stopOnError, concurrency, resume, operator, client, database, profile (the session's
+     *        database profile name, if any), timestamps (the session's TimestampService), approvalId }
+     * @returns {BatchJob} Started job (running; the returned promise is not awaited)
+     * @throws {Error} If the batch already has an active job or there is nothing to run
+     */
+    start(request) {
+        const active = this.findActive(request.batchName);
+        if (active) {
+            throw new Error(`Batch '${request.batchName}' already has an active job: ${active.id}`);
+        }
+
+        const options = BatchJobRunner.parseOptions(request);
+        let epakOperations = BatchJobRunner.groupByEpak(request.operations || []);
+        if (Object.keys(epakOperations).length === 0) {
+            throw new Error('No valid operations found in the fix sheet');
+        }
+
+        // Continue the batch's interrupted run (same journal run, only the ePaks it never reached or that failed)
+        let runId = null;
+        let resumedFrom = null;
+        if (options.resume) {
+            // A run started under an earlier approval, or on another database profile, is not continued; a new run starts instead
+            const interrupted = this.journal.findInterrupted(request.batchName);
+            const run = interrupted && interrupted.approvalId === request.approvalId &&
+                interrupted.profile === (request.profile || null) ? interrupted : null;
+            const remaining = run ? Object.keys(epakOperations).filter(epakId => ExecutionJournal.needsRun(run.epaks[epakId])) : [];
+            if (remaining.length > 0) {
+                runId = run.runId;
+                resumedFrom = remaining[0];
+                const resumed = {};
+                remaining.forEach(epakId => { resumed[epakId] = epakOperations[epakId]; });
+                epakOperations = resumed;
+                this.journal.resumeRun(runId, { fromEpakId: resumedFrom, operator: request.operator, client: request.client });
+            }
+        }
+        if (!runId) {
+            runId = this.journal.startRun({
+                batchName: request.batchName,
+                sheetPath: request.sheetPath,
+                epakIds: Object.keys(epakOperations),
+                operator: request.operator,
+                client: request.client,
+                database: request.database,
+                profile: request.profile || null,
+                approvalId: request.approvalId
+            });
+        }
+
+        const job = new BatchJob({
+            id: this.nextJobId(request.batchName),
+            batchName: request.batchName,
+            sheetPath: request.sheetPath,
+            runId,
+            resumedFrom,
+            options,
+            operator: request.operator || null,
+            client: request.client || null,
+            timestamps: request.timestamps || null,
+            epakOperations
+        });
+        this.jobs.set(job.id, job);
+        this.pruneFinished();
+
+        console.log(`🧩 Batch job ${job.id} started (${job.totals.totalEpaks} ePak(s), journal run ${runId})`);
+        // Starts after the caller has the job, so its subscribers see every event live
+        setImmediate(() => this.execute(job, request.pool).catch(error => {
+            // Only reached if the runner itself fails; ePak failures are handled per transaction
+            console.error(`Batch job ${job.id} failed:`, error);
+            job.finish(JOB_STATUS.FAILED, error.message);
+        }));
+        return job;
+    }
+
+    /**
+     * @param {string} jobId
+     * @returns {BatchJob}
+     * @throws {Error} If there is no such job
+     */
+    get(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job) {
+            throw new Error(`Unknown batch job: ${jobId}`);
+        }
+        return job;
+    }
+
+    /**
+     * @returns {Array<Object>} Job snapshots, newest first
+     */
+    list() {
+        return [...this.jobs.values()].reverse().map(job => job.snapshot());
+    }
+
+    /**
+     * Active (not finished) job of a batch
+     * @param {string} batchName
+     * @returns {BatchJob|null}
+     */
+    findActive(batchName) {
+        return [...this.jobs.values()].find(job => job.batchName === batchName && !job.isFinished()) || null;
+    }
+
+    /**
+     * Run the job's ePaks with up to `concurrency` transactions at a time
+     * @param {BatchJob} job
+     * @param {Object} pool - mysql2 pool captured when the job started
+     */
+    async execute(job, pool) {
+        const executor = new TransactionExecutor(pool, { rollbacksPath: this.rollbacksPath, policy: this.policy, timestamps: job.timestamps });
+        const queue = Object.entries(job.epakOperations).map(([epakId, operations], i) => ({ epakId, operations, index: i + 1 }));
+
+        job.publish(EVENT_TYPES.JOB_STARTED, {
+            batchName: job.batchName,
+            sheetPath: job.sheetPath,
+            runId: job.runId,
+            resumedFrom: job.resumedFrom,
+            totalEpaks: job.totals.totalEpaks,
+            options: job.options
+        });
+
+        const worker = async () => {
+            while (queue.length > 0 && !job.stopRequested) {
+                const next = queue.shift();
+                await this.runEpak(job, executor, next);
+            }
+        };
+        const workers = [];
+        for (let i = 0; i < job.options.concurrency; i++) {
+            workers.push(worker());
+        }
+        await Promise.all(workers);
+        // Sheet writes are chained; wait for the last one before the batch can move
+        await job.sheetWrites;
+
+        const status = job.cancelRequested ? JOB_STATUS.CANCELLED
+            : job.stopRequested ? JOB_STATUS.STOPPED
+            : JOB_STATUS.COMPLETED;
+        this.journalSafely(job, () => this.journal.finishRun(job.runId, {
+            stopped: status !== JOB_STATUS.COMPLETED,
+            summary: { ...job.totals }
+        }));
+
+        if (status === JOB_STATUS.COMPLETED) {
+            try {
+                job.movedPath = this.completeBatch(job.batchName);
+            } catch (error) {
+                job.warn(`Could not move the batch to processed: ${error.message}`);
+            }
+        }
+        console.log(`📒 Batch job ${job.id} ${status}`);
+        job.finish(status, null);
+    }
+
+    /**
+     * One ePak: blocked → skipped without asking; otherwise wait for approval (unless auto-approved) and run its transaction
+     * @param {BatchJob} job
+     * @param {TransactionExecutor} executor
+     * @param {{epakId: string, operations: Array<Object>, index: number}} item
+     */
+    async runEpak(job, executor, item) {
+        const { epakId, operations, index } = item;
+        const { EPAK_RESULTS } = ExecutionJournal;
+        const listing = operations.map(op => ({ rowNumber: op.rowNumber, sql: op.sql, precondition: op.precondition || null }));
+
+        const violations = operations.flatMap(op => op.violations || []);
+        if (violations.length > 0) {
+            job.current.add(epakId);
+            job.publish(EVENT_TYPES.EPAK_STARTED, { epakId, index, operations: listing });
+            await this.notRun(job, epakId, operations, EPAK_RESULTS.BLOCKED, 'Blocked by the safety policy', violations);
+            return;
+        }
+
+        if (!job.options.autoApprove) {
+            const { decision, decidedBy } = await job.awaitApproval(epakId, index, listing);
+            if (decidedBy) {
+                job.decidedBy.set(epakId, decidedBy);
+            }
+            if (decision === DECISIONS.STOP) {
+                job.stopRequested = true;
+                return;
+            }
+            if (decision === DECISIONS.SKIP) {
+                job.current.add(epakId);
+                await this.notRun(job, epakId, operations, EPAK_RESULTS.SKIPPED, 'Skipped by operator');
+                return;
+            }
+            if (decision === DECISIONS.EXECUTE_ALL) {
+                job.options.autoApprove = true;
+            }
+        }
+
+        job.current.add(epakId);
+        job.publish(EVENT_TYPES.EPAK_STARTED, { epakId, index, operations: listing });
+
+        const queries = operations.map(op => ({
+            sql: op.sql, statement: op.statement, rowNumber: op.rowNumber, flags: op.flags, precondition: op.preconditionCheck
+        }));
+        try {
+            const outcome = await executor.run(queries, { epakId });
+            const result = outcome.rollback ? EPAK_RESULTS.COMMITTED : EPAK_RESULTS.ALREADY_APPLIED;
+            this.record(job, epakId, result, outcome.outcomes, outcome.rollback ? outcome.rollback.id : null, null);
+        } catch (error) {
+            const outcomes = TransactionExecutor.failureOutcomes(queries, error);
+            this.record(job, epakId, EPAK_RESULTS.FAILED, outcomes, null, error.message, error.violations);
+            if (job.options.stopOnError) {
+                job.stopRequested = true;
+                job.warn(`Stopping after ePak ${epakId} failed (stop on first error)`);
+            }
+        }
+    }
+
+    /**
+     * An ePak that is not sent to the database: rows marked Skipped in the sheet, ePak journaled
+     */
+    async notRun(job, epakId, operations, result, reason, violations) {
+        const outcomes = operations.filter(op => op.rowNumber).map(op => ({
+            rowNumber: op.rowNumber,
+            sql: op.sql,
+            status: TransactionExecutor.OUTCOME.SKIPPED,
+            affectedRows: 0,
+            reason
+        }));
+        this.record(job, epakId, result, outcomes, null, reason, violations);
+    }
+
+    /**
+     * Write an ePak's result to the sheet (serialized per job), the journal and the job's events
+     */
+    record(job, epakId, result, outcomes, rollbackId, error, violations) {
+        job.sheetWrites = job.sheetWrites.then(async () => {
+            const warning = await this.recordResults(job.sheetPath, outcomes, job.timestamps);
+            if (warning) job.warn(warning);
+        });
+        this.journalSafely(job, () => this.journal.recordEpak(job.runId, {
+            epakId, result, statements: outcomes, rollbackId, error,
+            // Whoever approved this ePak in the terminal, or the operator who started an auto-approved job
+            operator: job.decidedBy.get(epakId) || job.operator,
+            client: job.client
+        }));
+        job.completeEpak(epakId, result, { outcomes, rollbackId, error, violations: violations || [] });
+    }
+
+    /**
+     * Journal writes never stop a job; a failure becomes a warning event
+     */
+    journalSafely(job, write) {
+        try {
+            write();
+        } catch (error) {
+            console.warn(`⚠️  Could not write the execution journal: ${error.message}`);
+            job.warn(`Could not write the execution journal: ${error.message}`);
+        }
+    }
+
+    /**
+     * job_<batch>_<stamp>, unique among the jobs in memory
+     */
+    nextJobId(batchName) {
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '_').slice(0, 15);
+        const base = `job_${String(batchName).replace(/[^\w-]/g, '_')}_${stamp}`;
+        let id = base;
+        for (let n = 2; this.jobs.has(id); n++) {
+            id = `${base}-${n}`;
+        }
+        return id;
+    }
+
+    /**
+     * Forget the oldest finished jobs beyond MAX_FINISHED_JOBS
+     */
+    pruneFinished() {
+        const finished = [...this.jobs.values()].filter(job => job.isFinished());
+        finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS)).forEach(job => this.jobs.delete(job.id));
+    }
+
+    /**
+     * Validate run options
+     * @param {Object} request - { autoApprove, stopOnError, concurrency, resume }
+     * @returns {{autoApprove: boolean, stopOnError: boolean, concurrency: number, resume: boolean}}
+     * @throws {Error} On an invalid concurrency
+     */
+    static parseOptions(request) {
+        const autoApprove = request.autoApprove === true;
+        const concurrency = request.concurrency === undefined || request.concurrency === null ? 1 : Number(request.concurrency);
+        if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+            throw new Error(`concurrency must be a whole number from 1 to ${MAX_CONCURRENCY}`);
+        }
+        if (concurrency > 1 && !autoApprove) {
+            throw new Error('concurrency above 1 requires autoApprove (approvals are given one ePak at a time)');
+        }
+        return {
+            autoApprove,
+            stopOnError: request.stopOnError === true,
+            concurrency,
+            resume: request.resume === true
+        };
+    }
+
+    /**
+     * @param {Array<Object>} operations - Fix-sheet summaries with epakId
+     * @returns {Object} epakId → operations, in sheet order
+     */
+    static groupByEpak(operations) {
+        const epakOperations = {};
+        operations.forEach(op => {
+            if (!epakOperations[op.epakId]) {
+                epakOperations[op.epakId] = [];
+            }
+            epakOperations[op.epakId].push(op);
+        });
+        return epakOperations;
+    }
+}
+
+/**
+ * One background batch run: counters, the ePaks in flight, a pending approval and the event history
+ * (a progress channel that finishes with job-finished)
+ */
+class BatchJob extends ProgressChannel {
+
+    constructor(fields) {
+        super(fields.id);
+        Object.assign(this, fields);
+        this.status = JOB_STATUS.RUNNING;
+        this.startedAt = new Date().toISOString();
+        this.finishedAt = null;
+        this.error = null;
+        this.movedPath = null;
+        this.totals = {
+            totalEpaks: Object.keys(fields.epakOperations).length,
+            successful: 0,
+            alreadyApplied: 0,
+            skipped: 0,
+            failed: 0,
+            blocked: 0
+        };
+        this.current = new Set();
+        this.approval = null;           // { epakId, index, operations, resolve }
+        this.stopRequested = false;
+        this.cancelRequested = false;
+        this.sheetWrites = Promise.resolve();
+        this.decidedBy = new Map();
+    }
+
+    /**
+     * Progress event tagged with the job id
+     * @param {string} type - EVENT_TYPES value
+     * @param {Object} details
+     * @returns {Object} The event
+     */
+    publish(type, details = {}) {
+        return super.publish(type, { jobId: this.id, ...details });
+    }
+
+    warn(message) {
+        this.publish(EVENT_TYPES.WARNING, { message });
+    }
+
+    /**
+     * Pause until an operator decides (cancel resolves it as stop)
+     * @returns {Promise<{decision: string, decidedBy: string|null}>} DECISIONS value and who chose it
+     */
+    awaitApproval(epakId, index, operations) {
+        if (this.stopRequested) {
+            return Promise.resolve({ decision: DECISIONS.STOP, decidedBy: null });
+        }
+        return new Promise(resolve => {
+            this.approval = { epakId, index, operations, resolve };
+            this.status = JOB_STATUS.AWAITING_APPROVAL;
+            this.publish(EVENT_TYPES.AWAITING_APPROVAL, { epakId, index, operations });
+        });
+    }
+
+    /**
+     * Answer the pending approval
+     * @param {string} epakId - Must match the ePak awaiting approval
+     * @param {string} decision - DECISIONS value
+     * @param {string} decidedBy - Operator answering
+     * @throws {Error} If nothing (or another ePak) is awaiting approval, or the decision is unknown
+     */
+    approve(epakId, decision, decidedBy = null) {
+        if (!Object.values(DECISIONS).includes(decision)) {
+            throw new Error(`Unknown decision "${decision}" (expected ${Object.values(DECISIONS).join(', ')})`);
+        }
+        if (!this.approval || String(this.approval.epakId) !== String(epakId)) {
+            throw new Error(`ePak ${epakId} is not awaiting approval in job ${this.id}`);
+        }
+        const { resolve } = this.approval;
+        this.approval = null;
+        this.status = JOB_STATUS.RUNNING;
+        resolve({ decision, decidedBy });
+    }
+
+    /**
+     * Stop scheduling ePaks; a transaction already running completes
+     * @param {string} requestedBy - Operator cancelling
+     */
+    cancel(requestedBy = null) {
+        if (this.isFinished()) {
+            throw new Error(`Job ${this.id} already ${this.status}`);
+        }
+        this.cancelRequested = true;
+        this.stopRequested = true;
+        this.warn(`Cancel requested${requestedBy ? ` by ${requestedBy}` : ''} - no further ePaks will be started`);
+        if (this.approval) {
+            const { resolve } = this.approval;
+            this.approval = null;
+            this.status = JOB_STATUS.RUNNING;
+            resolve({ decision: DECISIONS.STOP, decidedBy: requestedBy });
+        }
+    }
+
+    completeEpak(epakId, result, details) {
+        const { EPAK_RESULTS } = ExecutionJournal;
+        const counter = {
+            [EPAK_RESULTS.COMMITTED]: 'successful',
+            [EPAK_RESULTS.ALREADY_APPLIED]: 'alreadyApplied',
+            [EPAK_RESULTS.SKIPPED]: 'skipped',
+            [EPAK_RESULTS.FAILED]: 'failed',
+            [EPAK_RESULTS.BLOCKED]: 'blocked'
+        }[result];
+        this.totals[counter]++;
+        this.current.delete(epakId);
+        this.publish(EVENT_TYPES.EPAK_FINISHED, { epakId, result, ...details });
+    }
+
+    finish(status, error) {
+        if (this.isFinished()) return;
+        this.status = status;
+        this.error = error;
+        this.finishedAt = new Date().toISOString();
+        this.publish(EVENT_TYPES.JOB_FINISHED, { status, summary: { ...this.totals }, error, movedPath: this.movedPath });
+    }
+
+    isFinished() {
+        return [JOB_STATUS.COMPLETED, JOB_STATUS.STOPPED, JOB_STATUS.CANCELLED, JOB_STATUS.FAILED].includes(this.status);
+    }
+
+    /**
+     * Plain object for the API (no event history)
+     */
+    snapshot() {
+        const { successful, alreadyApplied, skipped, failed, blocked } = this.totals;
+        return {
+            id: this.id,
+            batchName: this.batchName,
+            sheetPath: this.sheetPath,
+            runId: this.runId,
+            resumedFrom: this.resumedFrom,
+            status: this.status,
+            options: { ...this.options },
+            operator: this.operator,
+            startedAt: this.startedAt,
+            finishedAt: this.finishedAt,
+            totals: { ...this.totals },
+            done: successful + alreadyApplied + skipped + failed + blocked,
+            current: [...this.current],
+            awaitingApproval: this.approval
+                ? { epakId: this.approval.epakId, index: this.approval.index, operations: this.approval.operations }
+                : null,
+            lastSeq: this.events.length,
+            movedPath: this.movedPath,
+            error: this.error
+        };
+    }
+}
+
+BatchJobRunner.JOB_STATUS = JOB_STATUS;
+BatchJobRunner.DECISIONS = DECISIONS;
+BatchJobRunner.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = BatchJobRunner;
@@ -2,6 +2,7 @@ const fs = require('fs');
 const path = require('path');
 const PDFCertificateExtractor = require('./pdfCertificateExtractor');
 const CertificateParser = require('./certificateParser');
+const PdfSignatureVerifier = require('./pdfSignatureVerifier');
 
 /**
  * Batch process multiple PDF files to extract Aadhaar signature data
@@ -59,6 +60,7 @@ class BatchPdfProcessor {
             fileName: path.basename(pdfPath),
             success: false,
             aadhaarDetails: null,
+            signatureCheck: null,
             error: null
         };
         
@@ -71,10 +73,17 @@ class BatchPdfProcessor {
                 throw new Error('File is not a valid PDF');
             }
             
-            // Extract certificate from PDF
+            // Verify the signatures (digest, signer signature, coverage)
+            const verification = PdfSignatureVerifier.verifyPdf(pdfBuffer);
+            result.signatureCheck = { status: verification.status, reason: verification.reason };
+            console.log(`  Signature check: ${verification.status} (${verification.reason})`);
+            
+            // Extract certificate (and the chain certificates embedded with it) from PDF
             let certBuffer;
+            let signer;
             try {
-                certBuffer = await PDFCertificateExtractor.extractCertificateFromPDF(pdfBuffer);
+                signer = await PDFCertificateExtractor.extractSignerFromPDF(pdfBuffer);
+                certBuffer = signer.certificate;
             } catch (extractError) {
                 throw new Error(`Failed to extract certificate: ${extractError.message}`);
             }
@@ -92,8 +101,12 @@ class BatchPdfProcessor {
             try {
                 console.log(`  Certificate buffer size: ${certBuffer.length} bytes`);
                 console.log('  Attempting to parse Aadhaar details...');
-                const aadhaarDetails = CertificateParser.parseCertificateFromBuffer(certBuffer);
+                const aadhaarDetails = CertificateParser.parseCertificateFromBuffer(certBuffer, {
+                    intermediates: signer.chainCertificates,
+                    signingTime: signer.signingTime
+                });
                 console.log('  ✓ Aadhaar details parsed successfully!');
+                console.log(`  Certificate chain: ${aadhaarDetails.chain.status} (${aadhaarDetails.chain.reason})`);
                 result.aadhaarDetails = aadhaarDetails;
                 result.success = true;
             } catch (parseError) {
@@ -112,7 +125,8 @@ class BatchPdfProcessor {
      * Process multiple PDF files from a directory
      * @param {string} dirPath - Directory path containing PDFs
      * @param {boolean} recursive - Search subdirectories
-     * @param {Function} progressCallback - Called for each processed file
+     * @param {Function} progressCallback - Called for each processed file with
+     *        { current, total, fileName, success, error, signatureCheck, signerName, chainStatus }
      * @returns {Promise<Object>} Processing results
      */
     static async processPDFDirectory(dirPath, recursive = true, progressCallback = null) {
@@ -127,6 +141,7 @@ class BatchPdfProcessor {
             totalFiles: pdfFiles.length,
             successCount: 0,
             failureCount: 0,
+            signatureCounts: { valid: 0, invalid: 0, 'partial-coverage': 0 },
             processingTime: 0,
             files: []
         };
@@ -145,6 +160,9 @@ class BatchPdfProcessor {
             } else {
                 results.failureCount++;
             }
+            if (result.signatureCheck) {
+                results.signatureCounts[result.signatureCheck.status]++;
+            }
             
             // Call progress callback if provided
             if (progressCallback) {
@@ -153,7 +171,10 @@ class BatchPdfProcessor {
                     total: pdfFiles.length,
                     fileName: result.fileName,
                     success: result.success,
-                    error: result.error
+                    error: result.error,
+                    signatureCheck: result.signatureCheck,
+                    signerName: result.aadhaarDetails ? result.aadhaarDetails.signerName : null,
+                    chainStatus: result.aadhaarDetails ? result.aadhaarDetails.chain.status : null
                 });
             }
         }
@@ -175,6 +196,7 @@ class BatchPdfProcessor {
             'File Name',
             'File Path',
             'Status',
+            'Signature Check',
             'Signer Name',
             'TPIN',
             'Gender',
@@ -185,6 +207,8 @@ class BatchPdfProcessor {
             'End Date',
             'Issuer Name',
             'Issuer Organisation',
+            'Chain Status',
+            'Chain Detail',
             'Error'
         ];
         
@@ -199,7 +223,8 @@ class BatchPdfProcessor {
             const row = [
                 this.escapeCSV(file.fileName),
                 this.escapeCSV(file.filePath),
-                file.success ? 'Success' : 'Failed'
+                file.success ? 'Success' : 'Failed',
+                file.signatureCheck ? file.signatureCheck.status : ''
             ];
             
             if (file.success && file.aadhaarDetails) {
@@ -215,11 +240,14 @@ class BatchPdfProcessor {
                     details.endDate ? new Date(details.endDate).toISOString() : '',
                     this.escapeCSV(details.issuerName || ''),
                     this.escapeCSV(details.issuerOrganisation || ''),
-                    ''
+                    details.chain ? details.chain.status : '',
+                    details.chain ? this.escapeCSV(details.chain.reason) : '',
+                    // Invalid / partially covering signatures are reported even when parsing succeeded
+                    file.signatureCheck && file.signatureCheck.status !== 'valid' ? this.escapeCSV(file.signatureCheck.reason) : ''
                 );
             } else {
                 // Empty cells for failed processing
-                row.push('', '', '', '', '', '', '', '', '', '', this.escapeCSV(file.error || 'Unknown error'));
+                row.push('', '', '', '', '', '', '', '', '', '', '', '', this.escapeCSV(file.error || 'Unknown error'));
             }
             
             rows.push(row);
@@ -241,6 +269,7 @@ class BatchPdfProcessor {
                 totalFiles: results.totalFiles,
                 successCount: results.successCount,
                 failureCount: results.failureCount,
+                signatureCounts: results.signatureCounts,
                 processingTime: results.processingTime,
                 processingTimeFormatted: this.formatTime(results.processingTime)
             },
@@ -255,7 +284,8 @@ class BatchPdfProcessor {
             const fileData = {
                 fileName: file.fileName,
                 filePath: file.filePath,
-                status: file.success ? 'success' : 'failed'
+                status: file.success ? 'success' : 'failed',
+                signatureCheck: file.signatureCheck
             };
             
             if (file.success && file.aadhaarDetails) {
@@ -1,5 +1,6 @@
 const forge = require('node-forge');
 const fs = require('fs');
+const TrustStore = require('./trustStore');
 
 /**
  * Extracts Aadhaar eSign details from X.509 certificate
@@ -31,7 +32,9 @@ class CertificateParser {
                 cert = forge.pki.certificateFromAsn1(forge.asn1.fromDer(derString));
             }
             
-            return this.extractAadhaarSignDetails(cert);
+            const details = this.extractAadhaarSignDetails(cert);
+            details.chain = this.validateChain(fs.readFileSync(certPath));
+            return details;
             
         } catch (error) {
             throw new Error(`Failed to parse certificate: ${error.message}`);
@@ -39,11 +42,43 @@ class CertificateParser {
     }
     
     /**
-     * Parse certificate from buffer and extract Aadhaar details
+     * Parse certificate from buffer and extract Aadhaar details, including chain status
+     * @param {Buffer} certBuffer - Certificate buffer data
+     * @param {Object} chainOptions - { intermediates (certificates from the PKCS#7), signingTime }
+     * @returns {Object} Aadhaar sign details
+     */
+    static parseCertificateFromBuffer(certBuffer, chainOptions = {}) {
+        const details = this.readDetailsFromBuffer(certBuffer);
+        details.chain = this.validateChain(certBuffer, chainOptions);
+        return details;
+    }
+    
+    /**
+     * Validate the certificate chain against the local trust store (CCA India roots)
+     * @param {Buffer} certBuffer - Signer certificate (DER or PEM)
+     * @param {Object} options - { intermediates, signingTime }
+     * @returns {{status: string, reason: string, signingTime: string|null, path: Array}}
+     *          status: trusted / untrusted-issuer / expired-at-signing / not-yet-valid
+     */
+    static validateChain(certBuffer, options = {}) {
+        try {
+            return TrustStore.getDefault().validateChain(certBuffer, options);
+        } catch (error) {
+            return {
+                status: TrustStore.CHAIN_STATUS.UNTRUSTED_ISSUER,
+                reason: `Cannot build chain: ${error.message}`,
+                signingTime: null,
+                path: []
+            };
+        }
+    }
+    
+    /**
+     * Aadhaar details from a certificate buffer (PEM or DER)
      * @param {Buffer} certBuffer - Certificate buffer data
      * @returns {Object} Aadhaar sign details
      */
-    static parseCertificateFromBuffer(certBuffer) {
+    static readDetailsFromBuffer(certBuffer) {
         try {
             // Try to parse as PEM first (text format)
             const certText = certBuffer.toString('utf8');
@@ -11,6 +11,19 @@ const path = require('path');
 async function main() {
     const args = process.argv.slice(2);
     
+    if (args[0] === '--list-strategies') {
+        console.log('\nAvailable fix strategies:\n');
+        EpakFixSheetGenerator.listStrategies().forEach(s => {
+            console.log(`  ${s.name}`);
+            console.log(`      ${s.description}`);
+            if (s.handles.length > 0) {
+                console.log(`      Handles: ${s.handles.join(', ')}`);
+            }
+        });
+        console.log('');
+        process.exit(0);
+    }
+    
     if (args.length < 1) {
         console.log('\n╔════════════════════════════════════════════════════════════════╗');
         console.log('║        ePak Fix Sheet Generator - CLI                         ║');
@@ -19,12 +32,14 @@ async function main() {
         console.log('  node cli-epak-fix-generator.js <input-csv> [output-csv]\n');
         console.log('Arguments:');
         console.log('  input-csv   Path to CSV file with ePak list');
-        console.log('              Format: epak_uuid,doc_uuid,signed_pdf_path\n');
+        console.log('              Format: epak_uuid,doc_uuid,signed_pdf_path[,strategy]');
+        console.log('              strategy (optional) forces a fix strategy for that ePak\n');
         console.log('  output-csv  Path to output CSV (optional)');
         console.log('              Default: epak-fix-sheet-[timestamp].csv\n');
         console.log('Example:');
         console.log('  node cli-epak-fix-generator.js epak-list.csv');
-        console.log('  node cli-epak-fix-generator.js epak-list.csv fix-commands.csv\n');
+        console.log('  node cli-epak-fix-generator.js epak-list.csv fix-commands.csv');
+        console.log('  node cli-epak-fix-generator.js --list-strategies\n');
         process.exit(1);
     }
     
@@ -54,6 +69,20 @@ async function main() {
         console.log(`Fix commands:     ${result.fixCommands}`);
         console.log(`Errors:           ${result.errors.length}`);
         
+        if (result.strategies.length > 0) {
+            console.log('\n🧩 Strategies:');
+            result.strategies.forEach(s => {
+                console.log(`   - ePak ${s.epak_uuid}: ${s.strategy} (${s.reason}) → ${s.commands} command(s) [PDF signature: ${s.signature}]`);
+            });
+        }
+        
+        if (result.warnings.length > 0) {
+            console.log('\n⚠️  Warnings:');
+            result.warnings.forEach(w => {
+                console.log(`   - ePak ${w.epak_uuid}: ${w.warning}`);
+            });
+        }
+        
         if (result.errors.length > 0) {
             console.log('\n❌ Errors:');
             result.errors.forEach(err => {
@@ -0,0 +1,197 @@
+const mysql = require('mysql2/promise');
+const TimestampService = require('./timestampService');
+
+// Pools unused for this long are closed (EPAK_DB_IDLE_MINUTES, default 30)
+const DEFAULT_IDLE_MINUTES = 30;
+
+// How often idle pools are looked for
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Connection Registry
+ * One MySQL pool per login session, so operators sharing a server never use each other's
+ * connection. Pools close on disconnect, logout, after the idle timeout, and on shutdown; a pool
+ * held by a running batch job stays open until the job releases it.
+ */
+class ConnectionRegistry {
+
+    /**
+     * @param {number} idleMinutes - Idle timeout
+     */
+    constructor(idleMinutes = Number(process.env.EPAK_DB_IDLE_MINUTES) || DEFAULT_IDLE_MINUTES) {
+        this.idleMs = idleMinutes * 60 * 1000;
+        this.connections = new Map();
+        this.sweeper = setInterval(() => this.closeIdle(), SWEEP_INTERVAL_MS);
+        this.sweeper.unref();
+    }
+
+    /**
+     * Open (or replace) a session's pool and check it works
+     * @param {string} sessionId
+     * @param {Object} config - { host, user, password, database }
+     * @param {string} owner - Operator username, for logs
+     * @param {Object|null} profile - DbProfiles.describe() of the profile connected (environment tag)
+     * @returns {Promise<Object>} { pool, connectedAs, profile, timestamps, owner, connectedAt, lastUsed, holds }
+     * @throws {Error} If the database cannot be reached, or a batch job is using the current pool
+     */
+    async connect(sessionId, config, owner, profile = null) {
+        const existing = this.connections.get(sessionId);
+        if (existing && existing.holds > 0) {
+            throw new Error('A batch job is still using this session\'s connection');
+        }
+
+        const pool = mysql.createPool({
+            host: config.host,
+            user: config.user,
+            password: config.password,
+            database: config.database,
+            waitForConnections: true,
+            connectionLimit: 10,
+            queueLimit: 0
+        });
+        let timestamps;
+        try {
+            const connection = await pool.getConnection();
+            await connection.query('SELECT 1');
+            connection.release();
+            // Generated timestamps follow the database time zone (what NOW() writes)
+            timestamps = await TimestampService.detect(async (sql) => (await pool.query(sql))[0]);
+        } catch (error) {
+            await pool.end().catch(() => {});
+            throw error;
+        }
+
+        if (existing) {
+            await this.disconnect(sessionId);
+        }
+        const entry = {
+            pool,
+            connectedAs: `${config.user}@${config.host}/${config.database}`,
+            profile,
+            timestamps,
+            owner: owner || null,
+            connectedAt: Date.now(),
+            lastUsed: Date.now(),
+            holds: 0
+        };
+        this.connections.set(sessionId, entry);
+        const tag = profile ? ` [${profile.name}, ${profile.environment}]` : '';
+        console.log(`🔌 ${entry.owner || 'session'} connected to ${entry.connectedAs}${tag}`);
+        return entry;
+    }
+
+    /**
+     * A session's connection (its idle timer restarts)
+     * @param {string} sessionId
+     * @returns {Object|null}
+     */
+    get(sessionId) {
+        const entry = sessionId ? this.connections.get(sessionId) : null;
+        if (!entry) {
+            return null;
+        }
+        entry.lastUsed = Date.now();
+        return entry;
+    }
+
+    /**
+     * Keep a session's pool open while a background job uses it
+     * @param {string} sessionId
+     * @returns {Function} release() - call once when done
+     */
+    hold(sessionId) {
+        const entry = this.connections.get(sessionId);
+        if (!entry) {
+            return () => {};
+        }
+        entry.holds++;
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            entry.holds--;
+            entry.lastUsed = Date.now();
+        };
+    }
+
+    /**
+     * Close a session's pool
+     * @param {string} sessionId
+     * @param {Object} options - { force: close even while a batch job holds it }
+     * @returns {Promise<boolean>} False if there was no connection
+     * @throws {Error} If a batch job is using the pool (without force)
+     */
+    async disconnect(sessionId, options = {}) {
+        const entry = this.connections.get(sessionId);
+        if (!entry) {
+            return false;
+        }
+        if (entry.holds > 0 && !options.force) {
+            throw new Error('A batch job is still using this session\'s connection');
+        }
+        this.connections.delete(sessionId);
+        await ConnectionRegistry.closePool(entry);
+        return true;
+    }
+
+    /**
+     * Close pools unused for longer than the idle timeout (and not held by a job)
+     */
+    async closeIdle() {
+        const cutoff = Date.now() - this.idleMs;
+        for (const [sessionId, entry] of this.connections) {
+            if (entry.holds === 0 && entry.lastUsed < cutoff) {
+                this.connections.delete(sessionId);
+                console.log(`🔌 Closing idle connection ${entry.connectedAs} (${entry.owner || 'session'})`);
+                await ConnectionRegistry.closePool(entry);
+            }
+        }
+    }
+
+    /**
+     * Close every pool (server shutdown)
+     */
+    async closeAll() {
+        clearInterval(this.sweeper);
+        const entries = [...this.connections.values()];
+        this.connections.clear();
+        await Promise.all(entries.map(entry => ConnectionRegistry.closePool(entry)));
+    }
+
+    /**
+     * @returns {number} Open pools
+     */
+    count() {
+        return this.connections.size;
+    }
+
+    /**
+     * Connection state for the API (no credentials)
+     * @param {Object|null} entry
+     * @returns {Object|null}
+     */
+    describe(entry) {
+        if (!entry) {
+            return null;
+        }
+        return {
+            database: entry.connectedAs,
+            profile: entry.profile,
+            connectedAt: new Date(entry.connectedAt).toISOString(),
+            lastUsed: new Date(entry.lastUsed).toISOString(),
+            idleTimeoutMinutes: this.idleMs / 60000,
+            heldByJobs: entry.holds,
+            timeZone: entry.timestamps.toJSON()
+        };
+    }
+
+    static async closePool(entry) {
+        try {
+            await entry.pool.end();
+        } catch (error) {
+            console.warn(`⚠️  Could not close connection ${entry.connectedAs}: ${error.message}`);
+        }
+    }
+}
+
+module.exports = ConnectionRegistry;
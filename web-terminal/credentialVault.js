@@ -0,0 +1,282 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Default vault file (override with EPAK_VAULT)
+ */
+const DEFAULT_PATH = path.join(__dirname, 'credentials.vault');
+
+/**
+ * Key file used when no master passphrase is set (override with EPAK_VAULT_KEYFILE).
+ * Kept in the user's home, away from the vault, so copying one does not give away the other.
+ */
+const DEFAULT_KEYFILE = path.join(os.homedir(), '.epak', 'vault.key');
+
+const KEY_SOURCES = {
+    PASSPHRASE: 'passphrase', // scrypt of EPAK_VAULT_PASSPHRASE
+    KEYFILE: 'keyfile'        // 32 random bytes in the key file
+};
+
+// scrypt cost for the master passphrase, stored in the vault so it can be raised later
+const SCRYPT = { N: 32768, r: 8, p: 1 };
+const KEY_LENGTH = 32;
+
+const ENTRY_NAME = /^[a-z0-9][a-z0-9._-]{0,63}$/;
+
+let defaultVault = null;
+
+/**
+ * Credential Vault
+ * Database credentials encrypted at rest (AES-256-GCM) in one file on the server:
+ *
+ *   { version, keySource, kdf: { N, r, p, salt }, iv, tag, data }
+ *
+ * The key comes from the master passphrase (EPAK_VAULT_PASSPHRASE) or, without one, from a key
+ * file created on first use. Entries are { host, user, password, database, owner, createdAt,
+ * updatedAt } by name; the web terminal's saved connections are entries owned by an operator.
+ * Managed with manage-credentials.js.
+ */
+class CredentialVault {
+
+    /**
+     * @param {Object} options - { filePath, keyFile, passphrase }
+     */
+    constructor(options = {}) {
+        this.filePath = options.filePath || process.env.EPAK_VAULT || DEFAULT_PATH;
+        this.keyFile = options.keyFile || process.env.EPAK_VAULT_KEYFILE || DEFAULT_KEYFILE;
+        this.passphrase = options.passphrase !== undefined ? options.passphrase : process.env.EPAK_VAULT_PASSPHRASE;
+        // Derived keys by salt, so scrypt runs once per passphrase
+        this.keys = new Map();
+        // Last decrypted contents, by the vault's auth tag (a new one on every save)
+        this.decrypted = null;
+    }
+
+    /**
+     * Vault of this process (EPAK_VAULT, EPAK_VAULT_KEYFILE, EPAK_VAULT_PASSPHRASE), shared so the
+     * passphrase key is derived once and an unchanged vault is decrypted once
+     * @returns {CredentialVault}
+     */
+    static getDefault() {
+        if (!defaultVault) {
+            defaultVault = new CredentialVault();
+        }
+        return defaultVault;
+    }
+
+    /**
+     * @returns {boolean} True once the vault file exists
+     */
+    exists() {
+        return fs.existsSync(this.filePath);
+    }
+
+    /**
+     * @returns {string} KEY_SOURCES value of the existing vault, or the one a new vault would use
+     */
+    keySource() {
+        if (this.exists()) {
+            return this.readFile().keySource;
+        }
+        return this.passphrase ? KEY_SOURCES.PASSPHRASE : KEY_SOURCES.KEYFILE;
+    }
+
+    /**
+     * Decrypt every entry
+     * @returns {Object} name → entry (empty for a vault not created yet)
+     * @throws {Error} If the vault cannot be unlocked
+     */
+    load() {
+        if (!this.exists()) {
+            return {};
+        }
+        const vault = this.readFile();
+        if (this.decrypted && this.decrypted.tag === vault.tag) {
+            // A fresh copy each time: callers change what they get before save()
+            return JSON.parse(this.decrypted.plain).entries || {};
+        }
+        const key = this.key(vault.keySource, vault.kdf);
+        let plain;
+        try {
+            const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(vault.iv, 'base64'));
+            decipher.setAuthTag(Buffer.from(vault.tag, 'base64'));
+            plain = Buffer.concat([decipher.update(Buffer.from(vault.data, 'base64')), decipher.final()]).toString('utf8');
+        } catch (error) {
+            throw new Error(`Cannot unlock the credential vault ${this.filePath} (wrong passphrase or key file)`);
+        }
+        this.decrypted = { tag: vault.tag, plain };
+        return JSON.parse(plain).entries || {};
+    }
+
+    /**
+     * Encrypt and write every entry (a fresh IV each time)
+     * @param {Object} entries - name → entry
+     */
+    save(entries) {
+        const existing = this.exists() ? this.readFile() : null;
+        const keySource = existing ? existing.keySource : this.keySource();
+        const kdf = existing
+            ? existing.kdf
+            : (keySource === KEY_SOURCES.PASSPHRASE ? { ...SCRYPT, salt: crypto.randomBytes(16).toString('base64') } : null);
+        const key = this.key(keySource, kdf);
+
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        const data = Buffer.concat([cipher.update(JSON.stringify({ entries }), 'utf8'), cipher.final()]);
+        const vault = {
+            version: 1,
+            keySource,
+            kdf,
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        // Write then rename, so a crash never leaves a half-written vault
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(vault, null, 2) + '\n', { encoding: 'utf8', mode: 0o600 });
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    /**
+     * @returns {Array<{name, host, user, database, owner, updatedAt}>} Entries without passwords
+     */
+    list() {
+        return Object.entries(this.load())
+            .map(([name, entry]) => CredentialVault.publicEntry(name, entry))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Object|null} The entry, password included
+     */
+    get(name) {
+        const entry = this.load()[name];
+        return entry ? { name, ...entry } : null;
+    }
+
+    /**
+     * Add or replace an entry
+     * @param {string} name
+     * @param {Object} credentials - { host, user, password, database, owner }
+     * @returns {Object} The entry without its password
+     * @throws {Error} On an invalid name or a missing field
+     */
+    set(name, credentials) {
+        CredentialVault.validateName(name);
+        for (const field of ['host', 'user', 'database']) {
+            if (!credentials[field]) {
+                throw new Error(`${field} is required`);
+            }
+        }
+        const entries = this.load();
+        const now = new Date().toISOString();
+        entries[name] = {
+            host: credentials.host,
+            user: credentials.user,
+            password: credentials.password || '',
+            database: credentials.database,
+            owner: credentials.owner || null,
+            createdAt: entries[name] ? entries[name].createdAt : now,
+            updatedAt: now
+        };
+        this.save(entries);
+        return CredentialVault.publicEntry(name, entries[name]);
+    }
+
+    /**
+     * @param {string} name
+     * @returns {boolean} False if there was no such entry
+     */
+    remove(name) {
+        const entries = this.load();
+        if (!entries[name]) {
+            return false;
+        }
+        delete entries[name];
+        this.save(entries);
+        return true;
+    }
+
+    /**
+     * Entry an operator saved for the same database account (so reconnecting reuses it)
+     * @param {string} owner
+     * @param {Object} credentials - { host, user, database }
+     * @returns {string|null} Entry name
+     */
+    findOwned(owner, credentials) {
+        const match = Object.entries(this.load()).find(([, entry]) => entry.owner === owner &&
+            entry.host === credentials.host && entry.user === credentials.user && entry.database === credentials.database);
+        return match ? match[0] : null;
+    }
+
+    readFile() {
+        try {
+            return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Invalid credential vault file ${this.filePath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Encryption key for a key source
+     * @param {string} keySource - KEY_SOURCES value
+     * @param {Object|null} kdf - { N, r, p, salt } for a passphrase
+     * @returns {Buffer}
+     * @throws {Error} If the passphrase or key file is missing
+     */
+    key(keySource, kdf) {
+        if (keySource === KEY_SOURCES.PASSPHRASE) {
+            if (!this.passphrase) {
+                throw new Error('The credential vault is locked with a master passphrase - set EPAK_VAULT_PASSPHRASE');
+            }
+            if (!this.keys.has(kdf.salt)) {
+                this.keys.set(kdf.salt, crypto.scryptSync(this.passphrase, Buffer.from(kdf.salt, 'base64'), KEY_LENGTH,
+                    { N: kdf.N, r: kdf.r, p: kdf.p, maxmem: 128 * kdf.N * kdf.r * 2 }));
+            }
+            return this.keys.get(kdf.salt);
+        }
+
+        if (!fs.existsSync(this.keyFile)) {
+            if (this.exists()) {
+                throw new Error(`Key file ${this.keyFile} for the credential vault is missing`);
+            }
+            fs.mkdirSync(path.dirname(this.keyFile), { recursive: true, mode: 0o700 });
+            fs.writeFileSync(this.keyFile, crypto.randomBytes(KEY_LENGTH).toString('base64') + '\n', { mode: 0o600 });
+            console.log(`🔑 Created credential vault key file ${this.keyFile}`);
+        }
+        const key = Buffer.from(fs.readFileSync(this.keyFile, 'utf8').trim(), 'base64');
+        if (key.length !== KEY_LENGTH) {
+            throw new Error(`Key file ${this.keyFile} does not hold a ${KEY_LENGTH}-byte key`);
+        }
+        return key;
+    }
+
+    /**
+     * @param {string} name
+     * @throws {Error} If the name is not 1-64 lower-case letters, digits, '.', '_' or '-'
+     */
+    static validateName(name) {
+        if (!ENTRY_NAME.test(String(name || ''))) {
+            throw new Error(`Invalid credential name "${name}" (lower-case letters, digits, ".", "_" or "-")`);
+        }
+    }
+
+    /**
+     * @returns {string} Name for an operator's saved connection (the browser's opaque reference)
+     */
+    static newReference() {
+        return `ref_${crypto.randomBytes(16).toString('hex')}`;
+    }
+
+    static publicEntry(name, entry) {
+        return { name, host: entry.host, user: entry.user, database: entry.database, owner: entry.owner, updatedAt: entry.updatedAt };
+    }
+}
+
+CredentialVault.KEY_SOURCES = KEY_SOURCES;
+
+module.exports = CredentialVault;
@@ -2,6 +2,9 @@ const mysql = require('mysql2/promise');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const TimestampService = require('./timestampService');
+const DbProfiles = require('./dbProfiles');
+const CredentialVault = require('./credentialVault');
 
 /**
  * Database Connection Manager
@@ -12,11 +15,12 @@ class DbConnection {
     constructor() {
         this.pool = null;
         this.config = null;
+        this.timestamps = null;
     }
     
     /**
      * Connect to database using credentials from various sources
-     * Priority: 1. Environment vars, 2. Config file, 3. .my.cnf
+     * Priority: 0. EPAK_DB_PROFILE, 1. EPAK_VAULT_ENTRY, 2. Environment vars, 3. Config file, 4. .my.cnf
      */
     async connect() {
         // Try to load credentials
@@ -45,6 +49,13 @@ class DbConnection {
         } catch (error) {
             throw new Error(`Failed to connect to database: ${error.message}`);
         }
+        
+        // Render generated timestamps in the database's time zone (what NOW() would write)
+        this.timestamps = await TimestampService.detect(sql => this.query(sql));
+        console.log(`🕐 Database time zone: ${this.timestamps.describe()}`);
+        if (this.timestamps.warning) {
+            console.warn(`⚠️  ${this.timestamps.warning}`);
+        }
     }
     
     /**
@@ -52,7 +63,21 @@ class DbConnection {
      * @returns {Object|null} Database config object or null if not found
      */
     loadCredentials() {
-        // Priority 1: Environment variables
+        // Priority 0: Named profile from db-profiles.json
+        if (process.env.EPAK_DB_PROFILE) {
+            const profile = DbProfiles.load().resolve(process.env.EPAK_DB_PROFILE);
+            if (DbProfiles.isProduction(profile)) {
+                console.warn(`🛑 ${profile.label} is a PRODUCTION profile`);
+            }
+            return { host: profile.host, user: profile.user, password: profile.password, database: profile.database };
+        }
+        
+        // Priority 1: Entry of the encrypted credential vault
+        if (process.env.EPAK_VAULT_ENTRY) {
+            return this.loadVaultEntry(process.env.EPAK_VAULT_ENTRY);
+        }
+        
+        // Priority 2: Environment variables
         if (process.env.EPAK_DB_HOST) {
             return {
                 host: process.env.EPAK_DB_HOST,
@@ -62,8 +87,9 @@ class DbConnection {
             };
         }
         
-        // Priority 2: Config file in project directory
+        // Priority 3: Config file in project directory
         const configPath = path.join(__dirname, '..', '.epak-config');
+        let vaultEntry = null;
         if (fs.existsSync(configPath)) {
             try {
                 const configContent = fs.readFileSync(configPath, 'utf8');
@@ -77,7 +103,13 @@ class DbConnection {
                     }
                 });
                 
-                if (config.DB_HOST) {
+                // The config file may point at a vault entry instead of holding the password
+                vaultEntry = config.DB_VAULT_ENTRY || null;
+                
+                if (!vaultEntry && config.DB_HOST) {
+                    if (config.DB_PASS) {
+                        console.warn(`⚠️  ${configPath} holds a plaintext password - move it to the vault (manage-credentials.js set) and use DB_VAULT_ENTRY`);
+                    }
                     return {
                         host: config.DB_HOST,
                         user: config.DB_USER || 'msb',
@@ -89,8 +121,11 @@ class DbConnection {
                 console.warn(`Failed to read config file: ${error.message}`);
             }
         }
+        if (vaultEntry) {
+            return this.loadVaultEntry(vaultEntry);
+        }
         
-        // Priority 3: MySQL config file (~/.my.cnf)
+        // Priority 4: MySQL config file (~/.my.cnf)
         const myCnfPath = path.join(os.homedir(), '.my.cnf');
         if (fs.existsSync(myCnfPath)) {
             try {
@@ -126,6 +161,20 @@ class DbConnection {
         return null;
     }
     
+    /**
+     * Credentials from an entry of the encrypted vault
+     * @param {string} name - Vault entry
+     * @returns {Object} Database config object
+     * @throws {Error} If the vault cannot be unlocked or has no such entry
+     */
+    loadVaultEntry(name) {
+        const entry = CredentialVault.getDefault().get(name);
+        if (!entry) {
+            throw new Error(`No credential vault entry named ${name}`);
+        }
+        return { host: entry.host, user: entry.user, password: entry.password, database: entry.database };
+    }
+    
     /**
      * Execute a query
      * @param {string} sql - SQL query
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const dns = require('dns').promises;
+const path = require('path');
+const CredentialVault = require('./credentialVault');
+
+/**
+ * Environment tags a profile can carry
+ */
+const ENVIRONMENTS = {
+    DEVELOPMENT: 'development',
+    UAT: 'uat',
+    PRODUCTION: 'production'
+};
+
+const PROFILE_NAME = /^[a-z0-9][a-z0-9._-]{0,31}$/;
+
+/**
+ * Database Profiles
+ * Named connections defined on the server (db-profiles.json next to the server, or EPAK_DB_PROFILES):
+ *
+ *   { "profiles": { "prod-in": { "environment": "production", "host": "...", "user": "...",
+ *                                "passwordEnv": "EPAK_PROD_IN_PASSWORD", "database": "msb",
+ *                                "label": "Production India", "readOnlyUnlessApproved": true } } }
+ *
+ * The password comes from an entry of the encrypted credential vault ("credential": "<entry>",
+ * which also supplies the user when the profile has none), the named environment variable
+ * (passwordEnv) or, for local setups, a plain "password". Production profiles need the profile name typed to confirm every write, and
+ * with readOnlyUnlessApproved only approved batch runs may write.
+ */
+class DbProfiles {
+
+    /**
+     * @param {Object} profiles - name → profile
+     * @param {string|null} source - File the profiles came from
+     */
+    constructor(profiles = {}, source = null) {
+        this.source = source;
+        this.profiles = new Map();
+        for (const [name, profile] of Object.entries(profiles)) {
+            this.profiles.set(name, DbProfiles.validate(name, profile));
+        }
+    }
+
+    /**
+     * Load the profiles file (db-profiles.json next to the server, or EPAK_DB_PROFILES)
+     * @returns {DbProfiles} Empty when there is no file
+     */
+    static load() {
+        const profilesPath = process.env.EPAK_DB_PROFILES || path.join(__dirname, 'db-profiles.json');
+        if (!fs.existsSync(profilesPath)) {
+            return new DbProfiles();
+        }
+        try {
+            const data = JSON.parse(fs.readFileSync(profilesPath, 'utf8'));
+            const profiles = new DbProfiles(data.profiles || {}, profilesPath);
+            console.log(`🗂️  ${profiles.profiles.size} database profile(s) loaded from ${profilesPath}`);
+            return profiles;
+        } catch (error) {
+            // A broken file must not silently drop a production profile's protection
+            throw new Error(`Invalid database profiles file ${profilesPath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * @returns {Array<Object>} Profiles without passwords, by name
+     */
+    list() {
+        return [...this.profiles.keys()].sort().map(name => this.describe(name));
+    }
+
+    /**
+     * @param {string} name
+     * @returns {boolean}
+     */
+    has(name) {
+        return this.profiles.has(String(name || '').toLowerCase());
+    }
+
+    /**
+     * Connection settings of a profile, password included
+     * @param {string} name
+     * @returns {Object} { name, environment, label, host, user, password, database, readOnlyUnlessApproved }
+     * @throws {Error} On an unknown profile, a missing password variable or vault entry
+     */
+    resolve(name) {
+        const key = String(name || '').toLowerCase();
+        const profile = this.profiles.get(key);
+        if (!profile) {
+            throw new Error(`Unknown database profile: ${name}`);
+        }
+        let password = profile.password;
+        if (profile.credential) {
+            const entry = CredentialVault.getDefault().get(profile.credential);
+            if (!entry) {
+                throw new Error(`Profile ${key} reads its password from vault entry ${profile.credential}, which does not exist`);
+            }
+            return { ...this.describe(key), user: profile.user || entry.user, password: entry.password || '' };
+        }
+        if (profile.passwordEnv) {
+            password = process.env[profile.passwordEnv];
+            if (password === undefined) {
+                throw new Error(`Profile ${key} reads its password from ${profile.passwordEnv}, which is not set on the server`);
+            }
+        }
+        return { ...this.describe(key), password: password || '' };
+    }
+
+    /**
+     * Profile for a host and database typed by hand, so its environment tag still applies. Hosts are
+     * compared by the addresses they resolve to, so an IP, a differently written name or an alias
+     * of a profile's server still gets that profile
+     * @param {Object} config - { host, database }
+     * @returns {Promise<Object|null>} As describe()
+     */
+    async match(config) {
+        const database = String(config.database || '').trim().toLowerCase();
+        const candidates = [...this.profiles].filter(([, profile]) => profile.database.trim().toLowerCase() === database);
+        if (candidates.length === 0) {
+            return null;
+        }
+        const addresses = await DbProfiles.hostAddresses(config.host);
+        for (const [name, profile] of candidates) {
+            const profileAddresses = await DbProfiles.hostAddresses(profile.host);
+            if (profileAddresses.some(address => addresses.includes(address))) {
+                return this.describe(name);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Object} { name, environment, label, host, user, database, readOnlyUnlessApproved }
+     */
+    describe(name) {
+        const profile = this.profiles.get(name);
+        return {
+            name,
+            environment: profile.environment,
+            label: profile.label || name,
+            host: profile.host,
+            user: profile.user || null, // null: taken from the vault entry
+            database: profile.database,
+            readOnlyUnlessApproved: Boolean(profile.readOnlyUnlessApproved)
+        };
+    }
+
+    /**
+     * @param {Object|null} profile - describe() output
+     * @returns {boolean}
+     */
+    static isProduction(profile) {
+        return Boolean(profile) && profile.environment === ENVIRONMENTS.PRODUCTION;
+    }
+
+    /**
+     * Host name as written (lower case, no trailing dot or IPv6 brackets) plus the addresses it resolves to
+     * @param {string} host
+     * @returns {Promise<Array<string>>} Empty for an empty host; just the name when it does not resolve
+     */
+    static async hostAddresses(host) {
+        const name = String(host || '').trim().toLowerCase().replace(/\.$/, '').replace(/^\[(.*)\]$/, '$1');
+        if (!name) {
+            return [];
+        }
+        const addresses = [name];
+        try {
+            for (const { address } of await dns.lookup(name, { all: true })) {
+                addresses.push(address.toLowerCase());
+            }
+        } catch (error) {
+            // Unresolvable here: only the name itself can match
+        }
+        return addresses;
+    }
+
+    /**
+     * @param {string} name
+     * @param {Object} profile
+     * @returns {Object} The profile
+     * @throws {Error} On a bad name, environment or missing connection field
+     */
+    static validate(name, profile) {
+        if (!PROFILE_NAME.test(name)) {
+            throw new Error(`Invalid profile name "${name}" (lower-case letters, digits, ".", "_" or "-")`);
+        }
+        if (!Object.values(ENVIRONMENTS).includes(profile.environment)) {
+            throw new Error(`Profile ${name}: environment must be one of ${Object.values(ENVIRONMENTS).join(', ')}`);
+        }
+        for (const field of ['host', 'database']) {
+            if (!profile[field]) {
+                throw new Error(`Profile ${name}: ${field} is required`);
+            }
+        }
+        if (!profile.user && !profile.credential) {
+            throw new Error(`Profile ${name}: user is required (or a vault "credential")`);
+        }
+        return profile;
+    }
+}
+
+DbProfiles.ENVIRONMENTS = ENVIRONMENTS;
+
+module.exports = DbProfiles;
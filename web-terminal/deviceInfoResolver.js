@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Device fields copied into documentactivity comments
+ */
+const DEVICE_FIELDS = ['userIp', 'device', 'platform', 'browser'];
+
+/**
+ * Fallback chain, best source first
+ */
+const SOURCES = {
+    DOCUMENT_VIEW: 'document-view',     // signer's DocumentViewed on this document
+    EPAK_ACTIVITY: 'epak-activity',     // signer's epakactivity on this ePak
+    SIGNED_ACTIVITY: 'signed-activity', // signer's most recent Signed documentactivity (any document)
+    TENANT_DEFAULT: 'tenant-default',   // device-defaults.json
+    NONE: 'none'                        // still MANUAL
+};
+
+const PLACEHOLDER = 'MANUAL';
+
+/**
+ * Device Info Resolver
+ * Fills userIp / device / platform / browser for a signer's documentactivity insert
+ * from the best available source, field by field, and records where each value came from
+ */
+class DeviceInfoResolver {
+
+    /**
+     * @param {Object} db - { query(sql, params) }
+     * @param {Object} defaults - { tenants: { <tenantId>: { userIp, device, platform, browser } } }
+     */
+    constructor(db, defaults = DeviceInfoResolver.loadDefaults()) {
+        this.db = db;
+        this.tenantDefaults = (defaults && defaults.tenants) || {};
+    }
+
+    /**
+     * Load tenant defaults (device-defaults.json next to the server, or EPAK_DEVICE_DEFAULTS)
+     * @returns {Object} { tenants: {} } when there is no file
+     */
+    static loadDefaults() {
+        const defaultsPath = process.env.EPAK_DEVICE_DEFAULTS || path.join(__dirname, 'device-defaults.json');
+        if (!fs.existsSync(defaultsPath)) {
+            return { tenants: {} };
+        }
+        try {
+            return JSON.parse(fs.readFileSync(defaultsPath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Invalid device defaults file ${defaultsPath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Resolve device info for one signer
+     * @param {Object} signer - { userId, tenantId }
+     * @param {Object} scope - { docId, epakId }
+     * @returns {Promise<{values: Object, sources: Object}>} values: field → value (MANUAL if unresolved),
+     *          sources: field → SOURCES value
+     */
+    async resolve(signer, scope) {
+        const values = {};
+        const sources = {};
+        const take = (candidate, source) => {
+            for (const field of DEVICE_FIELDS) {
+                if (values[field] === undefined && DeviceInfoResolver.isUsable(candidate[field])) {
+                    values[field] = String(candidate[field]);
+                    sources[field] = source;
+                }
+            }
+            return DEVICE_FIELDS.every(field => values[field] !== undefined);
+        };
+
+        const chain = [
+            [SOURCES.DOCUMENT_VIEW, () => this.queryComments(`
+                SELECT comments
+                FROM documentactivity
+                WHERE actorId = ? AND documentId = ? AND action = 'DocumentViewed'
+                ORDER BY actedOn DESC
+                LIMIT 5
+            `, [signer.userId, scope.docId])],
+            [SOURCES.EPAK_ACTIVITY, () => this.queryComments(`
+                SELECT comments
+                FROM epakactivity
+                WHERE actorId = ? AND ePakId = ?
+                ORDER BY actedOn DESC
+                LIMIT 20
+            `, [signer.userId, scope.epakId])],
+            [SOURCES.SIGNED_ACTIVITY, () => this.queryComments(`
+                SELECT comments
+                FROM documentactivity
+                WHERE actorId = ? AND action = 'Signed'
+                ORDER BY actedOn DESC
+                LIMIT 1
+            `, [signer.userId])],
+            [SOURCES.TENANT_DEFAULT, async () => {
+                const defaults = this.tenantDefaults[String(signer.tenantId)];
+                return defaults ? [defaults] : [];
+            }]
+        ];
+
+        for (const [source, load] of chain) {
+            let candidates;
+            try {
+                candidates = await load();
+            } catch (error) {
+                console.warn(`           ⚠️  Device info (${source}): ${error.message}`);
+                continue;
+            }
+            if (candidates.some(candidate => take(candidate, source))) break;
+        }
+
+        for (const field of DEVICE_FIELDS) {
+            if (values[field] === undefined) {
+                values[field] = PLACEHOLDER;
+                sources[field] = SOURCES.NONE;
+            }
+        }
+        return { values, sources };
+    }
+
+    /**
+     * Parsed comments JSON of the rows a query returns (unreadable comments are skipped)
+     * @returns {Promise<Array<Object>>}
+     */
+    async queryComments(sql, params) {
+        const rows = await this.db.query(sql, params);
+        const parsed = [];
+        for (const row of rows) {
+            if (!row.comments) continue;
+            try {
+                const comments = typeof row.comments === 'string' ? JSON.parse(row.comments) : row.comments;
+                if (comments && typeof comments === 'object') parsed.push(comments);
+            } catch (error) {
+                // Free-text comment, no device info in it
+            }
+        }
+        return parsed;
+    }
+
+    /**
+     * @param {*} value
+     * @returns {boolean} True for a real (non-empty, non-placeholder) value
+     */
+    static isUsable(value) {
+        return value !== undefined && value !== null && String(value).trim() !== '' && String(value).trim() !== PLACEHOLDER;
+    }
+
+    /**
+     * Fix sheet text for the sources: "userIp=document-view, device=signed-activity, ..."
+     * @param {Object} sources - field → source
+     * @returns {string}
+     */
+    static describeSources(sources) {
+        return DEVICE_FIELDS.filter(field => sources && sources[field])
+            .map(field => `${field}=${sources[field]}`)
+            .join(', ');
+    }
+}
+
+DeviceInfoResolver.DEVICE_FIELDS = DEVICE_FIELDS;
+DeviceInfoResolver.SOURCES = SOURCES;
+
+module.exports = DeviceInfoResolver;
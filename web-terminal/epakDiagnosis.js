@@ -0,0 +1,338 @@
+/**
+ * Statuses that mean a signer (or action) is done
+ */
+const SIGNED_STATUSES = ['Signed', 'Completed'];
+
+const REMINDER_ACTIONS = ['Reminder', 'ReminderBySystem'];
+
+const isSigned = (row) => SIGNED_STATUSES.includes(row.status);
+const time = (value) => (value ? new Date(value).getTime() : null);
+
+/**
+ * Consistency rule catalogue.
+ * Each rule inspects the ePak snapshot and returns zero or more findings
+ * ({ message, evidence: [{ table, rows }] }); severity comes from the rule.
+ */
+const RULES = [
+    {
+        id: 'epak-no-documents',
+        severity: 'error',
+        description: 'ePak has no rows in epak_document',
+        check(snapshot) {
+            if (snapshot.documents.length > 0) return [];
+            return [{
+                message: 'No documents are attached to this ePak',
+                evidence: [{ table: 'epak', rows: [snapshot.epak] }]
+            }];
+        }
+    },
+    {
+        id: 'signer-signed-without-activity',
+        severity: 'error',
+        description: 'Signer is Signed but has no Signed documentactivity',
+        check(snapshot) {
+            return snapshot.signers
+                .filter(signer => isSigned(signer) && !snapshot.signedActors.has(String(signer.userId)))
+                .map(signer => ({
+                    message: `Signer ${signer.id} (user ${signer.userId}) is ${signer.status} but no 'Signed' documentactivity exists for that user`,
+                    evidence: [{ table: 'epak_workflowstate_signer', rows: [signer] }]
+                }));
+        }
+    },
+    {
+        id: 'activity-without-signer-update',
+        severity: 'error',
+        description: 'Signed documentactivity exists but the signer row was never advanced',
+        check(snapshot) {
+            const findings = [];
+            for (const signer of snapshot.signers) {
+                if (isSigned(signer) && signer.progressPercent >= 100) continue;
+                const activities = snapshot.documentActivities.filter(a =>
+                    a.action === 'Signed' && String(a.actorId) === String(signer.userId));
+                if (activities.length === 0) continue;
+                findings.push({
+                    message: `User ${signer.userId} signed (documentactivity ${activities[0].id}) but signer ${signer.id} is still ${signer.status} at ${signer.progressPercent}%`,
+                    evidence: [
+                        { table: 'epak_workflowstate_signer', rows: [signer] },
+                        { table: 'documentactivity', rows: activities }
+                    ]
+                });
+            }
+            return findings;
+        }
+    },
+    {
+        id: 'signer-progress-status-mismatch',
+        severity: 'warning',
+        description: 'Signer status and progressPercent disagree',
+        check(snapshot) {
+            return snapshot.signers
+                .filter(signer => isSigned(signer) !== (signer.progressPercent >= 100))
+                .map(signer => ({
+                    message: `Signer ${signer.id} has status ${signer.status} but progressPercent ${signer.progressPercent}`,
+                    evidence: [{ table: 'epak_workflowstate_signer', rows: [signer] }]
+                }));
+        }
+    },
+    {
+        id: 'docuseraction-registered-after-signing',
+        severity: 'error',
+        description: 'docuseraction still Registered while the signer is at 100%',
+        check(snapshot) {
+            const findings = [];
+            for (const action of snapshot.docUserActions.filter(a => a.status === 'Registered')) {
+                const signer = snapshot.signers.find(s =>
+                    String(s.userId) === String(action.signerId) &&
+                    (action.workflowStateOrderId == null || s.workflowStateOrderId == null ||
+                        String(s.workflowStateOrderId) === String(action.workflowStateOrderId)));
+                if (!signer || signer.progressPercent < 100) continue;
+                findings.push({
+                    message: `docuseraction ${action.id} is Registered but signer ${signer.id} is ${signer.status} at ${signer.progressPercent}%`,
+                    evidence: [
+                        { table: 'docuseraction', rows: [action] },
+                        { table: 'epak_workflowstate_signer', rows: [signer] }
+                    ]
+                });
+            }
+            return findings;
+        }
+    },
+    {
+        id: 'reminders-after-completion',
+        severity: 'warning',
+        description: 'Reminder activities logged after the ePak was completed',
+        check(snapshot) {
+            const completedAt = snapshot.completedAt;
+            if (completedAt === null) return [];
+            const reminders = snapshot.epakActivities.filter(a =>
+                REMINDER_ACTIONS.includes(a.action) && time(a.actedOn) > completedAt);
+            if (reminders.length === 0) return [];
+            return [{
+                message: `${reminders.length} reminder activit${reminders.length === 1 ? 'y' : 'ies'} after completion (${new Date(completedAt).toISOString()})`,
+                evidence: [{ table: 'epakactivity', rows: reminders }]
+            }];
+        }
+    },
+    {
+        id: 'epak-progress-inconsistent',
+        severity: 'warning',
+        description: 'epak.progressPercent does not match the signer states',
+        check(snapshot) {
+            const total = snapshot.signers.length;
+            if (total === 0) return [];
+            const signed = snapshot.signers.filter(isSigned).length;
+            const ratio = (100 * signed) / total;
+            const accepted = [Math.floor(ratio), Math.round(ratio)];
+            if (accepted.includes(Number(snapshot.epak.progressPercent))) return [];
+            return [{
+                message: `ePak progressPercent is ${snapshot.epak.progressPercent} but ${signed}/${total} signers are signed (expected ${Math.round(ratio)})`,
+                evidence: [
+                    { table: 'epak', rows: [snapshot.epak] },
+                    { table: 'epak_workflowstate_signer', rows: snapshot.signers }
+                ]
+            }];
+        }
+    },
+    {
+        id: 'epak-not-completed-all-signed',
+        severity: 'error',
+        description: 'Every signer is signed but the ePak is not Completed',
+        check(snapshot) {
+            if (snapshot.signers.length === 0 || !snapshot.signers.every(isSigned)) return [];
+            if (snapshot.epak.status === 'Completed') return [];
+            return [{
+                message: `All ${snapshot.signers.length} signer(s) are signed but the ePak is ${snapshot.epak.status}`,
+                evidence: [{ table: 'epak', rows: [snapshot.epak] }]
+            }];
+        }
+    },
+    {
+        id: 'epak-completed-with-pending-signers',
+        severity: 'error',
+        description: 'ePak is Completed while some signers are not signed',
+        check(snapshot) {
+            if (snapshot.epak.status !== 'Completed') return [];
+            const pending = snapshot.signers.filter(s => !isSigned(s));
+            if (pending.length === 0) return [];
+            return [{
+                message: `ePak is Completed but ${pending.length} signer(s) are not signed`,
+                evidence: [
+                    { table: 'epak', rows: [snapshot.epak] },
+                    { table: 'epak_workflowstate_signer', rows: pending }
+                ]
+            }];
+        }
+    },
+    {
+        id: 'missing-completed-activity',
+        severity: 'warning',
+        description: "ePak is Completed but has no 'Completed' epakactivity",
+        check(snapshot) {
+            if (snapshot.epak.status !== 'Completed') return [];
+            if (snapshot.epakActivities.some(a => a.action === 'Completed')) return [];
+            return [{
+                message: "ePak is Completed but no 'Completed' epakactivity was logged",
+                evidence: [{ table: 'epak', rows: [snapshot.epak] }]
+            }];
+        }
+    }
+];
+
+/**
+ * ePak Diagnosis
+ * Loads an ePak with its signers, document actions and activity logs,
+ * then runs the rule catalogue to explain why the ePak is stuck
+ */
+class EpakDiagnosis {
+
+    /**
+     * @param {Object} dbConnection - Object with query(sql, params) returning rows
+     */
+    constructor(dbConnection) {
+        this.db = dbConnection;
+    }
+
+    /**
+     * Diagnose one ePak
+     * @param {string|number} epakRef - ePak ID or UUID
+     * @returns {Promise<{epakId: number, epak: Object, signers: Array, stuck: boolean, counts: Object, findings: Array}>}
+     */
+    async diagnose(epakRef) {
+        const snapshot = await this.loadSnapshot(epakRef);
+        const findings = EpakDiagnosis.runRules(snapshot);
+
+        const counts = { error: 0, warning: 0, info: 0 };
+        for (const finding of findings) {
+            counts[finding.severity]++;
+        }
+
+        return {
+            epakId: snapshot.epakId,
+            epak: snapshot.epak,
+            signers: snapshot.signers,
+            stuck: counts.error > 0,
+            counts,
+            findings
+        };
+    }
+
+    /**
+     * Read everything the rules need for one ePak
+     * @param {string|number} epakRef - ePak ID or UUID
+     * @returns {Promise<Object>} Snapshot
+     */
+    async loadSnapshot(epakRef) {
+        if (!epakRef) {
+            throw new Error('ePak UUID/ID is required');
+        }
+
+        const byUuid = String(epakRef).includes('-');
+        const epakRows = await this.db.query(`
+            SELECT id, uuid, status, progressPercent, subject, sentOn, modifiedOn, currentWorkflowStateId, ownerId
+            FROM epak
+            WHERE ${byUuid ? 'uuid' : 'id'} = ?
+        `, [epakRef]);
+
+        if (epakRows.length === 0) {
+            throw new Error(`ePak not found: ${epakRef}`);
+        }
+
+        const epak = epakRows[0];
+        const epakId = epak.id;
+
+        const documents = await this.db.query(`
+            SELECT ed.documentId, d.title
+            FROM epak_document ed
+            JOIN document d ON d.id = ed.documentId
+            WHERE ed.ePakId = ?
+            ORDER BY ed.documentId
+        `, [epakId]);
+
+        const signers = await this.db.query(`
+            SELECT id, userId, status, progressPercent, statusModifiedOn, workflowStateOrderId, signerOrderId
+            FROM epak_workflowstate_signer
+            WHERE ePakId = ?
+            ORDER BY workflowStateOrderId, signerOrderId, id
+        `, [epakId]);
+
+        const docUserActions = await this.db.query(`
+            SELECT id, signerId, documentId, status, actedOn, workflowStateOrderId
+            FROM docuseraction
+            WHERE ePakId = ?
+            ORDER BY workflowStateOrderId, id
+        `, [epakId]);
+
+        const documentActivities = await this.db.query(`
+            SELECT da.id, da.documentId, da.action, da.actorId, da.actorEmail, da.actedOn, da.status
+            FROM documentactivity da
+            JOIN epak_document ed ON ed.documentId = da.documentId
+            WHERE ed.ePakId = ?
+            ORDER BY da.actedOn, da.id
+        `, [epakId]);
+
+        const epakActivities = await this.db.query(`
+            SELECT id, action, actorId, actorEmail, actedOn, status
+            FROM epakactivity
+            WHERE ePakId = ?
+            ORDER BY actedOn, id
+        `, [epakId]);
+
+        return EpakDiagnosis.buildSnapshot({
+            epakId, epak, documents, signers, docUserActions, documentActivities, epakActivities
+        });
+    }
+
+    /**
+     * Add derived facts used by several rules
+     * @param {Object} data - Raw query results
+     * @returns {Object} Snapshot
+     */
+    static buildSnapshot(data) {
+        const signedActors = new Set(data.documentActivities
+            .filter(a => a.action === 'Signed')
+            .map(a => String(a.actorId)));
+
+        // Completion time: the 'Completed' epakactivity, else the last signature when everyone signed
+        const completedTimes = data.epakActivities
+            .filter(a => a.action === 'Completed')
+            .map(a => time(a.actedOn))
+            .filter(t => t !== null);
+        let completedAt = completedTimes.length > 0 ? Math.max(...completedTimes) : null;
+        if (completedAt === null && data.signers.length > 0 && data.signers.every(isSigned)) {
+            const signedTimes = data.signers.map(s => time(s.statusModifiedOn)).filter(t => t !== null);
+            completedAt = signedTimes.length > 0 ? Math.max(...signedTimes) : null;
+        }
+
+        return { ...data, signedActors, completedAt };
+    }
+
+    /**
+     * Run every rule over a snapshot
+     * @param {Object} snapshot
+     * @returns {Array<Object>} Findings: { rule, severity, description, message, evidence }
+     */
+    static runRules(snapshot) {
+        const findings = [];
+        for (const rule of RULES) {
+            for (const finding of rule.check(snapshot)) {
+                findings.push({
+                    rule: rule.id,
+                    severity: rule.severity,
+                    description: rule.description,
+                    ...finding
+                });
+            }
+        }
+        return findings;
+    }
+
+    /**
+     * Rule catalogue without the check functions (for listing)
+     * @returns {Array<{id: string, severity: string, description: string}>}
+     */
+    static listRules() {
+        return RULES.map(({ id, severity, description }) => ({ id, severity, description }));
+    }
+}
+
+module.exports = EpakDiagnosis;
@@ -1,9 +1,25 @@
 const fs = require('fs');
 const path = require('path');
 const csv = require('csv-parser');
-const { createObjectCsvWriter } = require('csv-writer');
+const FixOperation = require('./fixOperation');
+const FixSheet = require('./fixSheet');
 const PDFCertificateExtractor = require('./pdfCertificateExtractor');
 const CertificateParser = require('./certificateParser');
+const EpakDiagnosis = require('./epakDiagnosis');
+const SignerMatcher = require('./signerMatcher');
+const PdfSignatureVerifier = require('./pdfSignatureVerifier');
+const TimestampService = require('./timestampService');
+const DeviceInfoResolver = require('./deviceInfoResolver');
+
+/**
+ * Registered fix strategies, by name (see EpakFixSheetGenerator.registerStrategy)
+ */
+const strategies = new Map();
+
+/**
+ * Timestamp source of rows stamped with the fix-sheet generation time
+ */
+const TIMESTAMP_GENERATED = 'generated';
 
 /**
  * ePak Fix Sheet Generator
@@ -11,30 +27,48 @@ const CertificateParser = require('./certificateParser');
  */
 class EpakFixSheetGenerator {
     
-    constructor(dbConnection) {
+    /**
+     * @param {Object} dbConnection - { query(sql, params) } (DbConnection or a session pool wrapper)
+     * @param {Object} options - { timestamps: TimestampService of that connection (default: dbConnection.timestamps,
+     *        else the shared one), resolvePdfPath: (pdfPath) => path|null, where the input CSV's PDFs may be read
+     *        from (the server limits them to its input directories; a refused PDF counts as not provided) }
+     */
+    constructor(dbConnection, options = {}) {
         this.db = dbConnection;
+        this.timestamps = options.timestamps || dbConnection.timestamps || TimestampService.getDefault();
+        this.resolvePdfPath = options.resolvePdfPath || null;
+        this.progressCallback = null;
     }
     
     /**
      * Generate fix sheet from input CSV
      * @param {string} inputCsvPath - Path to input CSV with ePak list
      * @param {string} outputCsvPath - Path to output CSV with fix commands
-     * @returns {Promise<{total: number, processed: number, errors: Array}>}
+     * @param {Function} progressCallback - Optional; called with { type, ... } as generation runs:
+     *        start { total }, epak { current, total, epakUuid, docUuid }, stage { stage (1-4), label },
+     *        step { step (1-6), of, label } (database queries), warning { epakUuid, message },
+     *        epak-done { epakUuid, commands, strategy }, epak-failed { epakUuid, error }, writing { commands }
+     * @returns {Promise<{total: number, processed: number, errors: Array, fixCommands: number, strategies: Array, warnings: Array}>}
      */
-    async generateFixSheet(inputCsvPath, outputCsvPath) {
+    async generateFixSheet(inputCsvPath, outputCsvPath, progressCallback = null) {
+        this.progressCallback = progressCallback;
         console.log('\n╔════════════════════════════════════════════════════════════════╗');
         console.log('║        ePak Fix Sheet Generator                               ║');
         console.log('╚════════════════════════════════════════════════════════════════╝\n');
         
         console.log(`📄 Input CSV: ${inputCsvPath}`);
         console.log(`💾 Output CSV: ${outputCsvPath}`);
+        console.log(`🕐 Timestamps: ${this.timestamps.describe()}`);
         console.log('');
         
         // Read input CSV
         const epakList = await this.readInputCsv(inputCsvPath);
         console.log(`✅ Found ${epakList.length} ePaks to process\n`);
+        this.reportProgress('start', { total: epakList.length });
         
         const fixCommands = [];
+        const selectedStrategies = [];
+        const warnings = [];
         const errors = [];
         let processedCount = 0;
         
@@ -44,32 +78,73 @@ class EpakFixSheetGenerator {
             console.log(`\n${'='.repeat(70)}`);
             console.log(`Processing ${i + 1}/${epakList.length}: ePak ${epak.epak_uuid}, Doc ${epak.doc_uuid}`);
             console.log('='.repeat(70));
+            this.reportProgress('epak', { current: i + 1, total: epakList.length, epakUuid: epak.epak_uuid, docUuid: epak.doc_uuid });
             
             try {
+                const epakWarnings = [];
+                
                 // Step 1: Query DB for current state
                 console.log('\n📊 Step 1: Querying database for current state...');
+                this.reportProgress('stage', { stage: 1, label: 'Querying database for current state' });
                 const currentState = await this.queryEpakState(epak.epak_uuid, epak.doc_uuid);
                 
-                // Step 2: Extract Aadhaar data from signed PDF
-                console.log('\n📄 Step 2: Extracting Aadhaar data from PDF...');
+                // Step 2: Verify the signed PDF, then extract Aadhaar data from it
+                console.log('\n📄 Step 2: Verifying PDF signature and extracting Aadhaar data...');
+                this.reportProgress('stage', { stage: 2, label: 'Verifying PDF signature and extracting Aadhaar data' });
+                const verification = this.verifyPdf(epak.signed_pdf_path);
+                if (verification.status === PdfSignatureVerifier.STATUS.INVALID) {
+                    throw new Error(`PDF signature check failed, no fixes generated: ${verification.reason}`);
+                }
+                if (verification.status !== PdfSignatureVerifier.STATUS.VALID) {
+                    epakWarnings.push(`PDF signature ${verification.status}: ${verification.reason}`);
+                }
                 const aadhaarData = await this.extractAadhaarData(epak.signed_pdf_path);
+                currentState.pdfSignatures = this.extractSignatures(epak.signed_pdf_path);
+                await this.matchSignatures(currentState);
                 
-                // Step 3: Generate fix commands based on state
-                console.log('\n🔧 Step 3: Generating fix commands...');
+                // Step 3: Diagnose and pick a fix strategy
+                console.log('\n🩺 Step 3: Diagnosing and selecting fix strategy...');
+                this.reportProgress('stage', { stage: 3, label: 'Diagnosing and selecting fix strategy' });
+                const diagnosis = await new EpakDiagnosis(this.db).diagnose(currentState.epakId);
+                diagnosis.findings.forEach(f => console.log(`  - [${f.severity}] ${f.rule}: ${f.message}`));
+                const selection = EpakFixSheetGenerator.selectStrategy(diagnosis, currentState, epak.strategy);
+                console.log(`  🧩 Strategy: ${selection.strategy.name} (${selection.reason})`);
+                
+                // Step 4: Generate fix commands with the selected strategy
+                console.log('\n🔧 Step 4: Generating fix commands...');
+                this.reportProgress('stage', { stage: 4, label: 'Generating fix commands' });
                 const commands = await this.generateFixCommands(
                     epak.epak_uuid,
                     epak.doc_uuid,
                     currentState,
-                    aadhaarData
+                    aadhaarData,
+                    { strategy: selection.strategy.name, diagnosis, warnings: epakWarnings, timestamps: this.timestamps }
                 );
+                epakWarnings.forEach(message => this.reportProgress('warning', { epakUuid: epak.epak_uuid, message }));
+                warnings.push(...epakWarnings.map(warning => ({
+                    epak_uuid: epak.epak_uuid,
+                    doc_uuid: epak.doc_uuid,
+                    warning
+                })));
                 
                 fixCommands.push(...commands);
+                selectedStrategies.push({
+                    epak_uuid: epak.epak_uuid,
+                    doc_uuid: epak.doc_uuid,
+                    strategy: selection.strategy.name,
+                    reason: selection.reason,
+                    forced: selection.forced,
+                    signature: verification.status,
+                    commands: commands.length
+                });
                 processedCount++;
                 
                 console.log(`✅ Generated ${commands.length} fix commands for ePak ${epak.epak_uuid}`);
+                this.reportProgress('epak-done', { epakUuid: epak.epak_uuid, commands: commands.length, strategy: selection.strategy.name });
                 
             } catch (error) {
                 console.error(`❌ Error processing ePak ${epak.epak_uuid}: ${error.message}`);
+                this.reportProgress('epak-failed', { epakUuid: epak.epak_uuid, error: error.message });
                 errors.push({
                     epak_uuid: epak.epak_uuid,
                     doc_uuid: epak.doc_uuid,
@@ -81,6 +156,7 @@ class EpakFixSheetGenerator {
         // Write output CSV (only if there are commands)
         if (fixCommands.length > 0) {
             console.log('\n\n📝 Writing fix commands to CSV...');
+            this.reportProgress('writing', { commands: fixCommands.length });
             await this.writeOutputCsv(outputCsvPath, fixCommands);
             
             console.log('\n✅ Fix sheet generated successfully!');
@@ -100,10 +176,36 @@ class EpakFixSheetGenerator {
             total: epakList.length,
             processed: processedCount,
             errors: errors,
-            fixCommands: fixCommands.length
+            fixCommands: fixCommands.length,
+            strategies: selectedStrategies,
+            warnings: warnings
         };
     }
     
+    /**
+     * Send a progress event to the caller's progressCallback (a failing callback never stops generation)
+     * @param {string} type - See generateFixSheet
+     * @param {Object} details
+     */
+    reportProgress(type, details = {}) {
+        if (!this.progressCallback) return;
+        try {
+            this.progressCallback({ type, ...details });
+        } catch (error) {
+            console.warn(`⚠️  Progress callback failed: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Log a database query step of queryEpakState ("[n/6] ...") and report it as progress
+     * @param {number} step - 1-6
+     * @param {string} label
+     */
+    logStep(step, label) {
+        console.log(`  [${step}/6] ${label}...`);
+        this.reportProgress('step', { step, of: 6, label });
+    }
+    
     /**
      * Read input CSV file
      * @param {string} csvPath - Path to CSV file
@@ -123,6 +225,13 @@ class EpakFixSheetGenerator {
                     if (pdfPath && !path.isAbsolute(pdfPath)) {
                         pdfPath = path.join(csvDir, pdfPath);
                     }
+                    if (pdfPath && this.resolvePdfPath) {
+                        const allowed = this.resolvePdfPath(pdfPath);
+                        if (!allowed) {
+                            console.warn(`⚠️  PDF ${pdfPath} is outside the allowed input directories - ignored`);
+                        }
+                        pdfPath = allowed;
+                    }
                     
                     const epakUuid = row.epak_uuid || row.epak_id || row.ePakUUID;
                     const docUuid = row.doc_uuid || row.document_uuid || row.documentUUID;
@@ -136,7 +245,9 @@ class EpakFixSheetGenerator {
                     results.push({
                         epak_uuid: epakUuid,
                         doc_uuid: docUuid,
-                        signed_pdf_path: pdfPath
+                        signed_pdf_path: pdfPath,
+                        // Optional: force a fix strategy for this ePak
+                        strategy: (row.strategy || row.fix_strategy || '').trim()
                     });
                 })
                 .on('end', () => {
@@ -154,7 +265,7 @@ class EpakFixSheetGenerator {
      * @returns {Promise<Object>} Current state object
      */
     async queryEpakState(epakUuid, docUuid) {
-        console.log(`  [1/6] Querying epak table...`);
+        this.logStep(1, 'Querying epak table');
         
         // Validate inputs
         if (!epakUuid) {
@@ -167,11 +278,11 @@ class EpakFixSheetGenerator {
         // Determine if epakUuid is a UUID or an integer ID
         const isEpakUuid = String(epakUuid).includes('-');
         const epakQuery = isEpakUuid ? `
-            SELECT id, status, modifiedOn, progressPercent, subject
+            SELECT id, status, modifiedOn, progressPercent, subject, ownerId, currentWorkflowStateId
             FROM epak
             WHERE uuid = ?
         ` : `
-            SELECT id, status, modifiedOn, progressPercent, subject
+            SELECT id, status, modifiedOn, progressPercent, subject, ownerId, currentWorkflowStateId
             FROM epak
             WHERE id = ?
         `;
@@ -201,25 +312,40 @@ class EpakFixSheetGenerator {
         const docId = docIdData[0].id;
         console.log(`  ✓ Found Document ID: ${docId}`);
         
-        console.log(`  [2/6] Querying epak_workflowstate_signer table...`);
-        const signerQuery = `
-            SELECT id, userId, status, statusModifiedOn, progressPercent, ePakId
+        this.logStep(2, 'Querying epak_workflowstate_signer table');
+        const allSignerQuery = `
+            SELECT id, userId, status, statusModifiedOn, progressPercent, ePakId, workflowStateOrderId, signerOrderId
             FROM epak_workflowstate_signer
-            WHERE ePakId = ? AND progressPercent < 100
+            WHERE ePakId = ?
+            ORDER BY workflowStateOrderId, signerOrderId, id
         `;
-        const signerData = await this.db.query(signerQuery, [epakId]);
-        console.log(`        → Found ${signerData.length} signer(s) with progress < 100`);
+        const allSigners = await this.db.query(allSignerQuery, [epakId]);
+        const signerData = allSigners.filter(signer => signer.progressPercent < 100);
+        console.log(`        → Found ${signerData.length} of ${allSigners.length} signer(s) with progress < 100`);
         
-        console.log(`  [3/6] Querying docuseraction table...`);
+        // Workflow stages, to move currentWorkflowStateId when only some stages are signed
+        let workflowStates = [];
+        try {
+            workflowStates = await this.db.query(`
+                SELECT id, workflowStateOrderId
+                FROM epak_workflowstate
+                WHERE ePakId = ?
+                ORDER BY workflowStateOrderId
+            `, [epakId]);
+        } catch (error) {
+            console.warn(`        ⚠️  Could not read workflow states: ${error.message}`);
+        }
+        
+        this.logStep(3, 'Querying docuseraction table');
         const docUserQuery = `
-            SELECT id, status, actedOn, documentId, signerId
+            SELECT id, status, actedOn, documentId, signerId, workflowStateOrderId
             FROM docuseraction
             WHERE documentId = ? AND status = 'Registered'
         `;
         const docUserData = await this.db.query(docUserQuery, [docId]);
         console.log(`        → Found ${docUserData.length} document action(s) with status=Registered`);
         
-        console.log(`  [4/6] Querying document table...`);
+        this.logStep(4, 'Querying document table');
         const documentQuery = `
             SELECT id, filePath
             FROM document
@@ -227,7 +353,7 @@ class EpakFixSheetGenerator {
         `;
         const documentData = await this.db.query(documentQuery, [docId]);
         
-        console.log(`  [5/6] Checking for reminder activities...`);
+        this.logStep(5, 'Checking for reminder activities');
         const reminderQuery = `
             SELECT id, action
             FROM epakactivity
@@ -237,60 +363,37 @@ class EpakFixSheetGenerator {
         const reminderData = await this.db.query(reminderQuery, [epakId]);
         console.log(`        → Found ${reminderData.length} reminder(s) to delete`);
         
-        // Get user details for signers and their DocumentViewed activity
-        console.log(`  [6/6] Fetching user details and device info for ${signerData.length} signer(s)...`);
+        // Get user details for signers and their device info
+        this.logStep(6, `Fetching user details and device info for ${signerData.length} signer(s)`);
+        const deviceInfoResolver = new DeviceInfoResolver(this.db);
         const signerUsers = [];
         for (let idx = 0; idx < signerData.length; idx++) {
             const signer = signerData[idx];
             console.log(`        → [${idx + 1}/${signerData.length}] Querying user ${signer.userId}...`);
             const userDetails = await this.getUserDetails(signer.userId);
             
-            // Query documentactivity to get device/platform/userIp from ANY DocumentViewed action by this user
-            // Note: We don't query the current document (docId) because it's corrupted and has no activity
-            // Instead, we get device info from any recent DocumentViewed activity by this user
-            const docViewedQuery = `
-                SELECT comments, actedOn, documentId
-                FROM documentactivity
-                WHERE actorId = ? AND action = 'DocumentViewed'
-                ORDER BY actedOn DESC
-                LIMIT 1
-            `;
-            const docViewedData = await this.db.query(docViewedQuery, [signer.userId]);
-            
-            let deviceInfo = {
-                userIp: "MANUAL",
-                device: "MANUAL",
-                platform: "MANUAL",
-                browser: "MANUAL"
-            };
-            
-            if (docViewedData.length > 0 && docViewedData[0].comments) {
-                try {
-                    const comments = typeof docViewedData[0].comments === 'string' 
-                        ? JSON.parse(docViewedData[0].comments) 
-                        : docViewedData[0].comments;
-                    
-                    deviceInfo = {
-                        userIp: comments.userIp || "MANUAL",
-                        device: comments.device || "MANUAL",
-                        platform: comments.platform || "MANUAL",
-                        browser: comments.browser || "MANUAL"
-                    };
-                    console.log(`           ✓ Device: ${deviceInfo.platform} / ${deviceInfo.device} / ${deviceInfo.browser}`);
-                } catch (e) {
-                    console.log(`           ⚠️  Could not parse device info`);
-                }
-            } else {
-                console.log(`           ⚠️  No DocumentViewed found, using defaults`);
-            }
+            // Device info for the documentactivity comments: best source per field (see deviceInfoResolver.js)
+            const device = await deviceInfoResolver.resolve(
+                { userId: signer.userId, tenantId: userDetails.tenantId },
+                { docId, epakId }
+            );
+            const unresolved = DeviceInfoResolver.DEVICE_FIELDS.filter(field => device.sources[field] === DeviceInfoResolver.SOURCES.NONE);
+            console.log(`           ${unresolved.length === 0 ? '✓' : '⚠️ '} Device: ${device.values.platform} / ${device.values.device} / ${device.values.browser} ` +
+                        `(${DeviceInfoResolver.describeSources(device.sources)})`);
             
             signerUsers.push({
                 ...signer,
                 userDetails,
-                deviceInfo
+                deviceInfo: device.values,
+                deviceInfoSources: device.sources
             });
         }
         
+        // Custodian for the 'Completed' epakactivity: the ePak owner, not whichever signer comes first
+        const custodian = epakData[0].ownerId
+            ? await this.getUserDetails(epakData[0].ownerId)
+            : signerUsers[0]?.userDetails || null;
+        
         console.log(`\n  ✅ Database query complete:`);
         console.log(`     - ePak: ${epakData[0]?.status} (${epakData[0]?.progressPercent}%)`);
         console.log(`     - ${signerData.length} signer(s) to update`);
@@ -301,7 +404,10 @@ class EpakFixSheetGenerator {
             epakId: epakId,           // Integer ID for SQL WHERE clauses
             docId: docId,             // Integer ID for SQL WHERE clauses
             epak: epakData[0] || null,
-            signers: signerUsers,
+            signers: signerUsers,     // Signers with progress < 100 (with user details)
+            allSigners: allSigners,   // Every signer, in workflow order
+            workflowStates: workflowStates,
+            custodian: custodian,
             docUsers: docUserData,
             document: documentData[0] || null,
             reminders: reminderData
@@ -405,10 +511,13 @@ class EpakFixSheetGenerator {
     async extractAadhaarData(pdfPath) {
         try {
             const pdfBuffer = fs.readFileSync(pdfPath);
-            const certBuffer = await PDFCertificateExtractor.extractCertificateFromPDF(pdfBuffer);
-            const aadhaarData = CertificateParser.parseCertificateFromBuffer(certBuffer);
+            const signer = await PDFCertificateExtractor.extractSignerFromPDF(pdfBuffer);
+            const aadhaarData = CertificateParser.parseCertificateFromBuffer(signer.certificate, {
+                intermediates: signer.chainCertificates,
+                signingTime: signer.signingTime
+            });
             
-            console.log(`  ✓ Extracted: ${aadhaarData.signerName} (TPIN: ${aadhaarData.tpin})`);
+            console.log(`  ✓ Extracted: ${aadhaarData.signerName} (TPIN: ${aadhaarData.tpin}, chain: ${aadhaarData.chain.status})`);
             
             return aadhaarData;
         } catch (error) {
@@ -429,79 +538,339 @@ class EpakFixSheetGenerator {
     }
     
     /**
-     * Generate fix commands based on current state (improved version)
+     * Verify the signed PDF's signatures (digest, signer signature, coverage)
+     * @param {string} pdfPath - Path to signed PDF
+     * @returns {{status: string, reason: string, signatures: Array}} status: valid / invalid / partial-coverage / not-checked
+     */
+    verifyPdf(pdfPath) {
+        if (!pdfPath || !fs.existsSync(pdfPath)) {
+            console.warn('  ⚠️  No signed PDF to verify');
+            return { status: 'not-checked', reason: 'no signed PDF provided', signatures: [] };
+        }
+        
+        const verification = PdfSignatureVerifier.verifyPdf(fs.readFileSync(pdfPath));
+        const icon = verification.status === PdfSignatureVerifier.STATUS.VALID ? '✓' : verification.status === PdfSignatureVerifier.STATUS.INVALID ? '❌' : '⚠️ ';
+        console.log(`  ${icon} Signature check: ${verification.status} (${verification.reason})`);
+        return verification;
+    }
+    
+    /**
+     * Read every signature in the signed PDF, in signing order
+     * Corporate (non-Aadhaar) signatures are ignored when Aadhaar signatures are present.
+     * @param {string} pdfPath - Path to signed PDF
+     * @returns {Array<Object>} Aadhaar data per signature ({ index, hasAadhaarData, signerName, ... })
+     */
+    extractSignatures(pdfPath) {
+        let certificates;
+        try {
+            certificates = PDFCertificateExtractor.extractAllCertificatesFromPDF(fs.readFileSync(pdfPath));
+        } catch (error) {
+            console.warn(`  ⚠️  Failed to read signatures: ${error.message}`);
+            return [];
+        }
+        
+        const signatures = [];
+        for (const entry of certificates) {
+            if (!entry.certificate) continue;
+            try {
+                const details = CertificateParser.parseCertificateFromBuffer(entry.certificate, {
+                    intermediates: entry.chainCertificates,
+                    signingTime: entry.signingTime
+                });
+                const hasAadhaarData = details.tpin !== 'NA' || details.gender !== 'NA' ||
+                                       details.yob !== 'NA' || details.pincode !== 'NA';
+                signatures.push({
+                    index: entry.index,
+                    fieldName: entry.fieldName,
+                    signingTime: entry.signingTime,
+                    signingTimeSource: entry.signingTimeSource,
+                    hasAadhaarData,
+                    ...details
+                });
+            } catch (error) {
+                console.warn(`  ⚠️  Signature ${entry.index}: ${error.message}`);
+            }
+        }
+        
+        const aadhaarSignatures = signatures.filter(sig => sig.hasAadhaarData);
+        const result = aadhaarSignatures.length > 0 ? aadhaarSignatures : signatures;
+        console.log(`  ✓ ${result.length} signer signature(s) in PDF`);
+        return result;
+    }
+    
+    /**
+     * Attribute PDF signatures to signers by identity (certificate name vs user name / email).
+     * Sets state.signatureMatches (every signer) and signer.signatureMatch on pending signers.
+     * @param {Object} state - Current state with pdfSignatures
+     */
+    async matchSignatures(state) {
+        const signers = [];
+        for (const signer of state.allSigners) {
+            const pending = state.signers.find(s => s.id === signer.id);
+            const userDetails = pending ? pending.userDetails : await this.getUserDetails(signer.userId);
+            signers.push({ ...signer, userDetails });
+        }
+        
+        state.signatureMatches = SignerMatcher.match(signers, state.pdfSignatures || []);
+        for (const match of state.signatureMatches) {
+            const pending = state.signers.find(s => s.id === match.signerId);
+            if (pending) {
+                pending.signatureMatch = match;
+            }
+            console.log(`  ${match.signature ? '✓' : '⚠️ '} Signer ${match.signerId} (user ${match.userId}): ${match.label}`);
+        }
+    }
+    
+    /**
+     * Generate fix commands for one ePak using a fix strategy
      * @param {string} epakUuid - ePak UUID
      * @param {string} docUuid - Document UUID
      * @param {Object} currentState - Current state from DB
      * @param {Object} aadhaarData - Aadhaar data from PDF
-     * @returns {Promise<Array>} Array of fix command objects
+     * @param {Object} options - { strategy (name, default 'complete-all'), diagnosis, warnings (array to collect into),
+     *        timestamps (TimestampService, default: the generator's) }
+     * @returns {Promise<Array<FixOperation>>} Fix operations, in execution order
      */
-    async generateFixCommands(epakUuid, docUuid, currentState, aadhaarData) {
-        const commands = [];
-        const timestamp = new Date().toISOString().slice(0, 19).replace('T', ' ');
-        
-        // Check if ePak is corrupted (progress < 100 or status != Completed)
-        const isCorrupted = !currentState.epak || 
-                           currentState.epak.progressPercent < 100 || 
-                           currentState.epak.status !== 'Completed';
+    async generateFixCommands(epakUuid, docUuid, currentState, aadhaarData, options = {}) {
+        const strategy = EpakFixSheetGenerator.getStrategy(options.strategy || 'complete-all');
+        const timestamps = options.timestamps || this.timestamps;
+        const context = {
+            epakUuid,
+            docUuid,
+            state: currentState,
+            aadhaarData,
+            diagnosis: options.diagnosis || null,
+            warnings: options.warnings || [],
+            timestamps,
+            // Fallback only: rows for a signer carry that signer's signing time from the PDF
+            timestamp: timestamps.now()
+        };
         
-        if (!isCorrupted) {
-            console.log('  ℹ️  ePak already completed, no fixes needed');
-            return commands;
+        return strategy.generate(context);
+    }
+    
+    /**
+     * Register a fix strategy.
+     * A strategy declares the diagnosis rules it repairs (`handles`, see epakDiagnosis.js)
+     * and builds its own fix operations:
+     *   { name, description, handles: [ruleId], fallback?, appliesTo?(diagnosis, state), generate(context) }
+     * @param {Object} strategy
+     */
+    static registerStrategy(strategy) {
+        if (!strategy.name || typeof strategy.generate !== 'function') {
+            throw new Error('A fix strategy needs a name and a generate(context) function');
+        }
+        strategies.set(strategy.name, { handles: [], ...strategy });
+    }
+    
+    /**
+     * @param {string} name - Strategy name
+     * @returns {Object} Registered strategy
+     */
+    static getStrategy(name) {
+        const strategy = strategies.get(name);
+        if (!strategy) {
+            throw new Error(`Unknown fix strategy "${name}" (available: ${[...strategies.keys()].join(', ')})`);
+        }
+        return strategy;
+    }
+    
+    /**
+     * @returns {Array<{name: string, description: string, handles: Array<string>}>}
+     */
+    static listStrategies() {
+        return [...strategies.values()].map(({ name, description, handles }) => ({ name, description, handles }));
+    }
+    
+    /**
+     * Pick the strategy for one ePak.
+     * A forced name (input CSV `strategy` column) wins; otherwise the most targeted
+     * strategy whose `handles` covers every diagnosis finding is used.
+     * @param {Object} diagnosis - Result of EpakDiagnosis.diagnose()
+     * @param {Object} currentState - Current state from DB
+     * @param {string} forcedName - Strategy requested in the input CSV (optional)
+     * @returns {{strategy: Object, reason: string, forced: boolean}}
+     */
+    static selectStrategy(diagnosis, currentState, forcedName) {
+        if (forcedName) {
+            return { strategy: this.getStrategy(forcedName), reason: 'forced in input CSV', forced: true };
         }
         
-        console.log('  🔍 ePak is corrupted, generating fix commands...');
+        const rules = [...new Set(diagnosis.findings.map(f => f.rule))];
+        const isIncomplete = !currentState.epak ||
+                             currentState.epak.progressPercent < 100 ||
+                             currentState.epak.status !== 'Completed';
         
-        // Query 4: Delete reminder activities (do this first)
-        if (currentState.reminders && currentState.reminders.length > 0) {
-            const reminderIds = currentState.reminders.map(r => `'${r.id}'`).join(',');
-            commands.push({
-                epak_uuid: epakUuid,
-                doc_uuid: docUuid,
-                table: 'epakactivity',
-                operation: 'DELETE',
-                columns_values: '',
-                where_clause: `id IN (${reminderIds})`,
-                status: 'Pending',
-                last_ran: ''
-            });
-            console.log(`    ✓ DELETE ${currentState.reminders.length} reminder activities`);
+        // Strategies with appliesTo() may also be picked when there are no findings
+        const candidates = [...strategies.values()]
+            .filter(s => !s.fallback && s.handles.length > 0)
+            .filter(s => rules.every(rule => s.handles.includes(rule)))
+            .filter(s => s.appliesTo ? s.appliesTo(diagnosis, currentState) : rules.length > 0)
+            .sort((a, b) => a.handles.length - b.handles.length);
+        
+        if (candidates.length > 0) {
+            const reason = rules.length > 0 ? `handles ${rules.join(', ')}` : 'applies to this ePak';
+            return { strategy: candidates[0], reason, forced: false };
+        }
+        
+        if (isIncomplete) {
+            const reason = rules.length > 0
+                ? `no targeted strategy covers ${rules.join(', ')}`
+                : 'ePak incomplete, no specific inconsistency found';
+            return { strategy: this.getStrategy('complete-all'), reason, forced: false };
         }
         
-        // Query 2: Update epak_workflowstate_signer (for each signer with progress < 100)
-        for (const signer of currentState.signers) {
-            commands.push({
-                epak_uuid: epakUuid,
-                doc_uuid: docUuid,
+        const reason = rules.length > 0
+            ? `no strategy handles ${rules.join(', ')} - review manually`
+            : 'no inconsistencies found';
+        return { strategy: this.getStrategy('none'), reason, forced: false };
+    }
+    
+    /**
+     * Rows of one table attached as evidence to findings of a rule
+     * @param {Object} diagnosis
+     * @param {string} rule - Rule id
+     * @param {string} table - Evidence table
+     * @returns {Array<Object>} Distinct rows (by id)
+     */
+    static evidenceRows(diagnosis, rule, table) {
+        const rows = new Map();
+        for (const finding of (diagnosis ? diagnosis.findings : []).filter(f => f.rule === rule)) {
+            for (const evidence of finding.evidence.filter(e => e.table === table)) {
+                evidence.rows.forEach(row => rows.set(String(row.id), row));
+            }
+        }
+        return [...rows.values()];
+    }
+    
+    /**
+     * Signer match label for a user (fix sheet "Signer match" column)
+     * @param {Object} context - Strategy context
+     * @param {number|string} userId
+     * @returns {string}
+     */
+    static signerMatchLabel(context, userId) {
+        const match = (context.state.signatureMatches || []).find(m => String(m.userId) === String(userId));
+        return match ? match.label : '';
+    }
+    
+    /**
+     * Signing time of a user's matched PDF signature, or the generation time when there is none
+     * @param {Object} context - Strategy context
+     * @param {number|string} userId
+     * @returns {{timestamp: string, source: string}} source: cms-signing-time / pdf-m-date / generated
+     */
+    static signerTimestamp(context, userId) {
+        const match = (context.state.signatureMatches || []).find(m => String(m.userId) === String(userId));
+        const signature = match && match.signature;
+        if (signature && signature.signingTime) {
+            return {
+                timestamp: context.timestamps.format(signature.signingTime),
+                source: signature.signingTimeSource
+            };
+        }
+        return { timestamp: context.timestamp, source: TIMESTAMP_GENERATED };
+    }
+    
+    /**
+     * DELETE the given reminder activities
+     * @param {Object} context - Strategy context
+     * @param {Array<Object>} reminders - epakactivity rows
+     * @returns {Array<FixOperation>}
+     */
+    static reminderDeletes(context, reminders) {
+        if (reminders.length === 0) {
+            return [];
+        }
+        console.log(`    ✓ DELETE ${reminders.length} reminder activities`);
+        return [new FixOperation({
+            epakUuid: context.epakUuid,
+            docUuid: context.docUuid,
+            table: 'epakactivity',
+            operation: 'DELETE',
+            where: { id: reminders.map(r => r.id) },
+            precondition: { exists: true, table: 'epakactivity', where: { id: reminders.map(r => r.id) } }
+        })];
+    }
+    
+    /**
+     * UPDATE the given epak_workflowstate_signer rows to Signed (100%)
+     * @returns {Array<FixOperation>}
+     */
+    static signerUpdates(context, signers) {
+        if (signers.length === 0) {
+            return [];
+        }
+        console.log(`    ✓ UPDATE ${signers.length} signer(s) to Signed`);
+        return signers.map(signer => {
+            const { timestamp, source } = EpakFixSheetGenerator.signerTimestamp(context, signer.userId);
+            return new FixOperation({
+                epakUuid: context.epakUuid,
+                docUuid: context.docUuid,
                 table: 'epak_workflowstate_signer',
                 operation: 'UPDATE',
-                columns_values: `status = 'Signed', statusModifiedOn = '${timestamp}', progressPercent = 100`,
-                where_clause: `id = ${signer.id}`,
-                status: 'Pending',
-                last_ran: ''
+                values: { status: 'Signed', statusModifiedOn: timestamp, progressPercent: 100 },
+                where: { id: signer.id },
+                precondition: { exists: false, table: 'epak_workflowstate_signer', where: { id: signer.id, status: 'Signed' } },
+                signerMatch: EpakFixSheetGenerator.signerMatchLabel(context, signer.userId),
+                timestampSource: source
             });
+        });
+    }
+    
+    /**
+     * UPDATE the given docuseraction rows to Signed
+     * @returns {Array<FixOperation>}
+     */
+    static docUserUpdates(context, docUsers) {
+        if (docUsers.length === 0) {
+            return [];
         }
-        console.log(`    ✓ UPDATE ${currentState.signers.length} signer(s) to Signed`);
-        
-        // Query 3: Update docuseraction (for entries with status='Registered')
-        for (const docUser of currentState.docUsers) {
-            commands.push({
-                epak_uuid: epakUuid,
-                doc_uuid: docUuid,
+        console.log(`    ✓ UPDATE ${docUsers.length} document action(s) to Signed`);
+        return docUsers.map(docUser => {
+            const { timestamp, source } = EpakFixSheetGenerator.signerTimestamp(context, docUser.signerId);
+            return new FixOperation({
+                epakUuid: context.epakUuid,
+                docUuid: context.docUuid,
                 table: 'docuseraction',
                 operation: 'UPDATE',
-                columns_values: `status = 'Signed', actedOn = '${timestamp}'`,
-                where_clause: `id = ${docUser.id}`,
-                status: 'Pending',
-                last_ran: ''
+                values: { status: 'Signed', actedOn: timestamp },
+                where: { id: docUser.id },
+                precondition: { exists: false, table: 'docuseraction', where: { id: docUser.id, status: 'Signed' } },
+                signerMatch: EpakFixSheetGenerator.signerMatchLabel(context, docUser.signerId),
+                timestampSource: source
             });
-        }
-        console.log(`    ✓ UPDATE ${currentState.docUsers.length} document action(s) to Signed`);
+        });
+    }
+    
+    /**
+     * INSERT a 'Signed' documentactivity for each signer (Aadhaar details in comments)
+     * @returns {Array<FixOperation>}
+     */
+    static documentActivityInserts(context, signers) {
+        const { state } = context;
+        const commands = [];
         
-        // Query 5: INSERT documentactivity (for each signer)
-        for (const signer of currentState.signers) {
+        for (const signer of signers) {
             const user = signer.userDetails;
             const deviceInfo = signer.deviceInfo || {};
+            // Never attach another person's Aadhaar data: no matching signature, no insert
+            if (signer.signatureMatch && !signer.signatureMatch.signature) {
+                const warning = `No PDF signature matches signer ${signer.id} (${user.firstName} ${user.lastName}, ${user.email}) - documentactivity insert skipped`;
+                console.warn(`    ⚠️  ${warning}`);
+                context.warnings.push(warning);
+                continue;
+            }
+            const aadhaarData = signer.signatureMatch ? signer.signatureMatch.signature
+                : signer.aadhaarData || context.aadhaarData;
+            const { timestamp, source } = EpakFixSheetGenerator.signerTimestamp(context, signer.userId);
+            const deviceSources = signer.deviceInfoSources || {};
+            const unresolved = DeviceInfoResolver.DEVICE_FIELDS.filter(field => !DeviceInfoResolver.isUsable(deviceInfo[field]));
+            if (unresolved.length > 0) {
+                const warning = `Signer ${signer.id} (${user.email}): no ${unresolved.join(', ')} found - documentactivity row is flagged MANUAL and needs OVERRIDE to run`;
+                console.warn(`    ⚠️  ${warning}`);
+                context.warnings.push(warning);
+            }
             
             // Build Aadhaar details as a JSON string (will be nested in comments)
             const aadhaarDetailsStr = JSON.stringify({
@@ -529,119 +898,358 @@ class EpakFixSheetGenerator {
                 platform: deviceInfo.platform || "MANUAL"
             };
             
-            /**
-             * SQL JSON Escaping Rules for Nested JSON:
-             * 
-             * IMPORTANT: This escaping handles nested JSON strings correctly for MySQL.
-             * 
-             * The comments field contains a JSON object where aadhaarDetails is a JSON STRING (not object).
-             * When preparing for SQL INSERT, we need different escape levels:
-             * 
-             * 1. Outer JSON quotes → \" (single backslash + quote)
-             * 2. Nested JSON string quotes (inside aadhaarDetails) → \\" (double backslash + quote)
-             * 
-             * CORRECT OUTPUT:
-             * {"signReason":"...","aadhaarDetails":"{\"signerName\":\"John\"}","signingPolicy":"Aadhaar"}
-             * 
-             * INCORRECT (causes MySQL json_extract errors):
-             * {"signReason":"...","aadhaarDetails":"{\\"signerName\\":\\"John\\"}","signingPolicy":"Aadhaar"}
-             * 
-             * The transformation works as follows:
-             * 1. JSON.stringify(commentsObj) creates: {"key":"value","aadhaarDetails":"{\"nested\":\"value\"}"}
-             * 2. replace(/\\"/g, '\\\\"') converts \" → \\" for nested JSON strings
-             * 3. replace(/"/g, '\\"') converts " → \" for outer JSON structure
-             * 
-             * DO NOT use .replace(/"/g, '\\"') alone - it creates wrong escaping for nested JSON!
-             */
-            const commentsJson = JSON.stringify(commentsObj).replace(/\\"/g, '\\\\"').replace(/"/g, '\\"');
-            
             // Extract document name from filePath
-            const filePath = currentState.document?.filePath || '';
+            const filePath = state.document?.filePath || '';
             const documentName = filePath ? path.basename(filePath) : 'MANUAL';
             
-            commands.push({
-                epak_uuid: epakUuid,
-                doc_uuid: docUuid,
+            // comments is stored as-is: the statement is parameterized, so the nested
+            // aadhaarDetails JSON string needs no extra escaping
+            commands.push(new FixOperation({
+                epakUuid: context.epakUuid,
+                docUuid: context.docUuid,
                 table: 'documentactivity',
                 operation: 'INSERT',
-                columns_values: `actedOn = '${timestamp}', action = 'Signed', actorEmail = '${user.email}', actorFirstName = '${user.firstName}', actorId = ${user.id}, actorLastName = '${user.lastName}', actorMiddleName = '${user.middleName || ''}', actorRole = 'Signer', comments = '${commentsJson}', status = 'Draft', documentName = '${documentName}', version = NULL, documentId = ${currentState.docId}, tenantId = ${user.tenantId}, reason = NULL`,
-                where_clause: '',
-                status: 'Pending',
-                last_ran: ''
-            });
+                values: {
+                    actedOn: timestamp,
+                    action: 'Signed',
+                    actorEmail: user.email,
+                    actorFirstName: user.firstName,
+                    actorId: user.id,
+                    actorLastName: user.lastName,
+                    actorMiddleName: user.middleName || '',
+                    actorRole: 'Signer',
+                    comments: JSON.stringify(commentsObj),
+                    status: 'Draft',
+                    documentName,
+                    version: null,
+                    documentId: state.docId,
+                    tenantId: user.tenantId,
+                    reason: null
+                },
+                signerMatch: signer.signatureMatch ? signer.signatureMatch.label : '',
+                timestampSource: source,
+                deviceInfoSource: DeviceInfoResolver.describeSources(deviceSources),
+                precondition: {
+                    exists: false,
+                    table: 'documentactivity',
+                    where: { documentId: state.docId, actorId: user.id, action: 'Signed' }
+                }
+            }));
         }
-        console.log(`    ✓ INSERT ${currentState.signers.length} documentactivity record(s)`);
-        
-        // Query 6: INSERT epakactivity (Completed)
-        // Get custodian/owner details (use first signer or MANUAL)
-        const custodianUser = currentState.signers[0]?.userDetails || {
-            email: 'MANUAL',
-            firstName: 'MANUAL',
-            id: 'MANUAL',
-            lastName: 'MANUAL',
-            middleName: '',
-            tenantId: 'MANUAL'
-        };
-        
-        const epakSubject = currentState.epak?.subject || 'MANUAL';
+        console.log(`    ✓ INSERT ${commands.length} documentactivity record(s)`);
         
-        const epakCommentsJson = JSON.stringify({
-            nxtStateMsg: ""
-        }).replace(/"/g, '\\"');
+        return commands;
+    }
+    
+    /**
+     * INSERT the 'Completed' epakactivity
+     * @param {Object} context - Strategy context
+     * @param {Object} custodianUser - User details of the custodian (MANUAL placeholders if unknown)
+     * @returns {Array<FixOperation>}
+     */
+    static completedActivityInsert(context, custodianUser) {
+        const { state, timestamp } = context;
+        const epakSubject = state.epak?.subject || 'MANUAL';
         
-        commands.push({
-            epak_uuid: epakUuid,
-            doc_uuid: docUuid,
+        console.log(`    ✓ INSERT epakactivity (Completed)`);
+        return [new FixOperation({
+            epakUuid: context.epakUuid,
+            docUuid: context.docUuid,
             table: 'epakactivity',
             operation: 'INSERT',
-            columns_values: `actedOn = '${timestamp}', action = 'Completed', actorEmail = '${custodianUser.email}', actorFirstName = '${custodianUser.firstName}', actorId = ${custodianUser.id}, actorLastName = '${custodianUser.lastName}', actorMiddleName = '${custodianUser.middleName || ''}', actorRole = 'Custodian', comments = '${epakCommentsJson}', ePakId = ${currentState.epakId}, epakSubject = '${epakSubject}', reason = NULL, status = 'Completed', tenantId = ${custodianUser.tenantId}`,
-            where_clause: '',
-            status: 'Pending',
-            last_ran: ''
-        });
-        console.log(`    ✓ INSERT epakactivity (Completed)`);
+            values: {
+                actedOn: timestamp,
+                action: 'Completed',
+                actorEmail: custodianUser.email,
+                actorFirstName: custodianUser.firstName,
+                actorId: custodianUser.id,
+                actorLastName: custodianUser.lastName,
+                actorMiddleName: custodianUser.middleName || '',
+                actorRole: 'Custodian',
+                comments: JSON.stringify({ nxtStateMsg: '' }),
+                ePakId: state.epakId,
+                epakSubject,
+                reason: null,
+                status: 'Completed',
+                tenantId: custodianUser.tenantId
+            },
+            timestampSource: TIMESTAMP_GENERATED,
+            precondition: { exists: false, table: 'epakactivity', where: { ePakId: state.epakId, action: 'Completed' } }
+        })];
+    }
+    
+    /**
+     * UPDATE the ePak progress and current workflow stage, leaving its status unchanged
+     * (used when later signers still have to sign)
+     * @param {Object} context - Strategy context
+     * @param {number} progressPercent - Recomputed progress
+     * @param {number|string} currentWorkflowStateId - Stage of the next signer (MANUAL if unknown)
+     * @returns {Array<FixOperation>}
+     */
+    static epakProgressUpdate(context, progressPercent, currentWorkflowStateId) {
+        const { state, timestamp } = context;
         
-        // Query 1: Update ePak to Completed (LAST STEP)
-        if (currentState.epak && currentState.epak.status !== 'Completed') {
-            commands.push({
-                epak_uuid: epakUuid,
-                doc_uuid: docUuid,
-                table: 'epak',
-                operation: 'UPDATE',
-                columns_values: `status = 'Completed', modifiedOn = '${timestamp}', progressPercent = 100`,
-                where_clause: `id = ${currentState.epakId}`,
-                status: 'Pending',
-                last_ran: ''
-            });
-            console.log(`    ✓ UPDATE ePak to Completed (100%) - FINAL STEP`);
+        console.log(`    ✓ UPDATE ePak progress to ${progressPercent}% (stays ${state.epak.status})`);
+        return [new FixOperation({
+            epakUuid: context.epakUuid,
+            docUuid: context.docUuid,
+            table: 'epak',
+            operation: 'UPDATE',
+            values: { progressPercent, currentWorkflowStateId, modifiedOn: timestamp },
+            where: { id: state.epakId },
+            timestampSource: TIMESTAMP_GENERATED,
+            precondition: { exists: false, table: 'epak', where: { id: state.epakId, progressPercent } }
+        })];
+    }
+    
+    /**
+     * UPDATE the ePak to Completed (100%) - always the LAST step
+     * @returns {Array<FixOperation>}
+     */
+    static epakCompletionUpdate(context) {
+        const { state, timestamp } = context;
+        if (!state.epak || state.epak.status === 'Completed') {
+            return [];
         }
         
-        return commands;
+        console.log(`    ✓ UPDATE ePak to Completed (100%) - FINAL STEP`);
+        return [new FixOperation({
+            epakUuid: context.epakUuid,
+            docUuid: context.docUuid,
+            table: 'epak',
+            operation: 'UPDATE',
+            values: { status: 'Completed', modifiedOn: timestamp, progressPercent: 100 },
+            where: { id: state.epakId },
+            timestampSource: TIMESTAMP_GENERATED,
+            precondition: { exists: false, table: 'epak', where: { id: state.epakId, status: 'Completed' } }
+        })];
     }
     
     /**
      * Write output CSV with fix commands
      * @param {string} csvPath - Path to output CSV
-     * @param {Array} commands - Array of fix commands
+     * @param {Array<FixOperation>} commands - Array of fix operations
      */
     async writeOutputCsv(csvPath, commands) {
-        const csvWriter = createObjectCsvWriter({
-            path: csvPath,
-            header: [
-                { id: 'epak_uuid', title: 'ePakUUID' },
-                { id: 'doc_uuid', title: 'DocumentUUID' },
-                { id: 'table', title: 'Table' },
-                { id: 'operation', title: 'Operation' },
-                { id: 'columns_values', title: 'Column & Values' },
-                { id: 'where_clause', title: 'Where clause' },
-                { id: 'status', title: 'Status' },
-                { id: 'last_ran', title: 'Last ran' }
-            ]
-        });
-        
-        await csvWriter.writeRecords(commands);
+        await FixSheet.writeCsv(csvPath, commands);
         console.log(`  ✓ Wrote ${commands.length} commands to ${csvPath}`);
     }
 }
 
+/**
+ * Placeholder custodian when the ePak has no signer details
+ */
+const MANUAL_CUSTODIAN = {
+    email: 'MANUAL',
+    firstName: 'MANUAL',
+    id: 'MANUAL',
+    lastName: 'MANUAL',
+    middleName: '',
+    tenantId: 'MANUAL'
+};
+
+// Built-in fix strategies
+
+EpakFixSheetGenerator.registerStrategy({
+    name: 'complete-all',
+    description: 'Original recipe: delete reminders, mark every pending signer and document action Signed, insert activities, complete the ePak',
+    fallback: true,
+    handles: [
+        'signer-signed-without-activity',
+        'activity-without-signer-update',
+        'signer-progress-status-mismatch',
+        'docuseraction-registered-after-signing',
+        'reminders-after-completion',
+        'epak-progress-inconsistent',
+        'epak-not-completed-all-signed',
+        'missing-completed-activity'
+    ],
+    generate(context) {
+        const { state } = context;
+        
+        // Check if ePak is corrupted (progress < 100 or status != Completed)
+        const isCorrupted = !state.epak ||
+                           state.epak.progressPercent < 100 ||
+                           state.epak.status !== 'Completed';
+        
+        if (!isCorrupted) {
+            console.log('  ℹ️  ePak already completed, no fixes needed');
+            return [];
+        }
+        
+        console.log('  🔍 ePak is corrupted, generating fix commands...');
+        
+        // Completing marks every pending signer Signed, so each of them needs a matching PDF signature;
+        // otherwise the ePak fails (advance-signers advances only the signers that matched)
+        if (state.signatureMatches && state.signers.length > 0) {
+            const unmatched = state.signers.filter(signer => !(signer.signatureMatch && signer.signatureMatch.signature));
+            if (unmatched.length === state.signers.length) {
+                throw new Error(`No PDF signature matches any of the ${state.signers.length} pending signer(s) - ePak not completed`);
+            }
+            if (unmatched.length > 0) {
+                const names = unmatched.map(signer => `${signer.id} (${signer.userDetails ? signer.userDetails.email : signer.userId})`);
+                throw new Error(`No PDF signature matches ${unmatched.length} of the ${state.signers.length} pending signer(s): ` +
+                    `${names.join(', ')} - ePak not completed (use the advance-signers strategy to advance only the signers who signed)`);
+            }
+        }
+        
+        return [
+            // Delete reminder activities first
+            ...EpakFixSheetGenerator.reminderDeletes(context, state.reminders || []),
+            ...EpakFixSheetGenerator.signerUpdates(context, state.signers),
+            ...EpakFixSheetGenerator.docUserUpdates(context, state.docUsers),
+            ...EpakFixSheetGenerator.documentActivityInserts(context, state.signers),
+            ...EpakFixSheetGenerator.completedActivityInsert(context, state.custodian || MANUAL_CUSTODIAN),
+            ...EpakFixSheetGenerator.epakCompletionUpdate(context)
+        ];
+    }
+});
+
+EpakFixSheetGenerator.registerStrategy({
+    name: 'advance-signers',
+    description: 'Multi-stage workflows: advance only the signers whose signatures are in the PDF, then recompute progress and current stage (completes the ePak only when nobody is left)',
+    handles: [
+        'signer-signed-without-activity',
+        'activity-without-signer-update',
+        'signer-progress-status-mismatch',
+        'docuseraction-registered-after-signing',
+        'reminders-after-completion',
+        'epak-progress-inconsistent',
+        'epak-not-completed-all-signed',
+        'missing-completed-activity'
+    ],
+    appliesTo(diagnosis, state) {
+        return (state.pdfSignatures || []).length > 0 && state.signers.length > 0;
+    },
+    generate(context) {
+        const { state } = context;
+        const isDone = (signer) => signer.status === 'Signed' || signer.status === 'Completed';
+        const signatures = state.pdfSignatures || [];
+        
+        // Advance the pending signers whose identity matched a PDF signature.
+        // Without identity matching, fall back to signing order: the n-th signature
+        // belongs to the n-th signer in (workflowStateOrderId, signerOrderId) order.
+        const advanced = [];
+        if (state.signatureMatches) {
+            advanced.push(...state.signers.filter(s => s.signatureMatch && s.signatureMatch.signature));
+        } else {
+            state.allSigners.slice(0, signatures.length).forEach((signer, i) => {
+                const pending = state.signers.find(s => s.id === signer.id);
+                if (pending) {
+                    advanced.push({ ...pending, aadhaarData: signatures[i] });
+                }
+            });
+        }
+        
+        if (signatures.length > state.allSigners.length) {
+            console.warn(`  ⚠️  PDF has ${signatures.length} signatures but the ePak has only ${state.allSigners.length} signer(s)`);
+        }
+        if (advanced.length === 0) {
+            console.log('  ℹ️  No signer has a PDF signature that is not already recorded');
+            return [];
+        }
+        
+        const advancedIds = new Set(advanced.map(s => s.id));
+        const advancedUsers = new Set(advanced.map(s => String(s.userId)));
+        const remaining = state.allSigners.filter(s => !advancedIds.has(s.id) && !isDone(s));
+        const docUsers = state.docUsers.filter(d => advancedUsers.has(String(d.signerId)) &&
+            (d.workflowStateOrderId == null || advanced.some(s =>
+                String(s.userId) === String(d.signerId) &&
+                String(s.workflowStateOrderId) === String(d.workflowStateOrderId))));
+        
+        console.log(`  🔍 Advancing ${advanced.length} signer(s); ${remaining.length} signer(s) still to sign`);
+        
+        const commands = [
+            ...EpakFixSheetGenerator.signerUpdates(context, advanced),
+            ...EpakFixSheetGenerator.docUserUpdates(context, docUsers),
+            ...EpakFixSheetGenerator.documentActivityInserts(context, advanced)
+        ];
+        
+        if (remaining.length === 0) {
+            return [
+                ...EpakFixSheetGenerator.reminderDeletes(context, state.reminders || []),
+                ...commands,
+                ...EpakFixSheetGenerator.completedActivityInsert(context, state.custodian || MANUAL_CUSTODIAN),
+                ...EpakFixSheetGenerator.epakCompletionUpdate(context)
+            ];
+        }
+        
+        // Later signers remain: the ePak stays in progress at the next signer's stage
+        const total = state.allSigners.length;
+        const progressPercent = Math.round((100 * (total - remaining.length)) / total);
+        const nextStage = state.workflowStates.find(ws =>
+            String(ws.workflowStateOrderId) === String(remaining[0].workflowStateOrderId));
+        if (!nextStage) {
+            console.warn(`  ⚠️  Workflow state for stage ${remaining[0].workflowStateOrderId} not found - currentWorkflowStateId left as MANUAL`);
+        }
+        
+        return [
+            ...commands,
+            ...EpakFixSheetGenerator.epakProgressUpdate(context, progressPercent, nextStage ? nextStage.id : 'MANUAL')
+        ];
+    }
+});
+
+EpakFixSheetGenerator.registerStrategy({
+    name: 'reminder-cleanup',
+    description: 'Delete reminder activities logged after the ePak was completed',
+    handles: ['reminders-after-completion'],
+    generate(context) {
+        const reminders = EpakFixSheetGenerator.evidenceRows(context.diagnosis, 'reminders-after-completion', 'epakactivity');
+        return EpakFixSheetGenerator.reminderDeletes(context, reminders);
+    }
+});
+
+EpakFixSheetGenerator.registerStrategy({
+    name: 'docuseraction-sync',
+    description: 'Mark document actions Signed whose signer is already at 100%',
+    handles: ['docuseraction-registered-after-signing'],
+    generate(context) {
+        const docUsers = EpakFixSheetGenerator.evidenceRows(context.diagnosis, 'docuseraction-registered-after-signing', 'docuseraction');
+        return EpakFixSheetGenerator.docUserUpdates(context, docUsers);
+    }
+});
+
+EpakFixSheetGenerator.registerStrategy({
+    name: 'epak-completion',
+    description: 'All signers already signed: complete the ePak record only (plus stale document actions / reminders)',
+    handles: [
+        'epak-not-completed-all-signed',
+        'epak-progress-inconsistent',
+        'missing-completed-activity',
+        'docuseraction-registered-after-signing',
+        'reminders-after-completion'
+    ],
+    appliesTo(diagnosis) {
+        return diagnosis.signers.length > 0 &&
+            diagnosis.signers.every(s => s.status === 'Signed' || s.status === 'Completed');
+    },
+    generate(context) {
+        const { diagnosis } = context;
+        const hasFinding = (rule) => diagnosis.findings.some(f => f.rule === rule);
+        const custodian = context.state.custodian || MANUAL_CUSTODIAN;
+        
+        return [
+            ...EpakFixSheetGenerator.reminderDeletes(context,
+                EpakFixSheetGenerator.evidenceRows(diagnosis, 'reminders-after-completion', 'epakactivity')),
+            ...EpakFixSheetGenerator.docUserUpdates(context,
+                EpakFixSheetGenerator.evidenceRows(diagnosis, 'docuseraction-registered-after-signing', 'docuseraction')),
+            ...(hasFinding('epak-not-completed-all-signed') || hasFinding('missing-completed-activity')
+                ? EpakFixSheetGenerator.completedActivityInsert(context, custodian)
+                : []),
+            ...EpakFixSheetGenerator.epakCompletionUpdate(context)
+        ];
+    }
+});
+
+EpakFixSheetGenerator.registerStrategy({
+    name: 'none',
+    description: 'Generate nothing (skip this ePak)',
+    handles: [],
+    generate() {
+        console.log('  ℹ️  No fix commands for this ePak');
+        return [];
+    }
+});
+
 module.exports = EpakFixSheetGenerator;
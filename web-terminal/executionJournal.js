@@ -0,0 +1,363 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Default journal file (override with EPAK_JOURNAL)
+ */
+const DEFAULT_PATH = path.join(__dirname, 'data-source', 'journal', 'executions.jsonl');
+
+/**
+ * Journal event types, one JSON object per line
+ *   batch-approved { approvalId, batchKey, sheets: [{ sheetPath, fingerprint }], approver, comment, client }
+ *   run-started  { runId, batchName, sheetPath, epakIds, operator, client, database, approvalId }
+ *   run-resumed  { runId, fromEpakId, operator, client }
+ *   epak         { runId, epakId, result, statements, rollbackId, error, operator, client }
+ *   run-finished { runId, stopped, summary }
+ *   statement-blocked { route, sql, rules, operator, client, database } - refused by the statement classifier
+ */
+const EVENTS = {
+    BATCH_APPROVED: 'batch-approved',
+    RUN_STARTED: 'run-started',
+    RUN_RESUMED: 'run-resumed',
+    EPAK: 'epak',
+    RUN_FINISHED: 'run-finished',
+    STATEMENT_BLOCKED: 'statement-blocked'
+};
+
+/**
+ * Per-ePak results
+ */
+const EPAK_RESULTS = {
+    COMMITTED: 'committed',
+    ALREADY_APPLIED: 'already-applied',
+    FAILED: 'failed',
+    SKIPPED: 'skipped',
+    BLOCKED: 'blocked'
+};
+
+/**
+ * Execution Journal
+ * Append-only JSONL record of batch runs: which ePaks were committed, the SQL that ran,
+ * the outcome and who ran it, plus the approver sign-offs batches need before they run and the
+ * statements the server refused. Written by the server as each transaction finishes, so it
+ * survives the browser tab closing mid-batch; a run without run-finished was interrupted.
+ *
+ * The file is read once; runs and approvals are then kept in memory and updated on each append,
+ * so the server must be the journal's only writer.
+ */
+class ExecutionJournal {
+
+    /**
+     * @param {string} filePath - Journal file (created on first write)
+     */
+    constructor(filePath = process.env.EPAK_JOURNAL || DEFAULT_PATH) {
+        this.filePath = filePath;
+        this.index = null;
+    }
+
+    /**
+     * Append one event (stamped with the current time)
+     * @param {Object} event - { type, runId, ... }
+     * @returns {Object} The event as written
+     */
+    append(event) {
+        const index = this.loadIndex();
+        const entry = { at: new Date().toISOString(), ...event };
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        // A crash can leave a half-written last line; start a fresh one so this event stays readable
+        const prefix = this.endsMidLine() ? '\n' : '';
+        fs.appendFileSync(this.filePath, prefix + JSON.stringify(entry) + '\n', 'utf8');
+        ExecutionJournal.indexEvent(index, entry);
+        return entry;
+    }
+
+    /**
+     * Runs and approvals, read from the file on first use
+     * @returns {{runs: Map<string, Object>, approvals: Map<string, Object>, approvalIds: Set<string>}}
+     *          runs: runId → run (listRuns() shape, in start order); approvals: batchKey → latest batch-approved event
+     */
+    loadIndex() {
+        if (!this.index) {
+            const index = { runs: new Map(), approvals: new Map(), approvalIds: new Set() };
+            this.readEvents().forEach(event => ExecutionJournal.indexEvent(index, event));
+            this.index = index;
+        }
+        return this.index;
+    }
+
+    /**
+     * Fold one event into the index
+     * @param {Object} index - loadIndex() result
+     * @param {Object} event
+     */
+    static indexEvent(index, event) {
+        if (event.type === EVENTS.BATCH_APPROVED) {
+            index.approvals.set(event.batchKey, event);
+            index.approvalIds.add(event.approvalId);
+            return;
+        }
+        if (event.type === EVENTS.RUN_STARTED) {
+            index.runs.set(event.runId, {
+                runId: event.runId,
+                batchName: event.batchName,
+                sheetPath: event.sheetPath,
+                epakIds: event.epakIds || [],
+                operator: event.operator,
+                database: event.database || null,
+                profile: event.profile || null,
+                approvalId: event.approvalId || null,
+                resumedBy: null,
+                startedAt: event.at,
+                finishedAt: null,
+                stopped: false,
+                summary: null,
+                epaks: {}
+            });
+            return;
+        }
+        const run = index.runs.get(event.runId);
+        if (!run) return;
+        if (event.type === EVENTS.EPAK) {
+            run.epaks[event.epakId] = event.result;
+        } else if (event.type === EVENTS.RUN_RESUMED) {
+            run.resumedBy = event.operator;
+        } else if (event.type === EVENTS.RUN_FINISHED) {
+            run.finishedAt = event.at;
+            run.stopped = event.stopped;
+            run.summary = event.summary;
+        }
+    }
+
+    /**
+     * @returns {boolean} True if the journal's last line has no line break
+     */
+    endsMidLine() {
+        if (!fs.existsSync(this.filePath)) {
+            return false;
+        }
+        const size = fs.statSync(this.filePath).size;
+        if (size === 0) {
+            return false;
+        }
+        const last = Buffer.alloc(1);
+        const fd = fs.openSync(this.filePath, 'r');
+        try {
+            fs.readSync(fd, last, 0, 1, size - 1);
+        } finally {
+            fs.closeSync(fd);
+        }
+        return last[0] !== 0x0a;
+    }
+
+    /**
+     * Record the start of a batch run
+     * @param {Object} run - { batchName, sheetPath, epakIds (in processing order), operator, client,
+     *        database, profile (database profile name, if any), approvalId }
+     * @returns {string} runId
+     */
+    startRun(run) {
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '_').slice(0, 15);
+        const batchPart = String(run.batchName || 'upload').replace(/[^\w-]/g, '_');
+        const existing = this.loadIndex().runs;
+
+        let runId = `run_${batchPart}_${stamp}`;
+        for (let n = 2; existing.has(runId); n++) {
+            runId = `run_${batchPart}_${stamp}-${n}`;
+        }
+
+        this.append({
+            type: EVENTS.RUN_STARTED,
+            runId,
+            batchName: run.batchName || null,
+            sheetPath: run.sheetPath || null,
+            epakIds: (run.epakIds || []).map(String),
+            operator: run.operator || null,
+            client: run.client || null,
+            database: run.database || null,
+            profile: run.profile || null,
+            approvalId: run.approvalId || null
+        });
+        return runId;
+    }
+
+    /**
+     * Record that an interrupted run is being continued
+     * @param {string} runId
+     * @param {Object} details - { fromEpakId, operator, client }
+     */
+    resumeRun(runId, details = {}) {
+        this.requireRun(runId);
+        this.append({ type: EVENTS.RUN_RESUMED, runId, fromEpakId: details.fromEpakId || null,
+            operator: details.operator || null, client: details.client || null });
+    }
+
+    /**
+     * Record one ePak's transaction (or why it was not run)
+     * @param {string} runId
+     * @param {Object} record - { epakId, result (EPAK_RESULTS), statements: [{ rowNumber, sql, status, affectedRows, reason }],
+     *        rollbackId, error, operator, client }
+     */
+    recordEpak(runId, record) {
+        this.requireRun(runId);
+        this.append({
+            type: EVENTS.EPAK,
+            runId,
+            epakId: String(record.epakId),
+            result: record.result,
+            statements: record.statements || [],
+            rollbackId: record.rollbackId || null,
+            error: record.error || null,
+            operator: record.operator || null,
+            client: record.client || null
+        });
+    }
+
+    /**
+     * Record the end of a run
+     * @param {string} runId
+     * @param {Object} details - { stopped (operator stopped the batch), summary: { successful, failed, ... } }
+     */
+    finishRun(runId, details = {}) {
+        this.requireRun(runId);
+        this.append({ type: EVENTS.RUN_FINISHED, runId, stopped: Boolean(details.stopped), summary: details.summary || {} });
+    }
+
+    /**
+     * Record an approver's sign-off of a batch's fix sheets
+     * @param {Object} approval - { batchKey (batch name, or sheet path of an uploaded sheet),
+     *        sheets: [{ sheetPath, fingerprint }] (FixSheet.fingerprint), approver, comment, client }
+     * @returns {Object} The batch-approved event
+     */
+    approveBatch(approval) {
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '_').slice(0, 15);
+        const existing = this.loadIndex().approvalIds;
+        let approvalId = `approval_${stamp}`;
+        for (let n = 2; existing.has(approvalId); n++) {
+            approvalId = `approval_${stamp}-${n}`;
+        }
+        return this.append({
+            type: EVENTS.BATCH_APPROVED,
+            approvalId,
+            batchKey: approval.batchKey,
+            sheets: approval.sheets || [],
+            approver: approval.approver || null,
+            comment: approval.comment || null,
+            client: approval.client || null
+        });
+    }
+
+    /**
+     * Record SQL the server refused to run (multiple statements, DDL, writes sent as a query)
+     * @param {Object} attempt - { route, sql, rules, operator, client, database }
+     * @returns {Object} The statement-blocked event
+     */
+    recordBlocked(attempt) {
+        return this.append({
+            type: EVENTS.STATEMENT_BLOCKED,
+            route: attempt.route,
+            sql: attempt.sql,
+            rules: attempt.rules || [],
+            operator: attempt.operator || null,
+            client: attempt.client || null,
+            database: attempt.database || null
+        });
+    }
+
+    /**
+     * Latest sign-off of a batch (a newer one replaces it)
+     * @param {string} batchKey - Batch name or uploaded sheet path
+     * @returns {Object|null} batch-approved event
+     */
+    findApproval(batchKey) {
+        return this.loadIndex().approvals.get(batchKey) || null;
+    }
+
+    /**
+     * Every event in the journal (unreadable lines, e.g. a half-written last line, are skipped)
+     * @returns {Array<Object>}
+     */
+    readEvents() {
+        if (!fs.existsSync(this.filePath)) {
+            return [];
+        }
+        const events = [];
+        for (const line of fs.readFileSync(this.filePath, 'utf8').split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                events.push(JSON.parse(line));
+            } catch (error) {
+                console.warn(`⚠️  Skipping unreadable journal line: ${line.slice(0, 80)}`);
+            }
+        }
+        return events;
+    }
+
+    /**
+     * Runs with their ePak results folded in, newest first
+     * @returns {Array<{runId, batchName, sheetPath, epakIds, operator, database, approvalId, resumedBy, startedAt, finishedAt, stopped,
+     *          summary, epaks: Object, nextEpakId: string|null, interrupted: boolean}>} epaks: epakId → last result;
+     *          resumedBy: operator of the latest resume, who now runs it;
+     *          nextEpakId: first ePak with no result or a failed one (resuming retries failed ePaks)
+     */
+    listRuns() {
+        return [...this.loadIndex().runs.values()].map(run => ExecutionJournal.describeRun(run)).reverse();
+    }
+
+    /**
+     * @param {string} runId
+     * @returns {Object|null} As listRuns()
+     */
+    findRun(runId) {
+        const run = this.loadIndex().runs.get(runId);
+        return run ? ExecutionJournal.describeRun(run) : null;
+    }
+
+    /**
+     * Copy of an indexed run with its resume point
+     * @param {Object} run - Indexed run
+     * @returns {Object} As listRuns()
+     */
+    static describeRun(run) {
+        const next = run.epakIds.find(epakId => ExecutionJournal.needsRun(run.epaks[epakId]));
+        return {
+            ...run,
+            epakIds: [...run.epakIds],
+            epaks: { ...run.epaks },
+            nextEpakId: next === undefined ? null : next,
+            interrupted: !run.finishedAt && next !== undefined
+        };
+    }
+
+    /**
+     * @param {string|undefined} result - An ePak's last result in a run
+     * @returns {boolean} True if the ePak still has to run when the run is resumed (never reached, or failed)
+     */
+    static needsRun(result) {
+        return !result || result === EPAK_RESULTS.FAILED;
+    }
+
+    /**
+     * Latest run of a batch if it was interrupted (no run-finished and ePaks left)
+     * @param {string} batchName
+     * @returns {Object|null} As listRuns()
+     */
+    findInterrupted(batchName) {
+        const latest = this.listRuns().find(run => run.batchName === batchName);
+        return latest && latest.interrupted ? latest : null;
+    }
+
+    /**
+     * @param {string} runId
+     * @throws {Error} If the journal has no such run
+     */
+    requireRun(runId) {
+        if (!this.loadIndex().runs.has(runId)) {
+            throw new Error(`Unknown batch run: ${runId}`);
+        }
+    }
+}
+
+ExecutionJournal.EVENTS = EVENTS;
+ExecutionJournal.EPAK_RESULTS = EPAK_RESULTS;
+
+module.exports = ExecutionJournal;
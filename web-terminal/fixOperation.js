@@ -0,0 +1,770 @@
+const mysql = require('mysql2/promise');
+
+/**
+ * SQL expressions allowed as bare (unquoted) values in a fix sheet
+ */
+const SQL_EXPRESSIONS = ['NOW()', 'CURRENT_TIMESTAMP', 'CURRENT_TIMESTAMP()'];
+
+const OPERATIONS = ['UPDATE', 'INSERT', 'DELETE'];
+
+const IDENTIFIER = /^[A-Za-z_][\w]*$/;
+
+/**
+ * Row flags (fix sheet "Flags" column)
+ *   MANUAL   - a value still holds the MANUAL placeholder (set automatically)
+ *   OVERRIDE - operator accepts the row as is; lets a MANUAL row past the safety policy
+ */
+const FLAGS = { MANUAL: 'MANUAL', OVERRIDE: 'OVERRIDE' };
+
+const PLACEHOLDER = /\bMANUAL\b/;
+
+const PRECONDITION = /^(NOT\s+)?EXISTS\s+`?(\w+)`?\s+WHERE\s+([\s\S]+)$/i;
+
+/**
+ * Fix Operation
+ * One row of a fix sheet as structured data:
+ *   table, operation, values (column → value) and where (column → value)
+ *
+ * Values are plain JS values: strings, numbers, null, or FixOperation.expression('NOW()').
+ * Where values may also be arrays (compiled to IN (...)).
+ *
+ * The sheet text ("Column & Values" / "Where clause") is MySQL literal syntax,
+ * so fromSheetRow(op.toSheetRow()) reproduces the same operation, and
+ * toStatement() compiles to a parameterized mysql2 statement.
+ *
+ * An optional precondition ("Precondition" column) says when the row still needs to run:
+ *   NOT EXISTS epakactivity WHERE ePakId = 5 AND action = 'Completed'
+ *   EXISTS epak WHERE id = 5 AND status = 'Pending'
+ * The executor re-checks it inside the transaction and skips the row as already applied when it fails.
+ */
+class FixOperation {
+
+    /**
+     * @param {Object} fields - { epakUuid, docUuid, table, operation, values, where, status, lastRan, signerMatch, timestampSource,
+     *        deviceInfoSource, flags, precondition, affectedRows, error, rowNumber }
+     *        precondition: sheet text or { exists, table, where }
+     */
+    constructor(fields) {
+        const operation = String(fields.operation || '').trim().toUpperCase();
+        if (!OPERATIONS.includes(operation)) {
+            throw new Error(`Unsupported operation "${fields.operation}" (expected UPDATE, INSERT or DELETE)`);
+        }
+
+        const table = String(fields.table || '').trim().replace(/`/g, '');
+        if (!IDENTIFIER.test(table)) {
+            throw new Error(`Invalid table name "${fields.table}"`);
+        }
+
+        this.epakUuid = fields.epakUuid ? String(fields.epakUuid) : '';
+        this.docUuid = fields.docUuid ? String(fields.docUuid) : '';
+        this.table = table;
+        this.operation = operation;
+        this.values = FixOperation.checkColumns(fields.values || {});
+        this.where = FixOperation.checkColumns(fields.where || {});
+        this.status = fields.status || 'Pending';
+        this.lastRan = fields.lastRan || '';
+        // Result of the last run, written back by the executor (Status / Last ran / Affected rows / Error)
+        this.affectedRows = fields.affectedRows === undefined || fields.affectedRows === null ? '' : String(fields.affectedRows);
+        this.error = fields.error || '';
+        // Which PDF signature the row's signer was matched to, with confidence (informational)
+        this.signerMatch = fields.signerMatch || '';
+        // Where the row's timestamps came from: cms-signing-time / pdf-m-date (PDF signature) or generated
+        this.timestampSource = fields.timestampSource || '';
+        // Where userIp / device / platform / browser came from (documentactivity inserts)
+        this.deviceInfoSource = fields.deviceInfoSource || '';
+        this.flags = FixOperation.parseFlags(fields.flags)
+            .filter(flag => flag !== FLAGS.MANUAL);
+        if (this.hasPlaceholder()) {
+            this.flags.unshift(FLAGS.MANUAL);
+        }
+        this.precondition = FixOperation.parsePrecondition(fields.precondition);
+        this.rowNumber = fields.rowNumber || null;
+
+        if (operation !== 'DELETE' && Object.keys(this.values).length === 0) {
+            throw new Error(`${operation} on ${table} has no Column & Values`);
+        }
+    }
+
+    /**
+     * "MANUAL, override" → ['MANUAL', 'OVERRIDE']
+     * @param {string|Array<string>} flags - Flags cell or list
+     * @returns {Array<string>}
+     */
+    static parseFlags(flags) {
+        const list = Array.isArray(flags) ? flags : String(flags || '').split(/[,;\s]+/);
+        const parsed = [];
+        for (const flag of list.map(f => String(f).trim().toUpperCase()).filter(Boolean)) {
+            if (!Object.values(FLAGS).includes(flag)) {
+                throw new Error(`Unknown flag "${flag}" (expected ${Object.values(FLAGS).join(' or ')})`);
+            }
+            if (!parsed.includes(flag)) parsed.push(flag);
+        }
+        return parsed;
+    }
+
+    /**
+     * @returns {boolean} True if any value (including JSON inside strings) still holds the MANUAL placeholder
+     */
+    hasPlaceholder() {
+        return [...Object.values(this.values), ...Object.values(this.where)]
+            .flat()
+            .some(value => typeof value === 'string' && PLACEHOLDER.test(value));
+    }
+
+    /**
+     * Every MANUAL placeholder in the row, down to keys of JSON stored in string columns
+     * @returns {Array<{field: string, column: string, path: Array<string>, inWhere: boolean}>}
+     *          field: 'actorId', 'comments.aadhaarDetails.tpin', 'where.id'
+     */
+    placeholders() {
+        const found = [];
+        for (const [map, inWhere] of [[this.values, false], [this.where, true]]) {
+            for (const column of Object.keys(map)) {
+                for (const jsonPath of FixOperation.findPlaceholderPaths(map[column])) {
+                    const field = [inWhere ? `where.${column}` : column, ...jsonPath].join('.');
+                    found.push({ field, column, path: jsonPath, inWhere });
+                }
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Replace one placeholder (as reported by placeholders()) with an operator-supplied value
+     * Top-level values are read as literals (42 → number, NULL → null, 'text' → string; unquoted
+     * text is refused); values inside JSON stay strings.
+     * @param {string} field - e.g. 'actorId' or 'comments.userIp'
+     * @param {string} text - Value typed by the operator
+     */
+    fillPlaceholder(field, text) {
+        const placeholder = this.placeholders().find(p => p.field === field);
+        if (!placeholder) {
+            throw new Error(`No MANUAL placeholder in field "${field}"`);
+        }
+        const input = String(text).trim();
+        if (input === '' || PLACEHOLDER.test(input)) {
+            throw new Error(`A real value is required for "${field}"`);
+        }
+
+        const map = placeholder.inWhere ? this.where : this.values;
+        map[placeholder.column] = placeholder.path.length === 0
+            ? FixOperation.parseLiteral(input)
+            : FixOperation.replaceInJson(map[placeholder.column], placeholder.path, input);
+
+        if (!this.hasPlaceholder()) {
+            this.flags = this.flags.filter(flag => flag !== FLAGS.MANUAL);
+        }
+    }
+
+    /**
+     * Paths to placeholder values: [] for the value itself, ['a', 'b'] inside (nested) JSON strings
+     * @param {*} value
+     * @returns {Array<Array<string>>}
+     */
+    static findPlaceholderPaths(value) {
+        if (typeof value === 'string') {
+            const json = FixOperation.parseJsonObject(value);
+            if (json) {
+                return FixOperation.findPlaceholderPaths(json);
+            }
+            return PLACEHOLDER.test(value) ? [[]] : [];
+        }
+        if (value !== null && typeof value === 'object' && !FixOperation.isExpression(value) && !Array.isArray(value)) {
+            return Object.keys(value).flatMap(key =>
+                FixOperation.findPlaceholderPaths(value[key]).map(rest => [key, ...rest]));
+        }
+        return [];
+    }
+
+    /**
+     * Set a key inside JSON (keys may themselves hold JSON strings, like aadhaarDetails)
+     * @param {string|Object} json - JSON string or parsed object
+     * @param {Array<string>} jsonPath
+     * @param {string} replacement
+     * @returns {string|Object} Same form as the input (strings are re-serialized)
+     */
+    static replaceInJson(json, jsonPath, replacement) {
+        const isText = typeof json === 'string';
+        const object = isText ? FixOperation.parseJsonObject(json) : json;
+        const [key, ...rest] = jsonPath;
+        object[key] = rest.length === 0 ? replacement : FixOperation.replaceInJson(object[key], rest, replacement);
+        return isText ? JSON.stringify(object) : object;
+    }
+
+    /**
+     * @param {string} text
+     * @returns {Object|null} Parsed JSON object, or null if the text is not one
+     */
+    static parseJsonObject(text) {
+        if (typeof text !== 'string' || !text.trim().startsWith('{')) {
+            return null;
+        }
+        try {
+            const json = JSON.parse(text);
+            return json && typeof json === 'object' && !Array.isArray(json) ? json : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Mark a value as a SQL expression (only NOW() / CURRENT_TIMESTAMP are accepted)
+     * @param {string} sql - e.g. 'NOW()'
+     * @returns {{sqlExpression: string}}
+     */
+    static expression(sql) {
+        const normalized = String(sql).trim().toUpperCase();
+        if (!SQL_EXPRESSIONS.includes(normalized)) {
+            throw new Error(`Unsupported SQL expression "${sql}" (allowed: ${SQL_EXPRESSIONS.join(', ')})`);
+        }
+        return { sqlExpression: normalized };
+    }
+
+    /**
+     * @param {*} value
+     * @returns {boolean} True if the value is a FixOperation.expression()
+     */
+    static isExpression(value) {
+        return value !== null && typeof value === 'object' && typeof value.sqlExpression === 'string';
+    }
+
+    /**
+     * Build an operation from sheet text
+     * @param {Object} row - { epakUuid, docUuid, table, operation, columnsValues, whereClause, status, lastRan, signerMatch, timestampSource,
+     *        deviceInfoSource, flags, precondition, affectedRows, error }
+     * @param {number|null} rowNumber - Spreadsheet row (header = 1)
+     * @returns {FixOperation}
+     * @throws {Error} With rowNumber and reason (the message without the row) when the row does not parse
+     */
+    static fromSheetRow(row, rowNumber = null) {
+        try {
+            return new FixOperation({
+                epakUuid: row.epakUuid,
+                docUuid: row.docUuid,
+                table: row.table,
+                operation: row.operation,
+                values: FixOperation.parseAssignments(row.columnsValues || ''),
+                where: FixOperation.parseWhere(row.whereClause || ''),
+                status: row.status,
+                lastRan: row.lastRan,
+                signerMatch: row.signerMatch,
+                timestampSource: row.timestampSource,
+                deviceInfoSource: row.deviceInfoSource,
+                flags: row.flags,
+                precondition: row.precondition,
+                affectedRows: row.affectedRows,
+                error: row.error,
+                rowNumber
+            });
+        } catch (error) {
+            throw Object.assign(new Error(rowNumber ? `Row ${rowNumber}: ${error.message}` : error.message), {
+                rowNumber,
+                reason: error.message
+            });
+        }
+    }
+
+    /**
+     * Sheet text for this operation (CSV/XLSX fix sheet layout)
+     * @returns {{epak_uuid, doc_uuid, table, operation, columns_values, where_clause, status, last_ran, signer_match, timestamp_source,
+     *          device_info_source, flags, precondition, affected_rows, error}}
+     */
+    toSheetRow() {
+        return {
+            epak_uuid: this.epakUuid,
+            doc_uuid: this.docUuid,
+            table: this.table,
+            operation: this.operation,
+            columns_values: FixOperation.formatAssignments(this.values),
+            where_clause: FixOperation.formatWhere(this.where),
+            status: this.status,
+            last_ran: this.lastRan,
+            signer_match: this.signerMatch,
+            timestamp_source: this.timestampSource,
+            device_info_source: this.deviceInfoSource,
+            flags: this.flags.join(', '),
+            precondition: FixOperation.formatPrecondition(this.precondition),
+            affected_rows: this.affectedRows,
+            error: this.error
+        };
+    }
+
+    /**
+     * Compile to a parameterized mysql2 statement (run with connection.query(sql, params))
+     * @returns {{sql: string, params: Array}}
+     */
+    toStatement() {
+        const params = [this.table];
+        let sql;
+
+        if (this.operation === 'UPDATE') {
+            sql = `UPDATE ?? SET ${FixOperation.compileAssignments(this.values, params)}`;
+        } else if (this.operation === 'INSERT') {
+            sql = `INSERT INTO ?? SET ${FixOperation.compileAssignments(this.values, params)}`;
+        } else {
+            sql = 'DELETE FROM ??';
+        }
+
+        if (this.operation !== 'INSERT' && Object.keys(this.where).length > 0) {
+            sql += ` WHERE ${FixOperation.compileWhere(this.where, params)}`;
+        }
+
+        return { sql, params };
+    }
+
+    /**
+     * Compile a precondition to a locking probe run before the statement, in the same transaction
+     * (FOR UPDATE, so two runs of the same sheet cannot both see the fix as missing)
+     * @param {Object} precondition - { exists, table, where } from parsePrecondition()
+     * @returns {{sql: string, params: Array, exists: boolean, text: string}} Row runs only if
+     *          (probe returned a row) === exists
+     */
+    static preconditionStatement(precondition) {
+        const params = [precondition.table];
+        const sql = `SELECT 1 FROM ?? WHERE ${FixOperation.compileWhere(precondition.where, params)} LIMIT 1 FOR UPDATE`;
+        return {
+            sql,
+            params,
+            exists: precondition.exists,
+            text: FixOperation.formatPrecondition(precondition)
+        };
+    }
+
+    /**
+     * Fully escaped SQL text (for display, policy checks and exported scripts)
+     * @returns {string}
+     */
+    toSql() {
+        const statement = this.toStatement();
+        return mysql.format(statement.sql, statement.params);
+    }
+
+    /**
+     * Plain object sent to the terminal
+     * @returns {Object} { epakId, docId, table, operation, sql, statement, status, signerMatch, timestampSource,
+     *          deviceInfoSource, flags, precondition, preconditionCheck, rowNumber }
+     *          preconditionCheck: { exists, table, where } sent back for execution (the server builds the probe)
+     */
+    toSummary() {
+        return {
+            epakId: this.epakUuid,
+            docId: this.docUuid,
+            table: this.table,
+            operation: this.operation,
+            sql: this.toSql(),
+            statement: this.toStatement(),
+            status: this.status,
+            signerMatch: this.signerMatch,
+            timestampSource: this.timestampSource,
+            deviceInfoSource: this.deviceInfoSource,
+            flags: this.flags,
+            precondition: FixOperation.formatPrecondition(this.precondition),
+            preconditionCheck: this.precondition,
+            rowNumber: this.rowNumber
+        };
+    }
+
+    /**
+     * Validate column names of a values / where map
+     * @param {Object} map - column → value
+     * @returns {Object} The same map
+     */
+    static checkColumns(map) {
+        for (const column of Object.keys(map)) {
+            if (!IDENTIFIER.test(column)) {
+                throw new Error(`Invalid column name "${column}"`);
+            }
+        }
+        return map;
+    }
+
+    /**
+     * Validate the values of a where map that did not come from sheet text (e.g. a precondition sent
+     * by the terminal): scalars, lists of scalars and the allowed SQL expressions only
+     * @param {Object} where - column → value
+     * @returns {Object} Copy of the map, expressions re-checked against SQL_EXPRESSIONS
+     * @throws {Error} On any other value
+     */
+    static checkWhereValues(where) {
+        if (typeof where !== 'object' || Array.isArray(where)) {
+            throw new Error('Precondition where must be an object of column → value');
+        }
+        const isScalar = value => value === null || ['string', 'number', 'boolean'].includes(typeof value);
+        const checked = {};
+        for (const column of Object.keys(where)) {
+            const value = where[column];
+            if (FixOperation.isExpression(value)) {
+                checked[column] = FixOperation.expression(value.sqlExpression);
+            } else if (isScalar(value) || (Array.isArray(value) && value.every(isScalar))) {
+                checked[column] = value;
+            } else {
+                throw new Error(`Invalid value for column "${column}"`);
+            }
+        }
+        return checked;
+    }
+
+    /**
+     * SET clause with placeholders; pushes identifiers and values onto params
+     * @returns {string}
+     */
+    static compileAssignments(values, params) {
+        const columns = Object.keys(values);
+        if (columns.length === 0) {
+            throw new Error('No columns to set');
+        }
+
+        return columns.map(column => {
+            const value = values[column];
+            params.push(column);
+            if (FixOperation.isExpression(value)) {
+                return `?? = ${value.sqlExpression}`;
+            }
+            params.push(value);
+            return '?? = ?';
+        }).join(', ');
+    }
+
+    /**
+     * WHERE conditions with placeholders; pushes identifiers and values onto params
+     * @returns {string}
+     */
+    static compileWhere(where, params) {
+        return Object.keys(where).map(column => {
+            const value = where[column];
+            params.push(column);
+            if (value === null || value === undefined) {
+                return '?? IS NULL';
+            }
+            if (Array.isArray(value)) {
+                if (value.length === 0) {
+                    throw new Error(`Empty IN list for column "${column}"`);
+                }
+                params.push(value);
+                return '?? IN (?)';
+            }
+            if (FixOperation.isExpression(value)) {
+                return `?? = ${value.sqlExpression}`;
+            }
+            params.push(value);
+            return '?? = ?';
+        }).join(' AND ');
+    }
+
+    /**
+     * "col = 'x', col2 = 5" → { col: 'x', col2: 5 }
+     * @param {string} text - Column & Values cell
+     * @returns {Object}
+     */
+    static parseAssignments(text) {
+        const values = {};
+
+        for (const part of FixOperation.splitOutsideQuotes(text, /,/y)) {
+            const eq = FixOperation.indexOutsideQuotes(part, '=');
+            if (eq === -1) {
+                const column = part.trim();
+                throw new Error(`Column "${column}" has no value. Use: ${column}=NULL or ${column}='' or ${column}='value'`);
+            }
+
+            const column = part.substring(0, eq).trim().replace(/`/g, '');
+            if (Object.prototype.hasOwnProperty.call(values, column)) {
+                throw new Error(`Column "${column}" is set twice`);
+            }
+            values[column] = FixOperation.parseLiteral(part.substring(eq + 1));
+        }
+
+        return values;
+    }
+
+    /**
+     * "id = 5 AND status IS NULL AND id IN ('a', 'b')" → { id: 5, status: null, ... }
+     * A leading WHERE keyword is accepted.
+     * @param {string} text - Where clause cell
+     * @returns {Object}
+     */
+    static parseWhere(text) {
+        const where = {};
+        const clause = String(text).trim().replace(/^WHERE\s+/i, '');
+
+        for (const part of FixOperation.splitOutsideQuotes(clause, /\s+AND\s+/iy)) {
+            const condition = part.trim();
+            let match;
+            let column;
+            let value;
+
+            if ((match = condition.match(/^`?(\w+)`?\s+IS\s+NULL$/i))) {
+                column = match[1];
+                value = null;
+            } else if ((match = condition.match(/^`?(\w+)`?\s+IN\s*\(([\s\S]*)\)$/i))) {
+                column = match[1];
+                value = FixOperation.splitOutsideQuotes(match[2], /,/y).map(item => FixOperation.parseLiteral(item));
+            } else if ((match = condition.match(/^`?(\w+)`?\s*=([\s\S]*)$/))) {
+                column = match[1];
+                value = FixOperation.parseLiteral(match[2]);
+            } else {
+                throw new Error(`Unsupported where condition "${condition}" (use column = value, column IN (...) or column IS NULL, joined with AND)`);
+            }
+
+            if (Object.prototype.hasOwnProperty.call(where, column)) {
+                throw new Error(`Column "${column}" appears twice in the where clause`);
+            }
+            where[column] = value;
+        }
+
+        return where;
+    }
+
+    /**
+     * "NOT EXISTS epakactivity WHERE ePakId = 5 AND action = 'Completed'" → { exists: false, table, where }
+     * @param {string|Object|null} precondition - Precondition cell, or an already structured precondition
+     * @returns {{exists: boolean, table: string, where: Object}|null} null for an empty cell
+     */
+    static parsePrecondition(precondition) {
+        if (!precondition) {
+            return null;
+        }
+
+        let parsed;
+        if (typeof precondition === 'object') {
+            parsed = {
+                exists: precondition.exists !== false,
+                table: String(precondition.table || ''),
+                where: FixOperation.checkWhereValues(precondition.where || {})
+            };
+        } else {
+            const text = String(precondition).trim();
+            if (text === '') {
+                return null;
+            }
+            if (PLACEHOLDER.test(text)) {
+                throw new Error('Precondition cannot contain MANUAL');
+            }
+            const match = PRECONDITION.exec(text);
+            if (!match) {
+                throw new Error(`Unsupported precondition "${text}" (use EXISTS <table> WHERE ... or NOT EXISTS <table> WHERE ...)`);
+            }
+            parsed = { exists: !match[1], table: match[2], where: FixOperation.parseWhere(match[3]) };
+        }
+
+        if (!IDENTIFIER.test(parsed.table)) {
+            throw new Error(`Invalid precondition table "${parsed.table}"`);
+        }
+        if (Object.keys(FixOperation.checkColumns(parsed.where)).length === 0) {
+            throw new Error('Precondition has no where clause');
+        }
+        return parsed;
+    }
+
+    /**
+     * { exists: false, table, where } → "NOT EXISTS epakactivity WHERE ePakId = 5 AND action = 'Completed'"
+     * @param {Object|null} precondition
+     * @returns {string} '' when there is none
+     */
+    static formatPrecondition(precondition) {
+        if (!precondition) {
+            return '';
+        }
+        return `${precondition.exists ? '' : 'NOT '}EXISTS ${precondition.table} WHERE ${FixOperation.formatWhere(precondition.where)}`;
+    }
+
+    /**
+     * Parse one literal: 'quoted' / "quoted" string, number, NULL, NOW(), or the bare MANUAL placeholder
+     * Other bare text is refused: it would otherwise be written as a string, so an expression such as
+     * progressPercent + 1 or (SELECT ...) would silently become text.
+     * @param {string} text
+     * @returns {*}
+     * @throws {Error} On a missing, malformed or unquoted value
+     */
+    static parseLiteral(text) {
+        const literal = String(text).trim();
+
+        if (literal === '') {
+            throw new Error('Missing value');
+        }
+        if (/^NULL$/i.test(literal)) {
+            return null;
+        }
+        if (/^-?\d+(\.\d+)?$/.test(literal) && Number.isSafeInteger(Math.trunc(Number(literal)))) {
+            return Number(literal);
+        }
+        if (SQL_EXPRESSIONS.includes(literal.toUpperCase())) {
+            return FixOperation.expression(literal);
+        }
+
+        const quote = literal[0];
+        if (quote === '\'' || quote === '"') {
+            const end = FixOperation.findClosingQuote(literal, 0);
+            if (end !== literal.length - 1) {
+                throw new Error(`Unterminated or malformed string literal: ${literal.substring(0, 40)}`);
+            }
+            return FixOperation.unescapeString(literal.substring(1, end), quote);
+        }
+
+        if (literal === 'MANUAL') {
+            return literal;
+        }
+        throw new Error(`Value ${literal.substring(0, 40)} must be quoted ('text') or numeric - expressions and column references are not supported`);
+    }
+
+    /**
+     * Format a value as a MySQL literal (inverse of parseLiteral)
+     * @param {*} value
+     * @returns {string}
+     */
+    static formatLiteral(value) {
+        if (value === null || value === undefined) {
+            return 'NULL';
+        }
+        if (FixOperation.isExpression(value)) {
+            return value.sqlExpression;
+        }
+        if (typeof value === 'number') {
+            return String(value);
+        }
+        if (typeof value === 'boolean') {
+            return value ? '1' : '0';
+        }
+        const escaped = String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/'/g, '\\\'')
+            .replace(/\0/g, '\\0')
+            .replace(/\n/g, '\\n')
+            .replace(/\r/g, '\\r')
+            .replace(/\x1a/g, '\\Z');
+        return `'${escaped}'`;
+    }
+
+    /**
+     * { col: 'x' } → "col = 'x'" (Column & Values cell)
+     * @returns {string}
+     */
+    static formatAssignments(values) {
+        return Object.keys(values)
+            .map(column => `${column} = ${FixOperation.formatLiteral(values[column])}`)
+            .join(', ');
+    }
+
+    /**
+     * { id: 5 } → "id = 5" (Where clause cell)
+     * @returns {string}
+     */
+    static formatWhere(where) {
+        return Object.keys(where).map(column => {
+            const value = where[column];
+            if (value === null || value === undefined) {
+                return `${column} IS NULL`;
+            }
+            if (Array.isArray(value)) {
+                return `${column} IN (${value.map(v => FixOperation.formatLiteral(v)).join(', ')})`;
+            }
+            return `${column} = ${FixOperation.formatLiteral(value)}`;
+        }).join(' AND ');
+    }
+
+    /**
+     * Undo MySQL string escaping (backslash escapes and doubled quotes)
+     * @param {string} body - Text between the quotes
+     * @param {string} quote - Quote character
+     * @returns {string}
+     */
+    static unescapeString(body, quote) {
+        const escapes = { '0': '\0', 'b': '\b', 'n': '\n', 'r': '\r', 't': '\t', 'Z': '\x1a' };
+        let result = '';
+
+        for (let i = 0; i < body.length; i++) {
+            const ch = body[i];
+            if (ch === '\\' && i + 1 < body.length) {
+                const next = body[++i];
+                // MySQL keeps the backslash for \% and \_ (LIKE escapes)
+                result += escapes[next] !== undefined ? escapes[next]
+                    : (next === '%' || next === '_') ? `\\${next}` : next;
+            } else if (ch === quote && body[i + 1] === quote) {
+                result += quote;
+                i++;
+            } else {
+                result += ch;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Index of the quote closing the string that opens at `start`
+     * @returns {number} Index, or -1 if unterminated
+     */
+    static findClosingQuote(text, start) {
+        const quote = text[start];
+        for (let i = start + 1; i < text.length; i++) {
+            if (text[i] === '\\') {
+                i++;
+            } else if (text[i] === quote) {
+                if (text[i + 1] === quote) {
+                    i++;
+                } else {
+                    return i;
+                }
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Index of the first `ch` outside quotes
+     * @returns {number} Index or -1
+     */
+    static indexOutsideQuotes(text, ch) {
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\'' || text[i] === '"' || text[i] === '`') {
+                const end = FixOperation.findClosingQuote(text, i);
+                if (end === -1) return -1;
+                i = end;
+            } else if (text[i] === ch) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Split text on a separator (sticky regex) outside quotes and parentheses
+     * @param {string} text
+     * @param {RegExp} separator - Sticky regex, e.g. /,/y
+     * @returns {Array<string>} Non-empty parts
+     */
+    static splitOutsideQuotes(text, separator) {
+        const parts = [];
+        let start = 0;
+        let depth = 0;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (ch === '\'' || ch === '"' || ch === '`') {
+                const end = FixOperation.findClosingQuote(text, i);
+                if (end === -1) {
+                    throw new Error(`Unterminated string literal: ${text.substring(i, i + 40)}`);
+                }
+                i = end;
+                continue;
+            }
+            if (ch === '(') depth++;
+            if (ch === ')') depth--;
+            if (depth !== 0) continue;
+
+            separator.lastIndex = i;
+            const match = separator.exec(text);
+            if (match) {
+                parts.push(text.substring(start, i));
+                start = i + match[0].length;
+                i = start - 1;
+            }
+        }
+        parts.push(text.substring(start));
+
+        return parts.filter(part => part.trim() !== '');
+    }
+}
+
+FixOperation.FLAGS = FLAGS;
+
+module.exports = FixOperation;
@@ -0,0 +1,467 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const XLSX = require('xlsx');
+const csvParser = require('csv-parser');
+const { Readable } = require('stream');
+const { createObjectCsvWriter } = require('csv-writer');
+const FixOperation = require('./fixOperation');
+
+/**
+ * Fix sheet columns: field → accepted header names (lower-case)
+ * Layout written by the generator:
+ *   ePakUUID, DocumentUUID, Table, Operation, Column & Values, Where clause, Status, Last ran, Signer match,
+ *   Timestamp source, Device info source, Flags, Precondition, Affected rows, Error
+ */
+const COLUMNS = {
+    epakUuid: ['epakuuid', 'epakid', 'epak_uuid'],
+    docUuid: ['documentuuid', 'doc_uuid', 'docuuid'],
+    table: ['table'],
+    operation: ['operation'],
+    columnsValues: ['column & values', 'column&values', 'columns', 'column_values', 'columns_values'],
+    whereClause: ['where clause', 'where', 'where_clause'],
+    status: ['status'],
+    lastRan: ['last ran', 'last_ran'],
+    signerMatch: ['signer match', 'signer_match'],
+    timestampSource: ['timestamp source', 'timestamp_source'],
+    deviceInfoSource: ['device info source', 'device_info_source'],
+    flags: ['flags'],
+    precondition: ['precondition'],
+    affectedRows: ['affected rows', 'affected_rows'],
+    error: ['error']
+};
+
+/**
+ * Columns an execution writes back into the sheet (field, header added when the sheet lacks it)
+ */
+const RESULT_COLUMNS = [
+    ['status', 'Status'],
+    ['lastRan', 'Last ran'],
+    ['affectedRows', 'Affected rows'],
+    ['error', 'Error']
+];
+
+/**
+ * Old sheets without headers we recognise: ePakId, Table, Operation, Column & Values, Where clause, Status, Last ran
+ */
+const LEGACY_LAYOUT = ['epakUuid', 'table', 'operation', 'columnsValues', 'whereClause', 'status', 'lastRan'];
+
+const CSV_HEADER = [
+    { id: 'epak_uuid', title: 'ePakUUID' },
+    { id: 'doc_uuid', title: 'DocumentUUID' },
+    { id: 'table', title: 'Table' },
+    { id: 'operation', title: 'Operation' },
+    { id: 'columns_values', title: 'Column & Values' },
+    { id: 'where_clause', title: 'Where clause' },
+    { id: 'status', title: 'Status' },
+    { id: 'last_ran', title: 'Last ran' },
+    { id: 'signer_match', title: 'Signer match' },
+    { id: 'timestamp_source', title: 'Timestamp source' },
+    { id: 'device_info_source', title: 'Device info source' },
+    { id: 'flags', title: 'Flags' },
+    { id: 'precondition', title: 'Precondition' },
+    { id: 'affected_rows', title: 'Affected rows' },
+    { id: 'error', title: 'Error' }
+];
+
+/**
+ * Fix Sheet
+ * Reads CSV/TSV/XLSX fix sheets into FixOperations and writes them back out.
+ * Single implementation shared by the upload, read-fix-sheet and generator paths.
+ */
+class FixSheet {
+
+    /**
+     * Read a fix sheet from disk
+     * @param {string} filePath - .csv / .tsv / .xlsx / .xls
+     * @returns {Promise<{format: string, operations: Array<FixOperation>, invalidRows: Array<Object>}>} As parseRows()
+     */
+    static async readFile(filePath) {
+        return this.parseBuffer(fs.readFileSync(filePath), path.basename(filePath));
+    }
+
+    /**
+     * Parse an uploaded fix sheet
+     * @param {Buffer} buffer - File contents
+     * @param {string} filename - Original name (extension selects the parser)
+     * @returns {Promise<{format: string, operations: Array<FixOperation>, invalidRows: Array<Object>}>} As parseRows()
+     */
+    static async parseBuffer(buffer, filename) {
+        const ext = path.extname(filename).toLowerCase();
+
+        if (ext === '.xlsx' || ext === '.xls') {
+            return { format: 'Excel', ...this.parseRows(this.readXlsxRows(buffer)) };
+        }
+        return { format: 'CSV/TSV', ...this.parseRows(await this.readCsvRows(buffer)) };
+    }
+
+    /**
+     * Spreadsheet rows as arrays of cell text, with the row numbers Excel shows
+     * (read from A1, so row numbers and cell indexes stay right when the used range starts lower)
+     * @param {Buffer} buffer
+     * @returns {Array<{rowNumber: number, cells: Array<string>}>}
+     */
+    static readXlsxRows(buffer) {
+        const workbook = XLSX.read(buffer, { type: 'buffer' });
+        const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+        const used = XLSX.utils.decode_range(worksheet['!ref'] || 'A1');
+        const range = XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: used.e });
+        const data = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '', blankrows: true, range });
+
+        return data.map((row, i) => ({ rowNumber: i + 1, cells: row.map(cell => String(cell)) }));
+    }
+
+    /**
+     * CSV/TSV rows as arrays of cell text, with 1-based row numbers
+     * @param {Buffer} buffer
+     * @returns {Promise<Array<{rowNumber: number, cells: Array<string>}>>}
+     */
+    static readCsvRows(buffer) {
+        const text = buffer.toString('utf-8').replace(/^\uFEFF/, '');
+        const separator = this.detectSeparator(text);
+
+        return new Promise((resolve, reject) => {
+            const rows = [];
+            Readable.from(text)
+                .pipe(csvParser({ separator, headers: false }))
+                .on('data', (data) => rows.push({ rowNumber: rows.length + 1, cells: Object.values(data) }))
+                .on('end', () => resolve(rows))
+                .on('error', reject);
+        });
+    }
+
+    /**
+     * Field separator of a CSV/TSV/pipe-separated sheet (from its first line)
+     * @param {string} text
+     * @returns {string}
+     */
+    static detectSeparator(text) {
+        const firstLine = text.split('\n')[0];
+        return !firstLine.includes(',') && firstLine.includes('\t') ? '\t'
+            : !firstLine.includes(',') && firstLine.includes('|') ? '|' : ',';
+    }
+
+    /**
+     * Index of the header row in the first rows of a sheet
+     * @param {Array<{rowNumber: number, cells: Array<string>}>} rows
+     * @returns {number} -1 for a legacy sheet without a recognised header
+     */
+    static findHeader(rows) {
+        // Look for 'ePakId' / 'ePakUUID' or 'Table' + 'Operation'
+        return rows.slice(0, 5).findIndex(row => {
+            const cells = row.cells.map(c => c.trim().toLowerCase());
+            return cells.includes('epakid') || cells.includes('epakuuid') ||
+                (cells.includes('table') && cells.includes('operation'));
+        });
+    }
+
+    /**
+     * Turn sheet rows into FixOperations (header detection + column mapping)
+     * @param {Array<{rowNumber: number, cells: Array<string>}>} rows
+     * @returns {{operations: Array<FixOperation>, invalidRows: Array<{rowNumber: number, epakId: string, docId: string,
+     *          table: string, operation: string, message: string}>}} invalidRows: rows that could not be parsed
+     */
+    static parseRows(rows) {
+        const headerIndex = this.findHeader(rows);
+
+        let columnIndex;
+        if (headerIndex === -1) {
+            columnIndex = Object.fromEntries(LEGACY_LAYOUT.map((field, i) => [field, i]));
+        } else {
+            columnIndex = this.mapColumns(rows[headerIndex].cells);
+        }
+
+        const operations = [];
+        const invalidRows = [];
+        for (const row of rows.slice(headerIndex + 1)) {
+            const record = {};
+            for (const field of Object.keys(COLUMNS)) {
+                const index = columnIndex[field];
+                // Excel cells may be wrapped over several lines
+                record[field] = index === undefined ? '' : String(row.cells[index] || '').replace(/\s*\n\s*/g, ' ').trim();
+            }
+
+            if (!record.epakUuid || !record.table || !record.operation) continue;
+
+            // A row that does not parse is reported on its own; the rest of the sheet still loads
+            try {
+                operations.push(FixOperation.fromSheetRow(record, row.rowNumber));
+            } catch (error) {
+                invalidRows.push({
+                    rowNumber: row.rowNumber,
+                    epakId: record.epakUuid,
+                    docId: record.docUuid,
+                    table: record.table,
+                    operation: record.operation,
+                    message: error.reason || error.message
+                });
+            }
+        }
+
+        return { operations, invalidRows };
+    }
+
+    /**
+     * Header cells → { field: columnIndex }
+     * @param {Array<string>} headerCells
+     * @returns {Object}
+     */
+    static mapColumns(headerCells) {
+        const columnIndex = {};
+        headerCells.forEach((cell, i) => {
+            const name = cell.trim().toLowerCase();
+            for (const [field, names] of Object.entries(COLUMNS)) {
+                if (names.includes(name) && columnIndex[field] === undefined) {
+                    columnIndex[field] = i;
+                }
+            }
+        });
+
+        for (const field of ['epakUuid', 'table', 'operation']) {
+            if (columnIndex[field] === undefined) {
+                throw new Error(`Fix sheet header is missing the ${COLUMNS[field][0]} column`);
+            }
+        }
+        return columnIndex;
+    }
+
+    /**
+     * MANUAL placeholders left in a sheet, per row and field (rows flagged OVERRIDE are accepted as is)
+     * @param {Array<FixOperation>} operations
+     * @returns {Array<{rowNumber: number, epakId: string, table: string, operation: string, field: string}>}
+     */
+    static findPlaceholders(operations) {
+        return operations
+            .filter(op => !op.flags.includes(FixOperation.FLAGS.OVERRIDE))
+            .flatMap(op => op.placeholders().map(({ field }) => ({
+                rowNumber: op.rowNumber,
+                epakId: op.epakUuid,
+                table: op.table,
+                operation: op.operation,
+                field
+            })));
+    }
+
+    /**
+     * Fill placeholders with operator-supplied values
+     * @param {Array<FixOperation>} operations - Modified in place
+     * @param {Array<{rowNumber: number, field: string, value: string}>} resolutions
+     * @returns {number} Placeholders filled
+     */
+    static applyResolutions(operations, resolutions) {
+        for (const resolution of resolutions) {
+            const op = operations.find(o => o.rowNumber === Number(resolution.rowNumber));
+            if (!op) {
+                throw new Error(`Row ${resolution.rowNumber} is not in the fix sheet`);
+            }
+            try {
+                op.fillPlaceholder(resolution.field, resolution.value);
+            } catch (error) {
+                throw new Error(`Row ${resolution.rowNumber}: ${error.message}`);
+            }
+        }
+        return resolutions.length;
+    }
+
+    /**
+     * Where the revised copy of a sheet is written: <name>-revised-<timestamp>.csv next to it
+     * @param {string} sourcePath
+     * @returns {string}
+     */
+    static revisedPath(sourcePath) {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+        const base = path.basename(sourcePath, path.extname(sourcePath)).replace(/-revised-[\dT-]+$/, '');
+        return path.join(path.dirname(sourcePath), `${base}-revised-${timestamp}.csv`);
+    }
+
+    /**
+     * Fingerprint of what a sheet runs (ePak, SQL, precondition and flags of every row). Result columns
+     * are left out, so writing execution results into the sheet does not change it.
+     * @param {Array<FixOperation>} operations - Parsed rows
+     * @returns {string} SHA-256 hex
+     */
+    static fingerprint(operations) {
+        const hash = crypto.createHash('sha256');
+        for (const op of operations) {
+            const summary = op.toSummary();
+            hash.update(JSON.stringify([summary.rowNumber, summary.epakId, summary.sql, summary.precondition, summary.flags]) + '\n');
+        }
+        return hash.digest('hex');
+    }
+
+    /**
+     * Record execution results in the sheet: Status, Last ran, Affected rows and Error of each row.
+     * Only those cells change; missing result columns are added after the last header.
+     * XLSX sheets are patched in place, so the template's formatting is kept.
+     * @param {string} filePath - CSV/TSV/XLSX fix sheet on disk
+     * @param {Array<{rowNumber: number, status: string, lastRan: string, affectedRows: number|null, error: string}>} results
+     * @returns {Promise<number>} Rows updated
+     */
+    static async writeResults(filePath, results) {
+        const ext = path.extname(filePath).toLowerCase();
+        if (ext === '.xls') {
+            throw new Error('Results cannot be written into .xls sheets (save it as .xlsx)');
+        }
+
+        const buffer = fs.readFileSync(filePath);
+        const rows = ext === '.xlsx' ? this.readXlsxRows(buffer) : await this.readCsvRows(buffer);
+        const headerIndex = this.findHeader(rows);
+        if (headerIndex === -1) {
+            throw new Error('Fix sheet has no header row to write results into');
+        }
+
+        const header = rows[headerIndex];
+        const columnIndex = this.mapColumns(header.cells);
+        const added = [];
+        let next = header.cells.reduce((last, cell, i) => cell.trim() !== '' ? i + 1 : last, 0);
+        for (const [field, title] of RESULT_COLUMNS) {
+            if (columnIndex[field] === undefined) {
+                columnIndex[field] = next++;
+                added.push({ rowNumber: header.rowNumber, index: columnIndex[field], value: title });
+            }
+        }
+
+        const cells = [...added];
+        for (const result of results) {
+            const row = rows.find(r => r.rowNumber === Number(result.rowNumber));
+            if (!row || row.rowNumber <= header.rowNumber) {
+                throw new Error(`Row ${result.rowNumber} is not in the fix sheet`);
+            }
+            cells.push(
+                { rowNumber: row.rowNumber, index: columnIndex.status, value: result.status },
+                { rowNumber: row.rowNumber, index: columnIndex.lastRan, value: result.lastRan || '' },
+                { rowNumber: row.rowNumber, index: columnIndex.affectedRows,
+                    value: result.affectedRows === null || result.affectedRows === undefined ? '' : Number(result.affectedRows) },
+                { rowNumber: row.rowNumber, index: columnIndex.error, value: result.error || '' }
+            );
+        }
+
+        if (ext === '.xlsx') {
+            fs.writeFileSync(filePath, this.patchXlsxCells(buffer, cells));
+        } else {
+            this.writeCsvCells(filePath, buffer, rows, cells);
+        }
+        return results.length;
+    }
+
+    /**
+     * Rewrite a CSV/TSV sheet with some cells changed (separator and other cells kept)
+     * @param {string} filePath
+     * @param {Buffer} buffer - Current contents
+     * @param {Array<{rowNumber: number, cells: Array<string>}>} rows - As read from buffer
+     * @param {Array<{rowNumber: number, index: number, value: *}>} cells
+     */
+    static writeCsvCells(filePath, buffer, rows, cells) {
+        for (const cell of cells) {
+            rows.find(row => row.rowNumber === cell.rowNumber).cells[cell.index] = String(cell.value);
+        }
+
+        // csv-writer only knows ',' and ';', so TSV / pipe sheets are quoted here
+        const separator = this.detectSeparator(buffer.toString('utf-8').replace(/^\uFEFF/, ''));
+        const width = Math.max(...rows.map(row => row.cells.length));
+        const quote = (cell) => /["\r\n]/.test(cell) || cell.includes(separator) ? `"${cell.replace(/"/g, '""')}"` : cell;
+        const lines = rows.map(row => Array.from({ length: width }, (_, i) => quote(String(row.cells[i] === undefined ? '' : row.cells[i])))
+            .join(separator));
+        fs.writeFileSync(filePath, lines.join('\n') + '\n', 'utf-8');
+    }
+
+    /**
+     * Set cells of the first worksheet by editing its XML inside the .xlsx package.
+     * (The SheetJS community build drops styles when it writes a workbook.)
+     * A new cell takes the style of the nearest cell to its left.
+     * @param {Buffer} buffer - .xlsx contents
+     * @param {Array<{rowNumber: number, index: number, value: string|number}>} cells - index: 0-based column
+     * @returns {Buffer} Updated .xlsx
+     */
+    static patchXlsxCells(buffer, cells) {
+        const zip = XLSX.CFB.read(buffer, { type: 'buffer' });
+        const sheetPath = this.firstSheetPath(zip);
+        const entry = XLSX.CFB.find(zip, sheetPath);
+        let xml = Buffer.from(entry.content).toString('utf-8');
+
+        const escape = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const columnOf = (ref) => XLSX.utils.decode_cell(ref).c;
+
+        for (const { rowNumber, index, value } of cells) {
+            const ref = XLSX.utils.encode_cell({ r: rowNumber - 1, c: index });
+            const body = typeof value === 'number'
+                ? `<v>${value}</v>`
+                : `<is><t xml:space="preserve">${escape(value)}</t></is>`;
+            const type = typeof value === 'number' ? '' : ' t="inlineStr"';
+
+            const rowPattern = new RegExp(`<row\\b[^>]*\\br="${rowNumber}"[^>]*?(?:/>|>[\\s\\S]*?</row>)`);
+            let rowXml = rowPattern.exec(xml);
+            if (!rowXml) {
+                // Add an empty row in order
+                const newRow = `<row r="${rowNumber}"></row>`;
+                const later = [...xml.matchAll(/<row\b[^>]*\br="(\d+)"/g)].find(m => Number(m[1]) > rowNumber);
+                xml = later
+                    ? xml.slice(0, later.index) + newRow + xml.slice(later.index)
+                    : xml.replace(/<sheetData\s*\/>/, '<sheetData></sheetData>').replace('</sheetData>', `${newRow}</sheetData>`);
+                rowXml = rowPattern.exec(xml);
+            }
+
+            let row = rowXml[0].replace(/^(<row\b[^>]*?)\/>$/, '$1></row>').replace(/\sspans="[^"]*"/, '');
+            const cellsInRow = [...row.matchAll(/<c\b[^>]*\br="([A-Z]+\d+)"[^>]*?(?:\/>|>[\s\S]*?<\/c>)/g)];
+            const existing = cellsInRow.find(m => m[1] === ref);
+            const left = cellsInRow.filter(m => columnOf(m[1]) < index).pop();
+            const styleSource = existing || left;
+            const style = styleSource && /\bs="(\d+)"/.exec(styleSource[0].split('>')[0]);
+            const cellXml = `<c r="${ref}"${style ? ` s="${style[1]}"` : ''}${type}>${body}</c>`;
+
+            if (existing) {
+                row = row.slice(0, existing.index) + cellXml + row.slice(existing.index + existing[0].length);
+            } else {
+                const after = cellsInRow.find(m => columnOf(m[1]) > index);
+                const at = after ? after.index : row.lastIndexOf('</row>');
+                row = row.slice(0, at) + cellXml + row.slice(at);
+            }
+            xml = xml.slice(0, rowXml.index) + row + xml.slice(rowXml.index + rowXml[0].length);
+        }
+
+        // Widen the used range to the new cells
+        xml = xml.replace(/<dimension ref="([^"]+)"\s*\/>/, (match, ref) => {
+            const range = XLSX.utils.decode_range(ref);
+            for (const { rowNumber, index } of cells) {
+                range.e.r = Math.max(range.e.r, rowNumber - 1);
+                range.e.c = Math.max(range.e.c, index);
+            }
+            return `<dimension ref="${XLSX.utils.encode_range(range)}"/>`;
+        });
+
+        entry.content = Buffer.from(xml, 'utf-8');
+        return XLSX.CFB.write(zip, { type: 'buffer', fileType: 'zip' });
+    }
+
+    /**
+     * Package path of the workbook's first worksheet (via workbook.xml and its relationships)
+     * @param {Object} zip - XLSX.CFB container
+     * @returns {string} e.g. '/xl/worksheets/sheet1.xml'
+     */
+    static firstSheetPath(zip) {
+        const read = (name) => {
+            const file = XLSX.CFB.find(zip, name);
+            if (!file) throw new Error(`Not an .xlsx workbook (${name} missing)`);
+            return Buffer.from(file.content).toString('utf-8');
+        };
+        const sheet = /<sheet\b[^>]*\br:id="([^"]+)"/.exec(read('/xl/workbook.xml'));
+        const relation = sheet && new RegExp(`<Relationship\\b[^>]*\\bId="${sheet[1]}"[^>]*>`).exec(read('/xl/_rels/workbook.xml.rels'));
+        const target = relation && /\bTarget="([^"]+)"/.exec(relation[0]);
+        if (!target) {
+            throw new Error('Workbook has no worksheet');
+        }
+        return target[1].startsWith('/') ? target[1] : `/xl/${target[1]}`;
+    }
+
+    /**
+     * Write operations as a CSV fix sheet
+     * @param {string} csvPath - Output path
+     * @param {Array<FixOperation>} operations
+     */
+    static async writeCsv(csvPath, operations) {
+        const csvWriter = createObjectCsvWriter({ path: csvPath, header: CSV_HEADER });
+        await csvWriter.writeRecords(operations.map(op => op.toSheetRow()));
+    }
+}
+
+module.exports = FixSheet;
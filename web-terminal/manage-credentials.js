@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+const readline = require('readline');
+const CredentialVault = require('./credentialVault');
+require('dotenv').config();
+
+/**
+ * CLI tool for the encrypted credential vault (credentials.vault, or EPAK_VAULT).
+ * main.sh and EPak-Fix-Tool.ps1 read entries through "export".
+ */
+
+function usage() {
+    console.log('\nUsage:');
+    console.log('  node manage-credentials.js list');
+    console.log('  node manage-credentials.js set <name> <host> <user> <database>');
+    console.log('  node manage-credentials.js remove <name>');
+    console.log('  node manage-credentials.js export <name> [--format shell|json|nul]\n');
+    console.log('The database password is asked for on the terminal (or read from EPAK_NEW_PASSWORD for scripts).');
+    console.log('The vault is encrypted with EPAK_VAULT_PASSPHRASE when set, otherwise with a key file');
+    console.log('(EPAK_VAULT_KEYFILE, default ~/.epak/vault.key) created on first use.\n');
+    console.log('export prints the entry for the CLI tools (DB_HOST=... lines, JSON, or host/user/password/database');
+    console.log('each ended by a NUL byte for "read -d \'\'") - it includes the password.\n');
+}
+
+function readHidden(prompt) {
+    return new Promise((resolve) => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+        // Echo nothing but the prompt while the secret is typed
+        rl._writeToOutput = (text) => {
+            if (text.startsWith(prompt)) rl.output.write(prompt);
+        };
+        rl.question(prompt, (answer) => {
+            rl.close();
+            process.stderr.write('\n');
+            resolve(answer);
+        });
+    });
+}
+
+/**
+ * Open the vault, asking for the master passphrase if it needs one and none is set
+ * @returns {Promise<CredentialVault>}
+ */
+async function openVault() {
+    const vault = new CredentialVault();
+    if (vault.exists() && vault.keySource() === CredentialVault.KEY_SOURCES.PASSPHRASE && !vault.passphrase) {
+        if (!process.stdin.isTTY) {
+            throw new Error('The credential vault is locked with a master passphrase - set EPAK_VAULT_PASSPHRASE');
+        }
+        vault.passphrase = await readHidden('Vault passphrase: ');
+    }
+    return vault;
+}
+
+/**
+ * @param {string} value
+ * @returns {string} Single-quoted for sh/bash
+ */
+function shellQuote(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const formatIndex = args.indexOf('--format');
+    const format = formatIndex === -1 ? 'shell' : args.splice(formatIndex, 2)[1];
+    const [command, name, host, user, database] = args;
+    const vault = await openVault();
+
+    switch (command) {
+        case 'list': {
+            const entries = vault.list();
+            if (entries.length === 0) {
+                console.log(`\nNo credentials in ${vault.filePath}\n`);
+                return;
+            }
+            console.log(`\nCredentials in ${vault.filePath} (${vault.keySource()}):\n`);
+            entries.forEach(entry => console.log(
+                `  ${entry.name.padEnd(40)} ${entry.user}@${entry.host}/${entry.database}${entry.owner ? `  (saved by ${entry.owner})` : ''}`
+            ));
+            console.log('');
+            return;
+        }
+        case 'set': {
+            if (!name || !host || !user || !database) break;
+            CredentialVault.validateName(name);
+            const password = process.env.EPAK_NEW_PASSWORD !== undefined
+                ? process.env.EPAK_NEW_PASSWORD
+                : await readHidden('Database password: ');
+            const entry = vault.set(name, { host, user, password, database });
+            console.log(`✅ Saved ${entry.name} (${entry.user}@${entry.host}/${entry.database}) in ${vault.filePath}`);
+            return;
+        }
+        case 'remove':
+            if (!name) break;
+            if (!vault.remove(name)) {
+                throw new Error(`Unknown credential: ${name}`);
+            }
+            console.log(`✅ Removed ${name}`);
+            return;
+        case 'export': {
+            if (!name) break;
+            const entry = vault.get(name);
+            if (!entry) {
+                throw new Error(`Unknown credential: ${name}`);
+            }
+            if (format === 'json') {
+                console.log(JSON.stringify({ host: entry.host, user: entry.user, password: entry.password, database: entry.database }));
+            } else if (format === 'shell') {
+                console.log(`DB_HOST=${shellQuote(entry.host)}`);
+                console.log(`DB_USER=${shellQuote(entry.user)}`);
+                console.log(`DB_PASS=${shellQuote(entry.password)}`);
+                console.log(`DB_NAME=${shellQuote(entry.database)}`);
+            } else if (format === 'nul') {
+                // Read field by field (main.sh), so nothing in a value is ever run as shell
+                const fields = [entry.host, entry.user, entry.password, entry.database].map(String);
+                if (fields.some(field => field.includes('\0'))) {
+                    throw new Error(`Credential ${name} has a NUL byte in a value and cannot be exported as nul`);
+                }
+                process.stdout.write(fields.map(field => `${field}\0`).join(''));
+            } else {
+                throw new Error(`Unknown format "${format}" (expected shell, json or nul)`);
+            }
+            return;
+        }
+    }
+    usage();
+    process.exitCode = 1;
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+const readline = require('readline');
+const UserStore = require('./userStore');
+require('dotenv').config();
+
+/**
+ * CLI tool for web terminal operator accounts (users.json, or EPAK_USERS)
+ */
+
+const { ROLES } = UserStore;
+
+function usage() {
+    console.log('\nUsage:');
+    console.log('  node manage-users.js list');
+    console.log('  node manage-users.js add <username> <role>');
+    console.log('  node manage-users.js passwd <username>');
+    console.log('  node manage-users.js role <username> <role>');
+    console.log('  node manage-users.js remove <username>\n');
+    console.log(`Roles: ${Object.values(ROLES).join(', ')}`);
+    console.log('  viewer    read-only: ePak state, diagnoses, batches, jobs, journal');
+    console.log('  fixer     connect, execute fixes, generate and run fix sheets');
+    console.log('  approver  everything a fixer can, plus signing off batches (approve <batch>)\n');
+    console.log('Passwords are asked for on the terminal (or read from EPAK_NEW_PASSWORD for scripts).\n');
+}
+
+/**
+ * Ask for a password twice without echoing it
+ * @returns {Promise<string>}
+ */
+async function readNewPassword() {
+    if (process.env.EPAK_NEW_PASSWORD) {
+        return process.env.EPAK_NEW_PASSWORD;
+    }
+    const first = await readHidden('Password: ');
+    const second = await readHidden('Repeat password: ');
+    if (first !== second) {
+        throw new Error('Passwords do not match');
+    }
+    return first;
+}
+
+function readHidden(prompt) {
+    return new Promise((resolve) => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+        // Echo nothing but the prompt while the password is typed
+        rl._writeToOutput = (text) => {
+            if (text.startsWith(prompt)) rl.output.write(prompt);
+        };
+        rl.question(prompt, (answer) => {
+            rl.close();
+            process.stdout.write('\n');
+            resolve(answer);
+        });
+    });
+}
+
+async function main() {
+    const [command, username, role] = process.argv.slice(2);
+    const store = new UserStore();
+
+    switch (command) {
+        case 'list': {
+            const users = store.list();
+            if (users.length === 0) {
+                console.log(`\nNo accounts in ${store.filePath}\n`);
+                console.log('Create the first one with: node manage-users.js add <username> approver\n');
+                return;
+            }
+            console.log(`\nAccounts in ${store.filePath}:\n`);
+            users.forEach(user => console.log(`  ${user.username.padEnd(24)} ${user.role.padEnd(10)} created ${user.createdAt}`));
+            console.log('');
+            return;
+        }
+        case 'add': {
+            if (!username || !role) break;
+            UserStore.normalizeUsername(username);
+            UserStore.requireRole(role);
+            const user = store.addUser(username, await readNewPassword(), role);
+            console.log(`✅ Created ${user.username} (${user.role})`);
+            return;
+        }
+        case 'passwd':
+            if (!username) break;
+            if (!store.find(username)) {
+                throw new Error(`Unknown user: ${username}`);
+            }
+            store.setPassword(username, await readNewPassword());
+            console.log(`✅ Password changed for ${username.toLowerCase()}`);
+            return;
+        case 'role':
+            if (!username || !role) break;
+            store.setRole(username, role);
+            console.log(`✅ ${username.toLowerCase()} is now ${role}`);
+            return;
+        case 'remove':
+            if (!username) break;
+            store.removeUser(username);
+            console.log(`✅ Removed ${username.toLowerCase()}`);
+            return;
+    }
+    usage();
+    process.exitCode = 1;
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
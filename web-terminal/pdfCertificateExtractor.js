@@ -1,4 +1,18 @@
 const forge = require('node-forge');
+const PdfObjectReader = require('./pdfObjectReader');
+
+/**
+ * CMS signed attribute carrying the signer's clock time (PKCS#9 signingTime)
+ */
+const SIGNING_TIME_OID = '1.2.840.113549.1.9.5';
+
+/**
+ * Where a signature's signing time came from
+ */
+const SIGNING_TIME_SOURCE = {
+    CMS: 'cms-signing-time',
+    PDF: 'pdf-m-date'
+};
 
 /**
  * Extracts certificates from signed PDF files
@@ -12,29 +26,24 @@ class PDFCertificateExtractor {
      */
     static async extractCertificateFromPDF(pdfBuffer) {
         try {
-            // Convert buffer to string for parsing
-            const pdfString = pdfBuffer.toString('latin1');
-            
             // Find ALL signature dictionaries in PDF
-            const sigRegex = /\/Contents\s*<([0-9A-Fa-f]+)>/g;
-            const matches = [...pdfString.matchAll(sigRegex)];
+            const signatures = this.extractSignatures(pdfBuffer);
             
-            if (matches.length === 0) {
+            if (signatures.length === 0) {
                 throw new Error('No signature found in PDF. The PDF may not be digitally signed.');
             }
             
-            console.log(`\n📝 Found ${matches.length} signature(s) in PDF, searching all for Aadhaar certificate...`);
+            console.log(`\n📝 Found ${signatures.length} signature(s) in PDF, searching all for Aadhaar certificate...`);
             
             // Try EACH signature to find one with Aadhaar data
             const CertificateParser = require('./certificateParser');
             
-            for (let sigIndex = 0; sigIndex < matches.length; sigIndex++) {
-                console.log(`\n=== Signature ${sigIndex + 1}/${matches.length} ===`);
-                const signatureHex = matches[sigIndex][1];
-                console.log(`  Hex length: ${signatureHex.length} chars (${signatureHex.length / 2} bytes)`);
+            for (let sigIndex = 0; sigIndex < signatures.length; sigIndex++) {
+                const signature = signatures[sigIndex];
+                console.log(`\n=== Signature ${sigIndex + 1}/${signatures.length} (${signature.fieldName || 'unnamed field'}) ===`);
+                console.log(`  SubFilter: ${signature.subFilter}, CMS size: ${signature.contents.length} bytes`);
                 
-                // Convert hex string to binary
-                const signatureBinary = this.hexToBytes(signatureHex);
+                const signatureBinary = signature.contents.toString('binary');
                 
                 try {
                     // Parse PKCS#7 signature to extract certificate
@@ -74,14 +83,129 @@ class PDFCertificateExtractor {
             
             // If no signature has Aadhaar data, return the first one
             console.log(`⚠️  No signature contains Aadhaar certificate, returning first signature\n`);
-            const signatureBinary = this.hexToBytes(matches[0][1]);
-            return this.extractCertificateFromPKCS7(signatureBinary);
+            return this.extractCertificateFromPKCS7(signatures[0].contents.toString('binary'));
             
         } catch (error) {
             throw new Error(`Failed to extract certificate from PDF: ${error.message}`);
         }
     }
     
+    /**
+     * Read the signature dictionaries of a PDF (AcroForm signature fields, all revisions)
+     * @param {Buffer} pdfBuffer - PDF file buffer
+     * @returns {Array<Object>} Signature records in signing order:
+     *          { index, fieldName, subFilter, byteRange, signingTime, signingTimeRaw,
+     *            name, reason, location, revision, contents (raw CMS) }
+     */
+    static extractSignatures(pdfBuffer) {
+        try {
+            return new PdfObjectReader(pdfBuffer).getSignatures();
+        } catch (error) {
+            throw new Error(`Failed to read PDF structure: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Extract the signer certificate of EVERY signature in a PDF, in signing order
+     * @param {Buffer} pdfBuffer - PDF file buffer
+     * @returns {Array<{index: number, fieldName: string, signature: Object, certificate: Buffer|null,
+     *          chainCertificates: Array<Buffer>, signingTime: Date|null, signingTimeSource: string|null,
+     *          error: string|null}>}
+     *          signingTime is the CMS signingTime attribute (signed), else the dictionary's /M date
+     */
+    static extractAllCertificatesFromPDF(pdfBuffer) {
+        return this.extractSignatures(pdfBuffer).map(signature => {
+            const binary = signature.contents.toString('binary');
+            const cmsSigningTime = this.extractSigningTimeFromPKCS7(binary);
+            const entry = {
+                index: signature.index,
+                fieldName: signature.fieldName,
+                signature,
+                chainCertificates: this.extractAllCertificatesFromPKCS7(binary),
+                signingTime: cmsSigningTime || signature.signingTime || null,
+                signingTimeSource: cmsSigningTime ? SIGNING_TIME_SOURCE.CMS
+                    : signature.signingTime ? SIGNING_TIME_SOURCE.PDF : null
+            };
+            try {
+                const certificate = this.extractCertificateFromPKCS7(binary);
+                return { ...entry, certificate, error: null };
+            } catch (error) {
+                return { ...entry, certificate: null, error: error.message };
+            }
+        });
+    }
+    
+    /**
+     * Signer certificate of a PDF plus what chain validation needs
+     * @param {Buffer} pdfBuffer - PDF file buffer
+     * @returns {Promise<{certificate: Buffer, chainCertificates: Array<Buffer>, signingTime: Date|null,
+     *          signingTimeSource: string|null}>}
+     */
+    static async extractSignerFromPDF(pdfBuffer) {
+        const certificate = await this.extractCertificateFromPDF(pdfBuffer);
+        const entry = this.extractAllCertificatesFromPDF(pdfBuffer)
+            .find(e => e.certificate && e.certificate.equals(certificate));
+        
+        return {
+            certificate,
+            chainCertificates: entry ? entry.chainCertificates : [],
+            signingTime: entry ? entry.signingTime : null,
+            signingTimeSource: entry ? entry.signingTimeSource : null
+        };
+    }
+    
+    /**
+     * Every certificate embedded in a PKCS#7 SignedData (signer and intermediates), DER
+     * @param {string} pkcs7Binary - PKCS#7 signature data
+     * @returns {Array<Buffer>} Empty if the structure cannot be read
+     */
+    static extractAllCertificatesFromPKCS7(pkcs7Binary) {
+        try {
+            // ContentInfo { contentType, [0] SignedData { ..., [0] IMPLICIT certificates, ... } }
+            const contentInfo = forge.asn1.fromDer(pkcs7Binary, { strict: false, decodeBitStrings: false });
+            const signedData = contentInfo.value[1].value[0];
+            const certificates = signedData.value.find(field =>
+                field.tagClass === forge.asn1.Class.CONTEXT_SPECIFIC && field.type === 0);
+            
+            return (certificates ? certificates.value : [])
+                .filter(cert => cert.type === forge.asn1.Type.SEQUENCE)
+                .map(cert => Buffer.from(forge.asn1.toDer(cert).getBytes(), 'binary'));
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * signingTime signed attribute of the (first) SignerInfo in a PKCS#7 SignedData
+     * @param {string} pkcs7Binary - PKCS#7 signature data
+     * @returns {Date|null} Null if absent or unreadable
+     */
+    static extractSigningTimeFromPKCS7(pkcs7Binary) {
+        try {
+            // SignedData { ..., signerInfos SET { SignerInfo { version, sid, digestAlgorithm, [0] IMPLICIT signedAttrs, ... } } }
+            const contentInfo = forge.asn1.fromDer(pkcs7Binary, { strict: false, decodeBitStrings: false });
+            const signedData = contentInfo.value[1].value[0];
+            const signerInfo = signedData.value[signedData.value.length - 1].value[0];
+            const signedAttrs = signerInfo.value.find(field =>
+                field.tagClass === forge.asn1.Class.CONTEXT_SPECIFIC && field.type === 0);
+            if (!signedAttrs) return null;
+            
+            for (const attribute of signedAttrs.value) {
+                const [type, values] = attribute.value;
+                if (forge.asn1.derToOid(type.value) !== SIGNING_TIME_OID) continue;
+                
+                const time = values.value[0];
+                const date = time.type === forge.asn1.Type.UTCTIME
+                    ? forge.asn1.utcTimeToDate(time.value)
+                    : forge.asn1.generalizedTimeToDate(time.value);
+                return isNaN(date.getTime()) ? null : date;
+            }
+            return null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
     /**
      * Extract certificate from PKCS#7 signature data
      * @param {string} pkcs7Binary - PKCS#7 signature data
@@ -185,7 +309,8 @@ class PDFCertificateExtractor {
                 }
             }
             
-            throw new Error('Could not find certificate in ASN.1 structure');
+            // Structure not recognised (e.g. BER indefinite lengths): scan for certificate patterns
+            return this.extractCertificateByPattern(asn1Binary);
             
         } catch (error) {
             throw new Error(`Failed to extract certificate from ASN.1: ${error.message}`);
@@ -602,6 +727,8 @@ class PDFCertificateExtractor {
     }
 }
 
+PDFCertificateExtractor.SIGNING_TIME_SOURCE = SIGNING_TIME_SOURCE;
+
 module.exports = PDFCertificateExtractor;
 
 
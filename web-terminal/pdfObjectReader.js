@@ -0,0 +1,847 @@
+const zlib = require('zlib');
+
+/**
+ * PDF name object (/Type → new PdfName('Type'))
+ */
+class PdfName {
+    constructor(name) {
+        this.name = name;
+    }
+}
+
+/**
+ * Indirect reference (12 0 R)
+ */
+class PdfRef {
+    constructor(num, gen) {
+        this.num = num;
+        this.gen = gen;
+    }
+}
+
+/**
+ * Stream object: dictionary plus raw (still encoded) bytes
+ */
+class PdfStream {
+    constructor(dict, data) {
+        this.dict = dict;
+        this.data = data;
+    }
+}
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIMITERS = new Set([0x28, 0x29, 0x3c, 0x3e, 0x5b, 0x5d, 0x7b, 0x7d, 0x2f, 0x25]);
+
+const isRegular = (byte) => byte !== undefined && !WHITESPACE.has(byte) && !DELIMITERS.has(byte);
+
+/**
+ * Tokenizer / object parser over a byte buffer
+ * Objects: number, boolean, null, Buffer (string), PdfName, PdfRef, Array,
+ * dictionary (plain object keyed by name without the slash), PdfStream
+ */
+class PdfLexer {
+
+    /**
+     * @param {Buffer} buffer
+     * @param {number} position - Start offset
+     */
+    constructor(buffer, position = 0) {
+        this.buffer = buffer;
+        this.pos = position;
+    }
+
+    skipWhitespace() {
+        while (this.pos < this.buffer.length) {
+            const byte = this.buffer[this.pos];
+            if (WHITESPACE.has(byte)) {
+                this.pos++;
+            } else if (byte === 0x25) {
+                // Comment runs to end of line
+                while (this.pos < this.buffer.length && this.buffer[this.pos] !== 0x0a && this.buffer[this.pos] !== 0x0d) {
+                    this.pos++;
+                }
+            } else {
+                break;
+            }
+        }
+    }
+
+    /**
+     * Next keyword / number token without consuming it
+     * @returns {string|null}
+     */
+    peekWord() {
+        const saved = this.pos;
+        const word = this.readWord();
+        this.pos = saved;
+        return word;
+    }
+
+    /**
+     * Read a run of regular characters (number or keyword)
+     * @returns {string|null}
+     */
+    readWord() {
+        this.skipWhitespace();
+        const start = this.pos;
+        while (isRegular(this.buffer[this.pos])) {
+            this.pos++;
+        }
+        return this.pos > start ? this.buffer.toString('latin1', start, this.pos) : null;
+    }
+
+    /**
+     * Read one integer token
+     * @returns {number}
+     */
+    readInt() {
+        const word = this.readWord();
+        if (word === null || !/^[+-]?\d+$/.test(word)) {
+            throw new Error(`Expected integer at offset ${this.pos}, found "${word}"`);
+        }
+        return parseInt(word, 10);
+    }
+
+    /**
+     * Consume an expected keyword
+     * @param {string} keyword
+     */
+    expect(keyword) {
+        const word = this.readWord();
+        if (word !== keyword) {
+            throw new Error(`Expected "${keyword}" at offset ${this.pos}, found "${word}"`);
+        }
+    }
+
+    /**
+     * Parse one direct object (references are returned as PdfRef, not resolved)
+     * @returns {*}
+     */
+    readObject() {
+        this.skipWhitespace();
+        const byte = this.buffer[this.pos];
+
+        if (byte === undefined) {
+            throw new Error('Unexpected end of PDF data');
+        }
+        if (byte === 0x2f) return this.readName();
+        if (byte === 0x28) return this.readLiteralString();
+        if (byte === 0x5b) return this.readArray();
+        if (byte === 0x3c) {
+            return this.buffer[this.pos + 1] === 0x3c ? this.readDictionary() : this.readHexString();
+        }
+
+        const word = this.readWord();
+        if (word === 'true') return true;
+        if (word === 'false') return false;
+        if (word === 'null') return null;
+        if (word === null || !/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+            throw new Error(`Unexpected token "${word || String.fromCharCode(byte)}" at offset ${this.pos}`);
+        }
+
+        // "n g R" is a reference
+        if (/^\d+$/.test(word)) {
+            const saved = this.pos;
+            const gen = this.readWord();
+            if (gen !== null && /^\d+$/.test(gen) && this.readWord() === 'R') {
+                return new PdfRef(parseInt(word, 10), parseInt(gen, 10));
+            }
+            this.pos = saved;
+        }
+        return parseFloat(word);
+    }
+
+    readName() {
+        this.pos++; // '/'
+        const start = this.pos;
+        while (isRegular(this.buffer[this.pos])) {
+            this.pos++;
+        }
+        const raw = this.buffer.toString('latin1', start, this.pos);
+        return new PdfName(raw.replace(/#([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))));
+    }
+
+    readArray() {
+        this.pos++; // '['
+        const items = [];
+        for (;;) {
+            this.skipWhitespace();
+            if (this.buffer[this.pos] === 0x5d) {
+                this.pos++;
+                return items;
+            }
+            items.push(this.readObject());
+        }
+    }
+
+    readDictionary() {
+        this.pos += 2; // '<<'
+        const dict = {};
+        for (;;) {
+            this.skipWhitespace();
+            if (this.buffer[this.pos] === 0x3e && this.buffer[this.pos + 1] === 0x3e) {
+                this.pos += 2;
+                return dict;
+            }
+            const key = this.readObject();
+            if (!(key instanceof PdfName)) {
+                throw new Error(`Dictionary key is not a name at offset ${this.pos}`);
+            }
+            dict[key.name] = this.readObject();
+        }
+    }
+
+    readHexString() {
+        const end = this.buffer.indexOf(0x3e, this.pos);
+        if (end === -1) {
+            throw new Error('Unterminated hex string');
+        }
+        let hex = this.buffer.toString('latin1', this.pos + 1, end).replace(/[^0-9A-Fa-f]/g, '');
+        if (hex.length % 2 === 1) hex += '0';
+        this.pos = end + 1;
+        return Buffer.from(hex, 'hex');
+    }
+
+    readLiteralString() {
+        this.pos++; // '('
+        const bytes = [];
+        let depth = 1;
+        const escapes = { n: 0x0a, r: 0x0d, t: 0x09, b: 0x08, f: 0x0c };
+
+        while (this.pos < this.buffer.length) {
+            const byte = this.buffer[this.pos++];
+            if (byte === 0x5c) {
+                const next = this.buffer[this.pos++];
+                const char = String.fromCharCode(next);
+                if (escapes[char] !== undefined) {
+                    bytes.push(escapes[char]);
+                } else if (next >= 0x30 && next <= 0x37) {
+                    // Up to three octal digits
+                    let octal = char;
+                    while (octal.length < 3 && this.buffer[this.pos] >= 0x30 && this.buffer[this.pos] <= 0x37) {
+                        octal += String.fromCharCode(this.buffer[this.pos++]);
+                    }
+                    bytes.push(parseInt(octal, 8) & 0xff);
+                } else if (next === 0x0d) {
+                    // Line continuation
+                    if (this.buffer[this.pos] === 0x0a) this.pos++;
+                } else if (next !== 0x0a) {
+                    bytes.push(next);
+                }
+            } else if (byte === 0x28) {
+                depth++;
+                bytes.push(byte);
+            } else if (byte === 0x29) {
+                if (--depth === 0) return Buffer.from(bytes);
+                bytes.push(byte);
+            } else {
+                bytes.push(byte);
+            }
+        }
+        throw new Error('Unterminated literal string');
+    }
+}
+
+/**
+ * PDF Object Reader
+ * Reads a PDF at the object level: cross-reference tables and streams
+ * (following /Prev through incremental updates), compressed object streams,
+ * and the AcroForm signature fields.
+ */
+class PdfObjectReader {
+
+    /**
+     * @param {Buffer} buffer - PDF file contents
+     */
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.entries = new Map();      // object number → { offset } | { stream, index }
+        this.cache = new Map();
+        this.trailer = {};
+        this.xrefSections = 0;
+
+        try {
+            this.readCrossReferences();
+        } catch (error) {
+            // Damaged cross-reference data: rebuild the index from "n g obj" markers
+            console.warn(`⚠️  PDF cross-reference unreadable (${error.message}), scanning objects instead`);
+            this.entries.clear();
+            this.scanObjects();
+        }
+
+        if (!this.trailer.Root) {
+            throw new Error('PDF has no document catalog (/Root)');
+        }
+    }
+
+    /**
+     * Load every xref section, newest first (newer revisions win)
+     */
+    readCrossReferences() {
+        const tail = this.buffer.toString('latin1', Math.max(0, this.buffer.length - 2048));
+        const match = /startxref\s+(\d+)\s+%%EOF\s*$/.exec(tail) || /startxref\s+(\d+)(?![\s\S]*startxref)/.exec(tail);
+        if (!match) {
+            throw new Error('startxref not found');
+        }
+
+        const visited = new Set();
+        const pending = [parseInt(match[1], 10)];
+        while (pending.length > 0) {
+            const offset = pending.shift();
+            if (visited.has(offset)) continue;
+            visited.add(offset);
+
+            const trailer = this.readXrefSection(offset);
+            this.xrefSections++;
+
+            // Trailer keys from newer revisions take precedence
+            for (const [key, value] of Object.entries(trailer)) {
+                if (!(key in this.trailer)) this.trailer[key] = value;
+            }
+            // Hybrid files: the /XRefStm of this revision before the older /Prev
+            if (typeof trailer.XRefStm === 'number') pending.unshift(trailer.XRefStm);
+            if (typeof trailer.Prev === 'number') pending.push(trailer.Prev);
+        }
+    }
+
+    /**
+     * Read one xref table ("xref" keyword) or xref stream at an offset
+     * @param {number} offset
+     * @returns {Object} Trailer dictionary
+     */
+    readXrefSection(offset) {
+        const lexer = new PdfLexer(this.buffer, offset);
+        if (lexer.peekWord() === 'xref') {
+            lexer.readWord();
+            return this.readXrefTable(lexer);
+        }
+
+        const stream = this.readIndirectObjectAt(offset).value;
+        if (!(stream instanceof PdfStream) || PdfObjectReader.nameOf(stream.dict.Type) !== 'XRef') {
+            throw new Error(`No cross-reference section at offset ${offset}`);
+        }
+        this.readXrefStream(stream);
+        return stream.dict;
+    }
+
+    /**
+     * Classic table: subsections of "start count" then 20-byte entries, then "trailer << >>"
+     * @param {PdfLexer} lexer - Positioned after "xref"
+     * @returns {Object} Trailer dictionary
+     */
+    readXrefTable(lexer) {
+        while (lexer.peekWord() !== 'trailer') {
+            const start = lexer.readInt();
+            const count = lexer.readInt();
+            for (let i = 0; i < count; i++) {
+                const offset = lexer.readInt();
+                lexer.readInt(); // generation
+                const type = lexer.readWord();
+                if (type === 'n' && !this.entries.has(start + i)) {
+                    this.entries.set(start + i, { offset });
+                } else if (type === 'f' && !this.entries.has(start + i)) {
+                    this.entries.set(start + i, { free: true });
+                }
+            }
+        }
+        lexer.readWord();
+        return lexer.readObject();
+    }
+
+    /**
+     * Cross-reference stream (/Type /XRef, /W, /Index)
+     * @param {PdfStream} stream
+     */
+    readXrefStream(stream) {
+        const data = this.decodeStream(stream);
+        const widths = stream.dict.W;
+        const size = stream.dict.Size;
+        const index = stream.dict.Index || [0, size];
+        const rowLength = widths.reduce((sum, w) => sum + w, 0);
+
+        const field = (row, start, width, fallback) => {
+            if (width === 0) return fallback;
+            let value = 0;
+            for (let i = 0; i < width; i++) {
+                value = value * 256 + data[row + start + i];
+            }
+            return value;
+        };
+
+        let row = 0;
+        for (let s = 0; s < index.length; s += 2) {
+            for (let i = 0; i < index[s + 1]; i++, row += rowLength) {
+                if (row + rowLength > data.length) return;
+                const number = index[s] + i;
+                if (this.entries.has(number)) continue;
+
+                const type = field(row, 0, widths[0], 1);
+                const second = field(row, widths[0], widths[1], 0);
+                const third = field(row, widths[0] + widths[1], widths[2], 0);
+                if (type === 1) {
+                    this.entries.set(number, { offset: second });
+                } else if (type === 2) {
+                    this.entries.set(number, { stream: second, index: third });
+                } else {
+                    this.entries.set(number, { free: true });
+                }
+            }
+        }
+    }
+
+    /**
+     * Rebuild the object index and trailer by scanning for "n g obj" (last definition wins)
+     */
+    scanObjects() {
+        const text = this.buffer.toString('latin1');
+        const objectPattern = /(?:^|[\r\n\s])(\d+)\s+(\d+)\s+obj\b/g;
+        let match;
+        while ((match = objectPattern.exec(text)) !== null) {
+            const offset = match.index + match[0].indexOf(match[1]);
+            this.entries.set(parseInt(match[1], 10), { offset });
+        }
+
+        // Objects packed in object streams (they supersede direct objects defined earlier in the file)
+        const trailers = [];
+        for (const number of [...this.entries.keys()]) {
+            let value;
+            try {
+                value = this.getObject(number);
+            } catch (error) {
+                continue;
+            }
+            if (value instanceof PdfStream && PdfObjectReader.nameOf(value.dict.Type) === 'ObjStm') {
+                const streamOffset = this.entries.get(number).offset;
+                this.readObjectStreamIndex(number, value).forEach(({ objectNumber }, index) => {
+                    const existing = this.entries.get(objectNumber);
+                    if (!existing || (existing.offset !== undefined && existing.offset < streamOffset)) {
+                        this.entries.set(objectNumber, { stream: number, index });
+                    }
+                });
+            }
+            if (value instanceof PdfStream && PdfObjectReader.nameOf(value.dict.Type) === 'XRef') {
+                trailers.push({ offset: this.entries.get(number).offset, dict: value.dict });
+            }
+        }
+
+        // Objects read above may have been superseded
+        this.cache.clear();
+
+        const trailerPattern = /trailer\s*<</g;
+        while ((match = trailerPattern.exec(text)) !== null) {
+            try {
+                const lexer = new PdfLexer(this.buffer, match.index + match[0].length - 2);
+                trailers.push({ offset: match.index, dict: lexer.readObject() });
+            } catch (error) {
+                // Ignore damaged trailers
+            }
+        }
+
+        // Later trailers belong to newer revisions
+        trailers.sort((a, b) => a.offset - b.offset);
+        for (const { dict } of trailers) {
+            this.trailer = { ...this.trailer, ...dict };
+        }
+    }
+
+    /**
+     * Parse "n g obj ... endobj" at an offset
+     * @param {number} offset
+     * @returns {{number: number, generation: number, value: *}}
+     */
+    readIndirectObjectAt(offset) {
+        const lexer = new PdfLexer(this.buffer, offset);
+        const number = lexer.readInt();
+        const generation = lexer.readInt();
+        lexer.expect('obj');
+        let value = lexer.readObject();
+
+        if (value !== null && typeof value === 'object' && !Array.isArray(value) &&
+            !(value instanceof PdfName) && !(value instanceof PdfRef) && !Buffer.isBuffer(value) &&
+            lexer.peekWord() === 'stream') {
+            lexer.readWord();
+            value = new PdfStream(value, this.readStreamData(lexer.pos, value));
+        }
+        return { number, generation, value };
+    }
+
+    /**
+     * Raw stream bytes after the "stream" keyword
+     * @param {number} position - Offset just after "stream"
+     * @param {Object} dict - Stream dictionary
+     * @returns {Buffer}
+     */
+    readStreamData(position, dict) {
+        let start = position;
+        if (this.buffer[start] === 0x0d) start++;
+        if (this.buffer[start] === 0x0a) start++;
+
+        let length = dict.Length;
+        if (length instanceof PdfRef) {
+            try {
+                length = this.resolve(length);
+            } catch (error) {
+                length = null;
+            }
+        }
+
+        const end = start + (typeof length === 'number' ? length : -1);
+        if (typeof length === 'number' && end <= this.buffer.length &&
+            /^\s*endstream/.test(this.buffer.toString('latin1', end, end + 20))) {
+            return this.buffer.subarray(start, end);
+        }
+
+        // Wrong or missing /Length: cut at "endstream"
+        const endstream = this.buffer.indexOf('endstream', start, 'latin1');
+        if (endstream === -1) {
+            throw new Error('Unterminated stream');
+        }
+        let stop = endstream;
+        if (this.buffer[stop - 1] === 0x0a) stop--;
+        if (this.buffer[stop - 1] === 0x0d) stop--;
+        return this.buffer.subarray(start, stop);
+    }
+
+    /**
+     * Decoded stream bytes (FlateDecode with optional PNG/TIFF predictors)
+     * @param {PdfStream} stream
+     * @returns {Buffer}
+     */
+    decodeStream(stream) {
+        const filters = [].concat(this.resolve(stream.dict.Filter) || []).map(f => PdfObjectReader.nameOf(this.resolve(f)));
+        const parms = [].concat(this.resolve(stream.dict.DecodeParms) || []).map(p => this.resolve(p));
+        let data = stream.data;
+
+        filters.forEach((filter, i) => {
+            if (filter !== 'FlateDecode') {
+                throw new Error(`Unsupported stream filter /${filter}`);
+            }
+            data = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+            if (parms[i] && parms[i].Predictor > 1) {
+                data = PdfObjectReader.applyPredictor(data, parms[i]);
+            }
+        });
+        return data;
+    }
+
+    /**
+     * Undo PNG (10-15) row predictors
+     * @param {Buffer} data
+     * @param {Object} parms - /DecodeParms
+     * @returns {Buffer}
+     */
+    static applyPredictor(data, parms) {
+        if (parms.Predictor < 10) {
+            throw new Error(`Unsupported predictor ${parms.Predictor}`);
+        }
+        const colors = parms.Colors || 1;
+        const bits = parms.BitsPerComponent || 8;
+        const columns = parms.Columns || 1;
+        const bpp = Math.max(1, Math.ceil((colors * bits) / 8));
+        const rowLength = Math.ceil((colors * bits * columns) / 8);
+
+        const rows = Math.floor(data.length / (rowLength + 1));
+        const output = Buffer.alloc(rows * rowLength);
+        let previous = Buffer.alloc(rowLength);
+        for (let r = 0; r < rows; r++) {
+            const i = r * (rowLength + 1);
+            const type = data[i];
+            const row = output.subarray(r * rowLength, (r + 1) * rowLength);
+            for (let x = 0; x < rowLength; x++) {
+                const raw = data[i + 1 + x];
+                const left = x >= bpp ? row[x - bpp] : 0;
+                const up = previous[x];
+                const upLeft = x >= bpp ? previous[x - bpp] : 0;
+                let value;
+                if (type === 1) value = raw + left;
+                else if (type === 2) value = raw + up;
+                else if (type === 3) value = raw + Math.floor((left + up) / 2);
+                else if (type === 4) {
+                    const p = left + up - upLeft;
+                    const pa = Math.abs(p - left);
+                    const pb = Math.abs(p - up);
+                    const pc = Math.abs(p - upLeft);
+                    value = raw + (pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft);
+                } else value = raw;
+                row[x] = value & 0xff;
+            }
+            previous = row;
+        }
+        return output;
+    }
+
+    /**
+     * Object numbers and offsets in an object stream header
+     * @param {number} streamNumber
+     * @param {PdfStream} stream
+     * @returns {Array<{objectNumber: number, offset: number}>}
+     */
+    readObjectStreamIndex(streamNumber, stream) {
+        if (!this.cache.has(`objstm:${streamNumber}`)) {
+            const data = this.decodeStream(stream);
+            const lexer = new PdfLexer(data, 0);
+            const index = [];
+            for (let i = 0; i < stream.dict.N; i++) {
+                index.push({ objectNumber: lexer.readInt(), offset: lexer.readInt() });
+            }
+            this.cache.set(`objstm:${streamNumber}`, { data, index });
+        }
+        return this.cache.get(`objstm:${streamNumber}`).index;
+    }
+
+    /**
+     * Indirect object by number (current revision)
+     * @param {number} number
+     * @returns {*} Parsed value (undefined if the object does not exist)
+     */
+    getObject(number) {
+        if (this.cache.has(number)) {
+            return this.cache.get(number);
+        }
+
+        const entry = this.entries.get(number);
+        let value;
+        if (!entry || entry.free) {
+            value = undefined;
+        } else if (entry.stream !== undefined) {
+            const stream = this.getObject(entry.stream);
+            if (!(stream instanceof PdfStream)) {
+                throw new Error(`Object stream ${entry.stream} not found`);
+            }
+            const objectIndex = this.readObjectStreamIndex(entry.stream, stream);
+            const { data } = this.cache.get(`objstm:${entry.stream}`);
+            const item = objectIndex[entry.index] && objectIndex[entry.index].objectNumber === number
+                ? objectIndex[entry.index]
+                : objectIndex.find(o => o.objectNumber === number);
+            if (!item) {
+                throw new Error(`Object ${number} missing from object stream ${entry.stream}`);
+            }
+            value = new PdfLexer(data, stream.dict.First + item.offset).readObject();
+        } else {
+            const object = this.readIndirectObjectAt(entry.offset);
+            if (object.number !== number) {
+                throw new Error(`xref offset for object ${number} points at object ${object.number}`);
+            }
+            value = object.value;
+        }
+
+        this.cache.set(number, value);
+        return value;
+    }
+
+    /**
+     * Follow indirect references
+     * @param {*} value
+     * @returns {*}
+     */
+    resolve(value) {
+        let current = value;
+        for (let depth = 0; current instanceof PdfRef; depth++) {
+            if (depth > 32) {
+                throw new Error('Reference chain too deep');
+            }
+            current = this.getObject(current.num);
+        }
+        return current;
+    }
+
+    /**
+     * Signature dictionaries reached through /Root → /AcroForm → /Fields (→ /Kids) → /V
+     * @returns {Array<{fieldName: string, objectNumber: number|null, dict: Object}>}
+     */
+    getSignatureFields() {
+        const catalog = this.resolve(this.trailer.Root);
+        const acroForm = catalog ? this.resolve(catalog.AcroForm) : null;
+        const fields = acroForm ? this.resolve(acroForm.Fields) || [] : [];
+
+        const found = [];
+        const seen = new Set();
+        const walk = (ref, parentName, inheritedType, depth) => {
+            if (depth > 32) return;
+            if (ref instanceof PdfRef) {
+                if (seen.has(ref.num)) return;
+                seen.add(ref.num);
+            }
+            const field = this.resolve(ref);
+            if (!field || typeof field !== 'object') return;
+
+            const partial = Buffer.isBuffer(field.T) ? PdfObjectReader.decodeText(field.T) : '';
+            const fieldName = partial ? (parentName ? `${parentName}.${partial}` : partial) : parentName;
+            const type = field.FT ? PdfObjectReader.nameOf(field.FT) : inheritedType;
+
+            // A widget kid may repeat its parent's /V: keep one record per signature dictionary
+            const sigNumber = field.V instanceof PdfRef ? field.V.num : null;
+            if (type === 'Sig' && field.V && !(sigNumber !== null && found.some(f => f.objectNumber === sigNumber))) {
+                const dict = this.resolve(field.V);
+                if (dict && typeof dict === 'object' && dict.Contents !== undefined) {
+                    found.push({ fieldName, objectNumber: sigNumber, dict });
+                }
+            }
+            for (const kid of this.resolve(field.Kids) || []) {
+                walk(kid, fieldName, type, depth + 1);
+            }
+        };
+        for (const field of fields) {
+            walk(field, '', null, 0);
+        }
+        return found;
+    }
+
+    /**
+     * Structured signature records, in signing order (by end of the signed ByteRange)
+     * @returns {Array<Object>} { index, fieldName, objectNumber, filter, subFilter, byteRange,
+     *          signingTime, signingTimeRaw, name, reason, location, contactInfo, revision, contents }
+     */
+    getSignatures() {
+        const revisionEnds = PdfObjectReader.revisionEnds(this.buffer);
+
+        const records = this.getSignatureFields().map(({ fieldName, objectNumber, dict }) => {
+            const text = (key) => {
+                const value = this.resolve(dict[key]);
+                return Buffer.isBuffer(value) ? PdfObjectReader.decodeText(value) : null;
+            };
+            const byteRange = (this.resolve(dict.ByteRange) || []).map(n => this.resolve(n));
+            const signedEnd = byteRange.length === 4 ? byteRange[2] + byteRange[3] : null;
+            const contents = this.resolve(dict.Contents);
+            const signingTimeRaw = text('M');
+
+            return {
+                fieldName,
+                objectNumber,
+                filter: PdfObjectReader.nameOf(this.resolve(dict.Filter)),
+                subFilter: PdfObjectReader.nameOf(this.resolve(dict.SubFilter)),
+                byteRange,
+                signingTime: PdfObjectReader.parseDate(signingTimeRaw),
+                signingTimeRaw,
+                name: text('Name'),
+                reason: text('Reason'),
+                location: text('Location'),
+                contactInfo: text('ContactInfo'),
+                // Incremental update (1-based) whose %%EOF the signature covers
+                revision: signedEnd === null ? null : revisionEnds.filter(end => end < signedEnd).length + 1,
+                contents: Buffer.isBuffer(contents) ? PdfObjectReader.trimDer(contents) : Buffer.alloc(0)
+            };
+        });
+
+        const signedEnd = (record) => (record.byteRange.length === 4 ? record.byteRange[2] + record.byteRange[3] : 0);
+        records.sort((a, b) => signedEnd(a) - signedEnd(b));
+        return records.map((record, i) => ({ index: i + 1, ...record }));
+    }
+
+    /**
+     * Offsets just past each "%%EOF" marker (end of each revision)
+     * @param {Buffer} buffer
+     * @returns {Array<number>}
+     */
+    static revisionEnds(buffer) {
+        const ends = [];
+        let position = buffer.indexOf('%%EOF', 0, 'latin1');
+        while (position !== -1) {
+            ends.push(position + 5);
+            position = buffer.indexOf('%%EOF', position + 5, 'latin1');
+        }
+        return ends;
+    }
+
+    /**
+     * Drop the zero padding after the CMS structure (/Contents is reserved larger than the signature)
+     * @param {Buffer} data
+     * @returns {Buffer}
+     */
+    static trimDer(data) {
+        try {
+            const end = PdfObjectReader.berEnd(data, 0);
+            return end <= data.length ? data.subarray(0, end) : data;
+        } catch (error) {
+            return data;
+        }
+    }
+
+    /**
+     * Offset just past the BER element starting at offset (definite or indefinite length)
+     * @param {Buffer} data
+     * @param {number} offset
+     * @returns {number}
+     */
+    static berEnd(data, offset) {
+        let position = offset + 1;
+        if ((data[offset] & 0x1f) === 0x1f) {
+            // High tag number
+            while (data[position] & 0x80) position++;
+            position++;
+        }
+
+        const lengthByte = data[position++];
+        if (lengthByte === undefined) {
+            throw new Error('Truncated BER element');
+        }
+        if (lengthByte === 0x80) {
+            // Indefinite length: children until the 00 00 end-of-contents marker
+            while (!(data[position] === 0x00 && data[position + 1] === 0x00)) {
+                if (position >= data.length) throw new Error('Missing end-of-contents');
+                position = PdfObjectReader.berEnd(data, position);
+            }
+            return position + 2;
+        }
+
+        let length = lengthByte;
+        if (lengthByte & 0x80) {
+            const octets = lengthByte & 0x7f;
+            if (octets > 4) throw new Error('BER length too large');
+            length = 0;
+            for (let i = 0; i < octets; i++) {
+                length = length * 256 + data[position++];
+            }
+        }
+        return position + length;
+    }
+
+    /**
+     * PDF text string → JS string (UTF-16BE with BOM, UTF-8 with BOM, else PDFDocEncoding ≈ latin1)
+     * @param {Buffer} bytes
+     * @returns {string}
+     */
+    static decodeText(bytes) {
+        if (bytes.length >= 2 && bytes[0] === 0xfe && bytes[1] === 0xff) {
+            const body = Buffer.from(bytes.subarray(2, bytes.length - (bytes.length % 2)));
+            return body.swap16().toString('utf16le');
+        }
+        if (bytes.length >= 3 && bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+            return bytes.toString('utf8', 3);
+        }
+        return bytes.toString('latin1');
+    }
+
+    /**
+     * PDF date (D:YYYYMMDDHHmmSSOHH'mm') → Date
+     * @param {string|null} value
+     * @returns {Date|null}
+     */
+    static parseDate(value) {
+        const match = /^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Zz+-])?(\d{2})?'?(\d{2})?/.exec(String(value || '').trim());
+        if (!match) return null;
+
+        const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', sign, offsetHour = '00', offsetMinute = '00'] = match;
+        let time = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+        if (sign === '+' || sign === '-') {
+            const offset = (+offsetHour * 60 + +offsetMinute) * 60000;
+            time += sign === '+' ? -offset : offset;
+        }
+        // No zone given: treat as UTC
+        return Number.isNaN(time) ? null : new Date(time);
+    }
+
+    /**
+     * @param {*} value
+     * @returns {string|null} Name without the slash
+     */
+    static nameOf(value) {
+        return value instanceof PdfName ? value.name : null;
+    }
+}
+
+PdfObjectReader.PdfName = PdfName;
+PdfObjectReader.PdfRef = PdfRef;
+PdfObjectReader.PdfStream = PdfStream;
+
+module.exports = PdfObjectReader;
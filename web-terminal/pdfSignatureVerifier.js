@@ -0,0 +1,317 @@
+const crypto = require('crypto');
+const forge = require('node-forge');
+const PDFCertificateExtractor = require('./pdfCertificateExtractor');
+
+const OID = {
+    signedData: '1.2.840.113549.1.7.2',
+    data: '1.2.840.113549.1.7.1',
+    messageDigest: '1.2.840.113549.1.9.4',
+    rsaEncryption: '1.2.840.113549.1.1.1',
+    ecPublicKey: '1.2.840.10045.2.1'
+};
+
+/**
+ * Digest algorithm OIDs (digestAlgorithm, or implied by signatureAlgorithm) → Node hash name
+ */
+const DIGESTS = {
+    '1.3.14.3.2.26': 'sha1',
+    '2.16.840.1.101.3.4.2.1': 'sha256',
+    '2.16.840.1.101.3.4.2.2': 'sha384',
+    '2.16.840.1.101.3.4.2.3': 'sha512',
+    '1.2.840.113549.1.1.5': 'sha1',
+    '1.2.840.113549.1.1.11': 'sha256',
+    '1.2.840.113549.1.1.12': 'sha384',
+    '1.2.840.113549.1.1.13': 'sha512',
+    '1.2.840.10045.4.1': 'sha1',
+    '1.2.840.10045.4.3.2': 'sha256',
+    '1.2.840.10045.4.3.3': 'sha384',
+    '1.2.840.10045.4.3.4': 'sha512'
+};
+
+const STATUS = {
+    VALID: 'valid',
+    INVALID: 'invalid',
+    PARTIAL: 'partial-coverage'
+};
+
+/**
+ * PDF Signature Verifier
+ * Checks that each PDF signature is genuine and what part of the file it covers:
+ *   1. digest over the /ByteRange == CMS messageDigest signed attribute
+ *   2. signer's signature over the signed attributes verifies with the signer certificate
+ *   3. /ByteRange covers the whole file (else later incremental updates are unsigned)
+ */
+class PdfSignatureVerifier {
+
+    /**
+     * Verify every signature in a PDF
+     * @param {Buffer} pdfBuffer - PDF file buffer
+     * @returns {{status: string, reason: string, signatures: Array<Object>}}
+     *          status: 'valid' | 'invalid' | 'partial-coverage' (overall, for the PDF)
+     */
+    static verifyPdf(pdfBuffer) {
+        let records;
+        try {
+            records = PDFCertificateExtractor.extractSignatures(pdfBuffer);
+        } catch (error) {
+            return { status: STATUS.INVALID, reason: error.message, signatures: [] };
+        }
+
+        if (records.length === 0) {
+            return { status: STATUS.INVALID, reason: 'PDF is not digitally signed', signatures: [] };
+        }
+
+        const signatures = records.map(record => this.verifySignature(pdfBuffer, record));
+
+        const invalid = signatures.filter(sig => sig.status === STATUS.INVALID);
+        if (invalid.length > 0) {
+            return {
+                status: STATUS.INVALID,
+                reason: invalid.map(sig => `Signature ${sig.index}: ${sig.errors.join('; ')}`).join(' | '),
+                signatures
+            };
+        }
+
+        // Earlier signatures never cover later signers' revisions; what matters is the last one
+        const last = signatures[signatures.length - 1];
+        if (!last.coversWholeFile) {
+            return {
+                status: STATUS.PARTIAL,
+                reason: `${last.unsignedBytes} byte(s) appended after the last signature (signature ${last.index})`,
+                signatures
+            };
+        }
+
+        return { status: STATUS.VALID, reason: `${signatures.length} signature(s) verified`, signatures };
+    }
+
+    /**
+     * Verify one signature record (from PDFCertificateExtractor.extractSignatures)
+     * @param {Buffer} pdfBuffer - PDF file buffer
+     * @param {Object} record - Signature record
+     * @returns {Object} { index, fieldName, status, digestAlgorithm, digestMatches, signatureValid,
+     *          coversWholeFile, unsignedBytes, signerCertificate (DER Buffer|null), errors }
+     */
+    static verifySignature(pdfBuffer, record) {
+        const result = {
+            index: record.index,
+            fieldName: record.fieldName,
+            status: STATUS.INVALID,
+            digestAlgorithm: null,
+            digestMatches: false,
+            signatureValid: false,
+            coversWholeFile: false,
+            unsignedBytes: 0,
+            signerCertificate: null,
+            errors: []
+        };
+
+        try {
+            const signedData = this.checkByteRange(pdfBuffer, record.byteRange);
+            result.coversWholeFile = signedData.end === pdfBuffer.length;
+            result.unsignedBytes = pdfBuffer.length - signedData.end;
+
+            const cms = this.parseCms(record.contents);
+            result.digestAlgorithm = cms.digestAlgorithm;
+            result.signerCertificate = cms.certificate;
+
+            // adbe.pkcs7.sha1: the encapsulated content is the SHA-1 of the byte range
+            let content = signedData.bytes;
+            if (record.subFilter === 'adbe.pkcs7.sha1') {
+                const documentDigest = crypto.createHash('sha1').update(signedData.bytes).digest();
+                if (!cms.content || !documentDigest.equals(cms.content)) {
+                    result.errors.push('Document digest does not match the signed content');
+                }
+                content = cms.content || Buffer.alloc(0);
+            }
+
+            const digest = crypto.createHash(cms.digestAlgorithm).update(content).digest();
+            if (cms.signedAttributes) {
+                result.digestMatches = cms.messageDigest !== null && digest.equals(cms.messageDigest);
+                if (!result.digestMatches) {
+                    result.errors.push('ByteRange digest does not match the CMS messageDigest (document was modified)');
+                }
+                result.signatureValid = this.verifySignerSignature(cms, cms.signedAttributes);
+            } else {
+                // No signed attributes: the signature is directly over the content
+                result.digestMatches = true;
+                result.signatureValid = this.verifySignerSignature(cms, content);
+            }
+            if (!result.signatureValid) {
+                result.errors.push('Signer signature does not verify with the signer certificate');
+            }
+        } catch (error) {
+            result.errors.push(error.message);
+        }
+
+        if (result.errors.length === 0) {
+            result.status = result.coversWholeFile ? STATUS.VALID : STATUS.PARTIAL;
+        }
+        return result;
+    }
+
+    /**
+     * Validate a /ByteRange and concatenate the signed bytes
+     * @param {Buffer} pdfBuffer
+     * @param {Array<number>} byteRange - [offset1, length1, offset2, length2]
+     * @returns {{bytes: Buffer, end: number}}
+     */
+    static checkByteRange(pdfBuffer, byteRange) {
+        if (!Array.isArray(byteRange) || byteRange.length !== 4 || byteRange.some(n => !Number.isInteger(n) || n < 0)) {
+            throw new Error(`Malformed /ByteRange [${(byteRange || []).join(' ')}]`);
+        }
+
+        const [start1, length1, start2, length2] = byteRange;
+        const end = start2 + length2;
+        if (start1 !== 0 || start2 < start1 + length1 || end > pdfBuffer.length) {
+            throw new Error(`/ByteRange [${byteRange.join(' ')}] is outside the file (${pdfBuffer.length} bytes)`);
+        }
+
+        // The only unsigned gap must be the /Contents hex string itself
+        if (pdfBuffer[start1 + length1] !== 0x3c || pdfBuffer[start2 - 1] !== 0x3e) {
+            throw new Error('/ByteRange gap is not the /Contents value');
+        }
+
+        return {
+            bytes: Buffer.concat([pdfBuffer.subarray(start1, start1 + length1), pdfBuffer.subarray(start2, end)]),
+            end
+        };
+    }
+
+    /**
+     * Pull what verification needs out of a CMS SignedData blob
+     * @param {Buffer} contents - Raw CMS
+     * @returns {Object} { digestAlgorithm, messageDigest, signedAttributes (DER, SET-tagged),
+     *          signatureAlgorithm, signature, certificate (DER), content }
+     */
+    static parseCms(contents) {
+        const asn1 = forge.asn1.fromDer(contents.toString('binary'), { strict: false, decodeBitStrings: false });
+        const children = (node) => (Array.isArray(node.value) ? node.value : []);
+
+        const [contentType, wrapper] = children(asn1);
+        if (!contentType || forge.asn1.derToOid(contentType.value) !== OID.signedData || !wrapper) {
+            throw new Error('CMS is not SignedData');
+        }
+
+        const signedData = children(wrapper)[0];
+        const fields = children(signedData);
+        const encapsulated = fields[2];
+        const certificates = fields.find(f => f.tagClass === forge.asn1.Class.CONTEXT_SPECIFIC && f.type === 0);
+        const signerInfos = fields[fields.length - 1];
+        const signerInfo = children(signerInfos)[0];
+        if (!signerInfo) {
+            throw new Error('CMS has no SignerInfo');
+        }
+
+        const info = children(signerInfo);
+        const [, sid, digestAlgorithm] = info;
+        const signedAttrs = info.find(f => f.tagClass === forge.asn1.Class.CONTEXT_SPECIFIC && f.type === 0) || null;
+        const afterAttrs = signedAttrs ? info.indexOf(signedAttrs) + 1 : 3;
+        const signatureAlgorithm = info[afterAttrs];
+        const signature = info[afterAttrs + 1];
+
+        const digestOid = forge.asn1.derToOid(children(digestAlgorithm)[0].value);
+        const digestName = DIGESTS[digestOid];
+        if (!digestName) {
+            throw new Error(`Unsupported digest algorithm ${digestOid}`);
+        }
+
+        let messageDigest = null;
+        let signedAttributes = null;
+        if (signedAttrs) {
+            for (const attribute of children(signedAttrs)) {
+                const [type, values] = children(attribute);
+                if (forge.asn1.derToOid(type.value) === OID.messageDigest) {
+                    messageDigest = Buffer.from(children(values)[0].value, 'binary');
+                }
+            }
+            // Signed attributes are signed as an explicit SET OF, not as the [0] IMPLICIT field
+            const der = Buffer.from(forge.asn1.toDer(signedAttrs).getBytes(), 'binary');
+            der[0] = 0x31;
+            signedAttributes = der;
+        }
+
+        // Encapsulated content (present only for adbe.pkcs7.sha1)
+        let content = null;
+        const eContent = children(encapsulated)[1];
+        if (eContent && children(eContent)[0]) {
+            const octets = children(eContent)[0];
+            content = Buffer.from(Array.isArray(octets.value)
+                ? octets.value.map(part => part.value).join('')
+                : octets.value, 'binary');
+        }
+
+        return {
+            digestAlgorithm: digestName,
+            messageDigest,
+            signedAttributes,
+            signatureAlgorithm: forge.asn1.derToOid(children(signatureAlgorithm)[0].value),
+            signature: Buffer.from(signature.value, 'binary'),
+            certificate: this.findSignerCertificate(certificates ? children(certificates) : [], sid),
+            content
+        };
+    }
+
+    /**
+     * Certificate whose issuer serial number matches the SignerInfo sid (first one otherwise)
+     * @param {Array<Object>} certificates - ASN.1 certificate nodes
+     * @param {Object} sid - SignerIdentifier ASN.1 node
+     * @returns {Buffer} Certificate DER
+     */
+    static findSignerCertificate(certificates, sid) {
+        if (certificates.length === 0) {
+            throw new Error('CMS carries no signer certificate');
+        }
+        const ders = certificates.map(cert => Buffer.from(forge.asn1.toDer(cert).getBytes(), 'binary'));
+
+        // IssuerAndSerialNumber: SEQUENCE { issuer, serialNumber }
+        const serialNode = sid && Array.isArray(sid.value) && sid.value[1];
+        if (serialNode && serialNode.type === forge.asn1.Type.INTEGER) {
+            const serial = forge.util.bytesToHex(serialNode.value).replace(/^0+/, '').toUpperCase();
+            const match = ders.find(der => {
+                try {
+                    return new crypto.X509Certificate(der).serialNumber.replace(/^0+/, '').toUpperCase() === serial;
+                } catch (error) {
+                    return false;
+                }
+            });
+            if (match) return match;
+        }
+        return ders[0];
+    }
+
+    /**
+     * Verify the signer's signature over data (signed attributes or content)
+     * @param {Object} cms - parseCms() result
+     * @param {Buffer} data
+     * @returns {boolean}
+     */
+    static verifySignerSignature(cms, data) {
+        const certificate = new crypto.X509Certificate(cms.certificate);
+        const keyType = certificate.publicKey.asymmetricKeyType;
+        const hash = DIGESTS[cms.signatureAlgorithm] || cms.digestAlgorithm;
+
+        if (keyType === 'rsa') {
+            // PKCS#1 v1.5 with node-forge
+            const forgeCert = forge.pki.certificateFromAsn1(forge.asn1.fromDer(cms.certificate.toString('binary')));
+            const md = forge.md[hash].create();
+            md.update(data.toString('binary'));
+            try {
+                return forgeCert.publicKey.verify(md.digest().getBytes(), cms.signature.toString('binary'));
+            } catch (error) {
+                return false;
+            }
+        }
+
+        if (keyType === 'ec') {
+            // node-forge has no ECDSA support (Aadhaar eSign certificates use EC keys)
+            return crypto.verify(hash, data, certificate.publicKey, cms.signature);
+        }
+
+        throw new Error(`Unsupported signer key type ${keyType}`);
+    }
+}
+
+PdfSignatureVerifier.STATUS = STATUS;
+
+module.exports = PdfSignatureVerifier;
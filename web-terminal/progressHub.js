@@ -0,0 +1,166 @@
+const EventEmitter = require('events');
+
+// Browser-chosen channel ids (the terminal subscribes before it starts the request)
+const CHANNEL_ID = /^[\w-]{8,64}$/;
+
+// Finished or never-used channels are forgotten after this long
+const CHANNEL_TTL_MS = 10 * 60 * 1000;
+
+// Comment lines keep proxies from closing an idle stream
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Progress Channel
+ * Numbered progress events ({ seq, at, type, ... }) of one long-running operation, kept so a
+ * subscriber that connects late (or reconnects) gets the history first. Emits 'event' for each one.
+ */
+class ProgressChannel extends EventEmitter {
+
+    /**
+     * @param {string} id
+     */
+    constructor(id) {
+        super();
+        this.id = id;
+        this.events = [];
+        this.finished = false;
+        this.touchedAt = Date.now();
+    }
+
+    /**
+     * Record a progress event and notify subscribers
+     * @param {string} type
+     * @param {Object} details
+     * @returns {Object} The event
+     */
+    publish(type, details = {}) {
+        const event = { seq: this.events.length + 1, at: new Date().toISOString(), type, ...details };
+        this.events.push(event);
+        this.touchedAt = Date.now();
+        this.emit('event', event);
+        return event;
+    }
+
+    /**
+     * Publish the final event; subscribers' streams end after it
+     * @param {string} type
+     * @param {Object} details
+     */
+    close(type = 'done', details = {}) {
+        if (this.isFinished()) return;
+        this.finished = true;
+        this.publish(type, details);
+    }
+
+    /**
+     * Events after a sequence number (for polling and stream replay)
+     * @param {number} seq
+     * @returns {Array<Object>}
+     */
+    eventsSince(seq = 0) {
+        return this.events.filter(event => event.seq > seq);
+    }
+
+    isFinished() {
+        return this.finished;
+    }
+
+    /**
+     * Send the channel as Server-Sent Events: history after Last-Event-ID (or ?since), then live
+     * events; the response ends with the channel's final event
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    stream(req, res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        const send = (event) => {
+            res.write(`id: ${event.seq}\ndata: ${JSON.stringify(event)}\n\n`);
+            if (this.isFinished() && event.seq === this.events.length) {
+                res.end();
+            }
+        };
+
+        const since = Number(req.get('Last-Event-ID') || req.query.since || 0) || 0;
+        this.eventsSince(since).forEach(send);
+        if (this.isFinished()) {
+            return res.end();
+        }
+
+        const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+        this.on('event', send);
+        res.on('close', () => {
+            clearInterval(heartbeat);
+            this.off('event', send);
+        });
+    }
+}
+
+/**
+ * Progress Hub
+ * Channels for request-scoped progress (fix-sheet generation, PDF batches) streamed to the
+ * terminal over Server-Sent Events. The terminal picks the id, opens the stream, then sends the
+ * request with ?progressId=<id>; whichever arrives first creates the channel.
+ */
+class ProgressHub {
+
+    constructor() {
+        this.channels = new Map();
+    }
+
+    /**
+     * Channel for an id, created if needed
+     * @param {string} id
+     * @returns {ProgressChannel}
+     * @throws {Error} On an invalid id
+     */
+    open(id) {
+        if (!ProgressHub.isValidId(id)) {
+            throw new Error('Invalid progress id (8-64 letters, digits, - or _)');
+        }
+        this.prune();
+        let channel = this.channels.get(id);
+        if (!channel) {
+            channel = new ProgressChannel(id);
+            this.channels.set(id, channel);
+        }
+        return channel;
+    }
+
+    /**
+     * Channel for a request's ?progressId, or null when the caller did not ask for progress
+     * @param {Object} req - Express request
+     * @returns {ProgressChannel|null}
+     */
+    forRequest(req) {
+        const id = req.query.progressId;
+        return id && ProgressHub.isValidId(id) ? this.open(id) : null;
+    }
+
+    /**
+     * Forget channels that finished (or went unused) more than CHANNEL_TTL_MS ago
+     */
+    prune() {
+        const cutoff = Date.now() - CHANNEL_TTL_MS;
+        for (const [id, channel] of this.channels) {
+            if (channel.touchedAt < cutoff && (channel.isFinished() || channel.listenerCount('event') === 0)) {
+                this.channels.delete(id);
+            }
+        }
+    }
+
+    /**
+     * @param {string} id
+     * @returns {boolean}
+     */
+    static isValidId(id) {
+        return CHANNEL_ID.test(String(id || ''));
+    }
+}
+
+ProgressHub.ProgressChannel = ProgressChannel;
+
+module.exports = ProgressHub;
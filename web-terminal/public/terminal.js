@@ -1,7 +1,9 @@
 // Terminal state - matches main.sh workflow exactly
 const state = {
-    step: 'start', // start, credentials, connected, epak_input, epak_loaded, building_ops, preview, executing
+    step: 'start', // login, start, credentials, connected, epak_input, epak_loaded, building_ops, preview, executing
+    user: null, // Logged-in operator { username, role }
     dbConfig: null,
+    dbProfile: null, // Profile of the connection { name, environment, label, ... } (null: untagged)
     epakId: null,
     documentId: null,
     signerId: null,
@@ -11,9 +13,13 @@ const state = {
     history: [],
     historyIndex: -1,
     currentBatchName: null, // Track current batch for auto-move to processed
-    awaitingPrompt: false // Flag to prevent command execution during prompts
+    awaitingPrompt: false, // Flag to prevent command execution during prompts
+    timestamps: new TimestampService('UTC', 'default (not connected)') // Replaced by the DB time zone on connect
 };
 
+// Dry-run preview: statements touching more rows than this are highlighted
+const LARGE_CHANGE_THRESHOLD = 10;
+
 // DOM elements
 const terminal = document.getElementById('terminal');
 const commandInput = document.getElementById('command-input');
@@ -24,9 +30,40 @@ const certBtn = document.getElementById('cert-btn');
 const fileInput = document.getElementById('file-input');
 const certInput = document.getElementById('cert-input');
 const statusDiv = document.getElementById('status');
+const envBanner = document.getElementById('env-banner');
 
 // Initialize
-window.addEventListener('load', () => {
+window.addEventListener('load', async () => {
+    loadCommandHistory();
+    commandInput.focus();
+    
+    // Every operator logs in first; the server decides what their role may do
+    try {
+        const response = await fetch('/api/me');
+        const data = await response.json();
+        state.user = data.user;
+    } catch (error) {
+        printError(`Server unavailable: ${error.message}`);
+    }
+    if (state.user) {
+        showStartup();
+    } else {
+        showLogin();
+    }
+});
+
+// Login banner (shown until the operator logs in)
+function showLogin() {
+    state.step = 'login';
+    printHeader('EPak Completion Script - Support Team Tool');
+    printInfo('Log in with your operator account:');
+    print('Command: login <username>');
+    print('');
+}
+
+// Startup after login: saved credentials or the connect prompt
+function showStartup() {
+    statusDiv.title = `Logged in as ${state.user.username} (${state.user.role})`;
     // Try to load saved credentials
     const savedCreds = loadSavedCredentials();
     if (savedCreds) {
@@ -34,10 +71,14 @@ window.addEventListener('load', () => {
         printInfo('Loading database credentials...');
         print('');
         printSuccess('Using saved credentials');
-        print(`  Host: ${savedCreds.host}`);
-        print(`  Database: ${savedCreds.database}`);
-        print(`  User: ${savedCreds.user}`);
-        print(`  Password: ••••••••`);
+        if (savedCreds.profile) {
+            print(`  Profile: ${savedCreds.profile}`);
+        } else {
+            print(`  Host: ${savedCreds.host}`);
+            print(`  Database: ${savedCreds.database}`);
+            print(`  User: ${savedCreds.user}`);
+            print(savedCreds.password ? '  Password: •••••••• (moving to the server vault)' : '  Password: kept in the server vault');
+        }
         print('');
         print('Would you like to:', 'bold');
         print('  1. Continue with these credentials');
@@ -50,9 +91,7 @@ window.addEventListener('load', () => {
     } else {
         printWelcome();
     }
-    loadCommandHistory();
-    commandInput.focus();
-});
+}
 
 // Print functions - matching main.sh colors
 function print(text, className = '') {
@@ -156,32 +195,212 @@ function printWelcome() {
     print('');
     state.step = 'credentials';
     printInfo('Enter database credentials:');
-    print('Command: connect <host> <user> <password> <database>');
-    print('Example: connect localhost msb mypass msb');
+    print('Command: connect <profile>  or  connect <host> <user> <password> <database>');
+    print('Example: connect uat  or  connect localhost msb mypass msb');
+    print('Type "profiles" to list the profiles defined on the server');
+    print('');
+}
+
+// Log in: the password is read with a masked prompt and never enters the command history
+async function handleLogin(username) {
+    if (!username) {
+        printError('Usage: login <username>');
+        return;
+    }
+    
+    const password = await promptPassword('Password:');
+    const response = await fetch('/api/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    });
+    const result = await response.json();
+    
+    if (!result.success) {
+        printError(result.error);
+        return;
+    }
+    
+    state.user = result.user;
+    printSuccess(`Logged in as ${result.user.username} (${result.user.role})`);
+    if (state.step === 'login') {
+        showStartup();
+    }
+}
+
+async function handleLogout() {
+    await fetch('/api/logout', { method: 'POST' });
+    state.user = null;
+    statusDiv.title = '';
+    showDisconnected();
+    printSuccess('Logged out');
+    showLogin();
+}
+
+// Close this session's database connection (other operators' connections are separate)
+async function handleDisconnect() {
+    const response = await fetch('/api/disconnect', { method: 'POST' });
+    const result = await response.json();
+    if (!result.success) {
+        printError(result.error);
+        return;
+    }
+    showDisconnected();
+    printSuccess(result.message);
+    print('');
+    state.step = 'credentials';
+    printInfo('Enter database credentials:');
+    print('Command: connect <profile>  or  connect <host> <user> <password> <database>');
+}
+
+function showDisconnected() {
+    state.dbConfig = null;
+    state.dbProfile = null;
+    statusDiv.textContent = 'Not connected';
+    statusDiv.classList.remove('connected');
+    envBanner.hidden = true;
+}
+
+// Status line and environment banner for a successful /api/connect
+function showConnected(result) {
+    state.dbProfile = result.profile || null;
+    const profile = state.dbProfile;
+    statusDiv.textContent = profile
+        ? `Connected: ${result.database} [${profile.name} · ${profile.environment}]`
+        : `Connected: ${result.database}`;
+    statusDiv.classList.add('connected');
+    
+    const production = Boolean(profile) && profile.environment === 'production';
+    envBanner.hidden = !production;
+    if (production) {
+        envBanner.textContent = `PRODUCTION - ${profile.label} (${profile.name})` +
+            (profile.readOnlyUnlessApproved ? ' - read-only except approved batches' : '');
+        print('');
+        print('████████████████████████████████████████████████████████████████', 'error bold');
+        print(`  PRODUCTION: ${profile.label} (${profile.name})`, 'error bold');
+        print('  Every write asks you to type the profile name to confirm', 'error');
+        if (profile.readOnlyUnlessApproved) {
+            print('  Read-only except for approved batch runs', 'error');
+        }
+        print('████████████████████████████████████████████████████████████████', 'error bold');
+    }
+}
+
+// Ask for the profile name before writing to production.
+// Returns the name to send as confirmProfile, null when no confirmation is needed, false if refused.
+async function confirmProductionWrites(action) {
+    const profile = state.dbProfile;
+    if (!profile || profile.environment !== 'production') {
+        return null;
+    }
     print('');
+    printWarning(`${action} will write to PRODUCTION: ${profile.label}`);
+    const answer = await promptUser(`Type the profile name (${profile.name}) to confirm:`, '');
+    if (answer !== profile.name) {
+        printInfo('Not confirmed - nothing was written');
+        return false;
+    }
+    return profile.name;
+}
+
+// List the database profiles defined on the server
+async function handleListProfiles() {
+    const response = await fetch('/api/profiles');
+    const result = await response.json();
+    if (!result.success) {
+        printError(result.error);
+        return;
+    }
+    if (result.profiles.length === 0) {
+        printInfo('No database profiles defined (web-terminal/db-profiles.json)');
+        return;
+    }
+    printTable(result.profiles.map(profile => ({
+        profile: profile.name,
+        environment: profile.environment,
+        label: profile.label,
+        database: `${profile.user ? `${profile.user}@` : ''}${profile.host}/${profile.database}`,
+        writes: profile.environment !== 'production'
+            ? 'allowed'
+            : (profile.readOnlyUnlessApproved ? 'approved batches only' : 'confirm each')
+    })));
+    print('Connect with: connect <profile>');
+}
+
+function handleWhoAmI() {
+    if (!state.user) {
+        printInfo('Not logged in (login <username>)');
+        return;
+    }
+    printInfo(`${state.user.username} (${state.user.role})`);
+}
+
+// Prompt with the input masked while the answer is typed
+async function promptPassword(message) {
+    commandInput.type = 'password';
+    try {
+        return await promptUser(message, '');
+    } finally {
+        commandInput.type = 'text';
+    }
 }
 
 // Credential storage functions
-function saveCredentials(host, user, password, database) {
-    const creds = { host, user, password, database };
+// The password stays in the server's encrypted vault; the browser keeps only its reference
+function saveCredentials(credentialRef, host, user, database) {
+    const creds = { credentialRef, host, user, database };
     localStorage.setItem('epak_credentials', JSON.stringify(creds));
-    printSuccess('Credentials saved for future use');
+    printSuccess('Credentials saved for future use (password kept in the server vault)');
+}
+
+// Profiles keep their password on the server; only the name is remembered
+function saveProfile(profile) {
+    localStorage.setItem('epak_credentials', JSON.stringify({ profile }));
+    printSuccess(`Profile ${profile} saved for next time`);
 }
 
 function loadSavedCredentials() {
     try {
         const saved = localStorage.getItem('epak_credentials');
-        return saved ? JSON.parse(saved) : null;
+        const creds = saved ? JSON.parse(saved) : null;
+        if (creds && creds.password) {
+            // Saved by an older version with the password in plain text: keep it in memory only,
+            // until the next connect moves it to the server vault
+            localStorage.removeItem('epak_credentials');
+        }
+        return creds;
     } catch (e) {
         return null;
     }
 }
 
 function clearSavedCredentials() {
+    const creds = loadSavedCredentials();
     localStorage.removeItem('epak_credentials');
+    if (creds && creds.credentialRef) {
+        // Remove the password from the server vault too
+        fetch('/api/credentials/forget', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ credentialRef: creds.credentialRef })
+        }).catch(() => {});
+    }
     printSuccess('Credentials cleared');
 }
 
+/**
+ * Connection settings kept in the terminal's state (never the password)
+ * @param {Object} result - /api/connect response
+ * @param {Object} request - { profile } or { host, user, database }
+ * @returns {Object}
+ */
+function connectedConfig(result, request) {
+    if (request.profile) {
+        return { profile: request.profile };
+    }
+    return { credentialRef: result.credentialRef, host: request.host, user: request.user, database: request.database };
+}
+
 // Command history storage functions
 function saveCommandHistory() {
     try {
@@ -253,6 +472,33 @@ async function executeCommand(cmd) {
     const args = parts.slice(1);
 
     try {
+        // Account commands work at every step
+        if (command === 'login') {
+            await handleLogin(args[0]);
+            print('');
+            return;
+        }
+        if (command === 'logout') {
+            await handleLogout();
+            print('');
+            return;
+        }
+        if (command === 'whoami') {
+            handleWhoAmI();
+            print('');
+            return;
+        }
+        if (state.step === 'login') {
+            printError('Please log in first: login <username>');
+            print('');
+            return;
+        }
+        if (command === 'approve') {
+            await handleApproveBatch(args[0], args.slice(1).join(' '));
+            print('');
+            return;
+        }
+        
         switch (state.step) {
             case 'confirm_creds':
                 if (cmd.trim() === '' || cmd.trim() === '1') {
@@ -270,8 +516,10 @@ async function executeCommand(cmd) {
             case 'credentials':
                 if (command === 'connect') {
                     await handleConnect(args);
+                } else if (command === 'profiles') {
+                    await handleListProfiles();
                 } else {
-                    printError('Please connect first: connect <host> <user> <password> <database>');
+                    printError('Please connect first: connect <profile>  or  connect <host> <user> <password> <database>');
                 }
                 break;
 
@@ -298,9 +546,8 @@ async function executeCommand(cmd) {
                     printInfo('Enter the directory path containing signed PDFs:');
                     print('');
                     print('Examples:');
-                    print('  - Relative: signed_pdfs/');
-                    print('  - Absolute: /Users/username/Documents/signed_files');
-                    print('  - Windows: C:\\Users\\username\\Documents\\signed_files');
+                    print('  - Relative: data-source/corrupted-epaks/to-process/batch-1/');
+                    print('  - Absolute: a folder inside data-source or listed in EPAK_INPUT_DIRS on the server');
                     print('');
                     print('Type the path and press Enter:');
                     print('');
@@ -325,6 +572,27 @@ async function executeCommand(cmd) {
                 } else if (command === 'execute') {
                     printError('Usage: execute <batch-name>');
                     print('Example: execute batch-1');
+                } else if (command === 'run' && args.length > 0) {
+                    // Run a batch as a server-side job
+                    await handleRunBatchJob(args);
+                } else if (command === 'run') {
+                    printError('Usage: run <batch-name> [--auto-approve] [--stop-on-error] [--concurrency N] [--resume]');
+                    print('Example: run batch-1 --auto-approve --stop-on-error');
+                } else if (command === 'jobs') {
+                    await handleListJobs();
+                } else if (command === 'attach') {
+                    await handleAttachJob(args[0]);
+                } else if (command === 'cancel' && args.length > 0) {
+                    await handleCancelJob(args[0]);
+                } else if (command === 'cancel') {
+                    printError('Usage: cancel <job-id>');
+                } else if (command === 'rollbacks') {
+                    await handleListRollbacks(args[0]);
+                } else if (command === 'diagnose' && args.length > 0) {
+                    await handleDiagnose(args[0]);
+                } else if (command === 'diagnose') {
+                    printError('Usage: diagnose <epak_id|epak_uuid>');
+                    print('Example: diagnose 1513469');
                 } else if (command === 'cert') {
                     handleCertCommand();
                 } else if (command === 'cert' && args.length > 0) {
@@ -346,6 +614,13 @@ async function executeCommand(cmd) {
                     clearSavedCredentials();
                     print('');
                     printInfo('Please refresh the page to reconnect');
+                } else if (command === 'disconnect') {
+                    await handleDisconnect();
+                } else if (command === 'profiles') {
+                    await handleListProfiles();
+                } else if (command === 'connect' && args.length > 0) {
+                    // Switch database (e.g. connect uat)
+                    await handleConnect(args);
                 } else if (!isNaN(command) && command.trim() !== '') {
                     // Check if command is a number (EPak ID)
                     await handleEpakInput(command);
@@ -401,9 +676,8 @@ async function executeCommand(cmd) {
                     printInfo('Enter the directory path containing signed PDFs:');
                     print('');
                     print('Examples:');
-                    print('  - Relative: signed_pdfs/');
-                    print('  - Absolute: /Users/username/Documents/signed_files');
-                    print('  - Windows: C:\\Users\\username\\Documents\\signed_files');
+                    print('  - Relative: data-source/corrupted-epaks/to-process/batch-1/');
+                    print('  - Absolute: a folder inside data-source or listed in EPAK_INPUT_DIRS on the server');
                     print('');
                     print('Type the path and press Enter:');
                     print('');
@@ -439,8 +713,9 @@ function showHelp() {
     print('');
     print('EPak Fix Tool - Commands:', 'info bold');
     print('');
-    print('1. connect <host> <user> <password> <database>');
-    print('   Connect to database (credentials saved for next time)');
+    print('1. connect <profile>  or  connect <host> <user> <password> <database>');
+    print('   Connect to database (saved for next time); "profiles" lists the server\'s profiles');
+    print('   Production profiles show a red banner and ask for the profile name before writes');
     print('');
     print('2. <epak_id>');
     print('   Start fixing an EPak (e.g., 1513469)');
@@ -448,6 +723,7 @@ function showHelp() {
     print('3. Follow the on-screen prompts');
     print('   - Operations menu (1-7)');
     print('   - Build operations');
+    print('   - Preview (dry run shows affected rows and before/after diff)');
     print('   - Execute');
     print('');
     print('4. batch');
@@ -482,18 +758,42 @@ function showHelp() {
     print('     Example: process batch-1');
     print('   - execute <batch>   Execute fix sheet operations');
     print('     Example: execute batch-1');
+    print('   - run <batch> [--auto-approve] [--stop-on-error] [--concurrency N] [--resume]');
+    print('                       Execute on the server as a background job (keeps running if this tab closes)');
+    print('     Example: run batch-1 --auto-approve --stop-on-error');
+    print('   - jobs              List batch jobs');
+    print('   - attach [job-id]   Follow a job\'s progress (latest active job by default)');
+    print('   - cancel <job-id>   Stop a job after the ePak in progress');
     print('   ');
     print('   📁 Directory Structure:');
     print('   data-source/');
     print('     corrupted-epaks/to-process/batch-1/  (put CSV + PDFs here)');
     print('     fix-sheets/to-process/batch-1/       (generated fix sheets)');
     print('');
-    print('10. reset');
+    print('9. rollbacks [epak_id]');
+    print('   List rollback scripts saved for executed transactions');
+    print('   Download: /api/rollbacks/<id>/download');
+    print('');
+    print('10. diagnose <epak_id>');
+    print('   Explain why an EPak is stuck (consistency rules with evidence rows)');
+    print('');
+    print('11. reset');
     print('   Clear saved credentials');
+    print('   disconnect');
+    print('   Close your database connection (it also closes when idle for a while, and on logout)');
     print('');
-    print('11. clear');
+    print('12. clear');
     print('   Clear terminal screen');
     print('');
+    print('13. Operator account:');
+    print('   - login <username>  Log in (the password is asked for separately)');
+    print('   - logout            End your session');
+    print('   - whoami            Show your account and role');
+    print('   - approve <batch|fix-sheet-path> [comment]');
+    print('                       Sign off a batch for execution (approver role)');
+    print('   Roles: viewer (read-only), fixer (connect, execute), approver (also signs off batches)');
+    print('   Batches run only after an approver signs off the fix sheet as it is now');
+    print('');
     print('Navigation:', 'info bold');
     print('  ⬆️  Arrow Up    - Previous command in history');
     print('  ⬇️  Arrow Down  - Next command in history');
@@ -508,23 +808,38 @@ async function autoConnect() {
     print('');
     printInfo('Testing database connection...');
     
-    const { host, user, password, database } = state.savedCreds;
+    const { host, user, password, database, profile, credentialRef } = state.savedCreds;
+    // Old saves still carry a password: connect with it once and let the server vault keep it
+    let body = { host, user, password, database, remember: true };
+    if (profile) {
+        body = { profile };
+    } else if (credentialRef) {
+        body = { credentialRef };
+    }
+    state.savedCreds = null;
     
     try {
         const response = await fetch('/api/connect', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ host, user, password, database })
+            body: JSON.stringify(body)
         });
 
         const result = await response.json();
 
         if (result.success) {
-            state.dbConfig = { host, user, password, database };
+            state.dbConfig = connectedConfig(result, profile ? { profile } : { host, user, database });
             state.step = 'connected';
-            statusDiv.textContent = `Connected: ${database}@${host}`;
-            statusDiv.classList.add('connected');
             printSuccess('Connected to database successfully!');
+            showConnected(result);
+            applyTimeZone(result.timeZone);
+            if (password) {
+                if (result.credentialRef) {
+                    saveCredentials(result.credentialRef, host, user, database);
+                } else {
+                    printWarning(result.credentialWarning || 'Saved password removed from this browser - connect again to save');
+                }
+            }
             print('');
             printSection('Step 1: Enter EPak Details');
             print('Enter EPak ID: <epak_id>');
@@ -538,7 +853,7 @@ async function autoConnect() {
             clearSavedCredentials();
             state.step = 'credentials';
             printInfo('Enter database credentials:');
-            print('Command: connect <host> <user> <password> <database>');
+            print('Command: connect <profile>  or  connect <host> <user> <password> <database>');
         }
     } catch (error) {
         printError(`Connection failed: ${error.message}`);
@@ -546,37 +861,45 @@ async function autoConnect() {
     }
 }
 
-// Connect to database
+// Connect to database: connect <profile> (defined on the server) or connect <host> <user> <password> <database>
 async function handleConnect(args) {
-    if (args.length < 4) {
-        printError('Usage: connect <host> <user> <password> <database>');
+    if (args.length !== 1 && args.length < 4) {
+        printError('Usage: connect <profile>  or  connect <host> <user> <password> <database>');
+        print('Type "profiles" to list the profiles defined on the server');
         return;
     }
 
     const [host, user, password, database] = args;
+    const profile = args.length === 1 ? args[0] : null;
     
     print('');
-    printInfo('Testing database connection...');
+    printInfo(profile ? `Connecting with profile ${profile}...` : 'Testing database connection...');
     
     try {
         const response = await fetch('/api/connect', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ host, user, password, database })
+            body: JSON.stringify(profile ? { profile } : { host, user, password, database, remember: true })
         });
 
         const result = await response.json();
 
         if (result.success) {
-            state.dbConfig = { host, user, password, database };
+            state.dbConfig = connectedConfig(result, profile ? { profile } : { host, user, database });
             state.step = 'connected';
-            statusDiv.textContent = `Connected: ${database}@${host}`;
-            statusDiv.classList.add('connected');
             printSuccess('Connected to database successfully!');
+            showConnected(result);
+            applyTimeZone(result.timeZone);
             print('');
             
             // Save credentials
-            saveCredentials(host, user, password, database);
+            if (profile) {
+                saveProfile(profile);
+            } else if (result.credentialRef) {
+                saveCredentials(result.credentialRef, host, user, database);
+            } else {
+                printWarning(result.credentialWarning || 'Credentials not saved');
+            }
             print('');
             
             printSection('Step 1: Enter EPak Details');
@@ -601,8 +924,8 @@ async function handleEpakInput(epakId) {
     
     try {
         // Get document count
-        const countQuery = `SELECT COUNT(*) as count FROM epak_document WHERE ePakId = ${epakId}`;
-        const countResult = await runQuery(countQuery);
+        const countQuery = 'SELECT COUNT(*) as count FROM epak_document WHERE ePakId = ?';
+        const countResult = await runQuery(countQuery, [epakId]);
         
         if (!countResult || countResult.length === 0 || countResult[0].count === 0) {
             printError(`No documents found for EPak ID ${epakId}. EPak may not exist!`);
@@ -613,8 +936,8 @@ async function handleEpakInput(epakId) {
 
         if (docCount === 1) {
             // Single document - auto-select
-            const docQuery = `SELECT documentId FROM epak_document WHERE ePakId = ${epakId} LIMIT 1`;
-            const docResult = await runQuery(docQuery);
+            const docQuery = 'SELECT documentId FROM epak_document WHERE ePakId = ? LIMIT 1';
+            const docResult = await runQuery(docQuery, [epakId]);
             state.documentId = docResult[0].documentId;
             printSuccess(`Found 1 document (ID: ${state.documentId}) - auto-selected`);
         } else {
@@ -623,8 +946,8 @@ async function handleEpakInput(epakId) {
             print('');
             print(`Documents in EPak #${epakId}:`, 'bold');
             
-            const docsQuery = `SELECT ed.documentId, d.title as documentName FROM epak_document ed JOIN document d ON d.id = ed.documentId WHERE ed.ePakId = ${epakId} ORDER BY ed.documentId`;
-            const docs = await runQuery(docsQuery);
+            const docsQuery = 'SELECT ed.documentId, d.title as documentName FROM epak_document ed JOIN document d ON d.id = ed.documentId WHERE ed.ePakId = ? ORDER BY ed.documentId';
+            const docs = await runQuery(docsQuery, [epakId]);
             printTable(docs);
             
             // Auto-select first for simplicity in web version
@@ -646,33 +969,33 @@ async function showCurrentState() {
 
     // 1. EPak Table
     printSection('1. EPak Table');
-    const epakQuery = `SELECT id, status, progressPercent, subject, sentOn, modifiedOn, currentWorkflowStateId, ownerId FROM epak WHERE id = ${state.epakId}`;
-    await runQueryAndPrint(epakQuery);
+    const epakQuery = 'SELECT id, status, progressPercent, subject, sentOn, modifiedOn, currentWorkflowStateId, ownerId FROM epak WHERE id = ?';
+    await runQueryAndPrint(epakQuery, [state.epakId]);
 
     // 2. Documents
     printSection('2. Documents in EPak');
-    const docsQuery = `SELECT ed.documentId, d.title FROM epak_document ed JOIN document d ON d.id = ed.documentId WHERE ed.ePakId = ${state.epakId} ORDER BY ed.documentId`;
-    await runQueryAndPrint(docsQuery);
+    const docsQuery = 'SELECT ed.documentId, d.title FROM epak_document ed JOIN document d ON d.id = ed.documentId WHERE ed.ePakId = ? ORDER BY ed.documentId';
+    await runQueryAndPrint(docsQuery, [state.epakId]);
 
     // 3. Signers
     printSection('3. EPak Workflow State Signers');
-    const signersQuery = `SELECT id, userId, status, progressPercent, statusModifiedOn, workflowStateOrderId, signerOrderId FROM epak_workflowstate_signer WHERE ePakId = ${state.epakId} ORDER BY workflowStateOrderId`;
-    await runQueryAndPrint(signersQuery);
+    const signersQuery = 'SELECT id, userId, status, progressPercent, statusModifiedOn, workflowStateOrderId, signerOrderId FROM epak_workflowstate_signer WHERE ePakId = ? ORDER BY workflowStateOrderId';
+    await runQueryAndPrint(signersQuery, [state.epakId]);
 
     // 4. Document User Actions
     printSection('4. Document User Actions');
-    const actionsQuery = `SELECT id, signerId, status, actedOn, workflowStateOrderId FROM docuseraction WHERE ePakId = ${state.epakId} ORDER BY workflowStateOrderId`;
-    await runQueryAndPrint(actionsQuery);
+    const actionsQuery = 'SELECT id, signerId, status, actedOn, workflowStateOrderId FROM docuseraction WHERE ePakId = ? ORDER BY workflowStateOrderId';
+    await runQueryAndPrint(actionsQuery, [state.epakId]);
 
     // 5. Document Activity
     printSection('5. ALL Document Activity (No Limit)');
-    const docActivityQuery = `SELECT id, actedOn, action, actorEmail, actorFirstName, actorLastName, actorMiddleName, LEFT(comments, 100) as comments_preview FROM documentactivity WHERE documentId = ${state.documentId} ORDER BY actedOn ASC`;
-    await runQueryAndPrint(docActivityQuery);
+    const docActivityQuery = 'SELECT id, actedOn, action, actorEmail, actorFirstName, actorLastName, actorMiddleName, LEFT(comments, 100) as comments_preview FROM documentactivity WHERE documentId = ? ORDER BY actedOn ASC';
+    await runQueryAndPrint(docActivityQuery, [state.documentId]);
 
     // 6. EPak Activity
     printSection('6. ALL EPak Activity (No Limit)');
-    const epakActivityQuery = `SELECT id, actedOn, action, actorEmail, actorFirstName, actorLastName, status FROM epakactivity WHERE ePakId = ${state.epakId} ORDER BY actedOn ASC`;
-    await runQueryAndPrint(epakActivityQuery);
+    const epakActivityQuery = 'SELECT id, actedOn, action, actorEmail, actorFirstName, actorLastName, status FROM epakactivity WHERE ePakId = ? ORDER BY actedOn ASC';
+    await runQueryAndPrint(epakActivityQuery, [state.epakId]);
 
     // Ask what to do - EXACT from main.sh lines 986-1014
     print('');
@@ -695,10 +1018,10 @@ async function showCurrentState() {
 async function getPendingSigner() {
     printSection('Step 2: Identify Pending Signer');
     
-    const signerQuery = `SELECT ews.id, ews.userId, COALESCE(u.email, 'Unknown') as email FROM epak_workflowstate_signer ews LEFT JOIN user u ON u.id = ews.userId WHERE ews.ePakId = ${state.epakId} AND ews.status = 'Pending' ORDER BY ews.workflowStateOrderId DESC LIMIT 1`;
+    const signerQuery = `SELECT ews.id, ews.userId, COALESCE(u.email, 'Unknown') as email FROM epak_workflowstate_signer ews LEFT JOIN user u ON u.id = ews.userId WHERE ews.ePakId = ? AND ews.status = 'Pending' ORDER BY ews.workflowStateOrderId DESC LIMIT 1`;
     
     try {
-        const signers = await runQuery(signerQuery);
+        const signers = await runQuery(signerQuery, [state.epakId]);
         
         if (!signers || signers.length === 0) {
             printWarning('No pending signer found! EPak may already be completed.');
@@ -872,6 +1195,9 @@ async function handleDone() {
         print('');
     }
 
+    // Simulate the whole script and show which rows it would touch
+    await runDryRun(state.operations, state.epakId);
+
     print('');
     printWarning(`FINAL CONFIRMATION: Execute ALL ${state.operations.length} operations above?`);
     print('');
@@ -885,6 +1211,32 @@ function handleCancel() {
     location.reload();
 }
 
+// Use the database time zone reported by /api/connect for every timestamp the terminal renders
+function applyTimeZone(timeZone) {
+    if (!timeZone) return;
+    try {
+        state.timestamps = new TimestampService(timeZone.timeZone, timeZone.source);
+        printInfo(`Database time zone: ${state.timestamps.describe()}`);
+    } catch (error) {
+        printWarning(`Unknown database time zone, timestamps stay ${state.timestamps.timeZone}: ${error.message}`);
+    }
+    if (timeZone.warning) {
+        printWarning(timeZone.warning);
+    }
+}
+
+// Value for a built UPDATE / INSERT: numbers as-is, NOW() stamped in the database time zone
+// (so the exported SQL shows the exact value written), anything else quoted
+function formatBuilderValue(value) {
+    if (/^\d+$/.test(value)) {
+        return value;
+    }
+    if (value.toUpperCase() === 'NOW()') {
+        return `'${state.timestamps.now()}'`;
+    }
+    return `'${value}'`;
+}
+
 // Handle building operations
 async function handleBuildingOperations(cmd, args) {
     const parts = cmd.trim().split(/\s+/);
@@ -914,11 +1266,7 @@ async function handleBuildingOperations(cmd, args) {
                 printError(`Invalid format: ${update}`);
                 return;
             }
-            if (/^\d+$/.test(value) || value.toUpperCase() === 'NOW()') {
-                setParts.push(`${field}=${value}`);
-            } else {
-                setParts.push(`${field}='${value}'`);
-            }
+            setParts.push(`${field}=${formatBuilderValue(value)}`);
         }
 
         const sql = `UPDATE ${table} SET ${setParts.join(', ')} WHERE id=${id};`;
@@ -950,11 +1298,7 @@ async function handleBuildingOperations(cmd, args) {
                 return;
             }
             columns.push(col);
-            if (/^\d+$/.test(val) || val.toUpperCase() === 'NOW()') {
-                values.push(val);
-            } else {
-                values.push(`'${val}'`);
-            }
+            values.push(formatBuilderValue(val));
         }
         
         const sql = `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${values.join(', ')});`;
@@ -992,11 +1336,16 @@ async function handleBuildingOperations(cmd, args) {
             return;
         }
         
-        const table = parts[1];
-        const where = parts.slice(2).join(' ');
-        const sql = where ? `SELECT * FROM ${table} WHERE ${where}` : `SELECT * FROM ${table}`;
+        let view;
+        try {
+            view = buildViewQuery(parts[1], parts.slice(2).join(' '));
+        } catch (error) {
+            printError(error.message);
+            print('Example: view epak id=' + state.epakId + ' AND status=\'Completed\'');
+            return;
+        }
         
-        await runQueryAndPrint(sql);
+        await runQueryAndPrint(view.sql, view.params);
         print('');
         print('Type "menu" to continue');
     } else if (operation === 'certpath') {
@@ -1023,24 +1372,34 @@ async function handleExecute() {
     try {
         const queries = state.operations;
         
+        const confirmProfile = await confirmProductionWrites(`Executing ${queries.length} operation(s) on EPak ${state.epakId}`);
+        if (confirmProfile === false) return;
+        
         printInfo(`Executing SQL script with ${queries.length} operations...`);
         
         const response = await fetch('/api/transaction', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ queries })
+            body: JSON.stringify({ queries, epakId: state.epakId, confirmProfile })
         });
 
         const result = await response.json();
 
+        if (result.approvalRequired) {
+            printError(result.error);
+            printInfo('Nothing was executed. Put these operations in a fix sheet, have an approver run "approve <sheet>", then Batch Upload it.');
+            return;
+        }
         if (!result.success) {
             printError('Script execution failed!');
             print(result.error, 'error');
+            printSafetyViolations(result.violations);
             printInfo('Transaction was ROLLED BACK automatically');
             return;
         }
 
         printSuccess(`All ${queries.length} operations executed successfully!`);
+        printRollbackInfo(result.rollback);
         
         // Show final state - EXACT from main.sh lines 1760-1783
         await showFinalState();
@@ -1055,13 +1414,13 @@ async function showFinalState() {
     printHeader('FINAL STATE - After Completion');
     
     printSection('EPak Status');
-    const epakQuery = `SELECT id, status, progressPercent, modifiedOn FROM epak WHERE id = ${state.epakId}`;
-    await runQueryAndPrint(epakQuery);
+    const epakQuery = 'SELECT id, status, progressPercent, modifiedOn FROM epak WHERE id = ?';
+    await runQueryAndPrint(epakQuery, [state.epakId]);
     
     if (state.signerId) {
         printSection('Signer Status');
-        const signerQuery = `SELECT id, status, progressPercent, statusModifiedOn FROM epak_workflowstate_signer WHERE id = ${state.signerId}`;
-        await runQueryAndPrint(signerQuery);
+        const signerQuery = 'SELECT id, status, progressPercent, statusModifiedOn FROM epak_workflowstate_signer WHERE id = ?';
+        await runQueryAndPrint(signerQuery, [state.signerId]);
     }
     
     printHeader('SUCCESS!');
@@ -1071,52 +1430,265 @@ async function showFinalState() {
     print('');
 }
 
-// Helper functions
-async function runQuery(sql) {
-    const response = await fetch('/api/query', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ query: sql })
+// Run statements in a rolled-back transaction and print the affected-row preview
+async function runDryRun(queries, epakId) {
+    printSection('Dry Run - Affected Rows Preview');
+    printInfo('Simulating operations (transaction will be rolled back)...');
+    print('');
+    
+    try {
+        const response = await fetch('/api/transaction', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ queries, epakId, dryRun: true })
+        });
+        
+        const result = await response.json();
+        
+        if (!result.success) {
+            printError('Dry run failed - these operations would NOT execute cleanly!');
+            print(result.error, 'error');
+            printSafetyViolations(result.violations);
+            return null;
+        }
+        
+        printAlreadyApplied(result.outcomes);
+        printDryRunPreview(result.preview);
+        return result.preview;
+    } catch (error) {
+        printError(`Dry run failed: ${error.message}`);
+        return null;
+    }
+}
+
+// List statements the server skipped because their precondition no longer holds
+function printAlreadyApplied(outcomes) {
+    const applied = (outcomes || []).filter(outcome => outcome.status === 'Already applied');
+    if (applied.length === 0) return;
+    
+    print('');
+    printWarning(`${applied.length} statement(s) already applied - skipped:`);
+    applied.forEach(outcome => {
+        const source = outcome.rowNumber ? `Row ${outcome.rowNumber}: ` : '';
+        print(`   ${source}${outcome.reason}`, 'dim');
     });
+    print('');
+}
 
-    const result = await response.json();
+// Render per-statement affected rows and before/after diff
+function printDryRunPreview(preview) {
+    const formatValue = (value) => {
+        if (value === null || value === undefined) return 'NULL';
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    };
+    const truncate = (text) => text.length > 80 ? text.substring(0, 77) + '...' : text;
+    
+    preview.forEach(stmt => {
+        const source = stmt.rowNumber ? ` (row ${stmt.rowNumber})` : '';
+        const label = `Statement ${stmt.index}${source}: ${stmt.type} ${stmt.table} - ${stmt.affectedRows} row(s) affected`;
+        if (stmt.matchedRows === 0) {
+            printWarning(`${label} (WHERE clause matched NO rows)`);
+        } else if (stmt.matchedRows > LARGE_CHANGE_THRESHOLD) {
+            printWarning(`${label} (touches ${stmt.matchedRows} rows - check the WHERE clause!)`);
+        } else {
+            print(label, 'success bold');
+        }
+        
+        stmt.changes.forEach(change => {
+            if (change.columns.length === 0) {
+                print(`   id=${change.id}: no column changes`, 'dim');
+                return;
+            }
+            print(`   id=${change.id}:`);
+            change.columns.forEach(col => {
+                print(`     ${col.column}: ${truncate(formatValue(col.before))} → ${truncate(formatValue(col.after))}`, 'info');
+            });
+        });
+        
+        stmt.inserted.forEach(row => {
+            const fields = Object.keys(row)
+                .filter(column => row[column] !== null && column !== 'comments')
+                .map(column => `${column}=${formatValue(row[column])}`)
+                .join(', ');
+            print(`   + inserted: ${truncate(fields)}`, 'success');
+        });
+        
+        stmt.deleted.forEach(row => {
+            const fields = Object.keys(row)
+                .filter(column => row[column] !== null && column !== 'comments')
+                .map(column => `${column}=${formatValue(row[column])}`)
+                .join(', ');
+            print(`   - deleted: ${truncate(fields)}`, 'error');
+        });
+        
+        if (stmt.violations && stmt.violations.length > 0) {
+            printSafetyViolations(stmt.violations);
+        }
+        
+        print('');
+    });
+}
 
-    if (!result.success) {
-        throw new Error(result.error);
+// Print safety policy violations, one line per spreadsheet row / rule
+function printSafetyViolations(violations) {
+    if (!violations || violations.length === 0) return;
+    
+    print('');
+    printError(`Safety policy violations (${violations.length}):`);
+    violations.forEach(v => {
+        const where = v.rowNumber ? `Row ${v.rowNumber}` : 'Statement';
+        print(`  🛡️  ${where}: ${v.message} [${v.rule}]`, 'error');
+    });
+}
+
+// Fill-in form for MANUAL placeholders left in a fix sheet.
+// Filled values are written to a revised fix sheet on the server; returns the revised
+// sheet (same shape as /api/read-fix-sheet), or the original if nothing was filled
+async function resolvePlaceholders(sheet) {
+    if (!sheet.placeholders || sheet.placeholders.length === 0) return sheet;
+    
+    print('');
+    printSection(`MANUAL Placeholders (${sheet.placeholders.length})`);
+    printTable(sheet.placeholders.map(p => ({
+        row: p.rowNumber,
+        epak: p.epakId,
+        table: p.table,
+        operation: p.operation,
+        field: p.field
+    })));
+    print('');
+    
+    if (!sheet.sourcePath) {
+        printWarning('The sheet was not kept on the server - fill in the values and upload it again');
+        return sheet;
+    }
+    
+    printInfo('Enter a value for each field. Leave empty to keep MANUAL (the row stays blocked).');
+    print('Quote text (\'Rajesh Kumar\'); numbers and NULL as is. Values inside JSON fields need no quotes.');
+    print('Type "cancel" to stop filling in.');
+    print('');
+    
+    const resolutions = [];
+    for (const placeholder of sheet.placeholders) {
+        const value = await promptUser(`Row ${placeholder.rowNumber} ${placeholder.table}.${placeholder.field} = `, '');
+        if (value.toLowerCase() === 'cancel') break;
+        if (value === '') continue;
+        if (/\bMANUAL\b/.test(value)) {
+            printWarning('  MANUAL is not a value - left as is');
+            continue;
+        }
+        print(`  ${value}`, 'success');
+        resolutions.push({ rowNumber: placeholder.rowNumber, field: placeholder.field, value });
+    }
+    
+    if (resolutions.length === 0) {
+        printWarning('No values entered - rows with MANUAL stay blocked');
+        return sheet;
+    }
+    
+    try {
+        const response = await fetch('/api/resolve-fix-sheet', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ filePath: sheet.sourcePath, resolutions })
+        });
+        const revised = await response.json();
+        
+        if (!revised.success) {
+            printError(`Could not write the revised fix sheet: ${revised.error}`);
+            printWarning('Rows with MANUAL stay blocked');
+            return sheet;
+        }
+        
+        print('');
+        printSuccess(`Filled ${revised.filled} value(s)`);
+        printInfo(`Revised fix sheet: ${revised.revisedPath}`);
+        if (revised.placeholders.length > 0) {
+            printWarning(`${revised.placeholders.length} placeholder(s) left - those rows stay blocked`);
+        }
+        print('');
+        return revised;
+    } catch (error) {
+        printError(`Could not write the revised fix sheet: ${error.message}`);
+        return sheet;
     }
+}
 
-    return result.data;
+// Print where the rollback script for a committed transaction was saved
+function printRollbackInfo(rollback) {
+    if (!rollback) return;
+    print('');
+    printInfo('Rollback script saved at:');
+    print(`  ${rollback.file}`, 'bold');
+    print(`  Download: ${rollback.downloadUrl}`);
+    printWarning('To undo this change, run the rollback script against the same database');
 }
 
-async function runQueryAndPrint(sql) {
+// List saved rollback scripts
+async function handleListRollbacks(epakId) {
+    print('');
+    printSection('Rollback Scripts');
+    
     try {
-        const data = await runQuery(sql);
-        if (data && data.length > 0) {
-            printTable(data);
-        } else {
-            print('(0 rows)');
+        const url = epakId ? `/api/rollbacks?epakId=${encodeURIComponent(epakId)}` : '/api/rollbacks';
+        const response = await fetch(url);
+        const data = await response.json();
+        
+        if (!data.success) {
+            printError(data.error);
+            return;
+        }
+        
+        if (data.rollbacks.length === 0) {
+            printInfo('No rollback scripts found');
+            return;
         }
+        
+        printTable(data.rollbacks.slice(0, 20).map(r => ({
+            id: r.id,
+            epakId: r.epakId,
+            createdAt: state.timestamps.format(r.createdAt),
+            statements: r.statementCount
+        })));
+        print('');
+        print('Download: /api/rollbacks/<id>/download');
     } catch (error) {
-        printError(error.message);
+        printError('Failed to list rollbacks: ' + error.message);
     }
 }
 
-function clearTerminal() {
-    terminal.innerHTML = '';
-    printWelcome();
+// Show which fix strategy the generator picked for each ePak
+function printStrategySummary(strategies) {
+    if (!strategies || strategies.length === 0) return;
+    
+    print('Fix strategies:', 'info bold');
+    printTable(strategies.map(s => ({
+        epak: s.epak_uuid,
+        strategy: s.strategy + (s.forced ? ' (forced)' : ''),
+        signature: s.signature,
+        commands: s.commands,
+        reason: s.reason
+    })));
+    print('');
 }
 
-// ================================================================
-// BATCH PROCESSING HANDLERS
-// ================================================================
+// Show signers whose fixes were withheld because no PDF signature matched them
+function printGeneratorWarnings(warnings) {
+    if (!warnings || warnings.length === 0) return;
+    
+    print('Warnings:', 'warning bold');
+    warnings.forEach(w => printWarning(`  ePak ${w.epak_uuid}: ${w.warning}`));
+    print('');
+}
 
-async function handleListBatches() {
+// Run the diagnosis rule catalogue for one EPak
+async function handleDiagnose(epakId) {
+    print('');
+    printSection(`Diagnosis - EPak ${epakId}`);
+    
     try {
-        print('');
-        printSection('📁 Batch Processing Status');
-        print('');
-        
-        const response = await fetch('/api/batches');
+        const response = await fetch(`/api/epak/${encodeURIComponent(epakId)}/diagnose`);
         const data = await response.json();
         
         if (!data.success) {
@@ -1124,8 +1696,132 @@ async function handleListBatches() {
             return;
         }
         
-        // Show pending batches (ready for fix sheet generation)
-        if (data.pending && data.pending.length > 0) {
+        const diagnosis = data.diagnosis;
+        print(`EPak #${diagnosis.epakId}: ${diagnosis.epak.status} (${diagnosis.epak.progressPercent}%)`);
+        print(`Findings: ${diagnosis.counts.error} error(s), ${diagnosis.counts.warning} warning(s)`);
+        print('');
+        
+        if (diagnosis.findings.length === 0) {
+            printSuccess('No inconsistencies found');
+            return;
+        }
+        
+        for (const finding of diagnosis.findings) {
+            const line = `[${finding.rule}] ${finding.message}`;
+            if (finding.severity === 'error') {
+                printError(line);
+            } else if (finding.severity === 'warning') {
+                printWarning(line);
+            } else {
+                printInfo(line);
+            }
+            for (const evidence of finding.evidence) {
+                print(`  ${evidence.table}:`);
+                printTable(evidence.rows);
+            }
+            print('');
+        }
+        
+        if (diagnosis.stuck) {
+            printWarning('EPak is stuck - generate a fix sheet or use the manual operations menu');
+        }
+    } catch (error) {
+        printError('Diagnosis failed: ' + error.message);
+    }
+}
+
+// Helper functions
+async function runQuery(sql, params = []) {
+    const response = await fetch('/api/query', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ query: sql, params })
+    });
+
+    const result = await response.json();
+
+    if (!result.success) {
+        throw new Error(result.error);
+    }
+
+    return result.data;
+}
+
+/**
+ * SELECT for "view <table> <where>": the table, columns and values are sent as parameters,
+ * never pasted into the SQL
+ * @param {string} table - Table name
+ * @param {string} where - Conditions joined by AND: column = value, !=, <>, <, >, <=, >=, LIKE, IS [NOT] NULL
+ * @returns {{sql: string, params: Array}}
+ * @throws {Error} On a bad table name or condition
+ */
+function buildViewQuery(table, where) {
+    const identifier = /^[A-Za-z_][A-Za-z0-9_]*$/;
+    if (!identifier.test(table || '')) {
+        throw new Error(`Invalid table name: ${table}`);
+    }
+    const params = [table];
+    const conditions = [];
+    // Split on AND outside quoted values
+    const parts = where.trim() ? where.split(/\s+AND\s+(?=(?:[^']*'[^']*')*[^']*$)/i) : [];
+    for (const part of parts) {
+        let match = part.trim().match(/^([A-Za-z_][A-Za-z0-9_]*)\s+IS\s+(NOT\s+)?NULL$/i);
+        if (match) {
+            conditions.push(`?? IS ${match[2] ? 'NOT ' : ''}NULL`);
+            params.push(match[1]);
+            continue;
+        }
+        match = part.trim().match(/^([A-Za-z_][A-Za-z0-9_]*)\s*(<=|>=|<>|!=|=|<|>|\s+LIKE\s+)\s*(.+)$/i);
+        if (!match) {
+            throw new Error(`Invalid condition: ${part.trim()} (use column=value, joined by AND)`);
+        }
+        const operator = match[2].trim().toUpperCase();
+        const value = match[3].trim().replace(/^'(.*)'$/, '$1').replace(/^"(.*)"$/, '$1');
+        conditions.push(`?? ${operator} ?`);
+        params.push(match[1], value);
+    }
+    const sql = conditions.length > 0 ? `SELECT * FROM ?? WHERE ${conditions.join(' AND ')}` : 'SELECT * FROM ??';
+    return { sql, params };
+}
+
+async function runQueryAndPrint(sql, params = []) {
+    try {
+        const data = await runQuery(sql, params);
+        if (data && data.length > 0) {
+            printTable(data);
+        } else {
+            print('(0 rows)');
+        }
+    } catch (error) {
+        printError(error.message);
+    }
+}
+
+function clearTerminal() {
+    terminal.innerHTML = '';
+    printWelcome();
+}
+
+// ================================================================
+// BATCH PROCESSING HANDLERS
+// ================================================================
+
+async function handleListBatches() {
+    try {
+        print('');
+        printSection('📁 Batch Processing Status');
+        print('');
+        
+        const response = await fetch('/api/batches');
+        const data = await response.json();
+        
+        if (!data.success) {
+            printError(data.error);
+            return;
+        }
+        
+        // Show pending batches (ready for fix sheet generation)
+        if (data.pending && data.pending.length > 0) {
             print('🔄 Pending (Ready for Processing):', 'info bold');
             print('');
             data.pending.forEach(batch => {
@@ -1156,7 +1852,13 @@ async function handleListBatches() {
                 if (batch.ready) {
                     print(`  ✅ ${batch.name}`, 'success');
                     print(`     📊 Fix Sheets: ${batch.fixSheets.length} file(s)`);
-                    print(`     ⚡ Action: execute ${batch.name}`);
+                    if (batch.approval) {
+                        print(`     🔐 Approved by ${batch.approval.approver} at ${state.timestamps.format(batch.approval.approvedAt)}`);
+                        print(`     ⚡ Action: execute ${batch.name}`);
+                    } else {
+                        print('     🔐 Not approved yet', 'warning');
+                        print(`     ⚡ Action: approve ${batch.name} (approver role)`);
+                    }
                     print('');
                 } else {
                     print(`  ⚠️  ${batch.name}`, 'warning');
@@ -1173,6 +1875,8 @@ async function handleListBatches() {
         print('Commands:');
         print('  • process <batch-name>  - Generate fix sheet');
         print('  • execute <batch-name>  - Execute operations');
+        print('  • run <batch-name>      - Execute as a server-side job (see help)');
+        print('  • approve <batch-name>  - Sign off a batch for execution (approver role)');
         print('');
         
     } catch (error) {
@@ -1187,11 +1891,13 @@ async function handleProcessBatch(batchName) {
         print('');
         printInfo('Generating fix sheet...');
         
-        const response = await fetch(`/api/batch/process/${batchName}`, {
+        const progress = followProgress(printGeneratorProgress);
+        const response = await fetch(`/api/batch/process/${batchName}?progressId=${progress.id}`, {
             method: 'POST'
         });
         
         const data = await response.json();
+        await progress.stop();
         
         if (!data.success) {
             printError(data.error);
@@ -1213,6 +1919,9 @@ async function handleProcessBatch(batchName) {
         print(`📦 Original Batch Moved: ${data.originalBatchMoved}`);
         print('');
         
+        printStrategySummary(data.result.strategies);
+        printGeneratorWarnings(data.result.warnings);
+        
         if (data.result.errorMessages && data.result.errorMessages.length > 0) {
             print('Errors:', 'warning bold');
             data.result.errorMessages.forEach(msg => print(`  • ${msg}`, 'warning'));
@@ -1302,9 +2011,18 @@ async function loadAndExecuteFixSheet(fixSheetPath) {
             return;
         }
         
+        // MANUAL placeholders are filled in (revised sheet) before anything runs
+        const sheet = await resolvePlaceholders(data);
+        
+        if (sheet.violations && sheet.violations.length > 0) {
+            printSafetyViolations(sheet.violations);
+            printWarning('EPaks with blocked rows will be skipped. Fix the sheet and re-run to include them.');
+            print('');
+        }
+        
         // Group operations by ePak
         const epakOperations = {};
-        data.operations.forEach(op => {
+        sheet.operations.forEach(op => {
             if (!epakOperations[op.epakId]) {
                 epakOperations[op.epakId] = [];
             }
@@ -1327,8 +2045,15 @@ async function loadAndExecuteFixSheet(fixSheetPath) {
             return;
         }
         
-        // Process each ePak
-        await processBatchEpaks(epakOperations);
+        // A run of this batch that never finished (e.g. the tab was closed) can be resumed
+        const resume = state.currentBatchName ? await offerResume(state.currentBatchName, epakOperations) : null;
+        
+        // Process each ePak (already-applied rows are marked in the sheet on the server)
+        if (resume) {
+            await processBatchEpaks(resume.epakOperations, sheet.sourcePath, resume.runId);
+        } else {
+            await processBatchEpaks(epakOperations, sheet.sourcePath);
+        }
         
     } catch (error) {
         printError('Failed to load fix sheet: ' + error.message);
@@ -1341,7 +2066,7 @@ async function exportBatchSQL(epakOperations, batchName) {
         // Build simple SQL content - just queries
         let sqlContent = '';
         sqlContent += `-- EPak Batch SQL Export: ${batchName}\n`;
-        sqlContent += `-- Generated: ${new Date().toLocaleString()}\n`;
+        sqlContent += `-- Generated: ${state.timestamps.now()} (database time, ${state.timestamps.timeZone})\n`;
         sqlContent += `-- Total EPaks: ${Object.keys(epakOperations).length}\n`;
         sqlContent += `-- Total Operations: ${Object.values(epakOperations).flat().length}\n\n`;
         
@@ -1351,6 +2076,9 @@ async function exportBatchSQL(epakOperations, batchName) {
             sqlContent += `-- EPak ${epakCount}: ${epakId}\n\n`;
             
             operations.forEach((op) => {
+                if (op.precondition) {
+                    sqlContent += `-- Run only if: ${op.precondition}\n`;
+                }
                 sqlContent += `${op.sql};\n`;
             });
             
@@ -1382,6 +2110,323 @@ async function exportBatchSQL(epakOperations, batchName) {
     }
 }
 
+// Start a server-side batch job and follow its progress
+// args: <batch-name> [--auto-approve] [--stop-on-error] [--concurrency N] [--resume]
+// Sign off a batch (or an uploaded fix sheet) for execution after reviewing its contents
+async function handleApproveBatch(batchKey, comment) {
+    if (!batchKey) {
+        printError('Usage: approve <batch-name|fix-sheet-path> [comment]');
+        print('Example: approve batch-1 checked against ticket OPS-1234');
+        return;
+    }
+    
+    try {
+        const batches = await (await fetch('/api/batches')).json();
+        const batch = batches.success ? (batches.ready || []).find(b => b.name === batchKey) : null;
+        const sheetPaths = batch ? batch.fixSheets : [batchKey];
+        
+        printSection(`Approve: ${batchKey}`);
+        for (const sheetPath of sheetPaths) {
+            const response = await fetch('/api/read-fix-sheet', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ filePath: sheetPath })
+            });
+            const sheet = await response.json();
+            if (!sheet.success) {
+                printError(sheet.error);
+                return;
+            }
+            const epakIds = new Set(sheet.operations.map(op => op.epakId));
+            print(`📄 ${sheetPath}`, 'bold');
+            print(`   ${sheet.operations.length} statement(s) across ${epakIds.size} ePak(s)`);
+            if (sheet.violations.length > 0) {
+                printWarning(`${sheet.violations.length} safety policy violation(s) - those ePaks will be blocked`);
+            }
+            if (sheet.placeholders.length > 0) {
+                printWarning(`${sheet.placeholders.length} unresolved placeholder(s)`);
+            }
+        }
+        if (batch && batch.approval) {
+            printInfo(`Currently approved by ${batch.approval.approver} (${batch.approval.approvalId}); this replaces it`);
+        }
+        print('');
+        
+        const answer = await promptUser('Type APPROVE to sign off these fix sheets for execution:', '');
+        if (answer.toUpperCase() !== 'APPROVE') {
+            printInfo('Not approved');
+            return;
+        }
+        
+        const response = await fetch('/api/batch/approvals', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ batch: batchKey, comment })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            printError(result.error);
+            return;
+        }
+        printSuccess(`Approved ${batchKey} (${result.approval.approvalId})`);
+        printInfo('Editing a fix sheet after this point needs a new approval');
+    } catch (error) {
+        printError('Failed to approve batch: ' + error.message);
+    }
+}
+
+async function handleRunBatchJob(args) {
+    const batchName = args[0];
+    const options = { autoApprove: false, stopOnError: false, concurrency: 1, resume: false };
+    for (let i = 1; i < args.length; i++) {
+        if (args[i] === '--auto-approve') {
+            options.autoApprove = true;
+        } else if (args[i] === '--stop-on-error') {
+            options.stopOnError = true;
+        } else if (args[i] === '--resume') {
+            options.resume = true;
+        } else if (args[i] === '--concurrency' && args[i + 1]) {
+            options.concurrency = Number(args[++i]);
+        } else {
+            printError(`Unknown option: ${args[i]}`);
+            print('Usage: run <batch-name> [--auto-approve] [--stop-on-error] [--concurrency N] [--resume]');
+            return;
+        }
+    }
+    
+    try {
+        print('');
+        printSection(`Batch Job: ${batchName}`);
+        print('');
+        
+        options.confirmProfile = await confirmProductionWrites(`Batch job ${batchName}`);
+        if (options.confirmProfile === false) return;
+        
+        const response = await fetch(`/api/batch/run/${encodeURIComponent(batchName)}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(options)
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            printError(data.error);
+            if (data.jobId) {
+                print(`Follow it with: attach ${data.jobId}`);
+            }
+            return;
+        }
+        
+        printSuccess(`Started job ${data.job.id}`);
+        print(`📄 Fix Sheet: ${data.job.sheetPath}`);
+        print(`📒 Journal run: ${data.job.runId}${data.job.resumedFrom ? ` (resumed from ePak ${data.job.resumedFrom})` : ''}`);
+        printInfo(`The job runs on the server; you can close this tab and "attach ${data.job.id}" later`);
+        print('');
+        
+        await attachJob(data.job.id);
+    } catch (error) {
+        printError('Failed to start batch job: ' + error.message);
+    }
+}
+
+// List batch jobs on the server
+async function handleListJobs() {
+    try {
+        const response = await fetch('/api/batch/jobs');
+        const data = await response.json();
+        
+        if (!data.success) {
+            printError(data.error);
+            return;
+        }
+        
+        print('');
+        printSection('Batch Jobs');
+        print('');
+        if (data.jobs.length === 0) {
+            printInfo('No batch jobs since the server started');
+            print('');
+            return;
+        }
+        printTable(data.jobs.map(job => ({
+            job: job.id,
+            batch: job.batchName,
+            status: job.awaitingApproval ? `${job.status} (ePak ${job.awaitingApproval.epakId})` : job.status,
+            progress: `${job.done}/${job.totals.totalEpaks}`,
+            failed: job.totals.failed,
+            started: state.timestamps.format(job.startedAt),
+            operator: job.operator || ''
+        })));
+        print('');
+        print('Follow a job: attach <job-id>   Cancel: cancel <job-id>');
+        print('');
+    } catch (error) {
+        printError('Failed to list batch jobs: ' + error.message);
+    }
+}
+
+// Attach to a job (default: the newest job still running)
+async function handleAttachJob(jobId) {
+    if (!jobId) {
+        try {
+            const response = await fetch('/api/batch/jobs');
+            const data = await response.json();
+            const active = (data.jobs || []).find(job => !job.finishedAt);
+            if (!active) {
+                printWarning('No active batch job. Type "jobs" to list finished ones.');
+                return;
+            }
+            jobId = active.id;
+        } catch (error) {
+            printError('Failed to list batch jobs: ' + error.message);
+            return;
+        }
+    }
+    print('');
+    printSection(`Attached to ${jobId}`);
+    print('');
+    await attachJob(jobId);
+}
+
+// Cancel a job: the ePak in progress finishes, nothing new starts
+async function handleCancelJob(jobId) {
+    try {
+        const response = await fetch(`/api/batch/jobs/${encodeURIComponent(jobId)}/cancel`, { method: 'POST' });
+        const data = await response.json();
+        if (!data.success) {
+            printError(data.error);
+            return;
+        }
+        printWarning(`Cancel requested for ${jobId} - it stops after the ePak in progress`);
+    } catch (error) {
+        printError('Failed to cancel batch job: ' + error.message);
+    }
+}
+
+// Follow a job's progress stream (history first, then live) until it finishes.
+// Events are handled one at a time, so an approval prompt holds the ones behind it.
+function attachJob(jobId) {
+    return new Promise((resolve) => {
+        const source = new EventSource(`/api/batch/jobs/${encodeURIComponent(jobId)}/events`);
+        let queue = Promise.resolve();
+        let finished = false;
+        
+        source.onmessage = (message) => {
+            const event = JSON.parse(message.data);
+            if (event.type === 'job-finished') {
+                // Stop the browser from reconnecting to the closed stream
+                finished = true;
+                source.close();
+            }
+            queue = queue.then(() => handleJobEvent(jobId, event)).catch(error => printError(error.message));
+            if (finished) {
+                queue.then(resolve);
+            }
+        };
+        source.onerror = () => {
+            if (finished || source.readyState !== EventSource.CLOSED) return;
+            printWarning(`Lost the progress stream of ${jobId} (the job keeps running on the server; "attach ${jobId}" to follow it again)`);
+            resolve();
+        };
+    });
+}
+
+// Print one job event; awaiting-approval prompts the operator if the job is still waiting on that ePak
+async function handleJobEvent(jobId, event) {
+    const progress = event.index ? ` (${event.index})` : '';
+    switch (event.type) {
+        case 'job-started': {
+            const flags = [
+                event.options.autoApprove ? 'auto-approve' : 'approve each ePak',
+                event.options.stopOnError ? 'stop on first error' : null,
+                event.options.concurrency > 1 ? `concurrency ${event.options.concurrency}` : null
+            ].filter(Boolean).join(', ');
+            printInfo(`${event.batchName}: ${event.totalEpaks} ePak(s) - ${flags}`);
+            print('');
+            break;
+        }
+        case 'epak-started':
+            print(`▶ EPak ${event.epakId}${progress}`, 'bold');
+            break;
+        case 'awaiting-approval': {
+            const response = await fetch(`/api/batch/jobs/${encodeURIComponent(jobId)}`);
+            const data = await response.json();
+            const waiting = data.success && data.job.awaitingApproval;
+            if (!waiting || String(waiting.epakId) !== String(event.epakId)) break;
+            
+            print('');
+            printHeader(`Approve EPak ${event.epakId}${progress}`);
+            event.operations.forEach((op, i) => {
+                print(`${i + 1}. ${op.sql}`, 'success');
+                if (op.precondition) {
+                    print(`   only if: ${op.precondition}`, 'dim');
+                }
+            });
+            print('');
+            print('Options:', 'bold');
+            print('  1. Execute these operations');
+            print('  2. Skip this EPak');
+            print('  3. Stop the job');
+            print('  4. Execute this and all remaining EPaks without asking');
+            print('');
+            // The server only takes 1 and 4 from an approver other than the job's operator
+            if (!state.user || state.user.role !== 'approver' || state.user.username === data.job.operator) {
+                printInfo(`Executing needs an approver other than ${data.job.operator} (they can: attach ${jobId})`);
+            }
+            const choice = await promptUser('Choose [1-4]: ');
+            const decision = { '1': 'execute', '2': 'skip', '3': 'stop', '4': 'execute-all' }[choice] || 'skip';
+            
+            const approval = await fetch(`/api/batch/jobs/${encodeURIComponent(jobId)}/approve`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ epakId: event.epakId, decision })
+            });
+            const result = await approval.json();
+            if (!result.success) {
+                printWarning(result.error);
+            }
+            break;
+        }
+        case 'epak-finished':
+            if (event.result === 'committed') {
+                printSuccess(`EPak ${event.epakId} committed${event.rollbackId ? ` (rollback ${event.rollbackId})` : ''}`);
+            } else if (event.result === 'already-applied') {
+                printInfo(`EPak ${event.epakId} was already fixed - nothing was changed`);
+            } else if (event.result === 'failed') {
+                printError(`EPak ${event.epakId} failed: ${event.error}`);
+                printSafetyViolations(event.violations);
+            } else if (event.result === 'blocked') {
+                printError(`EPak ${event.epakId} is BLOCKED by the safety policy - skipped`);
+                printSafetyViolations(event.violations);
+            } else {
+                printWarning(`Skipped EPak ${event.epakId}`);
+            }
+            break;
+        case 'warning':
+            printWarning(event.message);
+            break;
+        case 'job-finished':
+            printHeader(`Batch Job ${event.status.toUpperCase()}`);
+            print('');
+            print(`Total EPaks:      ${event.summary.totalEpaks}`);
+            print(`Successful:       ${event.summary.successful}`, 'success');
+            print(`Already applied:  ${event.summary.alreadyApplied}`, 'info');
+            print(`Skipped:          ${event.summary.skipped}`, 'warning');
+            print(`Failed:           ${event.summary.failed}`, 'error');
+            print(`Blocked (policy): ${event.summary.blocked}`, 'error');
+            print('');
+            if (event.error) {
+                printError(event.error);
+            }
+            if (event.movedPath) {
+                printSuccess('✅ Batch moved to processed folder');
+                print(`📦 ${event.movedPath}`);
+                print('');
+            }
+            break;
+    }
+}
+
 async function moveBatchToProcessed(batchName) {
     try {
         printInfo('Moving batch to processed...');
@@ -1475,12 +2520,15 @@ fileInput.addEventListener('change', async (e) => {
         const formData = new FormData();
         formData.append('file', file);
         
-        const response = await fetch('/api/parse-file', {
+        // A fix-sheet CSV (epak_uuid, doc_uuid, signed_pdf_path) is generated on the server; stream its progress
+        const progress = followProgress(printGeneratorProgress);
+        const response = await fetch(`/api/parse-file?progressId=${progress.id}`, {
             method: 'POST',
             body: formData
         });
         
         const result = await response.json();
+        await progress.stop();
         
         if (!result.success) {
             printError(`Failed to parse file: ${result.error}`);
@@ -1507,6 +2555,8 @@ fileInput.addEventListener('change', async (e) => {
             }
             
             print('');
+            printStrategySummary(summary.strategies);
+            printGeneratorWarnings(summary.warnings);
             printInfo('Downloading generated fix sheet...');
             
             // Download the CSV file
@@ -1528,7 +2578,7 @@ fileInput.addEventListener('change', async (e) => {
             print('');
             print('1. Open the downloaded CSV file');
             print('2. Review the generated SQL commands');
-            print('3. Fill in any fields marked as "MANUAL"');
+            print('3. Fill in any fields marked as "MANUAL" (or enter them in the fill-in form on upload)');
             print('4. Upload the completed CSV using "Batch Upload" to execute');
             print('');
             
@@ -1545,17 +2595,26 @@ fileInput.addEventListener('change', async (e) => {
             return;
         }
         
+        // MANUAL placeholders are filled in (revised sheet) before anything runs
+        const sheet = await resolvePlaceholders(result);
+        
+        if (sheet.violations && sheet.violations.length > 0) {
+            printSafetyViolations(sheet.violations);
+            printWarning('EPaks with blocked rows will be skipped. Fix the sheet and re-upload to include them.');
+            print('');
+        }
+        
         // Group operations by EPak ID
         const epakOperations = {};
-        result.operations.forEach(op => {
+        sheet.operations.forEach(op => {
             if (!epakOperations[op.epakId]) {
                 epakOperations[op.epakId] = [];
             }
-            epakOperations[op.epakId].push(op.sql);
+            epakOperations[op.epakId].push(op);
         });
         
         // Process batch
-        await processBatchEpaks(epakOperations);
+        await processBatchEpaks(epakOperations, sheet.sourcePath);
         
     } catch (error) {
         printError(`Failed to process file: ${error.message}`);
@@ -1603,6 +2662,7 @@ certInput.addEventListener('change', async (e) => {
         printSuccess('Certificate parsed successfully!');
         if (result.extractedFromPDF) {
             printInfo('Certificate was extracted from signed PDF');
+            printSignatureCheck(result.signatureCheck);
         }
         print('');
         
@@ -1656,12 +2716,35 @@ function handleBatchCommand() {
 
 // processBatchCSV function removed - now using server-side file parsing via /api/parse-file
 
-async function processBatchEpaks(epakOperations) {
+async function processBatchEpaks(epakOperations, sheetPath = null, runId = null) {
     const totalEpaks = Object.keys(epakOperations).length;
     let processed = 0;
     let successful = 0;
+    let alreadyApplied = 0;
     let skipped = 0;
     let failed = 0;
+    let blocked = 0;
+    let stopped = false;
+    
+    // Production: confirm once for the whole batch
+    const confirmProfile = await confirmProductionWrites(`This batch (${totalEpaks} ePak(s))`);
+    if (confirmProfile === false) {
+        return;
+    }
+    
+    // Journal the run on the server: it carries the approval, and can be resumed if this tab goes away mid-batch
+    if (!runId) {
+        runId = await startJournalRun(Object.keys(epakOperations), sheetPath);
+        if (runId === false) {
+            return;
+        }
+    }
+    
+    // Statements sent to the server keep their spreadsheet row and flags for violation reports
+    // (parameterized statement and precondition when the fix sheet parser provided them)
+    const toQuery = (op) => typeof op === 'object'
+        ? { sql: op.sql, statement: op.statement, rowNumber: op.rowNumber, flags: op.flags, precondition: op.preconditionCheck }
+        : op;
     
     for (const [epakId, operations] of Object.entries(epakOperations)) {
         processed++;
@@ -1679,13 +2762,13 @@ async function processBatchEpaks(epakOperations) {
             let query;
             if (isUUID) {
                 // Query by uuid column for UUID values
-                query = `SELECT id, status, progressPercent, subject FROM epak WHERE uuid = '${epakId}'`;
+                query = 'SELECT id, status, progressPercent, subject FROM epak WHERE uuid = ?';
             } else {
                 // Query by id column for integer values
-                query = `SELECT id, status, progressPercent, subject FROM epak WHERE id = ${epakId}`;
+                query = 'SELECT id, status, progressPercent, subject FROM epak WHERE id = ?';
             }
             
-            const currentState = await runQuery(query);
+            const currentState = await runQuery(query, [epakId]);
             if (currentState && currentState.length > 0) {
                 printTable(currentState);
             } else {
@@ -1701,18 +2784,43 @@ async function processBatchEpaks(epakOperations) {
         operations.forEach((op, index) => {
             // If op is an object with sql property, display the SQL
             const sqlText = typeof op === 'object' ? op.sql : op;
-            print(`${index + 1}. ${sqlText}`, 'success');
+            const flagText = op.flags && op.flags.length > 0 ? ` [${op.flags.join(', ')}]` : '';
+            print(`${index + 1}. ${sqlText}${flagText}`, op.blocked ? 'error' : 'success');
+            if (op.precondition) {
+                print(`   only if: ${op.precondition}`, 'dim');
+            }
         });
         
-        print('');
-        print('Options:', 'bold');
-        print('  1. Execute these operations');
-        print('  2. Skip this EPak');
-        print('  3. Stop batch processing');
-        print('');
+        // Rows that break the safety policy can never be executed
+        const violations = operations.flatMap(op => (typeof op === 'object' && op.violations) || []);
+        if (violations.length > 0) {
+            printSafetyViolations(violations);
+            printWarning(`EPak ${epakId} is BLOCKED by the safety policy - skipping`);
+            await recordSkippedRows(sheetPath, operations, 'Blocked by the safety policy');
+            await journalSkippedEpak(runId, epakId, 'blocked', 'Blocked by the safety policy');
+            blocked++;
+            print('');
+            await promptUser('Press Enter to continue to next EPak...');
+            continue;
+        }
         
-        // For batch mode, auto-execute (you can add prompts if needed)
-        const choice = await promptUser('Choose [1-3]: ');
+        let choice;
+        do {
+            print('');
+            print('Options:', 'bold');
+            print('  1. Execute these operations');
+            print('  2. Skip this EPak');
+            print('  3. Stop batch processing');
+            print('  4. Dry run (preview affected rows, then roll back)');
+            print('');
+            
+            choice = await promptUser('Choose [1-4]: ');
+            
+            if (choice === '4') {
+                print('');
+                await runDryRun(operations.map(toQuery), epakId);
+            }
+        } while (choice === '4');
         
         if (choice === '1') {
             // Execute operations
@@ -1720,22 +2828,33 @@ async function processBatchEpaks(epakOperations) {
             printInfo('Executing operations...');
             
             try {
-                // Extract SQL strings from operation objects
-                const queries = operations.map(op => {
-                    return typeof op === 'object' ? op.sql : op;
-                });
+                const queries = operations.map(toQuery);
                 
                 const response = await fetch('/api/transaction', {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ queries: queries })
+                    body: JSON.stringify({ queries: queries, epakId: epakId, sheetPath, runId, confirmProfile })
                 });
                 
                 const result = await response.json();
                 
+                if (result.journalWarning) {
+                    printWarning(result.journalWarning);
+                }
+                
                 if (result.success) {
-                    printSuccess(`EPak ${epakId} processed successfully!`);
-                    successful++;
+                    printAlreadyApplied(result.outcomes);
+                    if (result.sheetWarning) {
+                        printWarning(result.sheetWarning);
+                    }
+                    if (!result.rollback) {
+                        printSuccess(`EPak ${epakId} was already fixed - nothing was changed`);
+                        alreadyApplied++;
+                    } else {
+                        printSuccess(`EPak ${epakId} processed successfully!`);
+                        printRollbackInfo(result.rollback);
+                        successful++;
+                    }
                     
                     // Show final state
                     print('');
@@ -1744,11 +2863,11 @@ async function processBatchEpaks(epakOperations) {
                         const isUUID = epakId.includes('-');
                         let finalQuery;
                         if (isUUID) {
-                            finalQuery = `SELECT id, status, progressPercent, subject FROM epak WHERE uuid = '${epakId}'`;
+                            finalQuery = 'SELECT id, status, progressPercent, subject FROM epak WHERE uuid = ?';
                         } else {
-                            finalQuery = `SELECT id, status, progressPercent, subject FROM epak WHERE id = ${epakId}`;
+                            finalQuery = 'SELECT id, status, progressPercent, subject FROM epak WHERE id = ?';
                         }
-                        const finalState = await runQuery(finalQuery);
+                        const finalState = await runQuery(finalQuery, [epakId]);
                         if (finalState && finalState.length > 0) {
                             printTable(finalState);
                         }
@@ -1758,6 +2877,10 @@ async function processBatchEpaks(epakOperations) {
                 } else {
                     printError(`Failed to process EPak ${epakId}`);
                     print(result.error, 'error');
+                    printSafetyViolations(result.violations);
+                    if (result.sheetWarning) {
+                        printWarning(result.sheetWarning);
+                    }
                     failed++;
                 }
             } catch (error) {
@@ -1766,12 +2889,16 @@ async function processBatchEpaks(epakOperations) {
             }
         } else if (choice === '2') {
             printWarning(`Skipped EPak ${epakId}`);
+            await recordSkippedRows(sheetPath, operations, 'Skipped by operator');
+            await journalSkippedEpak(runId, epakId, 'skipped', 'Skipped by operator');
             skipped++;
         } else if (choice === '3') {
             printWarning('Batch processing stopped by user');
+            stopped = true;
             break;
         } else {
             printError('Invalid choice, skipping EPak');
+            await journalSkippedEpak(runId, epakId, 'skipped', `Invalid choice "${choice}"`);
             skipped++;
         }
         
@@ -1784,9 +2911,17 @@ async function processBatchEpaks(epakOperations) {
     print('');
     print(`Total EPaks:      ${totalEpaks}`);
     print(`Successful:       ${successful}`, 'success');
+    print(`Already applied:  ${alreadyApplied}`, 'info');
     print(`Skipped:          ${skipped}`, 'warning');
     print(`Failed:           ${failed}`, 'error');
+    print(`Blocked (policy): ${blocked}`, 'error');
     print('');
+    await finishJournalRun(runId, stopped, { totalEpaks, successful, alreadyApplied, skipped, failed, blocked });
+    if (sheetPath) {
+        printInfo('Results were written to the Status / Last ran / Affected rows / Error columns of:');
+        print(`  ${sheetPath}`, 'bold');
+        print('');
+    }
     
     // If this was from automated batch processing, move to processed
     if (state.currentBatchName) {
@@ -1794,8 +2929,159 @@ async function processBatchEpaks(epakOperations) {
     }
 }
 
+// Start a batch run in the server-side execution journal; returns its id, or false if the run could
+// not start (not approved, approved by this operator, journal unavailable) - writes need a run
+async function startJournalRun(epakIds, sheetPath) {
+    try {
+        const response = await fetch('/api/journal/runs', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ batchName: state.currentBatchName, sheetPath, epakIds })
+        });
+        const result = await response.json();
+        // The server only executes statements of an approved, journaled run
+        if (!result.success) {
+            printError(result.error);
+            printWarning('Batch not executed');
+            return false;
+        }
+        printInfo(`Journaling this run as ${result.runId} (approval ${result.approvalId})`);
+        return result.runId;
+    } catch (error) {
+        printError(`Execution journal unavailable: ${error.message}`);
+        printWarning('Batch not executed');
+        return false;
+    }
+}
+
+// Journal an ePak that was not sent to the database (result: skipped / blocked)
+async function journalSkippedEpak(runId, epakId, result, error) {
+    if (!runId) return;
+    try {
+        const response = await fetch(`/api/journal/runs/${encodeURIComponent(runId)}/epaks`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ epakId, result, error })
+        });
+        const data = await response.json();
+        if (!data.success) {
+            printWarning(data.error);
+        }
+    } catch (fetchError) {
+        printWarning(`Could not write the execution journal: ${fetchError.message}`);
+    }
+}
+
+// Close a journaled run (stopped: the operator chose "Stop batch processing")
+async function finishJournalRun(runId, stopped, summary) {
+    if (!runId) return;
+    try {
+        const response = await fetch(`/api/journal/runs/${encodeURIComponent(runId)}/finish`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ stopped, summary })
+        });
+        const data = await response.json();
+        if (!data.success) {
+            printWarning(data.error);
+        }
+    } catch (error) {
+        printWarning(`Could not write the execution journal: ${error.message}`);
+    }
+}
+
+// Offer to resume the batch's last run if it was interrupted.
+// Returns { runId, epakOperations } with only the ePaks that run never reached or that failed (retried),
+// or null to start a new run
+async function offerResume(batchName, epakOperations) {
+    let run;
+    try {
+        const response = await fetch(`/api/journal/interrupted/${encodeURIComponent(batchName)}`);
+        const data = await response.json();
+        if (!data.success) {
+            printWarning(`Could not read the execution journal: ${data.error}`);
+            return null;
+        }
+        run = data.run;
+    } catch (error) {
+        printWarning(`Could not read the execution journal: ${error.message}`);
+        return null;
+    }
+    if (!run) return null;
+    
+    const done = Object.keys(run.epaks);
+    const failed = done.filter(epakId => run.epaks[epakId] === 'failed');
+    const remaining = Object.keys(epakOperations).filter(epakId => !run.epaks[epakId] || run.epaks[epakId] === 'failed');
+    if (remaining.length === 0) return null;
+    
+    print('');
+    printSection('Interrupted Run Found');
+    print('');
+    printWarning(`Run ${run.runId} of ${batchName} did not finish`);
+    print(`Started:  ${state.timestamps.format(run.startedAt)} by ${run.operator || 'unknown'}`);
+    print(`Done:     ${done.length - failed.length} of ${run.epakIds.length} ePak(s)`);
+    if (done.length > 0) {
+        printTable(done.map(epakId => ({ epak: epakId, result: run.epaks[epakId] })));
+    }
+    if (failed.length > 0) {
+        print(`Retry:    ${failed.length} failed ePak(s) run again on resume`);
+    }
+    print(`Next:     ePak ${remaining[0]}`);
+    print('');
+    print('Options:');
+    print(`1. Resume from ePak ${remaining[0]} (${remaining.length} left)`);
+    print('2. Start over with a new run (rows already applied are skipped by their preconditions)');
+    print('');
+    const choice = await promptUser('Choose [1-2]: ');
+    if (choice !== '1') return null;
+    
+    try {
+        const response = await fetch(`/api/journal/runs/${encodeURIComponent(run.runId)}/resume`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ fromEpakId: remaining[0] })
+        });
+        const data = await response.json();
+        if (!data.success) {
+            printError(`Could not resume: ${data.error}`);
+            return null;
+        }
+    } catch (error) {
+        printError(`Could not resume: ${error.message}`);
+        return null;
+    }
+    
+    printSuccess(`Resuming ${run.runId} from ePak ${remaining[0]}`);
+    const resumed = {};
+    remaining.forEach(epakId => { resumed[epakId] = epakOperations[epakId]; });
+    return { runId: run.runId, epakOperations: resumed };
+}
+
+// Mark the rows of an ePak that was not sent to the database as Skipped in the fix sheet
+async function recordSkippedRows(sheetPath, operations, reason) {
+    const rows = operations.filter(op => typeof op === 'object' && op.rowNumber);
+    if (!sheetPath || rows.length === 0) return;
+    
+    try {
+        const response = await fetch('/api/write-fix-sheet-results', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                sheetPath,
+                results: rows.map(op => ({ rowNumber: op.rowNumber, status: 'Skipped', reason }))
+            })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            printWarning(result.error);
+        }
+    } catch (error) {
+        printWarning(`Could not update the fix sheet: ${error.message}`);
+    }
+}
+
 // Helper to prompt user in batch mode
-function promptUser(message) {
+function promptUser(message, defaultValue = '1') {
     return new Promise((resolve) => {
         print(message, 'warning');
         state.awaitingPrompt = true; // Set flag to prevent command execution
@@ -1807,7 +3093,7 @@ function promptUser(message) {
                 commandInput.value = '';
                 commandInput.removeEventListener('keydown', handler);
                 state.awaitingPrompt = false; // Clear flag
-                resolve(value || '1'); // Default to option 1
+                resolve(value || defaultValue); // Default to option 1
             }
         };
         commandInput.addEventListener('keydown', handler);
@@ -1846,7 +3132,8 @@ function displayAadhaarDetails(details) {
         { field: 'Serial Number', value: details.serialNumber },
         { field: 'End Date', value: new Date(details.endDate).toLocaleString() },
         { field: 'Issuer Name', value: details.issuerName },
-        { field: 'Issuer Organisation', value: details.issuerOrganisation }
+        { field: 'Issuer Organisation', value: details.issuerOrganisation },
+        { field: 'Chain Status', value: details.chain ? details.chain.status : 'NA' }
     ];
     
     // Calculate max width for alignment
@@ -1866,6 +3153,19 @@ function displayAadhaarDetails(details) {
     print('+' + '-'.repeat(maxFieldWidth + 4) + '+' + '-'.repeat(50) + '+');
     print('');
     
+    if (details.chain) {
+        const chainPath = details.chain.path.map(link => link.subject).join(' → ');
+        if (details.chain.status === 'trusted') {
+            printSuccess(`Certificate chain: trusted - ${details.chain.reason}`);
+        } else {
+            printWarning(`Certificate chain: ${details.chain.status} - ${details.chain.reason}`);
+        }
+        if (chainPath) {
+            print(`  ${chainPath}`, 'dim');
+        }
+        print('');
+    }
+    
     // Print as JSON-encoded string
     printSection('JSON Output');
     print('');
@@ -1898,6 +3198,7 @@ async function handleCertPath(certPath) {
         printSuccess('Certificate parsed successfully!');
         if (result.extractedFromPDF) {
             printInfo('Certificate was extracted from signed PDF');
+            printSignatureCheck(result.signatureCheck);
         }
         print('');
         
@@ -1910,6 +3211,90 @@ async function handleCertPath(certPath) {
     }
 }
 
+// Show the PDF signature verification result (valid / invalid / partial-coverage)
+function printSignatureCheck(check) {
+    if (!check) return;
+    
+    if (check.status === 'valid') {
+        printSuccess(`PDF signature: valid (${check.reason})`);
+    } else if (check.status === 'partial-coverage') {
+        printWarning(`PDF signature: partial coverage - ${check.reason}`);
+    } else {
+        printError(`PDF signature: INVALID - ${check.reason}`);
+    }
+}
+
+// Stream a request's progress (GET /api/progress/:id/events) to onEvent; send the request with ?progressId=<id>.
+// stop() waits briefly for the final event (it may arrive after the response), then closes the stream
+function followProgress(onEvent) {
+    const id = `p-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    const source = new EventSource(`/api/progress/${id}/events`);
+    let finish;
+    const finished = new Promise(resolve => { finish = resolve; });
+    
+    source.onmessage = (message) => {
+        const event = JSON.parse(message.data);
+        if (event.type === 'done' || event.type === 'failed') {
+            source.close();
+            finish();
+            return;
+        }
+        onEvent(event);
+    };
+    
+    return {
+        id,
+        stop: async () => {
+            await Promise.race([finished, new Promise(resolve => setTimeout(resolve, 1000))]);
+            source.close();
+        }
+    };
+}
+
+// Fix-sheet generator progress (see EpakFixSheetGenerator.generateFixSheet)
+function printGeneratorProgress(event) {
+    switch (event.type) {
+        case 'start':
+            printInfo(`${event.total} ePak(s) to process`);
+            break;
+        case 'epak':
+            print('');
+            print(`[${event.current}/${event.total}] ePak ${event.epakUuid} (doc ${event.docUuid})`, 'bold');
+            break;
+        case 'stage':
+            print(`  Step ${event.stage}/4: ${event.label}...`);
+            break;
+        case 'step':
+            print(`    [${event.step}/${event.of}] ${event.label}...`, 'dim');
+            break;
+        case 'warning':
+            printWarning(`  ${event.message}`);
+            break;
+        case 'epak-done':
+            printSuccess(`  ${event.commands} fix command(s) (${event.strategy})`);
+            break;
+        case 'epak-failed':
+            printError(`  ${event.error}`);
+            break;
+        case 'writing':
+            print('');
+            printInfo(`Writing ${event.commands} fix command(s) to the fix sheet...`);
+            break;
+    }
+}
+
+// One processed PDF of a batch (see BatchPdfProcessor.processPDFDirectory)
+function printPdfProgress(event) {
+    const prefix = `[${event.current}/${event.total}] ${event.fileName}`;
+    const signature = event.signatureCheck ? ` - signature ${event.signatureCheck.status}` : '';
+    if (event.success) {
+        print(`${prefix}: ✓ ${event.signerName || 'signer parsed'}${signature}${event.chainStatus ? `, chain ${event.chainStatus}` : ''}`,
+            event.signatureCheck && event.signatureCheck.status !== 'valid' ? 'warning' : 'success');
+    } else {
+        print(`${prefix}: ✗ ${event.error}${signature}`, 'error');
+    }
+}
+
 // Handle batch PDF processing from directory
 async function handleBatchPdfProcessing(dirPath) {
     printHeader('Batch PDF Processing');
@@ -1921,7 +3306,8 @@ async function handleBatchPdfProcessing(dirPath) {
     print('');
     
     try {
-        const response = await fetch('/api/batch-process-pdfs', {
+        const progress = followProgress(printPdfProgress);
+        const response = await fetch(`/api/batch-process-pdfs?progressId=${progress.id}`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ 
@@ -1933,6 +3319,7 @@ async function handleBatchPdfProcessing(dirPath) {
         });
         
         const result = await response.json();
+        await progress.stop();
         
         if (!result.success) {
             printError(`Batch processing failed: ${result.error}`);
@@ -1946,6 +3333,12 @@ async function handleBatchPdfProcessing(dirPath) {
         print(`Successfully Parsed: ${result.summary.successCount}`, 'success');
         print(`Failed to Parse:     ${result.summary.failureCount}`, result.summary.failureCount > 0 ? 'error' : 'dim');
         print(`Processing Time:     ${result.summary.processingTimeFormatted}`);
+        if (result.summary.signatureCounts) {
+            const counts = result.summary.signatureCounts;
+            print(`Signatures Valid:    ${counts.valid}`, 'success');
+            print(`Partial Coverage:    ${counts['partial-coverage']}`, counts['partial-coverage'] > 0 ? 'warning' : 'dim');
+            print(`Signatures Invalid:  ${counts.invalid}`, counts.invalid > 0 ? 'error' : 'dim');
+        }
         print('');
         
         // Check if all files failed
@@ -2005,9 +3398,9 @@ async function handleBatchPdfProcessing(dirPath) {
         
         printSection('CSV Columns');
         print('');
-        print('File Name, File Path, Status, Signer Name, TPIN, Gender,');
+        print('File Name, File Path, Status, Signature Check, Signer Name, TPIN, Gender,');
         print('Year of Birth, State, Pincode, Serial Number, End Date,');
-        print('Issuer Name, Issuer Organisation, Error');
+        print('Issuer Name, Issuer Organisation, Chain Status, Chain Detail, Error');
         print('');
         
     } catch (error) {
@@ -2099,7 +3492,8 @@ async function handleFixSheetPath(csvPath) {
     print('');
     
     try {
-        const response = await fetch('/api/generate-fix-sheet', {
+        const progress = followProgress(printGeneratorProgress);
+        const response = await fetch(`/api/generate-fix-sheet?progressId=${progress.id}`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -2110,6 +3504,7 @@ async function handleFixSheetPath(csvPath) {
         });
         
         const result = await response.json();
+        await progress.stop();
         
         if (!result.success) {
             printError(result.error || 'Failed to generate fix sheet');
@@ -2126,6 +3521,8 @@ async function handleFixSheetPath(csvPath) {
         print(`  🔧 Fix commands generated: ${result.summary.fixCommands}`);
         print(`  ❌ Errors: ${result.summary.errors.length}`);
         print('');
+        printStrategySummary(result.summary.strategies);
+        printGeneratorWarnings(result.summary.warnings);
         
         if (result.savedPath) {
             printSuccess(`📁 Saved to: ${result.savedPath}`);
@@ -0,0 +1,352 @@
+const fs = require('fs');
+const path = require('path');
+const mysql = require('mysql2/promise');
+const TimestampService = require('./timestampService');
+
+/**
+ * Rollback Generator
+ * Snapshots the rows each statement of a transaction will touch and
+ * produces a replayable rollback SQL script plus a JSON manifest
+ * (web equivalent of the /tmp/rollback_epak_*.sql written by main.sh)
+ */
+class RollbackGenerator {
+
+    /**
+     * @param {Object} connection - mysql2 connection with an open transaction
+     * @param {string} outputDir - Directory where rollback files are stored
+     * @param {TimestampService} timestamps - Time zone of the connection (default: the shared one)
+     */
+    constructor(connection, outputDir, timestamps = null) {
+        this.connection = connection;
+        this.outputDir = outputDir;
+        this.timestamps = timestamps || TimestampService.getDefault();
+        this.entries = [];
+    }
+
+    /**
+     * Snapshot the rows a statement is about to touch.
+     * Must be called inside the transaction, right before executing the statement.
+     * @param {string} sql - Statement to be executed
+     * @returns {Promise<Object>} Entry describing the statement and its snapshot
+     */
+    async captureBefore(sql) {
+        const statement = RollbackGenerator.parseStatement(sql);
+        const entry = {
+            index: this.entries.length + 1,
+            type: statement.type,
+            table: statement.table,
+            sql: statement.sql,
+            rows: [],
+            insertedIds: []
+        };
+
+        if (statement.type === 'UPDATE' || statement.type === 'DELETE') {
+            // Lock and copy every row the WHERE clause matches
+            const selectSql = statement.where
+                ? `SELECT * FROM ${statement.table} WHERE ${statement.where} FOR UPDATE`
+                : `SELECT * FROM ${statement.table} FOR UPDATE`;
+            // DATETIME values are kept as the stored text, so restoring them cannot shift time zones
+            const [rows] = await this.connection.query({ sql: selectSql, dateStrings: true });
+            entry.rows = rows;
+        }
+
+        this.entries.push(entry);
+        return entry;
+    }
+
+    /**
+     * Re-read the rows a statement touched, after it was executed.
+     * Used by dry runs to build a before/after diff.
+     * @param {Object} entry - Entry returned by captureBefore (with result recorded)
+     * @returns {Promise<Array>} Rows as they are now inside the transaction
+     */
+    async captureAfter(entry) {
+        let ids = [];
+        if (entry.type === 'INSERT') {
+            ids = entry.insertedIds;
+        } else if (entry.type === 'UPDATE') {
+            ids = entry.rows.map(row => row.id).filter(id => id !== undefined && id !== null);
+        }
+
+        if (ids.length === 0) {
+            entry.afterRows = [];
+            return entry.afterRows;
+        }
+
+        const [rows] = await this.connection.query(
+            { sql: `SELECT * FROM ${entry.table} WHERE id IN (?)`, dateStrings: true },
+            [ids]
+        );
+        entry.afterRows = rows;
+        return rows;
+    }
+
+    /**
+     * Record the result of an executed statement (INSERT ids, affected rows)
+     * @param {Object} entry - Entry returned by captureBefore
+     * @param {Object} result - mysql2 ResultSetHeader
+     */
+    recordResult(entry, result) {
+        entry.affectedRows = result && typeof result.affectedRows === 'number' ? result.affectedRows : 0;
+
+        if (entry.type === 'INSERT' && result && result.insertId) {
+            // Multi-row inserts get consecutive auto-increment ids starting at insertId
+            for (let i = 0; i < entry.affectedRows; i++) {
+                entry.insertedIds.push(result.insertId + i);
+            }
+        }
+    }
+
+    /**
+     * Build rollback statements, undoing the entries in reverse order
+     * @returns {Array<{comment: string, sql: string}>}
+     */
+    buildRollbackStatements() {
+        const statements = [];
+
+        for (const entry of [...this.entries].reverse()) {
+            if (entry.type === 'INSERT') {
+                if (entry.insertedIds.length > 0) {
+                    statements.push({
+                        comment: `Undo #${entry.index}: delete row(s) inserted into ${entry.table}`,
+                        sql: `DELETE FROM ${entry.table} WHERE id IN (${entry.insertedIds.map(id => mysql.escape(id)).join(', ')});`
+                    });
+                } else {
+                    statements.push({
+                        comment: `Undo #${entry.index}: INSERT into ${entry.table} reported no insert id - review manually`,
+                        sql: null
+                    });
+                }
+            } else if (entry.type === 'UPDATE') {
+                for (const row of entry.rows) {
+                    const keyClause = RollbackGenerator.buildKeyClause(row);
+                    const assignments = Object.keys(row)
+                        .filter(column => column !== 'id')
+                        .map(column => `${mysql.escapeId(column)} = ${RollbackGenerator.escapeValue(row[column])}`);
+                    statements.push({
+                        comment: `Undo #${entry.index}: restore ${entry.table} row ${keyClause}`,
+                        sql: `UPDATE ${entry.table} SET ${assignments.join(', ')} WHERE ${keyClause};`
+                    });
+                }
+            } else if (entry.type === 'DELETE') {
+                for (const row of entry.rows) {
+                    const assignments = Object.keys(row)
+                        .map(column => `${mysql.escapeId(column)} = ${RollbackGenerator.escapeValue(row[column])}`);
+                    statements.push({
+                        comment: `Undo #${entry.index}: re-insert deleted ${entry.table} row ${RollbackGenerator.buildKeyClause(row)}`,
+                        sql: `INSERT INTO ${entry.table} SET ${assignments.join(', ')};`
+                    });
+                }
+            }
+        }
+
+        return statements;
+    }
+
+    /**
+     * Render the rollback script
+     * @param {Object} meta - { epakId, createdAt }
+     * @returns {string} SQL script
+     */
+    toSql(meta) {
+        const { timestamps } = this;
+        const lines = [
+            '-- ============================================================',
+            `-- ROLLBACK SCRIPT for EPak #${meta.epakId || 'unknown'}`,
+            `-- Generated: ${timestamps.format(meta.createdAt)} (database time, ${timestamps.timeZone})`,
+            `-- Statements undone: ${this.entries.length}`,
+            '-- ============================================================',
+            '-- IMPORTANT: Run this script ONLY if you need to undo the changes!',
+            '-- ============================================================',
+            '',
+            'START TRANSACTION;',
+            ''
+        ];
+
+        for (const statement of this.buildRollbackStatements()) {
+            lines.push(`-- ${statement.comment}`);
+            if (statement.sql) {
+                lines.push(statement.sql);
+            }
+            lines.push('');
+        }
+
+        lines.push("SELECT 'EPak rolled back successfully!' as Status;");
+        lines.push('');
+        lines.push('COMMIT;');
+        lines.push('');
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Write rollback SQL and JSON manifest to the output directory
+     * @param {Object} meta - { epakId }
+     * @returns {{id: string, sqlPath: string, manifestPath: string}}
+     */
+    save(meta = {}) {
+        if (!fs.existsSync(this.outputDir)) {
+            fs.mkdirSync(this.outputDir, { recursive: true });
+        }
+
+        const now = new Date();
+        const stamp = now.toISOString().replace(/[-:]/g, '').replace('T', '_').slice(0, 15);
+        const epakPart = String(meta.epakId || 'unknown').replace(/[^\w-]/g, '_');
+
+        let id = `rollback_epak_${epakPart}_${stamp}`;
+        for (let n = 2; fs.existsSync(path.join(this.outputDir, `${id}.sql`)); n++) {
+            id = `rollback_epak_${epakPart}_${stamp}-${n}`;
+        }
+
+        const sqlPath = path.join(this.outputDir, `${id}.sql`);
+        const manifestPath = path.join(this.outputDir, `${id}.json`);
+        const createdAt = now.toISOString();
+
+        fs.writeFileSync(sqlPath, this.toSql({ epakId: meta.epakId, createdAt }), 'utf8');
+
+        const manifest = {
+            id,
+            epakId: meta.epakId || null,
+            createdAt,
+            sqlFile: path.basename(sqlPath),
+            statements: this.entries.map(entry => ({
+                index: entry.index,
+                type: entry.type,
+                table: entry.table,
+                sql: entry.sql,
+                affectedRows: entry.affectedRows,
+                snapshot: entry.rows,
+                insertedIds: entry.insertedIds
+            }))
+        };
+        fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2), 'utf8');
+
+        return { id, sqlPath, manifestPath };
+    }
+
+    /**
+     * Remove previously saved rollback files (e.g. when COMMIT failed)
+     * @param {{sqlPath: string, manifestPath: string}} saved
+     */
+    static discard(saved) {
+        for (const file of [saved.sqlPath, saved.manifestPath]) {
+            if (file && fs.existsSync(file)) {
+                fs.unlinkSync(file);
+            }
+        }
+    }
+
+    /**
+     * List saved rollbacks, newest first
+     * @param {string} outputDir - Rollback directory
+     * @returns {Array<Object>} Manifest summaries
+     */
+    static listRollbacks(outputDir) {
+        if (!fs.existsSync(outputDir)) {
+            return [];
+        }
+
+        return fs.readdirSync(outputDir)
+            .filter(f => f.endsWith('.json'))
+            .map(f => {
+                try {
+                    const manifest = JSON.parse(fs.readFileSync(path.join(outputDir, f), 'utf8'));
+                    return {
+                        id: manifest.id,
+                        epakId: manifest.epakId,
+                        createdAt: manifest.createdAt,
+                        sqlFile: manifest.sqlFile,
+                        statementCount: manifest.statements ? manifest.statements.length : 0
+                    };
+                } catch (error) {
+                    console.warn(`⚠️  Skipping unreadable rollback manifest ${f}: ${error.message}`);
+                    return null;
+                }
+            })
+            .filter(Boolean)
+            .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+    }
+
+    /**
+     * Split a write statement into type, table and WHERE clause
+     * @param {string} sql - UPDATE / INSERT / DELETE statement
+     * @returns {{type: string, table: string, where: string, sql: string}}
+     */
+    static parseStatement(sql) {
+        const text = String(sql).trim().replace(/;+\s*$/, '');
+        let match;
+
+        if ((match = text.match(/^UPDATE\s+(`[^`]+`|[\w.]+)\s+SET\s/i))) {
+            return { type: 'UPDATE', table: match[1], where: this.extractWhere(text), sql: text };
+        }
+        if ((match = text.match(/^DELETE\s+FROM\s+(`[^`]+`|[\w.]+)/i))) {
+            return { type: 'DELETE', table: match[1], where: this.extractWhere(text), sql: text };
+        }
+        if ((match = text.match(/^INSERT\s+INTO\s+(`[^`]+`|[\w.]+)/i))) {
+            return { type: 'INSERT', table: match[1], where: '', sql: text };
+        }
+
+        throw new Error(`Unsupported statement (expected UPDATE, INSERT or DELETE): ${text.substring(0, 80)}`);
+    }
+
+    /**
+     * Return the text after the first top-level WHERE keyword (outside quotes)
+     * @param {string} sql - SQL statement
+     * @returns {string} WHERE clause without the keyword, or '' if none
+     */
+    static extractWhere(sql) {
+        let quote = null;
+
+        for (let i = 0; i < sql.length; i++) {
+            const ch = sql[i];
+
+            if (quote) {
+                if (ch === '\\') {
+                    i++;
+                } else if (ch === quote) {
+                    quote = null;
+                }
+                continue;
+            }
+
+            if (ch === '\'' || ch === '"' || ch === '`') {
+                quote = ch;
+            } else if (/^WHERE\b/i.test(sql.substring(i, i + 6)) && (i === 0 || /\s/.test(sql[i - 1]))) {
+                return sql.substring(i + 5).trim();
+            }
+        }
+
+        return '';
+    }
+
+    /**
+     * Build a WHERE clause identifying a snapshot row (primary key when available)
+     * @param {Object} row - Snapshot row
+     * @returns {string} WHERE clause
+     */
+    static buildKeyClause(row) {
+        if (row.id !== undefined && row.id !== null) {
+            return `id = ${mysql.escape(row.id)}`;
+        }
+        return Object.keys(row)
+            .map(column => row[column] === null
+                ? `${mysql.escapeId(column)} IS NULL`
+                : `${mysql.escapeId(column)} = ${this.escapeValue(row[column])}`)
+            .join(' AND ');
+    }
+
+    /**
+     * Escape a snapshot value as a SQL literal
+     * JSON columns come back from mysql2 as objects and must be re-serialized
+     * @param {*} value - Column value
+     * @returns {string} SQL literal
+     */
+    static escapeValue(value) {
+        if (value !== null && typeof value === 'object' && !(value instanceof Date) && !Buffer.isBuffer(value)) {
+            return mysql.escape(JSON.stringify(value));
+        }
+        return mysql.escape(value);
+    }
+}
+
+module.exports = RollbackGenerator;
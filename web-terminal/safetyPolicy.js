@@ -0,0 +1,325 @@
+const fs = require('fs');
+const path = require('path');
+const RollbackGenerator = require('./rollbackGenerator');
+const SqlClassifier = require('./sqlClassifier');
+
+/**
+ * Built-in defaults, overridden by safety-policy.json (or EPAK_SAFETY_POLICY)
+ */
+const DEFAULT_POLICY = {
+    maxAffectedRows: 50,
+    requireWhereFor: ['UPDATE', 'DELETE'],
+    allowedTables: [
+        'epak',
+        'epak_workflowstate_signer',
+        'docuseraction',
+        'documentactivity',
+        'epakactivity'
+    ],
+    forbiddenColumns: ['id', 'uuid', 'ownerId'],
+    // Placeholders the generator writes when it could not find a value; rows holding one
+    // run only when flagged OVERRIDE in the fix sheet
+    placeholderValues: ['MANUAL']
+};
+
+// Rules that come from the statement classifier rather than the policy file
+const STATEMENT_RULES = ['statement-type', 'single-statement', 'no-ddl', 'read-only'];
+
+/**
+ * Raised when statements break the safety policy.
+ * `violations` holds one entry per broken rule: { rowNumber, rule, message, sql }
+ */
+class SafetyViolationError extends Error {
+    constructor(violations) {
+        super(violations.map(v => SafetyPolicy.describe(v)).join('; '));
+        this.name = 'SafetyViolationError';
+        this.violations = violations;
+    }
+}
+
+/**
+ * Safety Policy
+ * Declarative guardrails applied to fix-sheet and terminal statements
+ * before (static checks) and during (row-count checks) execution
+ */
+class SafetyPolicy {
+
+    /**
+     * @param {Object} policy - Partial policy, merged over the defaults
+     */
+    constructor(policy = {}) {
+        this.policy = { ...DEFAULT_POLICY, ...policy };
+        this.allowedTables = new Set(this.policy.allowedTables.map(t => t.toLowerCase()));
+        this.forbiddenColumns = new Set(this.policy.forbiddenColumns.map(c => c.toLowerCase()));
+    }
+
+    /**
+     * Load the policy file (safety-policy.json next to the server, or EPAK_SAFETY_POLICY)
+     * @returns {SafetyPolicy}
+     */
+    static load() {
+        const policyPath = process.env.EPAK_SAFETY_POLICY || path.join(__dirname, 'safety-policy.json');
+
+        if (fs.existsSync(policyPath)) {
+            try {
+                const policy = JSON.parse(fs.readFileSync(policyPath, 'utf8'));
+                console.log(`🛡️  Safety policy loaded from ${policyPath}`);
+                return new SafetyPolicy(policy);
+            } catch (error) {
+                // A broken policy file must not silently weaken the guardrails
+                throw new Error(`Invalid safety policy file ${policyPath}: ${error.message}`);
+            }
+        }
+
+        console.log('🛡️  Using built-in safety policy');
+        return new SafetyPolicy();
+    }
+
+    /**
+     * Static checks on a single statement (table whitelist, mandatory WHERE, forbidden columns, placeholders)
+     * @param {string} sql - SQL statement
+     * @param {number|null} rowNumber - Spreadsheet row the statement came from
+     * @param {Array<string>} flags - Fix sheet flags of the row (OVERRIDE allows placeholders)
+     * @returns {Array<Object>} Violations (empty if the statement is allowed)
+     */
+    checkStatement(sql, rowNumber = null, flags = []) {
+        const violations = [];
+        const add = (rule, message) => violations.push({ rowNumber, rule, message, sql });
+
+        // One statement per row, never DDL; reads and anything else are refused by parseStatement
+        const classified = this.classifyOne(sql, add);
+        if (!classified) {
+            return violations;
+        }
+
+        let statement;
+        try {
+            statement = RollbackGenerator.parseStatement(sql);
+        } catch (error) {
+            add('statement-type', error.message);
+            return violations;
+        }
+
+        const table = statement.table.replace(/`/g, '').split('.').pop().toLowerCase();
+        if (!this.allowedTables.has(table)) {
+            add('allowed-tables', `Table "${statement.table}" is not in the allowed table list`);
+        }
+
+        if (this.policy.requireWhereFor.includes(statement.type) && !statement.where) {
+            add('require-where', `${statement.type} on ${statement.table} has no WHERE clause`);
+        }
+
+        for (const column of SafetyPolicy.extractAssignedColumns(statement)) {
+            if (this.forbiddenColumns.has(column.toLowerCase())) {
+                add('forbidden-columns', `Column "${column}" must not be written`);
+            }
+        }
+
+        const placeholders = this.findPlaceholders(statement.sql);
+        if (placeholders.length > 0 && !(flags || []).includes('OVERRIDE')) {
+            add('placeholder-values', `Statement still contains ${placeholders.join(', ')} - fill in the values or flag the row OVERRIDE`);
+        }
+
+        return violations;
+    }
+
+    /**
+     * Checks for the read-only query route: a single statement that only reads
+     * @param {string} sql - Query text
+     * @returns {Array<Object>} Violations (empty if the query may run)
+     */
+    checkQuery(sql) {
+        const violations = [];
+        const add = (rule, message) => violations.push({ rowNumber: null, rule, message, sql });
+
+        const classified = this.classifyOne(sql, add);
+        if (classified && classified.type !== SqlClassifier.TYPES.SELECT) {
+            add('read-only', `${classified.keyword || 'This statement'} is not allowed here - queries are read-only; changes go through fix operations`);
+        }
+        return violations;
+    }
+
+    /**
+     * Classify a text that must hold exactly one statement, and never DDL
+     * @param {string} sql
+     * @param {Function} add - (rule, message) => void, called for each violation
+     * @returns {Object|null} SqlClassifier.classify() entry, or null when a violation was added
+     */
+    classifyOne(sql, add) {
+        let statements;
+        try {
+            statements = SqlClassifier.classify(sql);
+        } catch (error) {
+            add('statement-type', error.message);
+            return null;
+        }
+        if (statements.length === 0) {
+            add('statement-type', 'No SQL statement');
+            return null;
+        }
+        if (statements.length > 1) {
+            add('single-statement', `${statements.length} statements found (${statements.map(s => s.keyword || s.type).join(', ')}) - send one statement at a time`);
+            return null;
+        }
+        if (statements[0].type === SqlClassifier.TYPES.DDL) {
+            add('no-ddl', `${statements[0].keyword} statements are never allowed`);
+            return null;
+        }
+        return statements[0];
+    }
+
+    /**
+     * Static checks on a list of statements
+     * @param {Array<{sql: string, rowNumber: number, flags: Array<string>}>} statements
+     * @returns {Array<Object>} All violations
+     */
+    checkStatements(statements) {
+        return statements.flatMap(s => [
+            ...this.checkStatement(s.sql, s.rowNumber, s.flags),
+            ...this.checkPrecondition(s.precondition, s.rowNumber)
+        ]);
+    }
+
+    /**
+     * A precondition probe may only read tables the policy allows
+     * @param {Object|null} precondition - TransactionExecutor.normalizePrecondition() result
+     * @param {number|null} rowNumber - Spreadsheet row
+     * @returns {Array<Object>} Violations
+     */
+    checkPrecondition(precondition, rowNumber = null) {
+        if (!precondition || this.allowedTables.has(precondition.table.toLowerCase())) {
+            return [];
+        }
+        return [{
+            rowNumber,
+            rule: 'allowed-tables',
+            message: `Precondition table "${precondition.table}" is not in the allowed table list`,
+            sql: precondition.text
+        }];
+    }
+
+    /**
+     * Placeholder values present in a statement (as whole words, also inside JSON strings)
+     * @param {string} sql
+     * @returns {Array<string>}
+     */
+    findPlaceholders(sql) {
+        return (this.policy.placeholderValues || [])
+            .filter(placeholder => new RegExp(`\\b${placeholder.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(sql));
+    }
+
+    /**
+     * Row-count guardrail, evaluated during execution
+     * @param {number} rowCount - Rows the statement matches / affected
+     * @param {string} sql - SQL statement
+     * @param {number|null} rowNumber - Spreadsheet row
+     * @returns {Object|null} Violation or null
+     */
+    checkRowCount(rowCount, sql, rowNumber = null) {
+        if (rowCount > this.policy.maxAffectedRows) {
+            return {
+                rowNumber,
+                rule: 'max-affected-rows',
+                message: `Statement touches ${rowCount} rows (limit ${this.policy.maxAffectedRows})`,
+                sql
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Columns written by an UPDATE ... SET / INSERT ... SET / INSERT (...) VALUES statement
+     * @param {Object} statement - Parsed statement from RollbackGenerator.parseStatement
+     * @returns {Array<string>} Column names
+     */
+    static extractAssignedColumns(statement) {
+        const sql = statement.sql;
+
+        if (statement.type === 'INSERT') {
+            const listMatch = sql.match(/^INSERT\s+INTO\s+\S+\s*\(([^)]*)\)\s*VALUES/i);
+            if (listMatch) {
+                return listMatch[1].split(',').map(c => c.trim().replace(/`/g, '')).filter(Boolean);
+            }
+        }
+
+        const setMatch = sql.match(/\sSET\s/i);
+        if (!setMatch || statement.type === 'DELETE') {
+            return [];
+        }
+
+        let setClause = sql.substring(setMatch.index + setMatch[0].length);
+        if (statement.where) {
+            setClause = setClause.substring(0, setClause.length - statement.where.length).replace(/\s+WHERE\s*$/i, '');
+        }
+
+        return this.splitTopLevel(setClause)
+            .map(part => part.split('=')[0].trim().replace(/`/g, ''))
+            .filter(Boolean);
+    }
+
+    /**
+     * Split text on commas that are not inside quotes or parentheses
+     * @param {string} text - e.g. "a = 'x, y', b = NOW()"
+     * @returns {Array<string>}
+     */
+    static splitTopLevel(text) {
+        const parts = [];
+        let current = '';
+        let quote = null;
+        let depth = 0;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+
+            if (quote) {
+                current += ch;
+                if (ch === '\\' && i + 1 < text.length) {
+                    current += text[++i];
+                } else if (ch === quote) {
+                    quote = null;
+                }
+                continue;
+            }
+
+            if (ch === '\'' || ch === '"' || ch === '`') {
+                quote = ch;
+            } else if (ch === '(') {
+                depth++;
+            } else if (ch === ')') {
+                depth--;
+            } else if (ch === ',' && depth === 0) {
+                parts.push(current);
+                current = '';
+                continue;
+            }
+            current += ch;
+        }
+
+        if (current.trim()) {
+            parts.push(current);
+        }
+        return parts;
+    }
+
+    /**
+     * Human-readable violation text
+     * @param {Object} violation
+     * @returns {string}
+     */
+    static describe(violation) {
+        const where = violation.rowNumber ? `Row ${violation.rowNumber}` : 'Statement';
+        return `${where}: ${violation.message} [${violation.rule}]`;
+    }
+
+    /**
+     * Policy as plain data (for the terminal)
+     */
+    toJSON() {
+        return this.policy;
+    }
+}
+
+SafetyPolicy.STATEMENT_RULES = STATEMENT_RULES;
+
+module.exports = SafetyPolicy;
+module.exports.SafetyViolationError = SafetyViolationError;
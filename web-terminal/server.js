@@ -1,65 +1,539 @@
 const express = require('express');
-const mysql = require('mysql2/promise');
 const bodyParser = require('body-parser');
 const path = require('path');
 const fs = require('fs');
 const multer = require('multer');
-const XLSX = require('xlsx');
 const CertificateParser = require('./certificateParser');
 const PDFCertificateExtractor = require('./pdfCertificateExtractor');
+const PdfSignatureVerifier = require('./pdfSignatureVerifier');
 const BatchPdfProcessor = require('./batchPdfProcessor');
+const RollbackGenerator = require('./rollbackGenerator');
+const TransactionExecutor = require('./transactionExecutor');
+const SafetyPolicy = require('./safetyPolicy');
+const FixSheet = require('./fixSheet');
+const EpakDiagnosis = require('./epakDiagnosis');
+const TimestampService = require('./timestampService');
+const ExecutionJournal = require('./executionJournal');
+const BatchJobRunner = require('./batchJobRunner');
+const ProgressHub = require('./progressHub');
+const ConnectionRegistry = require('./connectionRegistry');
+const DbProfiles = require('./dbProfiles');
+const CredentialVault = require('./credentialVault');
+const UploadStore = require('./uploadStore');
+const UserStore = require('./userStore');
+const SessionStore = require('./sessionStore');
+const { SafetyViolationError } = SafetyPolicy;
+const { ROLES } = UserStore;
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Operator accounts (users.json, managed with manage-users.js) and their login sessions
+const users = new UserStore();
+const sessions = new SessionStore();
+
+// API routes that work without logging in
+const PUBLIC_ROUTES = new Set(['/login', '/logout', '/me', '/health']);
+
 // Middleware
 app.use(bodyParser.json());
 app.use(express.static(path.join(__dirname, 'public')));
+// Shared with the browser terminal so both render timestamps the same way
+app.get('/timestampService.js', (req, res) => res.sendFile(path.join(__dirname, 'timestampService.js')));
+// Every other API route needs a logged-in operator (viewer or above); write routes ask for more
+app.use('/api', authenticate);
+app.use('/api', (req, res, next) => PUBLIC_ROUTES.has(req.path) ? next() : requireRole(ROLES.VIEWER)(req, res, next));
 
 // Configure multer for file uploads (memory storage)
 const upload = multer({ storage: multer.memoryStorage() });
 
-// Database connection pool
-let pool = null;
-
-// Initialize database connection
-function initializeDB(config) {
-    pool = mysql.createPool({
-        host: config.host,
-        user: config.user,
-        password: config.password,
-        database: config.database,
-        waitForConnections: true,
-        connectionLimit: 10,
-        queueLimit: 0
+// Database pools, one per login session (req.db)
+const connections = new ConnectionRegistry();
+
+// Named connections with environment tags (db-profiles.json)
+const dbProfiles = DbProfiles.load();
+
+// Encrypted credentials (credentials.vault); the browser only keeps an entry's reference
+const vault = CredentialVault.getDefault();
+
+// Copies of uploaded fix sheets (data-source/uploads), pruned after the retention period
+const uploads = new UploadStore();
+uploads.prune();
+
+// The only places a fix sheet named by the client may be read from or written to: uploads,
+// generated sheets (fix-sheets) and batch sheets (data-source/fix-sheets)
+const sheetDirs = [uploads.dir, path.join(__dirname, 'fix-sheets'), path.join(__dirname, 'data-source', 'fix-sheets')];
+
+// The only places PDFs, certificates and generator input CSVs named by the client may be read from:
+// data-source (batches), the sheet directories and any extra directories in EPAK_INPUT_DIRS
+const inputDirs = [path.join(__dirname, 'data-source'), ...sheetDirs,
+    ...(process.env.EPAK_INPUT_DIRS || '').split(path.delimiter).filter(Boolean)];
+
+// Rollback scripts generated by /api/transaction
+const rollbacksPath = path.join(__dirname, 'data-source', 'rollbacks');
+
+// Guardrails applied to every statement before it is executed
+const safetyPolicy = SafetyPolicy.load();
+
+// Record of batch runs (data-source/journal/executions.jsonl)
+const journal = new ExecutionJournal();
+
+// Live progress of fix-sheet generation and PDF batches (GET /api/progress/:progressId/events)
+const progressHub = new ProgressHub();
+
+/**
+ * Attach the logged-in operator (req.user: { username, role }) from the session cookie.
+ * The role is read from the accounts file on each request, so role changes and removed accounts apply at once.
+ */
+function authenticate(req, res, next) {
+    const session = sessions.get(SessionStore.readCookie(req));
+    const user = session ? users.find(session.username) : null;
+    if (session && !user) {
+        sessions.destroy(session.id);
+    }
+    req.session = user ? session : null;
+    req.user = user;
+    // The session's database connection: { pool, connectedAs ("user@host/database"), timestamps }
+    req.db = req.session ? connections.get(req.session.id) : null;
+    next();
+}
+
+/**
+ * Route guard: 401 without a session, 403 below the required role
+ * @param {string} role - UserStore.ROLES value
+ * @returns {Function} Express middleware
+ */
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                error: 'Not logged in (login <username>)',
+                loginRequired: true
+            });
+        }
+        if (!UserStore.hasRole(req.user.role, role)) {
+            return res.status(403).json({
+                success: false,
+                error: `Requires the ${role} role (${req.user.username} is ${req.user.role})`
+            });
+        }
+        next();
+    };
+}
+
+/**
+ * Production write protection for the session's connection: the operator must have typed the
+ * profile name (body.confirmProfile), and a readOnlyUnlessApproved profile only takes writes
+ * from an open approved batch run of this operator, started on this profile
+ * @param {Object} req - Express request (connected)
+ * @param {Object} options - { run: journal run from requireApprovedRun, whose approved rows are being written,
+ *        approved: batch job already checked by the caller }
+ * @throws {Error} With confirmationRequired or readOnly set when the write is refused
+ */
+function requireWriteAccess(req, options = {}) {
+    const { profile } = req.db;
+    if (!DbProfiles.isProduction(profile)) {
+        return;
+    }
+    if (req.body.confirmProfile !== profile.name) {
+        throw Object.assign(new Error(`${profile.label} is production - type the profile name (${profile.name}) to confirm writes`), {
+            confirmationRequired: true
+        });
+    }
+    if (profile.readOnlyUnlessApproved && !options.approved) {
+        const { run } = options;
+        if (!run || !run.approvalId || run.finishedAt || (run.resumedBy || run.operator) !== req.user.username ||
+            run.profile !== profile.name) {
+            throw Object.assign(new Error(`${profile.label} is read-only except for approved batch runs`), { readOnly: true });
+        }
+    }
+}
+
+/**
+ * 403 body for a write refused by requireWriteAccess
+ * @param {Object} req - Express request
+ * @param {Error} error
+ * @returns {Object}
+ */
+function writeRefusal(req, error) {
+    return {
+        success: false,
+        error: `🛑 ${error.message}`,
+        confirmationRequired: Boolean(error.confirmationRequired),
+        readOnly: Boolean(error.readOnly),
+        profile: req.db.profile
+    };
+}
+
+/**
+ * Record SQL refused by the statement classifier, with who sent it (console and execution journal)
+ * @param {Object} req - Express request
+ * @param {string} route - API route the SQL was sent to
+ * @param {string} sql - SQL as received
+ * @param {Array<Object>} violations - Safety policy violations
+ */
+function logBlockedStatement(req, route, sql, violations) {
+    const rules = [...new Set(violations.map(v => v.rule))];
+    console.warn(`🛑 Blocked SQL on ${route} from ${req.user.username} [${rules.join(', ')}]: ${sql}`);
+    try {
+        journal.recordBlocked({
+            route,
+            sql,
+            rules,
+            operator: req.user.username,
+            client: req.ip,
+            database: req.db ? req.db.connectedAs : null
+        });
+    } catch (error) {
+        console.warn(`⚠️  Could not write the execution journal: ${error.message}`);
+    }
+}
+
+/**
+ * Saved connection (vault entry) of the logged-in operator
+ * @param {Object} req - Express request
+ * @param {string} credentialRef - Reference the browser kept
+ * @returns {Object|null} The vault entry, or null if it is missing or someone else's
+ */
+function findOwnCredential(req, credentialRef) {
+    if (!/^ref_[0-9a-f]{32}$/.test(String(credentialRef || ''))) {
+        return null;
+    }
+    const entry = vault.get(credentialRef);
+    return entry && entry.owner === req.user.username ? entry : null;
+}
+
+/**
+ * Resolve a fix sheet path sent by the client (symlinks followed)
+ * @param {string} filePath
+ * @returns {string|null} Absolute path, or null when it is empty or outside the sheet directories
+ */
+function resolveSheetPath(filePath) {
+    if (typeof filePath !== 'string' || filePath.trim() === '') {
+        return null;
+    }
+    const resolved = realPath(path.resolve(__dirname, filePath));
+    return sheetDirs.some(dir => resolved.startsWith(realPath(path.resolve(dir)) + path.sep)) ? resolved : null;
+}
+
+/**
+ * Resolve a PDF, certificate, PDF directory or generator input CSV path sent by the client (symlinks followed)
+ * @param {string} filePath
+ * @returns {string|null} Absolute path, or null when it is empty or outside the input directories
+ */
+function resolveInputPath(filePath) {
+    if (typeof filePath !== 'string' || filePath.trim() === '') {
+        return null;
+    }
+    const resolved = realPath(path.resolve(__dirname, filePath));
+    return inputDirs.some(dir => {
+        const base = realPath(path.resolve(__dirname, dir));
+        return resolved === base || resolved.startsWith(base + path.sep);
+    }) ? resolved : null;
+}
+
+/**
+ * @param {string} target - Absolute path
+ * @returns {string} The path with symlinks resolved (as is when it does not exist)
+ */
+function realPath(target) {
+    return fs.existsSync(target) ? fs.realpathSync(target) : target;
+}
+
+/**
+ * 403 body for a sheet path outside the sheet directories
+ * @param {string} filePath - Path as sent
+ * @returns {Object}
+ */
+function sheetPathRefusal(filePath) {
+    return {
+        success: false,
+        error: `🛑 ${filePath} is not a fix sheet of this server (uploads, fix-sheets or data-source/fix-sheets)`
+    };
+}
+
+/**
+ * 403 body for an input path outside the input directories
+ * @param {string} filePath - Path as sent
+ * @returns {Object}
+ */
+function inputPathRefusal(filePath) {
+    return {
+        success: false,
+        error: `🛑 ${filePath} is outside the input directories of this server (data-source, fix-sheets or EPAK_INPUT_DIRS)`
+    };
+}
+
+/**
+ * Sign-off a batch needs before it runs: the batch's latest approval must cover this sheet's contents,
+ * and must come from someone other than the operator about to run it
+ * @param {string} batchKey - Batch name, or the sheet path of an uploaded sheet
+ * @param {string} sheetPath - Sheet about to run
+ * @param {string} operator - Logged-in operator who runs it
+ * @returns {Promise<{approval: Object, sheet: Object}>} The batch-approved journal event and the parsed sheet
+ * @throws {Error} With approvalRequired set when there is no approval for the sheet as it is now
+ */
+async function requireBatchApproval(batchKey, sheetPath, operator) {
+    const refuse = (message) => Object.assign(new Error(message), { approvalRequired: true });
+    const approval = journal.findApproval(batchKey);
+    if (!approval) {
+        throw refuse(`Batch '${batchKey}' has not been approved - an approver must run: approve ${batchKey}`);
+    }
+    if (approval.approver === operator) {
+        throw refuse(`${operator} approved '${batchKey}' (${approval.approvalId}) and cannot also run it - ` +
+            'another operator must, or a different approver must approve it again');
+    }
+    const sheet = await FixSheet.readFile(sheetPath);
+    const fingerprint = FixSheet.fingerprint(sheet.operations);
+    if (!approval.sheets.some(approved => approved.fingerprint === fingerprint)) {
+        throw refuse(`${path.basename(sheetPath)} changed after ${approval.approver} approved '${batchKey}' ` +
+            `(${approval.approvalId}) - an approver must run: approve ${batchKey}`);
+    }
+    return { approval, sheet };
+}
+
+/**
+ * Approval behind a write: the journal run must be open, the operator's own and started on the session's
+ * database profile, and the batch's current approval must still be the one the run started under
+ * (requireBatchApproval)
+ * @param {Object} req - Express request
+ * @param {string} runId - From /api/journal/runs
+ * @returns {Promise<{run: Object, approval: Object, sheet: Object}>}
+ * @throws {Error} With approvalRequired set when the write is not covered
+ */
+async function requireApprovedRun(req, runId) {
+    const refuse = (message) => Object.assign(new Error(message), { approvalRequired: true });
+    const run = runId ? journal.findRun(runId) : null;
+    if (!run) {
+        throw refuse('Writes only run as part of an approved batch run (execute <batch> or Batch Upload)');
+    }
+    if (run.finishedAt) {
+        throw refuse(`Batch run ${runId} has finished - start a new run`);
+    }
+    if ((run.resumedBy || run.operator) !== req.user.username) {
+        throw refuse(`Batch run ${runId} belongs to ${run.resumedBy || run.operator}`);
+    }
+    const profileName = req.db.profile ? req.db.profile.name : null;
+    if (run.profile !== profileName) {
+        throw refuse(`Batch run ${runId} was started on ${run.profile ? `profile ${run.profile}` : 'a connection without a profile'} - ` +
+            'connect to it again or start a new run');
+    }
+    const batchKey = run.batchName || run.sheetPath;
+    const { approval, sheet } = await requireBatchApproval(batchKey, run.sheetPath, req.user.username);
+    if (approval.approvalId !== run.approvalId) {
+        throw refuse(`'${batchKey}' was approved again (${approval.approvalId}) after run ${runId} started - start a new run`);
+    }
+    return { run, approval, sheet };
+}
+
+/**
+ * Replace the statements a client sent for one ePak with the same rows of the approved sheet,
+ * so nothing runs that the approver did not see
+ * @param {Object} sheet - Parsed approved sheet (requireApprovedRun)
+ * @param {string} epakId - ePak the statements belong to
+ * @param {Array<Object>} queries - { sql | statement, rowNumber, precondition } as sent
+ * @returns {Array<Object>} Executor queries built from the sheet rows
+ * @throws {Error} With approvalRequired set when a statement is not a row of the sheet as approved
+ */
+function approvedStatements(sheet, epakId, queries) {
+    const refuse = (message) => Object.assign(new Error(message), { approvalRequired: true });
+    const rows = new Map(sheet.operations.map(op => [op.rowNumber, op.toSummary()]));
+    return queries.map(query => {
+        const op = query && typeof query === 'object' ? rows.get(Number(query.rowNumber)) : null;
+        if (!op || String(op.epakId) !== String(epakId)) {
+            throw refuse(`Statement ${query && query.rowNumber ? `for row ${query.rowNumber} ` : ''}is not a row of ePak ${epakId} in the approved sheet`);
+        }
+        let sent;
+        try {
+            sent = TransactionExecutor.normalize(query);
+        } catch (error) {
+            throw refuse(`Row ${op.rowNumber}: ${error.message}`);
+        }
+        if (sent.sql !== op.sql || (sent.precondition ? sent.precondition.text : '') !== op.precondition) {
+            throw refuse(`Row ${op.rowNumber} differs from the approved sheet`);
+        }
+        return { sql: op.sql, statement: op.statement, rowNumber: op.rowNumber, flags: op.flags, precondition: op.preconditionCheck };
     });
-    return pool;
+}
+
+/**
+ * Attach safety policy violations to parsed fix-sheet operations
+ * @param {Array<Object>} operations - Operations with sql, rowNumber and flags
+ * @returns {Array<Object>} All violations, one entry per broken rule
+ */
+function applySafetyPolicy(operations) {
+    const violations = [];
+    for (const op of operations) {
+        op.violations = safetyPolicy.checkStatement(op.sql, op.rowNumber, op.flags);
+        op.blocked = op.violations.length > 0;
+        violations.push(...op.violations);
+    }
+    return violations;
+}
+
+/**
+ * Safety policy + MANUAL placeholder scan, shared by every route that loads a fix sheet.
+ * Rows that could not be parsed are listed as blocked rows with a parse-error violation,
+ * so their ePak is skipped instead of running without them
+ * @param {Object} sheet - FixSheet.readFile() / parseBuffer() result
+ * @returns {{operations: Array<Object>, violations: Array<Object>, placeholders: Array<Object>}}
+ */
+function validateFixSheet(sheet) {
+    const operations = sheet.operations.map(op => op.toSummary());
+    const violations = applySafetyPolicy(operations);
+    for (const row of sheet.invalidRows || []) {
+        const violation = { rowNumber: row.rowNumber, rule: 'parse-error', message: row.message, sql: null };
+        operations.push({
+            epakId: row.epakId,
+            docId: row.docId,
+            table: row.table,
+            operation: row.operation,
+            sql: `-- Row ${row.rowNumber} could not be parsed: ${row.message}`,
+            statement: null,
+            status: 'Pending',
+            flags: [],
+            precondition: '',
+            preconditionCheck: null,
+            rowNumber: row.rowNumber,
+            violations: [violation],
+            blocked: true
+        });
+        violations.push(violation);
+    }
+    operations.sort((a, b) => a.rowNumber - b.rowNumber);
+    return { operations, violations, placeholders: FixSheet.findPlaceholders(sheet.operations) };
+}
+
+/**
+ * Wrap a session's pool in the { query, close } interface used by the generator modules
+ * @param {Object} pool - req.db.pool
+ * @returns {Object} DB wrapper
+ */
+function createDbWrapper(pool) {
+    return {
+        query: async (sql, params) => {
+            const [rows] = await pool.execute(sql, params);
+            return rows;
+        },
+        close: async () => {}
+    };
+}
+
+/**
+ * Progress callback that publishes to the request's progress channel (console only without ?progressId)
+ * @param {ProgressChannel|null} channel - progressHub.forRequest(req)
+ * @param {string} type - Event type when the callback's argument has none (PDF batches)
+ * @returns {Function|null}
+ */
+function progressReporter(channel, type = null) {
+    if (!channel) {
+        return null;
+    }
+    return (progress) => {
+        const { type: progressType, ...details } = progress;
+        channel.publish(progressType || type, details);
+    };
+}
+
+/**
+ * Certificate to parse from an uploaded / on-disk file; signed PDFs are verified first
+ * @param {Buffer} buffer - .cer / .pem / .crt / .pdf contents
+ * @returns {Promise<{certBuffer: Buffer, chainOptions: Object, extractedFromPDF: boolean, signatureCheck: Object|null}>}
+ */
+async function readCertificateInput(buffer) {
+    if (!PDFCertificateExtractor.isPDF(buffer)) {
+        return { certBuffer: buffer, chainOptions: {}, extractedFromPDF: false, signatureCheck: null };
+    }
+
+    console.log('PDF detected, verifying signature and extracting certificate...');
+    const verification = PdfSignatureVerifier.verifyPdf(buffer);
+    let signer;
+    try {
+        signer = await PDFCertificateExtractor.extractSignerFromPDF(buffer);
+    } catch (pdfError) {
+        throw new Error(`Failed to extract certificate from PDF: ${pdfError.message}`);
+    }
+    console.log(`Certificate extracted from PDF (signature ${verification.status})`);
+
+    return {
+        certBuffer: signer.certificate,
+        chainOptions: { intermediates: signer.chainCertificates, signingTime: signer.signingTime },
+        extractedFromPDF: true,
+        signatureCheck: { status: verification.status, reason: verification.reason }
+    };
 }
 
 // API: Test database connection
-app.post('/api/connect', async (req, res) => {
+app.post('/api/connect', requireRole(ROLES.FIXER), async (req, res) => {
     try {
-        const { host, user, password, database } = req.body;
-        
-        if (!host || !user || !password || !database) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'All fields are required' 
-            });
+        let config;
+        let profile;
+        let credentialRef = null;
+        if (req.body.profile) {
+            if (!dbProfiles.has(req.body.profile)) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Unknown database profile: ${req.body.profile} (see: profiles)`
+                });
+            }
+            config = dbProfiles.resolve(req.body.profile);
+            profile = dbProfiles.describe(config.name);
+        } else if (req.body.credentialRef) {
+            // A connection saved earlier: only the operator who saved it can use it
+            const entry = findOwnCredential(req, req.body.credentialRef);
+            if (!entry) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Saved connection not found - connect with credentials again'
+                });
+            }
+            config = { host: entry.host, user: entry.user, password: entry.password, database: entry.database };
+            profile = await dbProfiles.match(config);
+            credentialRef = entry.name;
+        } else {
+            const { host, user, password, database } = req.body;
+            if (!host || !user || !password || !database) {
+                return res.status(400).json({ 
+                    success: false, 
+                    error: 'All fields are required' 
+                });
+            }
+            config = { host, user, password, database };
+            // A profile's database typed by hand keeps the profile's environment tag
+            profile = await dbProfiles.match(config);
         }
 
-        // Initialize connection pool
-        pool = initializeDB({ host, user, password, database });
-        
-        // Test connection
-        const connection = await pool.getConnection();
-        await connection.query('SELECT 1');
-        connection.release();
+        // This session's pool (replaces its previous one; other operators' connections are untouched)
+        const db = await connections.connect(req.session.id, config, req.user.username, profile);
+        const { timestamps } = db;
+        console.log(`🕐 Database time zone: ${timestamps.describe()}`);
+        if (timestamps.warning) {
+            console.warn(`⚠️  ${timestamps.warning}`);
+        }
+
+        // Typed credentials the operator wants remembered go into the vault, not the browser
+        let credentialWarning = null;
+        if (req.body.remember && !req.body.profile && !credentialRef) {
+            try {
+                credentialRef = vault.findOwned(req.user.username, config) || CredentialVault.newReference();
+                vault.set(credentialRef, { ...config, owner: req.user.username });
+            } catch (error) {
+                credentialRef = null;
+                credentialWarning = `Connection not saved: ${error.message}`;
+                console.warn(`⚠️  ${credentialWarning}`);
+            }
+        }
         
         res.json({ 
             success: true, 
-            message: '✅ Connected to database successfully!' 
+            message: '✅ Connected to database successfully!',
+            timeZone: timestamps.toJSON(),
+            database: db.connectedAs,
+            profile,
+            credentialRef,
+            credentialWarning
         });
     } catch (error) {
         res.status(500).json({ 
@@ -69,17 +543,64 @@ app.post('/api/connect', async (req, res) => {
     }
 });
 
+// API: Forget a saved connection (removes its vault entry)
+app.post('/api/credentials/forget', requireRole(ROLES.FIXER), (req, res) => {
+    try {
+        const entry = findOwnCredential(req, req.body.credentialRef);
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                error: 'Saved connection not found'
+            });
+        }
+        vault.remove(entry.name);
+        res.json({ success: true, message: 'Saved connection removed' });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// API: Database profiles defined on the server (no passwords)
+app.get('/api/profiles', (req, res) => {
+    res.json({
+        success: true,
+        profiles: dbProfiles.list()
+    });
+});
+
+// API: Close this session's database connection
+app.post('/api/disconnect', requireRole(ROLES.FIXER), async (req, res) => {
+    try {
+        const closed = await connections.disconnect(req.session.id);
+        if (closed) {
+            console.log(`🔌 ${req.user.username} disconnected`);
+        }
+        res.json({
+            success: true,
+            message: closed ? 'Disconnected' : 'Not connected'
+        });
+    } catch (error) {
+        res.status(409).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 // API: Execute SQL query
-app.post('/api/query', async (req, res) => {
+app.post('/api/query', requireRole(ROLES.FIXER), async (req, res) => {
     try {
-        if (!pool) {
+        if (!req.db) {
             return res.status(400).json({ 
                 success: false, 
                 error: '❌ Not connected to database. Please connect first.' 
             });
         }
 
-        const { query } = req.body;
+        const { query, params } = req.body;
         
         if (!query) {
             return res.status(400).json({ 
@@ -87,8 +608,31 @@ app.post('/api/query', async (req, res) => {
                 error: 'Query is required' 
             });
         }
+        
+        // Read-only: one statement and no writes or DDL; changes only go through /api/transaction
+        // (safety policy, confirmation, rollback script, journal).
+        // The driver fills in ? and ?? on the client (even inside comments, and without escaping
+        // newlines in identifiers), so check - and run - the text it would send, not the template
+        let sql;
+        try {
+            sql = req.db.pool.format(query, Array.isArray(params) ? params : []);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: `❌ Could not fill in the query parameters: ${error.message}`
+            });
+        }
+        const violations = safetyPolicy.checkQuery(sql);
+        if (violations.length > 0) {
+            logBlockedStatement(req, '/api/query', sql, violations);
+            return res.status(403).json({
+                success: false,
+                error: `🛡️ Blocked by safety policy: ${violations.map(v => SafetyPolicy.describe(v)).join('; ')}`,
+                violations
+            });
+        }
 
-        const [rows] = await pool.query(query);
+        const [rows] = await req.db.pool.query(sql);
         
         res.json({ 
             success: true, 
@@ -106,7 +650,7 @@ app.post('/api/query', async (req, res) => {
 // API: Get EPak details
 app.get('/api/epak/:id', async (req, res) => {
     try {
-        if (!pool) {
+        if (!req.db) {
             return res.status(400).json({ 
                 success: false, 
                 error: 'Not connected to database' 
@@ -116,7 +660,7 @@ app.get('/api/epak/:id', async (req, res) => {
         const epakId = req.params.id;
         
         // Get EPak info
-        const [epakRows] = await pool.query(
+        const [epakRows] = await req.db.pool.query(
             'SELECT id, status, progressPercent, subject, sentOn, modifiedOn, currentWorkflowStateId, ownerId FROM epak WHERE id = ?',
             [epakId]
         );
@@ -129,7 +673,7 @@ app.get('/api/epak/:id', async (req, res) => {
         }
 
         // Get documents
-        const [docRows] = await pool.query(
+        const [docRows] = await req.db.pool.query(
             `SELECT ed.documentId, d.title as documentName 
              FROM epak_document ed 
              JOIN document d ON d.id = ed.documentId 
@@ -139,7 +683,7 @@ app.get('/api/epak/:id', async (req, res) => {
         );
 
         // Get signers
-        const [signerRows] = await pool.query(
+        const [signerRows] = await req.db.pool.query(
             `SELECT id, userId, status, progressPercent, statusModifiedOn, workflowStateOrderId, signerOrderId 
              FROM epak_workflowstate_signer 
              WHERE ePakId = ? 
@@ -148,7 +692,7 @@ app.get('/api/epak/:id', async (req, res) => {
         );
 
         // Get document actions
-        const [actionRows] = await pool.query(
+        const [actionRows] = await req.db.pool.query(
             `SELECT id, signerId, status, actedOn, workflowStateOrderId 
              FROM docuseraction 
              WHERE ePakId = ? 
@@ -173,55 +717,470 @@ app.get('/api/epak/:id', async (req, res) => {
     }
 });
 
-// API: Execute transaction
-app.post('/api/transaction', async (req, res) => {
-    const connection = await pool.getConnection();
-    
+// API: Diagnose why an EPak is stuck (runs the consistency rule catalogue)
+app.get('/api/epak/:id/diagnose', async (req, res) => {
     try {
-        if (!pool) {
+        if (!req.db) {
             return res.status(400).json({ 
                 success: false, 
                 error: 'Not connected to database' 
             });
         }
 
-        const { queries } = req.body;
+        const diagnosis = await new EpakDiagnosis(createDbWrapper(req.db.pool)).diagnose(req.params.id);
         
-        if (!queries || !Array.isArray(queries) || queries.length === 0) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Queries array is required' 
+        res.json({
+            success: true,
+            diagnosis
+        });
+    } catch (error) {
+        const notFound = error.message.startsWith('ePak not found');
+        res.status(notFound ? 404 : 500).json({ 
+            success: false, 
+            error: notFound ? `❌ EPak ${req.params.id} not found` : `Diagnosis failed: ${error.message}` 
+        });
+    }
+});
+
+// API: Execute transaction
+// Every UPDATE/DELETE is snapshotted and every INSERT id recorded inside the
+// same transaction, so a rollback script can be written before COMMIT.
+// With dryRun: true the statements run, a before/after diff is collected and
+// the transaction is always rolled back.
+app.post('/api/transaction', requireRole(ROLES.FIXER), async (req, res) => {
+    if (!req.db) {
+        return res.status(400).json({ 
+            success: false, 
+            error: 'Not connected to database' 
+        });
+    }
+
+    const { epakId, dryRun = false, runId } = req.body;
+    let { queries } = req.body;
+    
+    if (!queries || !Array.isArray(queries) || queries.length === 0) {
+        return res.status(400).json({ 
+            success: false, 
+            error: 'Queries array is required' 
+        });
+    }
+    const sheetPath = req.body.sheetPath ? resolveSheetPath(req.body.sheetPath) : null;
+    if (req.body.sheetPath && !sheetPath) {
+        return res.status(403).json(sheetPathRefusal(req.body.sheetPath));
+    }
+    
+    if (!dryRun) {
+        // Only rows of the sheet the approver signed off are executed
+        let run;
+        try {
+            const approved = await requireApprovedRun(req, runId);
+            run = approved.run;
+            queries = approvedStatements(approved.sheet, epakId, queries);
+        } catch (error) {
+            return res.status(error.approvalRequired ? 403 : 500).json({
+                success: false,
+                error: `🛑 ${error.message}`,
+                approvalRequired: Boolean(error.approvalRequired)
             });
         }
+        try {
+            requireWriteAccess(req, { run });
+        } catch (error) {
+            return res.status(403).json(writeRefusal(req, error));
+        }
+    }
 
-        await connection.beginTransaction();
+    try {
+        const executor = new TransactionExecutor(req.db.pool, { rollbacksPath, policy: safetyPolicy, timestamps: req.db.timestamps });
+        const outcome = await executor.run(queries, { epakId, dryRun });
         
-        const results = [];
-        for (const query of queries) {
-            const [result] = await connection.query(query);
-            results.push(result);
+        if (dryRun) {
+            return res.json({
+                success: true,
+                dryRun: true,
+                message: '🔍 Dry run completed - transaction was rolled back',
+                preview: outcome.preview,
+                outcomes: outcome.outcomes
+            });
         }
         
-        await connection.commit();
+        const sheetWarning = await writeResults(sheetPath, outcome.outcomes, req.db.timestamps);
+        const journalWarning = journalEpak(req, runId, {
+            epakId,
+            result: outcome.rollback ? ExecutionJournal.EPAK_RESULTS.COMMITTED : ExecutionJournal.EPAK_RESULTS.ALREADY_APPLIED,
+            statements: outcome.outcomes,
+            rollbackId: outcome.rollback ? outcome.rollback.id : null
+        });
         
         res.json({ 
             success: true, 
-            message: '✅ Transaction completed successfully',
-            results: results
+            message: outcome.rollback
+                ? '✅ Transaction completed successfully'
+                : '✅ Already applied - nothing to do',
+            results: outcome.results,
+            outcomes: outcome.outcomes,
+            sheetWarning,
+            journalWarning,
+            rollback: outcome.rollback ? {
+                id: outcome.rollback.id,
+                file: outcome.rollback.sqlPath,
+                downloadUrl: `/api/rollbacks/${outcome.rollback.id}/download`
+            } : null
         });
     } catch (error) {
-        await connection.rollback();
+        let sheetWarning = null;
+        let journalWarning = null;
+        if (!dryRun) {
+            const outcomes = TransactionExecutor.failureOutcomes(queries, error);
+            sheetWarning = await writeResults(sheetPath, outcomes, req.db.timestamps);
+            journalWarning = journalEpak(req, runId, {
+                epakId,
+                result: ExecutionJournal.EPAK_RESULTS.FAILED,
+                statements: outcomes,
+                error: error.message
+            });
+        }
+        
+        if (error instanceof SafetyViolationError) {
+            const refused = error.violations.filter(v => SafetyPolicy.STATEMENT_RULES.includes(v.rule));
+            if (refused.length > 0) {
+                logBlockedStatement(req, '/api/transaction', refused.map(v => v.sql).join('\n'), refused);
+            }
+            return res.status(422).json({
+                success: false,
+                dryRun: dryRun,
+                error: `🛡️ Blocked by safety policy: ${error.message}`,
+                violations: error.violations,
+                sheetWarning,
+                journalWarning
+            });
+        }
         res.status(500).json({ 
             success: false, 
-            error: `❌ Transaction failed: ${error.message}` 
+            dryRun: dryRun,
+            error: `❌ Transaction failed: ${error.message}`,
+            sheetWarning,
+            journalWarning
+        });
+    }
+});
+
+// API: Record rows that were never sent to the database (skipped ePaks) in the fix sheet
+app.post('/api/write-fix-sheet-results', requireRole(ROLES.FIXER), async (req, res) => {
+    const { results } = req.body;
+    
+    if (!req.body.sheetPath || !Array.isArray(results) || results.length === 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'sheetPath and a results array are required'
+        });
+    }
+    const sheetPath = resolveSheetPath(req.body.sheetPath);
+    if (!sheetPath) {
+        return res.status(403).json(sheetPathRefusal(req.body.sheetPath));
+    }
+    
+    const statuses = Object.values(TransactionExecutor.OUTCOME);
+    const invalid = results.find(result => !statuses.includes(result.status));
+    if (invalid) {
+        return res.status(400).json({
+            success: false,
+            error: `Unknown status "${invalid.status}" (expected ${statuses.join(', ')})`
+        });
+    }
+    
+    const sheetWarning = await writeResults(sheetPath, results.map(result => ({
+        rowNumber: result.rowNumber,
+        status: result.status,
+        affectedRows: 0,
+        reason: result.reason || ''
+    })), req.db ? req.db.timestamps : null);
+    if (sheetWarning) {
+        return res.status(500).json({
+            success: false,
+            error: sheetWarning
+        });
+    }
+    res.json({ success: true, updated: results.length });
+});
+
+/**
+ * Write execution outcomes into the fix sheet they came from (Status, Last ran, Affected rows, Error)
+ * so the sheet is the execution record attached to the CMR. Callers pass a resolveSheetPath() result.
+ * @param {string} sheetPath - Fix sheet on the server (optional; nothing is written without it)
+ * @param {Array<Object>} outcomes - { rowNumber, status, affectedRows, reason } (TransactionExecutor outcomes)
+ * @returns {Promise<string|null>} Warning when the sheet could not be updated
+ */
+async function writeResults(sheetPath, outcomes, timestamps = null) {
+    const lastRan = (timestamps || TimestampService.getDefault()).now();
+    const { OUTCOME } = TransactionExecutor;
+    const results = outcomes.filter(o => o.rowNumber).map(o => ({
+        rowNumber: o.rowNumber,
+        status: o.status,
+        lastRan,
+        affectedRows: o.status === OUTCOME.EXECUTED ? o.affectedRows : null,
+        error: o.status === OUTCOME.FAILED || o.status === OUTCOME.SKIPPED ? o.reason : ''
+    }));
+    if (!sheetPath || results.length === 0) {
+        return null;
+    }
+    try {
+        await FixSheet.writeResults(sheetPath, results);
+        console.log(`✓ Wrote ${results.length} row result(s) to ${sheetPath}`);
+        return null;
+    } catch (error) {
+        console.warn(`⚠️  Could not update ${sheetPath}: ${error.message}`);
+        return `Could not update the fix sheet: ${error.message}`;
+    }
+}
+
+/**
+ * Journal one ePak of a batch run (no-op outside a run)
+ * @param {Object} req - Express request (operator / client address)
+ * @param {string} runId - From /api/journal/runs (optional)
+ * @param {Object} record - { epakId, result, statements, rollbackId, error }
+ * @returns {string|null} Warning when the journal could not be written
+ */
+function journalEpak(req, runId, record) {
+    if (!runId) {
+        return null;
+    }
+    try {
+        journal.recordEpak(runId, { ...record, operator: req.user.username, client: req.ip });
+        return null;
+    } catch (error) {
+        console.warn(`⚠️  Could not write the execution journal: ${error.message}`);
+        return `Could not write the execution journal: ${error.message}`;
+    }
+}
+
+/**
+ * Journal run the operator may record into or finish: the one they started or resumed (approvers: any run)
+ * @param {Object} req - Express request
+ * @param {string} runId
+ * @returns {Object} The run (ExecutionJournal.findRun)
+ * @throws {Error} With notFound or forbidden set
+ */
+function requireOwnRun(req, runId) {
+    const run = journal.findRun(runId);
+    if (!run) {
+        throw Object.assign(new Error(`Unknown batch run: ${runId}`), { notFound: true });
+    }
+    const owner = run.resumedBy || run.operator;
+    if (owner !== req.user.username && !UserStore.hasRole(req.user.role, ROLES.APPROVER)) {
+        throw Object.assign(new Error(`Batch run ${runId} belongs to ${owner}`), { forbidden: true });
+    }
+    return run;
+}
+
+// API: Start a batch run in the execution journal
+app.post('/api/journal/runs', requireRole(ROLES.FIXER), async (req, res) => {
+    const { batchName, epakIds } = req.body;
+    
+    if (!Array.isArray(epakIds) || epakIds.length === 0 || !req.body.sheetPath) {
+        return res.status(400).json({
+            success: false,
+            error: 'sheetPath and an epakIds array are required'
+        });
+    }
+    const sheetPath = resolveSheetPath(req.body.sheetPath);
+    if (!sheetPath) {
+        return res.status(403).json(sheetPathRefusal(req.body.sheetPath));
+    }
+    
+    // Batches only run once an approver has signed off this sheet
+    let approval;
+    try {
+        ({ approval } = await requireBatchApproval(batchName || sheetPath, sheetPath, req.user.username));
+    } catch (error) {
+        return res.status(error.approvalRequired ? 403 : 500).json({
+            success: false,
+            error: error.message,
+            approvalRequired: Boolean(error.approvalRequired)
+        });
+    }
+    
+    try {
+        const runId = journal.startRun({
+            batchName, sheetPath, epakIds,
+            operator: req.user.username,
+            client: req.ip,
+            database: req.db ? req.db.connectedAs : null,
+            profile: req.db && req.db.profile ? req.db.profile.name : null,
+            approvalId: approval.approvalId
+        });
+        console.log(`📒 Batch run ${runId} started by ${req.user.username} (${epakIds.length} ePak(s), ${approval.approvalId})`);
+        res.json({ success: true, runId, approvalId: approval.approvalId });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: `Could not write the execution journal: ${error.message}`
+        });
+    }
+});
+
+// API: List journaled batch runs (newest first)
+app.get('/api/journal/runs', (req, res) => {
+    try {
+        res.json({ success: true, runs: journal.listRuns() });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// API: Latest run of a batch, if it was interrupted
+app.get('/api/journal/interrupted/:batchName', (req, res) => {
+    try {
+        res.json({ success: true, run: journal.findInterrupted(req.params.batchName) });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// API: Continue an interrupted run (its approval is checked again; the resuming operator takes it over)
+app.post('/api/journal/runs/:runId/resume', requireRole(ROLES.FIXER), async (req, res) => {
+    const run = journal.findRun(req.params.runId);
+    if (run) {
+        try {
+            if (!run.interrupted) {
+                throw Object.assign(new Error(`Batch run ${run.runId} is not interrupted`), { approvalRequired: true });
+            }
+            const profileName = req.db && req.db.profile ? req.db.profile.name : null;
+            if (run.profile !== profileName) {
+                throw Object.assign(new Error(`Batch run ${run.runId} was started on ` +
+                    `${run.profile ? `profile ${run.profile}` : 'a connection without a profile'} - start a new run`), { approvalRequired: true });
+            }
+            const batchKey = run.batchName || run.sheetPath;
+            const { approval } = await requireBatchApproval(batchKey, run.sheetPath, req.user.username);
+            if (approval.approvalId !== run.approvalId) {
+                throw Object.assign(new Error(`'${batchKey}' was approved again (${approval.approvalId}) after run ` +
+                    `${run.runId} started - start a new run`), { approvalRequired: true });
+            }
+        } catch (error) {
+            return res.status(error.approvalRequired ? 403 : 500).json({
+                success: false,
+                error: error.message,
+                approvalRequired: Boolean(error.approvalRequired)
+            });
+        }
+    }
+    try {
+        journal.resumeRun(req.params.runId, { fromEpakId: req.body.fromEpakId, operator: req.user.username, client: req.ip });
+        console.log(`📒 Batch run ${req.params.runId} resumed from ePak ${req.body.fromEpakId}`);
+        res.json({ success: true, runId: req.params.runId });
+    } catch (error) {
+        res.status(error.message.startsWith('Unknown batch run') ? 404 : 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// API: Journal an ePak that was not sent to the database (skipped / blocked by policy) - the run's operator or an approver
+app.post('/api/journal/runs/:runId/epaks', requireRole(ROLES.FIXER), (req, res) => {
+    const { epakId, result, error } = req.body;
+    const { SKIPPED, BLOCKED } = ExecutionJournal.EPAK_RESULTS;
+    
+    if (!epakId || ![SKIPPED, BLOCKED].includes(result)) {
+        return res.status(400).json({
+            success: false,
+            error: `epakId and a result of ${SKIPPED} or ${BLOCKED} are required`
+        });
+    }
+    try {
+        requireOwnRun(req, req.params.runId);
+    } catch (error) {
+        return res.status(error.notFound ? 404 : 403).json({
+            success: false,
+            error: error.message
+        });
+    }
+    
+    const journalWarning = journalEpak(req, req.params.runId, { epakId, result, error });
+    if (journalWarning) {
+        return res.status(500).json({
+            success: false,
+            error: journalWarning
+        });
+    }
+    res.json({ success: true });
+});
+
+// API: Finish a batch run - the run's operator or an approver
+app.post('/api/journal/runs/:runId/finish', requireRole(ROLES.FIXER), (req, res) => {
+    try {
+        requireOwnRun(req, req.params.runId);
+    } catch (error) {
+        return res.status(error.notFound ? 404 : 403).json({
+            success: false,
+            error: error.message
+        });
+    }
+    try {
+        journal.finishRun(req.params.runId, { stopped: req.body.stopped, summary: req.body.summary });
+        console.log(`📒 Batch run ${req.params.runId} ${req.body.stopped ? 'stopped' : 'finished'}`);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(error.message.startsWith('Unknown batch run') ? 404 : 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// API: List rollback scripts
+app.get('/api/rollbacks', (req, res) => {
+    try {
+        let rollbacks = RollbackGenerator.listRollbacks(rollbacksPath);
+        
+        if (req.query.epakId) {
+            rollbacks = rollbacks.filter(r => String(r.epakId) === String(req.query.epakId));
+        }
+        
+        res.json({
+            success: true,
+            rollbacks: rollbacks
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
         });
-    } finally {
-        connection.release();
     }
 });
 
+// API: Download a rollback script (?type=manifest for the JSON manifest)
+app.get('/api/rollbacks/:id/download', (req, res) => {
+    const { id } = req.params;
+    
+    if (!/^[\w-]+$/.test(id)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid rollback id'
+        });
+    }
+    
+    const ext = req.query.type === 'manifest' ? '.json' : '.sql';
+    const filePath = path.join(rollbacksPath, `${id}${ext}`);
+    
+    if (!fs.existsSync(filePath)) {
+        return res.status(404).json({
+            success: false,
+            error: `Rollback not found: ${id}`
+        });
+    }
+    
+    res.download(filePath);
+});
+
 // API: Parse Excel/CSV file
-app.post('/api/parse-file', upload.single('file'), async (req, res) => {
+app.post('/api/parse-file', requireRole(ROLES.FIXER), upload.single('file'), async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({
@@ -232,7 +1191,6 @@ app.post('/api/parse-file', upload.single('file'), async (req, res) => {
 
         const fileBuffer = req.file.buffer;
         const filename = req.file.originalname;
-        const ext = path.extname(filename).toLowerCase();
 
         // Auto-detect if this is a fix sheet CSV (epak_uuid, doc_uuid, signed_pdf_path)
         const text = fileBuffer.toString('utf-8');
@@ -242,7 +1200,7 @@ app.post('/api/parse-file', upload.single('file'), async (req, res) => {
             // This is a fix sheet CSV - route to fix sheet generator
             console.log('Detected fix sheet CSV format, routing to fix sheet generator');
             
-            if (!pool) {
+            if (!req.db) {
                 return res.status(400).json({
                     success: false,
                     error: 'Database not connected. Please connect to database first.',
@@ -265,14 +1223,16 @@ app.post('/api/parse-file', upload.single('file'), async (req, res) => {
                 // Create a DB wrapper using existing pool
                 const dbWrapper = {
                     query: async (sql, params) => {
-                        const [rows] = await pool.execute(sql, params);
+                        const [rows] = await req.db.pool.execute(sql, params);
                         return rows;
                     },
                     close: async () => {}
                 };
                 
-                const generator = new EpakFixSheetGenerator(dbWrapper);
-                const result = await generator.generateFixSheet(inputPath, outputPath);
+                const generator = new EpakFixSheetGenerator(dbWrapper, { timestamps: req.db.timestamps, resolvePdfPath: resolveInputPath });
+                const progress = progressHub.forRequest(req);
+                const result = await generator.generateFixSheet(inputPath, outputPath, progressReporter(progress));
+                if (progress) progress.close('done', { processed: result.processed, total: result.total });
                 
                 // Read the generated CSV (only if it exists - may not exist if no commands generated)
                 let outputContent = '';
@@ -294,240 +1254,45 @@ app.post('/api/parse-file', upload.single('file'), async (req, res) => {
                     savedPath: outputContent ? outputPath : null
                 });
             } catch (fixSheetError) {
+                const progress = progressHub.forRequest(req);
+                if (progress) progress.close('failed', { error: fixSheetError.message });
                 // Clean up on error
                 try {
                     if (fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
                     // Don't delete output file on error - keep partial results
                 } catch (cleanupError) {}
                 
-                return res.status(500).json({
-                    success: false,
-                    error: `Fix sheet generation failed: ${fixSheetError.message}`,
-                    isFixSheet: true
-                });
-            }
-        }
-        
-        // Otherwise, proceed with normal batch operations parsing
-        let operations = [];
-
-        if (ext === '.xlsx' || ext === '.xls') {
-            // Parse Excel file
-            const workbook = XLSX.read(fileBuffer, { type: 'buffer' });
-            const sheetName = workbook.SheetNames[0];
-            const worksheet = workbook.Sheets[sheetName];
-            const data = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '' });
-
-            // Find the header row (look for 'ePakId' or 'ePakUUID' or 'Table')
-            let headerRowIndex = 0;
-            for (let i = 0; i < Math.min(5, data.length); i++) {
-                const row = data[i];
-                const rowStr = JSON.stringify(row).toLowerCase();
-                if (rowStr.includes('epakid') || rowStr.includes('epakuuid') || 
-                    (rowStr.includes('table') && rowStr.includes('operation'))) {
-                    headerRowIndex = i;
-                    break;
-                }
-            }
-
-            // Detect column format by looking at headers
-            const headerRow = data[headerRowIndex];
-            const headerStr = JSON.stringify(headerRow).toLowerCase();
-            
-            // Check if this is the new format with DocumentUUID
-            const hasDocumentUUID = headerStr.includes('documentuuid');
-            
-            // Column indices based on format
-            let epakIdCol, tableCol, operationCol, columnValuesCol, whereClauseCol, statusCol;
-            
-            if (hasDocumentUUID) {
-                // New format: ePakUUID, DocumentUUID, Table, Operation, Column & Values, Where clause, Status, Last ran
-                epakIdCol = 0;
-                // Skip DocumentUUID (column 1)
-                tableCol = 2;
-                operationCol = 3;
-                columnValuesCol = 4;
-                whereClauseCol = 5;
-                statusCol = 6;
-            } else {
-                // Old format: ePakId, Table, Operation, Column & Values, Where clause, Status, Last ran
-                epakIdCol = 0;
-                tableCol = 1;
-                operationCol = 2;
-                columnValuesCol = 3;
-                whereClauseCol = 4;
-                statusCol = 5;
-            }
-            
-            // Parse data rows
-            for (let i = headerRowIndex + 1; i < data.length; i++) {
-                const row = data[i];
-                if (row.length === 0 || !row[epakIdCol]) continue; // Skip empty rows
-
-                const epakId = row[epakIdCol];
-                const table = row[tableCol];
-                const operation = row[operationCol];
-                // Clean column values: remove newlines and extra whitespace
-                let columnValues = row[columnValuesCol] ? row[columnValuesCol].toString().replace(/\n/g, ' ').replace(/\s+/g, ' ').trim() : '';
-                let whereClause = row[whereClauseCol] ? row[whereClauseCol].toString().replace(/\n/g, ' ').replace(/\s+/g, ' ').trim() : '';
-                const status = row[statusCol] || 'Pending';
-
-                if (!epakId || !table || !operation) continue;
-                
-                // Skip if epakId looks like a header
-                if (typeof epakId === 'string' && epakId.toLowerCase().includes('epak')) continue;
-
-                // Validate Column & Values for INSERT/UPDATE operations
-                if ((operation.toUpperCase() === 'INSERT' || operation.toUpperCase() === 'UPDATE') && columnValues) {
-                    // Check for bare column names (column names without values)
-                    // Pattern: word followed by comma or end, not preceded by =
-                    const bareColumnPattern = /(?:^|,\s*)([a-zA-Z_][a-zA-Z0-9_]*)\s*(?:,|$)/;
-                    const parts = columnValues.split(',');
-                    
-                    for (const part of parts) {
-                        const trimmed = part.trim();
-                        // Skip if empty or if it contains an equals sign
-                        if (!trimmed || trimmed.includes('=')) continue;
-                        
-                        // This is a bare column name without a value
-                        console.warn(`Warning: Row ${i} - Bare column name detected: "${trimmed}"`);
-                        console.warn(`Column & Values: ${columnValues}`);
-                        throw new Error(`Invalid Column & Values syntax in row ${i}: Column "${trimmed}" has no value. Use: ${trimmed}=NULL or ${trimmed}='' or ${trimmed}='value'`);
-                    }
-                }
-
-                // Build SQL statement
-                let sql = '';
-                if (operation.toUpperCase() === 'UPDATE') {
-                    sql = `UPDATE ${table} SET ${columnValues}`;
-                    if (whereClause && whereClause.trim()) {
-                        // Check if WHERE is already included
-                        if (!whereClause.trim().toUpperCase().startsWith('WHERE')) {
-                            sql += ` WHERE ${whereClause}`;
-                        } else {
-                            sql += ` ${whereClause}`;
-                        }
-                    }
-                } else if (operation.toUpperCase() === 'INSERT') {
-                    sql = `INSERT INTO ${table} SET ${columnValues}`;
-                } else if (operation.toUpperCase() === 'DELETE') {
-                    sql = `DELETE FROM ${table}`;
-                    if (whereClause && whereClause.trim()) {
-                        // Check if WHERE is already included
-                        if (!whereClause.trim().toUpperCase().startsWith('WHERE')) {
-                            sql += ` WHERE ${whereClause}`;
-                        } else {
-                            sql += ` ${whereClause}`;
-                        }
-                    }
-                }
-
-                if (sql) {
-                    operations.push({
-                        epakId: epakId.toString(),
-                        table,
-                        operation,
-                        sql: sql.trim(),
-                        status,
-                        rowNumber: i + 1
-                    });
-                }
-            }
-        } else {
-            // Parse CSV file using proper CSV parser
-            const csvParser = require('csv-parser');
-            const { Readable } = require('stream');
-            
-            // Create a readable stream from buffer
-            const stream = Readable.from(fileBuffer.toString('utf-8'));
-            
-            // Use promise to handle streaming
-            const rows = await new Promise((resolve, reject) => {
-                const results = [];
-                stream
-                    .pipe(csvParser())
-                    .on('data', (data) => results.push(data))
-                    .on('end', () => resolve(results))
-                    .on('error', reject);
-            });
-            
-            if (rows.length === 0) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'No data rows found in CSV'
-                });
-            }
-            
-            // Detect format by checking first row keys
-            const firstRow = rows[0];
-            const keys = Object.keys(firstRow).map(k => k.toLowerCase());
-            const hasDocumentUUID = keys.some(k => k.includes('documentuuid'));
-            
-            // Map column names (case-insensitive)
-            const getColumn = (row, ...names) => {
-                for (const name of names) {
-                    const key = Object.keys(row).find(k => k.toLowerCase() === name.toLowerCase());
-                    if (key && row[key]) return row[key];
-                }
-                return '';
-            };
-            
-            // Parse each row
-            for (const row of rows) {
-                const epakId = getColumn(row, 'ePakUUID', 'ePakId', 'epakid', 'epak_uuid');
-                const table = getColumn(row, 'Table', 'table');
-                const operation = getColumn(row, 'Operation', 'operation');
-                const columnValues = getColumn(row, 'Column & Values', 'Column&Values', 'columns', 'column_values');
-                const whereClause = getColumn(row, 'Where clause', 'where', 'where_clause');
-                const status = getColumn(row, 'Status', 'status') || 'Pending';
-                
-                if (!epakId || !table || !operation) continue;
-                
-                // Skip if epakId looks like a header
-                if (typeof epakId === 'string' && epakId.toLowerCase().includes('epak') && epakId.toLowerCase().includes('uuid')) continue;
-
-                // Build SQL statement
-                let sql = '';
-                if (operation.toUpperCase() === 'UPDATE') {
-                    sql = `UPDATE ${table} SET ${columnValues}`;
-                    if (whereClause && whereClause.trim()) {
-                        if (!whereClause.trim().toUpperCase().startsWith('WHERE')) {
-                            sql += ` WHERE ${whereClause}`;
-                        } else {
-                            sql += ` ${whereClause}`;
-                        }
-                    }
-                } else if (operation.toUpperCase() === 'INSERT') {
-                    sql = `INSERT INTO ${table} SET ${columnValues}`;
-                } else if (operation.toUpperCase() === 'DELETE') {
-                    sql = `DELETE FROM ${table}`;
-                    if (whereClause && whereClause.trim()) {
-                        // Check if WHERE is already included
-                        if (!whereClause.trim().toUpperCase().startsWith('WHERE')) {
-                            sql += ` WHERE ${whereClause}`;
-                        } else {
-                            sql += ` ${whereClause}`;
-                        }
-                    }
-                }
-
-                if (sql) {
-                    operations.push({
-                        epakId: epakId.toString(),
-                        table,
-                        operation,
-                        sql: sql.trim(),
-                        status
-                    });
-                }
+                return res.status(500).json({
+                    success: false,
+                    error: `Fix sheet generation failed: ${fixSheetError.message}`,
+                    isFixSheet: true
+                });
             }
         }
+        
+        // Otherwise, proceed with normal batch operations parsing
+        const sheet = await FixSheet.parseBuffer(fileBuffer, filename);
+
+        if (sheet.operations.length === 0 && sheet.invalidRows.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'No data rows found in file'
+            });
+        }
+
+        const { operations, violations, placeholders } = validateFixSheet(sheet);
+
+        // Keep a copy of the upload: /api/resolve-fix-sheet revises it and execution results are written into it
+        const sourcePath = uploads.save(fileBuffer, filename);
 
         res.json({
             success: true,
             operations,
+            violations,
+            placeholders,
+            sourcePath,
             count: operations.length,
-            format: ext === '.xlsx' || ext === '.xls' ? 'Excel' : 'CSV/TSV'
+            format: sheet.format
         });
 
     } catch (error) {
@@ -549,32 +1314,24 @@ app.post('/api/parse-certificate', upload.single('certificate'), async (req, res
             });
         }
 
-        let certBuffer = req.file.buffer;
-        let extractedFromPDF = false;
-
-        // Check if uploaded file is a PDF
-        if (PDFCertificateExtractor.isPDF(req.file.buffer)) {
-            console.log('PDF detected, extracting certificate...');
-            try {
-                // Extract certificate from PDF
-                certBuffer = await PDFCertificateExtractor.extractCertificateFromPDF(req.file.buffer);
-                extractedFromPDF = true;
-                console.log('Certificate extracted from PDF successfully');
-            } catch (pdfError) {
-                return res.status(400).json({
-                    success: false,
-                    error: `Failed to extract certificate from PDF: ${pdfError.message}`
-                });
-            }
+        let input;
+        try {
+            input = await readCertificateInput(req.file.buffer);
+        } catch (pdfError) {
+            return res.status(400).json({
+                success: false,
+                error: pdfError.message
+            });
         }
 
         // Parse certificate directly from buffer (no temp file needed)
-        const aadhaarDetails = CertificateParser.parseCertificateFromBuffer(certBuffer);
+        const aadhaarDetails = CertificateParser.parseCertificateFromBuffer(input.certBuffer, input.chainOptions);
 
         res.json({
             success: true,
             aadhaarDetails: JSON.stringify(aadhaarDetails),
-            extractedFromPDF
+            extractedFromPDF: input.extractedFromPDF,
+            signatureCheck: input.signatureCheck
         });
 
     } catch (error) {
@@ -598,10 +1355,11 @@ app.post('/api/parse-certificate-path', async (req, res) => {
             });
         }
 
-        // Resolve path relative to project root
-        const fullPath = path.isAbsolute(certPath) 
-            ? certPath 
-            : path.join(__dirname, certPath);
+        // Relative to the project root; only files in the input directories are read
+        const fullPath = resolveInputPath(certPath);
+        if (!fullPath) {
+            return res.status(403).json(inputPathRefusal(certPath));
+        }
 
         // Check if file exists
         if (!require('fs').existsSync(fullPath)) {
@@ -611,12 +1369,24 @@ app.post('/api/parse-certificate-path', async (req, res) => {
             });
         }
 
+        let input;
+        try {
+            input = await readCertificateInput(fs.readFileSync(fullPath));
+        } catch (pdfError) {
+            return res.status(400).json({
+                success: false,
+                error: pdfError.message
+            });
+        }
+
         // Parse certificate
-        const aadhaarDetails = CertificateParser.parseCertificate(fullPath);
+        const aadhaarDetails = CertificateParser.parseCertificateFromBuffer(input.certBuffer, input.chainOptions);
 
         res.json({
             success: true,
             aadhaarDetails: JSON.stringify(aadhaarDetails),
+            extractedFromPDF: input.extractedFromPDF,
+            signatureCheck: input.signatureCheck,
             filePath: certPath
         });
 
@@ -641,23 +1411,33 @@ app.post('/api/batch-process-pdfs', async (req, res) => {
             });
         }
 
-        // Resolve path relative to project root
-        const fullPath = path.isAbsolute(dirPath) 
-            ? dirPath 
-            : path.join(__dirname, dirPath);
+        // Relative to the project root; only the input directories are scanned
+        const fullPath = resolveInputPath(dirPath);
+        if (!fullPath) {
+            return res.status(403).json(inputPathRefusal(dirPath));
+        }
 
         console.log(`Starting batch PDF processing: ${fullPath}`);
         console.log(`Options: recursive=${recursive}, format=${format}, includeFailures=${includeFailures}`);
 
-        // Process all PDFs in directory
-        const results = await BatchPdfProcessor.processPDFDirectory(
-            fullPath, 
-            recursive,
-            (progress) => {
-                // Log progress (could be sent via WebSocket in future)
-                console.log(`Progress: ${progress.current}/${progress.total} - ${progress.fileName} - ${progress.success ? 'Success' : 'Failed'}`);
-            }
-        );
+        // Process all PDFs in directory (each file's result also goes to the progress stream)
+        const channel = progressHub.forRequest(req);
+        const publish = progressReporter(channel, 'pdf');
+        let results;
+        try {
+            results = await BatchPdfProcessor.processPDFDirectory(
+                fullPath, 
+                recursive,
+                (progress) => {
+                    console.log(`Progress: ${progress.current}/${progress.total} - ${progress.fileName} - ${progress.success ? 'Success' : 'Failed'}`);
+                    if (publish) publish(progress);
+                }
+            );
+        } catch (error) {
+            if (channel) channel.close('failed', { error: error.message });
+            throw error;
+        }
+        if (channel) channel.close('done', { successCount: results.successCount, failureCount: results.failureCount });
 
         console.log(`Batch processing complete: ${results.successCount} success, ${results.failureCount} failed`);
 
@@ -684,6 +1464,7 @@ app.post('/api/batch-process-pdfs', async (req, res) => {
                 totalFiles: results.totalFiles,
                 successCount: results.successCount,
                 failureCount: results.failureCount,
+                signatureCounts: results.signatureCounts,
                 processingTime: results.processingTime,
                 processingTimeFormatted: BatchPdfProcessor.formatTime(results.processingTime)
             },
@@ -702,7 +1483,7 @@ app.post('/api/batch-process-pdfs', async (req, res) => {
 });
 
 // API: Generate ePak fix sheet
-app.post('/api/generate-fix-sheet', upload.single('file'), async (req, res) => {
+app.post('/api/generate-fix-sheet', requireRole(ROLES.FIXER), upload.single('file'), async (req, res) => {
     try {
         const fs = require('fs');
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
@@ -718,12 +1499,10 @@ app.post('/api/generate-fix-sheet', upload.single('file'), async (req, res) => {
             fs.writeFileSync(inputPath, req.file.buffer);
             isTemporaryFile = true;
         } else if (req.body && req.body.csvPath) {
-            // Path provided (from terminal command)
-            inputPath = req.body.csvPath;
-            
-            // Handle relative paths
-            if (!path.isAbsolute(inputPath)) {
-                inputPath = path.join(__dirname, inputPath);
+            // Path provided (from terminal command); relative to the project root, input directories only
+            inputPath = resolveInputPath(req.body.csvPath);
+            if (!inputPath) {
+                return res.status(403).json(inputPathRefusal(req.body.csvPath));
             }
             
             // Check if file exists
@@ -740,7 +1519,7 @@ app.post('/api/generate-fix-sheet', upload.single('file'), async (req, res) => {
             });
         }
 
-        if (!pool) {
+        if (!req.db) {
             return res.status(400).json({
                 success: false,
                 error: 'Database not connected. Please connect to database first.'
@@ -754,16 +1533,24 @@ app.post('/api/generate-fix-sheet', upload.single('file'), async (req, res) => {
         // Create a custom DB connection that uses the existing pool
         const dbWrapper = {
             query: async (sql, params) => {
-                const [rows] = await pool.execute(sql, params);
+                const [rows] = await req.db.pool.execute(sql, params);
                 return rows;
             },
             close: async () => {
-                // Don't close the shared pool
+                // Don't close the session's pool
             }
         };
 
-        const generator = new EpakFixSheetGenerator(dbWrapper);
-        const result = await generator.generateFixSheet(inputPath, outputPath);
+        const generator = new EpakFixSheetGenerator(dbWrapper, { timestamps: req.db.timestamps, resolvePdfPath: resolveInputPath });
+        const progress = progressHub.forRequest(req);
+        let result;
+        try {
+            result = await generator.generateFixSheet(inputPath, outputPath, progressReporter(progress));
+        } catch (error) {
+            if (progress) progress.close('failed', { error: error.message });
+            throw error;
+        }
+        if (progress) progress.close('done', { processed: result.processed, total: result.total });
 
         // Read the generated CSV (only if it exists)
         let outputContent = '';
@@ -794,12 +1581,92 @@ app.post('/api/generate-fix-sheet', upload.single('file'), async (req, res) => {
     }
 });
 
+// API: Progress of a fix-sheet generation / PDF batch request as Server-Sent Events
+// Open this before sending the request with ?progressId=<same id>; the stream ends with done / failed
+app.get('/api/progress/:progressId/events', (req, res) => {
+    let channel;
+    try {
+        channel = progressHub.open(req.params.progressId);
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+    channel.stream(req, res);
+});
+
 // API: Health check
 app.get('/api/health', (req, res) => {
     res.json({ 
         success: true, 
         message: 'Server is running',
-        connected: pool !== null
+        connected: Boolean(req.db),
+        connection: connections.describe(req.db),
+        openConnections: connections.count(),
+        timeZone: (req.db ? req.db.timestamps : TimestampService.getDefault()).toJSON()
+    });
+});
+
+// API: Log in with an operator account
+// Body: { username, password }
+app.post('/api/login', (req, res) => {
+    const { username, password } = req.body;
+    
+    if (!users.hasUsers()) {
+        return res.status(503).json({
+            success: false,
+            error: 'No operator accounts yet - on the server run: node manage-users.js add <username> approver'
+        });
+    }
+    
+    try {
+        const user = users.verify(username, password);
+        if (!user) {
+            console.warn(`⚠️  Failed login for "${username}" from ${req.ip}`);
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid username or password'
+            });
+        }
+        
+        if (req.session) {
+            sessions.destroy(req.session.id);
+        }
+        const session = sessions.create(user, req.ip);
+        res.setHeader('Set-Cookie', SessionStore.cookie(session.id, req.secure));
+        console.log(`🔐 ${user.username} (${user.role}) logged in from ${req.ip}`);
+        
+        res.json({
+            success: true,
+            user
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// API: Log out
+app.post('/api/logout', (req, res) => {
+    if (req.session) {
+        sessions.destroy(req.session.id);
+        // A batch job still running keeps its pool; the idle sweep closes it after the job ends
+        connections.disconnect(req.session.id).catch(() => {});
+        console.log(`🔐 ${req.user.username} logged out`);
+    }
+    res.setHeader('Set-Cookie', SessionStore.cookie(null, req.secure));
+    res.json({ success: true });
+});
+
+// API: Logged-in operator (user is null when not logged in)
+app.get('/api/me', (req, res) => {
+    res.json({
+        success: true,
+        user: req.user,
+        hasUsers: users.hasUsers()
     });
 });
 
@@ -819,7 +1686,15 @@ console.log(`   Data Source: ${dataSourcePath}`);
 app.get('/api/batches', (req, res) => {
     try {
         const pendingBatches = batchProcessor.listPendingBatches();
-        const readyBatches = batchProcessor.listReadyForExecution();
+        const readyBatches = batchProcessor.listReadyForExecution().map(batch => {
+            const approval = journal.findApproval(batch.name);
+            return {
+                ...batch,
+                approval: approval
+                    ? { approvalId: approval.approvalId, approver: approval.approver, approvedAt: approval.at, comment: approval.comment }
+                    : null
+            };
+        });
         
         res.json({
             success: true,
@@ -835,11 +1710,11 @@ app.get('/api/batches', (req, res) => {
 });
 
 // Process a batch (generate fix sheet)
-app.post('/api/batch/process/:batchName', async (req, res) => {
+app.post('/api/batch/process/:batchName', requireRole(ROLES.FIXER), async (req, res) => {
     try {
         const { batchName } = req.params;
         
-        if (!pool) {
+        if (!req.db) {
             return res.status(400).json({
                 success: false,
                 error: 'Database not connected'
@@ -862,16 +1737,24 @@ app.post('/api/batch/process/:batchName', async (req, res) => {
         
         const dbWrapper = {
             query: async (sql, params) => {
-                const [rows] = await pool.execute(sql, params);
+                const [rows] = await req.db.pool.execute(sql, params);
                 return rows;
             },
             close: async () => {}
         };
         
-        const generator = new EpakFixSheetGenerator(dbWrapper);
+        const generator = new EpakFixSheetGenerator(dbWrapper, { timestamps: req.db.timestamps, resolvePdfPath: resolveInputPath });
         const outputPath = batchProcessor.getFixSheetPath(batchName);
         
-        const result = await generator.generateFixSheet(batch.csvFile, outputPath);
+        const progress = progressHub.forRequest(req);
+        let result;
+        try {
+            result = await generator.generateFixSheet(batch.csvFile, outputPath, progressReporter(progress));
+        } catch (error) {
+            if (progress) progress.close('failed', { error: error.message });
+            throw error;
+        }
+        if (progress) progress.close('done', { processed: result.processed, total: result.total });
         
         // Move original batch to processed
         const movedPath = batchProcessor.moveBatchToProcessed(batchName, 'corrupted-epaks');
@@ -893,11 +1776,11 @@ app.post('/api/batch/process/:batchName', async (req, res) => {
 });
 
 // Execute a fix sheet batch
-app.post('/api/batch/execute/:batchName', async (req, res) => {
+app.post('/api/batch/execute/:batchName', requireRole(ROLES.FIXER), async (req, res) => {
     try {
         const { batchName } = req.params;
         
-        if (!pool) {
+        if (!req.db) {
             return res.status(400).json({
                 success: false,
                 error: 'Database not connected'
@@ -933,8 +1816,288 @@ app.post('/api/batch/execute/:batchName', async (req, res) => {
     }
 });
 
+// Server-side batch jobs (results go to the fix sheet and the journal like terminal-driven runs)
+const batchJobs = new BatchJobRunner({
+    journal,
+    policy: safetyPolicy,
+    rollbacksPath,
+    recordResults: writeResults,
+    completeBatch: (batchName) => batchProcessor.moveBatchToProcessed(batchName, 'fix-sheets')
+});
+
+// API: Sign off a batch for execution (approver role)
+// Body: { batch (ready batch name, or the server path of an uploaded fix sheet), comment }
+// Records the fingerprint of each fix sheet; a sheet edited afterwards needs a new approval
+app.post('/api/batch/approvals', requireRole(ROLES.APPROVER), async (req, res) => {
+    const { comment } = req.body;
+    
+    if (!req.body.batch) {
+        return res.status(400).json({
+            success: false,
+            error: 'batch is required'
+        });
+    }
+    
+    try {
+        const batch = batchProcessor.listReadyForExecution().find(b => b.name === req.body.batch);
+        // An uploaded sheet is approved under its resolved path, which is what its runs look up
+        const batchKey = batch ? batch.name : resolveSheetPath(req.body.batch);
+        if (!batchKey && /[\\/]/.test(req.body.batch)) {
+            return res.status(403).json(sheetPathRefusal(req.body.batch));
+        }
+        if (!batchKey) {
+            return res.status(404).json({
+                success: false,
+                error: `No ready batch or fix sheet named '${req.body.batch}'`
+            });
+        }
+        const sheetPaths = batch ? batch.fixSheets : [batchKey];
+        if (sheetPaths.length === 0 || !sheetPaths.every(sheetPath => fs.existsSync(sheetPath))) {
+            return res.status(404).json({
+                success: false,
+                error: `No ready batch or fix sheet named '${batchKey}'`
+            });
+        }
+        
+        const sheets = [];
+        for (const sheetPath of sheetPaths) {
+            const sheet = await FixSheet.readFile(sheetPath);
+            sheets.push({ sheetPath, fingerprint: FixSheet.fingerprint(sheet.operations) });
+        }
+        const approval = journal.approveBatch({
+            batchKey,
+            sheets,
+            approver: req.user.username,
+            comment: comment || null,
+            client: req.ip
+        });
+        console.log(`🔐 ${req.user.username} approved '${batchKey}' (${approval.approvalId}, ${sheets.length} sheet(s))`);
+        
+        res.json({
+            success: true,
+            approval
+        });
+    } catch (error) {
+        console.error('Batch approval error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// API: Run a batch's fix sheet as a background job
+// Body: { autoApprove, stopOnError, concurrency, resume }
+// Without autoApprove the job waits for /approve before each ePak (concurrency must be 1)
+app.post('/api/batch/run/:batchName', requireRole(ROLES.FIXER), async (req, res) => {
+    try {
+        const { batchName } = req.params;
+        const { autoApprove, stopOnError, concurrency, resume } = req.body;
+        
+        if (!req.db) {
+            return res.status(400).json({
+                success: false,
+                error: 'Database not connected'
+            });
+        }
+        
+        const batch = batchProcessor.listReadyForExecution().find(b => b.name === batchName);
+        if (!batch || !batch.ready) {
+            return res.status(404).json({
+                success: false,
+                error: `Batch '${batchName}' not found or not ready for execution`
+            });
+        }
+        
+        const active = batchJobs.findActive(batchName);
+        if (active) {
+            return res.status(409).json({
+                success: false,
+                error: `Batch '${batchName}' already has an active job: ${active.id}`,
+                jobId: active.id
+            });
+        }
+        
+        const fixSheetPath = batch.fixSheets[0];
+        // The job runs the sheet exactly as read for the approval check (a later edit is not picked up)
+        let approval;
+        let sheet;
+        try {
+            ({ approval, sheet } = await requireBatchApproval(batchName, fixSheetPath, req.user.username));
+        } catch (error) {
+            if (!error.approvalRequired) throw error;
+            return res.status(403).json({
+                success: false,
+                error: error.message,
+                approvalRequired: true
+            });
+        }
+        try {
+            requireWriteAccess(req, { approved: true });
+        } catch (error) {
+            return res.status(403).json(writeRefusal(req, error));
+        }
+        const { operations } = validateFixSheet(sheet);
+        
+        let job;
+        try {
+            job = batchJobs.start({
+                batchName,
+                sheetPath: fixSheetPath,
+                operations,
+                pool: req.db.pool,
+                autoApprove,
+                stopOnError,
+                concurrency,
+                resume,
+                operator: req.user.username,
+                client: req.ip,
+                database: req.db.connectedAs,
+                profile: req.db.profile ? req.db.profile.name : null,
+                timestamps: req.db.timestamps,
+                approvalId: approval.approvalId
+            });
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        
+        // The job runs on this session's pool: keep it open (past disconnect or idle) until the job ends
+        const release = connections.hold(req.session.id);
+        job.on('event', (event) => {
+            if (event.type === BatchJobRunner.EVENT_TYPES.JOB_FINISHED) release();
+        });
+        
+        res.json({
+            success: true,
+            job: job.snapshot(),
+            eventsUrl: `/api/batch/jobs/${job.id}/events`
+        });
+    } catch (error) {
+        console.error('Batch run error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// API: List batch jobs (newest first)
+app.get('/api/batch/jobs', (req, res) => {
+    res.json({ success: true, jobs: batchJobs.list() });
+});
+
+// API: Poll a batch job; ?since=<seq> also returns the events after that sequence number
+app.get('/api/batch/jobs/:jobId', (req, res) => {
+    let job;
+    try {
+        job = batchJobs.get(req.params.jobId);
+    } catch (error) {
+        return res.status(404).json({
+            success: false,
+            error: error.message
+        });
+    }
+    const since = Number(req.query.since);
+    res.json({
+        success: true,
+        job: job.snapshot(),
+        events: Number.isInteger(since) && since >= 0 ? job.eventsSince(since) : undefined
+    });
+});
+
+// API: Batch job progress as Server-Sent Events
+// Replays the history (after Last-Event-ID / ?since when reconnecting), then streams live
+// events; the stream ends after job-finished
+app.get('/api/batch/jobs/:jobId/events', (req, res) => {
+    let job;
+    try {
+        job = batchJobs.get(req.params.jobId);
+    } catch (error) {
+        return res.status(404).json({
+            success: false,
+            error: error.message
+        });
+    }
+    
+    job.stream(req, res);
+});
+
+// API: Decide on the ePak a job is waiting for
+// Body: { epakId, decision: execute | skip | stop | execute-all }
+// execute / execute-all: an approver other than the job's operator; skip / stop: also the operator
+app.post('/api/batch/jobs/:jobId/approve', requireRole(ROLES.FIXER), (req, res) => {
+    let job;
+    try {
+        job = batchJobs.get(req.params.jobId);
+    } catch (error) {
+        return res.status(404).json({
+            success: false,
+            error: error.message
+        });
+    }
+    // Letting an ePak run takes a second person: an approver other than the job's operator.
+    // Skipping or stopping is also open to the operator
+    const { EXECUTE, EXECUTE_ALL } = BatchJobRunner.DECISIONS;
+    const isApprover = UserStore.hasRole(req.user.role, ROLES.APPROVER);
+    if ([EXECUTE, EXECUTE_ALL].includes(req.body.decision)) {
+        if (!isApprover || req.user.username === job.operator) {
+            return res.status(403).json({
+                success: false,
+                error: `Executing ePaks of job ${job.id} must be approved by an approver other than ${job.operator}`
+            });
+        }
+    } else if (!isApprover && req.user.username !== job.operator) {
+        return res.status(403).json({
+            success: false,
+            error: `Job ${job.id} belongs to ${job.operator}`
+        });
+    }
+    try {
+        job.approve(req.body.epakId, req.body.decision, req.user.username);
+        console.log(`🧩 Batch job ${job.id}: ePak ${req.body.epakId} → ${req.body.decision} (${req.user.username})`);
+        res.json({ success: true, job: job.snapshot() });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// API: Cancel a batch job - its operator or an approver (a transaction already running completes; nothing new starts)
+app.post('/api/batch/jobs/:jobId/cancel', requireRole(ROLES.FIXER), (req, res) => {
+    let job;
+    try {
+        job = batchJobs.get(req.params.jobId);
+    } catch (error) {
+        return res.status(404).json({
+            success: false,
+            error: error.message
+        });
+    }
+    if (!UserStore.hasRole(req.user.role, ROLES.APPROVER) && req.user.username !== job.operator) {
+        return res.status(403).json({
+            success: false,
+            error: `Job ${job.id} belongs to ${job.operator} (only they or an approver can cancel it)`
+        });
+    }
+    try {
+        job.cancel(req.user.username);
+        console.log(`🧩 Batch job ${job.id}: cancel requested by ${req.user.username}`);
+        res.json({ success: true, job: job.snapshot() });
+    } catch (error) {
+        res.status(409).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 // Complete batch processing (move to processed)
-app.post('/api/batch/complete/:batchName', async (req, res) => {
+app.post('/api/batch/complete/:batchName', requireRole(ROLES.FIXER), async (req, res) => {
     try {
         const { batchName } = req.params;
         
@@ -963,7 +2126,7 @@ app.post('/api/batch/complete/:batchName', async (req, res) => {
 });
 
 // Export batch SQL to file (for CMR)
-app.post('/api/export-batch-sql', async (req, res) => {
+app.post('/api/export-batch-sql', requireRole(ROLES.FIXER), async (req, res) => {
     try {
         const { batchName, sqlContent } = req.body;
         
@@ -1008,7 +2171,10 @@ app.post('/api/export-batch-sql', async (req, res) => {
 // Read and parse a fix sheet file
 app.post('/api/read-fix-sheet', async (req, res) => {
     try {
-        const { filePath } = req.body;
+        const filePath = resolveSheetPath(req.body.filePath);
+        if (!filePath) {
+            return res.status(403).json(sheetPathRefusal(req.body.filePath));
+        }
         
         if (!fs.existsSync(filePath)) {
             return res.status(404).json({
@@ -1017,59 +2183,15 @@ app.post('/api/read-fix-sheet', async (req, res) => {
             });
         }
         
-        const operations = [];
-        
-        await new Promise((resolve, reject) => {
-            const csvParser = require('csv-parser');
-            
-            fs.createReadStream(filePath)
-                .pipe(csvParser())
-                .on('data', (row) => {
-                    // Parse the fix sheet format
-                    // Headers: ePakUUID, DocumentUUID, Table, Operation, Column & Values, Where clause, Status, Last ran
-                    
-                    const epakId = row.ePakUUID || row.ePakId;
-                    const table = row.Table;
-                    const operation = row.Operation;
-                    const columnValues = row['Column & Values'] || row['Column & Values'] || '';
-                    const whereClause = row['Where clause'] || row['Where Clause'] || '';
-                    
-                    if (!epakId || !table || !operation) {
-                        return; // Skip invalid rows
-                    }
-                    
-                    // Build SQL statement
-                    let sql = '';
-                    if (operation === 'DELETE') {
-                        sql = `DELETE FROM ${table}`;
-                        if (whereClause) {
-                            sql += ` WHERE ${whereClause}`;
-                        }
-                    } else if (operation === 'UPDATE') {
-                        sql = `UPDATE ${table} SET ${columnValues}`;
-                        if (whereClause) {
-                            sql += ` WHERE ${whereClause}`;
-                        }
-                    } else if (operation === 'INSERT') {
-                        sql = `INSERT INTO ${table} SET ${columnValues}`;
-                    }
-                    
-                    if (sql) {
-                        operations.push({
-                            epakId: epakId,
-                            table: table,
-                            operation: operation,
-                            sql: sql
-                        });
-                    }
-                })
-                .on('end', resolve)
-                .on('error', reject);
-        });
+        const sheet = await FixSheet.readFile(filePath);
+        const { operations, violations, placeholders } = validateFixSheet(sheet);
         
         res.json({
             success: true,
-            operations: operations
+            operations: operations,
+            violations: violations,
+            placeholders: placeholders,
+            sourcePath: filePath
         });
         
     } catch (error) {
@@ -1081,28 +2203,107 @@ app.post('/api/read-fix-sheet', async (req, res) => {
     }
 });
 
+// API: Fill MANUAL placeholders and write a revised fix sheet next to the original
+// Body: { filePath, resolutions: [{ rowNumber, field, value }] }
+// Returns the revised sheet parsed like /api/read-fix-sheet; unfilled rows stay blocked
+app.post('/api/resolve-fix-sheet', requireRole(ROLES.FIXER), async (req, res) => {
+    try {
+        const { resolutions } = req.body;
+        
+        if (!req.body.filePath || !Array.isArray(resolutions) || resolutions.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'filePath and a resolutions array are required'
+            });
+        }
+        const filePath = resolveSheetPath(req.body.filePath);
+        if (!filePath) {
+            return res.status(403).json(sheetPathRefusal(req.body.filePath));
+        }
+        if (!fs.existsSync(filePath)) {
+            return res.status(404).json({
+                success: false,
+                error: `File not found: ${filePath}`
+            });
+        }
+        
+        const sheet = await FixSheet.readFile(filePath);
+        if (sheet.invalidRows.length > 0) {
+            // The revised copy is written from the parsed rows, so it would silently drop these
+            return res.status(422).json({
+                success: false,
+                error: `Fix the rows that could not be parsed first: ${sheet.invalidRows.map(row => `row ${row.rowNumber} (${row.message})`).join('; ')}`
+            });
+        }
+        try {
+            FixSheet.applyResolutions(sheet.operations, resolutions);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        
+        const revisedPath = FixSheet.revisedPath(filePath);
+        await FixSheet.writeCsv(revisedPath, sheet.operations);
+        console.log(`Revised fix sheet written to: ${revisedPath} (${resolutions.length} value(s) filled)`);
+        
+        const revised = await FixSheet.readFile(revisedPath);
+        const { operations, violations, placeholders } = validateFixSheet(revised);
+        
+        res.json({
+            success: true,
+            operations,
+            violations,
+            placeholders,
+            sourcePath: revisedPath,
+            revisedPath,
+            filled: resolutions.length
+        });
+    } catch (error) {
+        console.error('Resolve fix sheet error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 // Serve index.html
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log('');
-    console.log('╔════════════════════════════════════════════════════════════════╗');
-    console.log('║          EPak Fix Tool - Web Terminal                         ║');
-    console.log('╚════════════════════════════════════════════════════════════════╝');
-    console.log('');
-    console.log(`✅ Server running on: http://localhost:${PORT}`);
-    console.log('');
-    console.log('🌐 Open your browser and navigate to:');
-    console.log(`   http://localhost:${PORT}`);
-    console.log('');
-    console.log('📝 No admin access required!');
-    console.log('🚀 Works on Mac, Windows, Linux');
-    console.log('');
-    console.log('Press Ctrl+C to stop the server');
-    console.log('');
-});
+// Start server (tests require the app without listening)
+if (require.main === module) {
+    const server = app.listen(PORT, () => {
+        console.log('');
+        console.log('╔════════════════════════════════════════════════════════════════╗');
+        console.log('║          EPak Fix Tool - Web Terminal                         ║');
+        console.log('╚════════════════════════════════════════════════════════════════╝');
+        console.log('');
+        console.log(`✅ Server running on: http://localhost:${PORT}`);
+        console.log('');
+        console.log('🌐 Open your browser and navigate to:');
+        console.log(`   http://localhost:${PORT}`);
+        console.log('');
+        console.log('📝 No admin access required!');
+        console.log('🚀 Works on Mac, Windows, Linux');
+        console.log('');
+        console.log('Press Ctrl+C to stop the server');
+        console.log('');
+    });
+
+    // Close every session's database pool before exiting
+    async function shutdown(signal) {
+        console.log(`\n${signal} received - closing ${connections.count()} database connection(s)...`);
+        server.close();
+        await connections.closeAll();
+        process.exit(0);
+    }
 
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+}
 
+module.exports = app;
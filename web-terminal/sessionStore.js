@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+
+const COOKIE_NAME = 'epak_session';
+
+// Sessions end after this long without a request (EPAK_SESSION_IDLE_MINUTES, default 8 hours)
+const DEFAULT_IDLE_MINUTES = 480;
+
+/**
+ * Session Store
+ * In-memory login sessions keyed by a random id sent as an HttpOnly cookie.
+ * Restarting the server logs everyone out.
+ */
+class SessionStore {
+
+    /**
+     * @param {number} idleMinutes - Idle timeout
+     */
+    constructor(idleMinutes = Number(process.env.EPAK_SESSION_IDLE_MINUTES) || DEFAULT_IDLE_MINUTES) {
+        this.idleMs = idleMinutes * 60 * 1000;
+        this.sessions = new Map();
+    }
+
+    /**
+     * Start a session
+     * @param {Object} user - { username } (the role is looked up on each request, so changes apply at once)
+     * @param {string} client - Client address
+     * @returns {Object} { id, username, client, createdAt, lastSeen }
+     */
+    create(user, client) {
+        this.prune();
+        const session = {
+            id: crypto.randomBytes(32).toString('hex'),
+            username: user.username,
+            client: client || null,
+            createdAt: Date.now(),
+            lastSeen: Date.now()
+        };
+        this.sessions.set(session.id, session);
+        return session;
+    }
+
+    /**
+     * Live session for an id (its idle timer restarts)
+     * @param {string} id
+     * @returns {Object|null}
+     */
+    get(id) {
+        const session = id ? this.sessions.get(id) : null;
+        if (!session) {
+            return null;
+        }
+        if (Date.now() - session.lastSeen > this.idleMs) {
+            this.sessions.delete(id);
+            return null;
+        }
+        session.lastSeen = Date.now();
+        return session;
+    }
+
+    /**
+     * @param {string} id
+     */
+    destroy(id) {
+        this.sessions.delete(id);
+    }
+
+    /**
+     * Drop sessions past the idle timeout
+     */
+    prune() {
+        const cutoff = Date.now() - this.idleMs;
+        for (const [id, session] of this.sessions) {
+            if (session.lastSeen < cutoff) this.sessions.delete(id);
+        }
+    }
+
+    /**
+     * Session id from the request's Cookie header
+     * @param {Object} req - Express request
+     * @returns {string|null} Null also for a malformed cookie (treated as no session)
+     */
+    static readCookie(req) {
+        const header = req.headers.cookie || '';
+        for (const part of header.split(';')) {
+            const [name, ...value] = part.trim().split('=');
+            if (name === COOKIE_NAME) {
+                try {
+                    return decodeURIComponent(value.join('='));
+                } catch (error) {
+                    return null;
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Set-Cookie value for a session (empty id clears the cookie)
+     * @param {string} id
+     * @param {boolean} secure - Request came over HTTPS
+     * @returns {string}
+     */
+    static cookie(id, secure) {
+        const attributes = [`${COOKIE_NAME}=${encodeURIComponent(id || '')}`, 'Path=/', 'HttpOnly', 'SameSite=Strict'];
+        if (!id) attributes.push('Max-Age=0');
+        if (secure) attributes.push('Secure');
+        return attributes.join('; ');
+    }
+}
+
+SessionStore.COOKIE_NAME = COOKIE_NAME;
+
+module.exports = SessionStore;
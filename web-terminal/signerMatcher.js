@@ -0,0 +1,165 @@
+/**
+ * Minimum score for a PDF signature to be attributed to a signer
+ */
+const MATCH_THRESHOLD = 0.7;
+
+/**
+ * Minimum similarity for two first names to agree (one typo in a five-letter name)
+ */
+const FIRST_NAME_SIMILARITY = 0.8;
+
+/**
+ * Honorifics that appear in Aadhaar / directory names but carry no identity
+ */
+const TITLES = new Set(['mr', 'mrs', 'ms', 'miss', 'dr', 'shri', 'sri', 'smt', 'kumari', 'km']);
+
+/**
+ * Signer Matcher
+ * Attributes PDF signatures (certificate subject names) to ePak signers
+ * (name from documentactivity actor fields, email) using fuzzy name matching
+ */
+class SignerMatcher {
+
+    /**
+     * One-to-one assignment of signatures to signers, best scores first
+     * @param {Array<Object>} signers - Signer rows with userDetails { firstName, middleName, lastName, email }
+     * @param {Array<Object>} signatures - Parsed certificates ({ index, signerName, ... })
+     * @returns {Array<{signerId: number, userId: number, signature: Object|null, confidence: number, label: string}>}
+     *          One entry per signer, in the signers' order
+     */
+    static match(signers, signatures) {
+        const pairs = [];
+        signers.forEach((signer, s) => {
+            signatures.forEach((signature, g) => {
+                pairs.push({ s, g, score: this.score(signature.signerName, signer.userDetails || {}) });
+            });
+        });
+        pairs.sort((a, b) => b.score - a.score);
+
+        const bySigner = new Map();
+        const usedSignatures = new Set();
+        for (const pair of pairs) {
+            if (pair.score < MATCH_THRESHOLD) break;
+            if (bySigner.has(pair.s) || usedSignatures.has(pair.g)) continue;
+            bySigner.set(pair.s, pair);
+            usedSignatures.add(pair.g);
+        }
+
+        return signers.map((signer, s) => {
+            const pair = bySigner.get(s);
+            const signature = pair ? signatures[pair.g] : null;
+            const confidence = pair ? Math.round(pair.score * 100) / 100 : 0;
+            return {
+                signerId: signer.id,
+                userId: signer.userId,
+                signature,
+                confidence,
+                label: signature
+                    ? `${Math.round(confidence * 100)}% ${signature.signerName} (signature ${signature.index})`
+                    : 'NO MATCH'
+            };
+        });
+    }
+
+    /**
+     * Similarity between a certificate name and a user (0..1)
+     * Best of full-name and email-local-part comparison; email is weighted down slightly.
+     * Scores 0 unless the first names agree or the normalized full names are identical,
+     * so relatives sharing a surname are never taken for each other.
+     * @param {string} certName - Certificate subject name (e.g. "RAHUL KUMAR SHARMA")
+     * @param {Object} user - { firstName, middleName, lastName, email }
+     * @returns {number}
+     */
+    static score(certName, user) {
+        const certTokens = this.tokenize(certName);
+        if (certTokens.length === 0) return 0;
+
+        const nameTokens = this.tokenize([user.firstName, user.middleName, user.lastName].join(' '));
+        if (certTokens.join(' ') === nameTokens.join(' ')) return 1;
+        if (!this.firstNamesAgree(certTokens, this.tokenize(user.firstName))) return 0;
+
+        const emailLocal = user.email && user.email.includes('@') ? user.email.split('@')[0] : '';
+        const emailTokens = this.tokenize(emailLocal.replace(/[._\-+\d]+/g, ' '));
+
+        return Math.max(
+            this.tokenSetScore(certTokens, nameTokens),
+            this.tokenSetScore(certTokens, emailTokens) * 0.9
+        );
+    }
+
+    /**
+     * Whether the certificate's first name is the user's first name (initials never agree)
+     * @param {Array<string>} certTokens - Tokenized certificate name
+     * @param {Array<string>} firstNameTokens - Tokenized user first name
+     * @returns {boolean}
+     */
+    static firstNamesAgree(certTokens, firstNameTokens) {
+        const [certFirst] = certTokens;
+        const [userFirst] = firstNameTokens;
+        if (!certFirst || !userFirst || certFirst.length === 1 || userFirst.length === 1) return false;
+        return this.tokenSimilarity(certFirst, userFirst) >= FIRST_NAME_SIMILARITY;
+    }
+
+    /**
+     * Symmetric best-match average between two token lists
+     * (extra middle names on one side lower the score only partially)
+     * @returns {number} 0..1
+     */
+    static tokenSetScore(a, b) {
+        if (a.length === 0 || b.length === 0) return 0;
+
+        const best = (token, others) => Math.max(...others.map(other => this.tokenSimilarity(token, other)));
+        const total = a.reduce((sum, t) => sum + best(t, b), 0) + b.reduce((sum, t) => sum + best(t, a), 0);
+        return total / (a.length + b.length);
+    }
+
+    /**
+     * Similarity of two name tokens: exact, initial, or edit distance
+     * @returns {number} 0..1
+     */
+    static tokenSimilarity(a, b) {
+        if (a === b) return 1;
+        if ((a.length === 1 || b.length === 1) && a[0] === b[0]) return 0.8;
+        return 1 - this.levenshtein(a, b) / Math.max(a.length, b.length);
+    }
+
+    /**
+     * Lower-case name tokens without titles or placeholder values
+     * @param {string} name
+     * @returns {Array<string>}
+     */
+    static tokenize(name) {
+        return String(name || '')
+            .toLowerCase()
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/['’]/g, '')
+            .replace(/[^a-z\s]/g, ' ')
+            .split(/\s+/)
+            .filter(token => token && !TITLES.has(token) && token !== 'manual' && token !== 'na');
+    }
+
+    /**
+     * Edit distance between two strings
+     * @returns {number}
+     */
+    static levenshtein(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+}
+
+SignerMatcher.MATCH_THRESHOLD = MATCH_THRESHOLD;
+
+module.exports = SignerMatcher;
@@ -0,0 +1,228 @@
+/**
+ * Statement types
+ *   SELECT - reads: SELECT, WITH ... SELECT, SHOW, DESCRIBE/DESC, EXPLAIN, TABLE
+ *   UPDATE / INSERT (also REPLACE) / DELETE - row writes
+ *   DDL    - schema and privilege changes: CREATE, ALTER, DROP, TRUNCATE, RENAME, GRANT, REVOKE
+ *   OTHER  - anything else (SET, CALL, LOAD DATA, LOCK, SELECT ... INTO OUTFILE, ...)
+ */
+const TYPES = {
+    SELECT: 'SELECT',
+    UPDATE: 'UPDATE',
+    INSERT: 'INSERT',
+    DELETE: 'DELETE',
+    DDL: 'DDL',
+    OTHER: 'OTHER'
+};
+
+const LEADING_KEYWORDS = {
+    SELECT: TYPES.SELECT,
+    SHOW: TYPES.SELECT,
+    DESCRIBE: TYPES.SELECT,
+    DESC: TYPES.SELECT,
+    EXPLAIN: TYPES.SELECT,
+    TABLE: TYPES.SELECT,
+    UPDATE: TYPES.UPDATE,
+    INSERT: TYPES.INSERT,
+    REPLACE: TYPES.INSERT,
+    DELETE: TYPES.DELETE,
+    CREATE: TYPES.DDL,
+    ALTER: TYPES.DDL,
+    DROP: TYPES.DDL,
+    TRUNCATE: TYPES.DDL,
+    RENAME: TYPES.DDL,
+    GRANT: TYPES.DDL,
+    REVOKE: TYPES.DDL
+};
+
+const WRITE_TYPES = new Set([TYPES.UPDATE, TYPES.INSERT, TYPES.DELETE]);
+
+/**
+ * SQL Classifier
+ * Lightweight MySQL tokenizer: splits text into statements on semicolons outside strings,
+ * identifiers and comments, and labels each statement by type. Code inside MySQL executable
+ * comments (/*! ... *\/) counts, since the server runs it. Not a parser - it only needs to tell
+ * reads from writes and spot a second statement.
+ */
+class SqlClassifier {
+
+    /**
+     * Split SQL into tokens (comments are dropped)
+     * @param {string} sql
+     * @returns {Array<{type: string, value: string, start: number, end: number}>}
+     *          type: word, string, identifier, symbol or semicolon; start/end index into sql
+     * @throws {Error} On an unterminated string, identifier or comment
+     */
+    static tokenize(sql) {
+        const text = String(sql || '');
+        const tokens = [];
+        let inExecutableComment = false;
+        let i = 0;
+
+        while (i < text.length) {
+            const ch = text[i];
+            const next = text[i + 1];
+
+            if (/\s/.test(ch)) {
+                i++;
+            } else if (ch === '#' || (ch === '-' && next === '-' && (i + 2 >= text.length || /\s/.test(text[i + 2])))) {
+                const end = text.indexOf('\n', i);
+                i = end === -1 ? text.length : end + 1;
+            } else if (ch === '/' && next === '*' && text[i + 2] === '!') {
+                // Executable comment: its content is code (optionally after a version number)
+                inExecutableComment = true;
+                i += 3;
+                while (i < text.length && /\d/.test(text[i])) i++;
+            } else if (ch === '/' && next === '*') {
+                const end = text.indexOf('*/', i + 2);
+                if (end === -1) {
+                    throw new Error('Unterminated comment');
+                }
+                i = end + 2;
+            } else if (ch === '*' && next === '/' && inExecutableComment) {
+                inExecutableComment = false;
+                i += 2;
+            } else if (ch === '\'' || ch === '"' || ch === '`') {
+                const end = SqlClassifier.findClosingQuote(text, i);
+                tokens.push({ type: ch === '`' ? 'identifier' : 'string', value: text.substring(i, end + 1), start: i, end: end + 1 });
+                i = end + 1;
+            } else if (/[\w$\u0080-\uffff]/.test(ch)) {
+                const start = i;
+                while (i < text.length && /[\w$\u0080-\uffff]/.test(text[i])) i++;
+                tokens.push({ type: 'word', value: text.substring(start, i), start, end: i });
+            } else {
+                tokens.push({ type: ch === ';' ? 'semicolon' : 'symbol', value: ch, start: i, end: i + 1 });
+                i++;
+            }
+        }
+
+        if (inExecutableComment) {
+            throw new Error('Unterminated comment');
+        }
+        return tokens;
+    }
+
+    /**
+     * Split SQL into statements (empty ones, e.g. after a trailing semicolon, are dropped)
+     * @param {string} sql
+     * @returns {Array<{sql: string, tokens: Array<Object>}>}
+     */
+    static split(sql) {
+        const text = String(sql || '');
+        const statements = [];
+        let tokens = [];
+        const close = () => {
+            if (tokens.length > 0) {
+                statements.push({ sql: text.substring(tokens[0].start, tokens[tokens.length - 1].end), tokens });
+            }
+            tokens = [];
+        };
+
+        for (const token of SqlClassifier.tokenize(text)) {
+            if (token.type === 'semicolon') {
+                close();
+            } else {
+                tokens.push(token);
+            }
+        }
+        close();
+        return statements;
+    }
+
+    /**
+     * Label every statement in the text
+     * @param {string} sql
+     * @returns {Array<{type: string, keyword: string, sql: string}>} One entry per statement (TYPES value,
+     *          leading keyword)
+     * @throws {Error} On an unterminated string, identifier or comment
+     */
+    static classify(sql) {
+        return SqlClassifier.split(sql).map(statement => ({
+            type: SqlClassifier.typeOf(statement.tokens),
+            keyword: SqlClassifier.leadingKeyword(statement.tokens),
+            sql: statement.sql
+        }));
+    }
+
+    /**
+     * @param {string} type - TYPES value
+     * @returns {boolean} True for UPDATE, INSERT and DELETE
+     */
+    static isWrite(type) {
+        return WRITE_TYPES.has(type);
+    }
+
+    /**
+     * @param {Array<Object>} tokens - One statement's tokens
+     * @returns {string} TYPES value
+     */
+    static typeOf(tokens) {
+        const keyword = SqlClassifier.leadingKeyword(tokens);
+        const words = tokens.filter(token => token.type === 'word').map(token => token.value.toUpperCase());
+
+        if (keyword === 'WITH') {
+            // The statement after the common table expressions decides
+            let depth = 0;
+            for (const token of tokens) {
+                if (token.value === '(') depth++;
+                else if (token.value === ')') depth--;
+                else if (depth === 0 && token.type === 'word') {
+                    const type = LEADING_KEYWORDS[token.value.toUpperCase()];
+                    if (type === TYPES.SELECT || SqlClassifier.isWrite(type)) {
+                        return SqlClassifier.writesFile(words) ? TYPES.OTHER : type;
+                    }
+                }
+            }
+            return TYPES.OTHER;
+        }
+
+        const type = LEADING_KEYWORDS[keyword] || TYPES.OTHER;
+        if (type === TYPES.SELECT && SqlClassifier.writesFile(words)) {
+            return TYPES.OTHER;
+        }
+        return type;
+    }
+
+    /**
+     * @param {Array<Object>} tokens - One statement's tokens
+     * @returns {string} First word, upper-cased, after any opening parentheses ('' if none)
+     */
+    static leadingKeyword(tokens) {
+        const first = tokens.find(token => token.value !== '(');
+        return first && first.type === 'word' ? first.value.toUpperCase() : '';
+    }
+
+    /**
+     * @param {Array<string>} words - Upper-cased words of a statement
+     * @returns {boolean} True for ... INTO OUTFILE / INTO DUMPFILE
+     */
+    static writesFile(words) {
+        return words.some((word, index) => word === 'INTO' && ['OUTFILE', 'DUMPFILE'].includes(words[index + 1]));
+    }
+
+    /**
+     * Index of the quote closing the one at `start` (doubled quotes and backslash escapes stay inside)
+     * @param {string} text
+     * @param {number} start - Index of the opening quote
+     * @returns {number}
+     * @throws {Error} If the quote is never closed
+     */
+    static findClosingQuote(text, start) {
+        const quote = text[start];
+        for (let i = start + 1; i < text.length; i++) {
+            if (text[i] === '\\' && quote !== '`') {
+                i++;
+            } else if (text[i] === quote) {
+                if (text[i + 1] === quote) {
+                    i++;
+                } else {
+                    return i;
+                }
+            }
+        }
+        throw new Error(quote === '`' ? 'Unterminated identifier' : 'Unterminated string');
+    }
+}
+
+SqlClassifier.TYPES = TYPES;
+
+module.exports = SqlClassifier;
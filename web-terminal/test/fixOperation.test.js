@@ -0,0 +1,148 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FixOperation = require('../fixOperation');
+const FixSheet = require('../fixSheet');
+
+/**
+ * Sheet text → FixOperation → sheet text, and the fingerprint approvals are checked against
+ */
+
+function sampleOperations() {
+    return [
+        new FixOperation({
+            epakUuid: 'e-1',
+            docUuid: 'd-1',
+            table: 'documentactivity',
+            operation: 'INSERT',
+            values: {
+                action: 'Signed',
+                comments: '{"signReason":"It\'s \\"mine\\"","path":"C:\\\\pdf"}',
+                note: 'line one\nline two',
+                version: null,
+                actedOn: FixOperation.expression('NOW()'),
+                tenantId: 7
+            },
+            precondition: 'NOT EXISTS documentactivity WHERE documentId = 22 AND action = \'Signed\'',
+            rowNumber: 2
+        }),
+        new FixOperation({
+            epakUuid: 'e-1',
+            docUuid: 'd-1',
+            table: 'epak',
+            operation: 'UPDATE',
+            values: { status: 'Completed', progressPercent: 100 },
+            where: { id: 11, status: ['Pending', 'In Progress'], deletedOn: null },
+            rowNumber: 3
+        })
+    ];
+}
+
+describe('FixOperation round-trip', () => {
+    test('fromSheetRow(toSheetRow()) reproduces the same statement', () => {
+        for (const op of sampleOperations()) {
+            const row = op.toSheetRow();
+            const copy = FixOperation.fromSheetRow({
+                epakUuid: row.epak_uuid,
+                docUuid: row.doc_uuid,
+                table: row.table,
+                operation: row.operation,
+                columnsValues: row.columns_values,
+                whereClause: row.where_clause,
+                flags: row.flags,
+                precondition: row.precondition
+            }, op.rowNumber);
+
+            assert.deepEqual(copy.values, op.values);
+            assert.deepEqual(copy.where, op.where);
+            assert.deepEqual(copy.precondition, op.precondition);
+            assert.equal(copy.toSql(), op.toSql());
+        }
+    });
+
+    test('a CSV written by writeCsv reads back to the same operations', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'epak-fixsheet-'));
+        try {
+            const csvPath = path.join(dir, 'fix-sheet.csv');
+            const operations = sampleOperations();
+            await FixSheet.writeCsv(csvPath, operations);
+
+            const sheet = await FixSheet.readFile(csvPath);
+            assert.deepEqual(sheet.invalidRows, []);
+            assert.deepEqual(sheet.operations.map(op => op.toSql()), operations.map(op => op.toSql()));
+            assert.deepEqual(sheet.operations.map(op => op.rowNumber), [2, 3]);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('values are parameters, never spliced into the statement', () => {
+        const op = FixOperation.fromSheetRow({
+            epakUuid: 'e-1',
+            table: 'epak',
+            operation: 'UPDATE',
+            columnsValues: 'subject = \'x\'\'; DROP TABLE epak; -- \'',
+            whereClause: 'id = 5'
+        }, 2);
+
+        assert.deepEqual(op.toStatement(), {
+            sql: 'UPDATE ?? SET ?? = ? WHERE ?? = ?',
+            params: ['epak', 'subject', 'x\'; DROP TABLE epak; -- ', 'id', 5]
+        });
+    });
+});
+
+describe('FixOperation.parseLiteral', () => {
+    test('accepts strings, numbers, NULL and the allowed expressions', () => {
+        assert.equal(FixOperation.parseLiteral('\'it\'\'s\''), 'it\'s');
+        assert.equal(FixOperation.parseLiteral('"a\\nb"'), 'a\nb');
+        assert.equal(FixOperation.parseLiteral(' -42 '), -42);
+        assert.equal(FixOperation.parseLiteral('null'), null);
+        assert.deepEqual(FixOperation.parseLiteral('now()'), { sqlExpression: 'NOW()' });
+        assert.equal(FixOperation.parseLiteral('MANUAL'), 'MANUAL');
+    });
+
+    test('refuses bare expressions, column references and broken strings', () => {
+        for (const text of ['progressPercent + 1', '(SELECT 1)', 'status', '\'open', '\'a\' \'b\'', '']) {
+            assert.throws(() => FixOperation.parseLiteral(text), Error, text);
+        }
+    });
+
+    test('a row that does not parse reports its row number and reason', () => {
+        assert.throws(
+            () => FixOperation.fromSheetRow({ epakUuid: 'e-1', table: 'epak', operation: 'UPDATE', columnsValues: 'status = Completed', whereClause: 'id = 5' }, 7),
+            error => error.rowNumber === 7 && error.message.startsWith('Row 7: ') && /must be quoted/.test(error.reason)
+        );
+    });
+});
+
+describe('FixSheet.fingerprint', () => {
+    test('is stable for the same rows', () => {
+        assert.equal(FixSheet.fingerprint(sampleOperations()), FixSheet.fingerprint(sampleOperations()));
+    });
+
+    test('changes when a value, a row number, a precondition or a flag changes', () => {
+        const base = FixSheet.fingerprint(sampleOperations());
+        const changes = [
+            ops => { ops[1].values.status = 'Cancelled'; },
+            ops => { ops[1].rowNumber = 4; },
+            ops => { ops[0].precondition = null; },
+            ops => { ops[1].flags.push(FixOperation.FLAGS.OVERRIDE); }
+        ];
+        for (const change of changes) {
+            const operations = sampleOperations();
+            change(operations);
+            assert.notEqual(FixSheet.fingerprint(operations), base);
+        }
+    });
+
+    test('ignores execution results written back into the sheet', () => {
+        const operations = sampleOperations();
+        operations[1].status = 'Executed';
+        operations[1].lastRan = '2026-10-19 10:00:00';
+        operations[1].affectedRows = '1';
+        assert.equal(FixSheet.fingerprint(operations), FixSheet.fingerprint(sampleOperations()));
+    });
+});
@@ -0,0 +1,304 @@
+const { describe, test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mysql = require('mysql2/promise');
+const FixOperation = require('../fixOperation');
+const FixSheet = require('../fixSheet');
+const UserStore = require('../userStore');
+
+/**
+ * API tests against the real app with its state (accounts, journal, uploads, vault) in a temporary
+ * directory and an in-memory database: reads return no rows, and transactions cannot begin,
+ * so a write that gets past every gate fails with "no database" instead of running
+ */
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'epak-server-'));
+Object.assign(process.env, {
+    EPAK_USERS: path.join(dir, 'users.json'),
+    EPAK_JOURNAL: path.join(dir, 'executions.jsonl'),
+    EPAK_UPLOADS: path.join(dir, 'uploads'),
+    EPAK_DB_PROFILES: path.join(dir, 'db-profiles.json'),
+    EPAK_VAULT: path.join(dir, 'credentials.vault'),
+    EPAK_VAULT_KEYFILE: path.join(dir, 'vault.key')
+});
+
+const accounts = new UserStore();
+accounts.addUser('alice', 'approverpass1', UserStore.ROLES.APPROVER);
+accounts.addUser('erin', 'approverpass2', UserStore.ROLES.APPROVER);
+accounts.addUser('bob', 'fixerpass123', UserStore.ROLES.FIXER);
+accounts.addUser('dave', 'fixerpass456', UserStore.ROLES.FIXER);
+
+// The server's progress messages; the test runner reports the results
+for (const level of ['log', 'warn', 'error']) {
+    mock.method(console, level, () => {});
+}
+
+// Every statement the app sent to the database
+const sent = [];
+const format = mysql.format;
+mock.method(mysql, 'createPool', () => ({
+    format: (sql, values) => format(sql, values),
+    async query(sql, params) {
+        sent.push(format(typeof sql === 'object' ? sql.sql : sql, params));
+        return [/time_zone/i.test(sent[sent.length - 1])
+            ? [{ sessionTimeZone: '+00:00', systemTimeZone: 'UTC', offsetMinutes: 0 }]
+            : []];
+    },
+    async execute(sql, params) {
+        sent.push(format(sql, params));
+        return [[]];
+    },
+    async getConnection() {
+        return {
+            query: async (sql) => {
+                sent.push(sql);
+                return [[]];
+            },
+            beginTransaction: async () => {
+                throw new Error('no database in tests');
+            },
+            rollback: async () => {},
+            release() {}
+        };
+    },
+    async end() {}
+}));
+
+const app = require('../server');
+
+let server;
+let base;
+
+before(async () => {
+    await new Promise(resolve => {
+        server = app.listen(0, '127.0.0.1', resolve);
+    });
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Log in and connect, returning a client that sends the session cookie
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<{post: Function, upload: Function}>} post(url, body) / upload(url, buffer, filename)
+ *          → { status, body }
+ */
+async function session(username, password) {
+    const login = await fetch(`${base}/api/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    });
+    assert.equal(login.status, 200);
+    const cookie = login.headers.get('set-cookie').split(';')[0];
+
+    const request = async (url, options) => {
+        const response = await fetch(`${base}${url}`, { ...options, headers: { ...options.headers, cookie } });
+        return { status: response.status, body: await response.json() };
+    };
+    const client = {
+        post: (url, body) => request(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) }),
+        upload: (url, buffer, filename) => {
+            const form = new FormData();
+            form.append('file', new Blob([buffer]), filename);
+            return request(url, { method: 'POST', headers: {}, body: form });
+        }
+    };
+    const connected = await client.post('/api/connect', { host: '127.0.0.1', user: 'epak_fix', password: 'secret', database: 'msb' });
+    assert.equal(connected.status, 200, connected.body.error);
+    return client;
+}
+
+/**
+ * A fix sheet with one row for each of two ePaks
+ * @param {string} status - Value the rows set
+ * @returns {Promise<Buffer>} CSV contents
+ */
+async function sheetCsv(status = 'Completed') {
+    const csvPath = path.join(dir, 'sheet.csv');
+    await FixSheet.writeCsv(csvPath, [
+        new FixOperation({ epakUuid: 'e-1', table: 'epak', operation: 'UPDATE', values: { status }, where: { id: 11 },
+            precondition: `NOT EXISTS epak WHERE id = 11 AND status = '${status}'` }),
+        new FixOperation({ epakUuid: 'e-2', table: 'epak', operation: 'UPDATE', values: { status }, where: { id: 12 } })
+    ]);
+    return fs.readFileSync(csvPath);
+}
+
+/**
+ * Statements of one ePak as the terminal sends them to /api/transaction
+ * @param {Array<Object>} operations - /api/parse-file operations
+ * @param {string} epakId
+ * @returns {Array<Object>}
+ */
+function queriesFor(operations, epakId) {
+    return operations.filter(op => op.epakId === epakId).map(op => ({
+        sql: op.sql, statement: op.statement, rowNumber: op.rowNumber, flags: op.flags, precondition: op.preconditionCheck
+    }));
+}
+
+describe('approval gates', () => {
+    let alice;
+    let erin;
+    let bob;
+    let dave;
+    let sheetPath;
+    let operations;
+    let runId;
+
+    before(async () => {
+        [alice, erin, bob, dave] = await Promise.all([
+            session('alice', 'approverpass1'),
+            session('erin', 'approverpass2'),
+            session('bob', 'fixerpass123'),
+            session('dave', 'fixerpass456')
+        ]);
+        const uploaded = await bob.upload('/api/parse-file', await sheetCsv(), 'sheet.csv');
+        assert.equal(uploaded.status, 200, uploaded.body.error);
+        sheetPath = uploaded.body.sourcePath;
+        operations = uploaded.body.operations;
+    });
+
+    const startRun = (client) => client.post('/api/journal/runs', { sheetPath, epakIds: ['e-1', 'e-2'] });
+
+    test('a sheet nobody approved cannot start a run', async () => {
+        const { status, body } = await startRun(bob);
+        assert.equal(status, 403);
+        assert.equal(body.approvalRequired, true);
+        assert.match(body.error, /has not been approved/);
+    });
+
+    test('only approvers can approve', async () => {
+        const { status } = await bob.post('/api/batch/approvals', { batch: sheetPath });
+        assert.equal(status, 403);
+    });
+
+    test('the approver cannot run the sheet they approved', async () => {
+        assert.equal((await alice.post('/api/batch/approvals', { batch: sheetPath })).status, 200);
+
+        const { status, body } = await startRun(alice);
+        assert.equal(status, 403);
+        assert.match(body.error, /cannot also run it/);
+    });
+
+    test('another operator can run the approved sheet', async () => {
+        const { status, body } = await startRun(bob);
+        assert.equal(status, 200, body.error);
+        runId = body.runId;
+    });
+
+    test('a sheet edited after approval cannot start a run', async () => {
+        const approved = fs.readFileSync(sheetPath);
+        fs.writeFileSync(sheetPath, await sheetCsv('Cancelled'));
+        try {
+            const { status, body } = await startRun(bob);
+            assert.equal(status, 403);
+            assert.match(body.error, /changed after alice approved/);
+        } finally {
+            fs.writeFileSync(sheetPath, approved);
+        }
+    });
+
+    test('writes need a run', async () => {
+        const { status, body } = await bob.post('/api/transaction', { epakId: 'e-1', queries: queriesFor(operations, 'e-1') });
+        assert.equal(status, 403);
+        assert.equal(body.approvalRequired, true);
+    });
+
+    test('writes cannot use another operator\'s run', async () => {
+        const { status, body } = await dave.post('/api/transaction', { epakId: 'e-1', runId, queries: queriesFor(operations, 'e-1') });
+        assert.equal(status, 403);
+        assert.match(body.error, /belongs to bob/);
+    });
+
+    test('only rows of the approved sheet run, exactly as approved', async () => {
+        const edited = queriesFor(operations, 'e-1').map(query => ({
+            ...query,
+            statement: { ...query.statement, params: query.statement.params.map(p => p === 'Completed' ? 'Cancelled' : p) }
+        }));
+        const changed = await bob.post('/api/transaction', { epakId: 'e-1', runId, queries: edited });
+        assert.equal(changed.status, 403);
+        assert.match(changed.body.error, /differs from the approved sheet/);
+
+        const otherEpak = await bob.post('/api/transaction', { epakId: 'e-1', runId, queries: queriesFor(operations, 'e-2') });
+        assert.equal(otherEpak.status, 403);
+        assert.match(otherEpak.body.error, /is not a row of ePak e-1/);
+
+        const forged = await bob.post('/api/transaction', { epakId: 'e-1', runId, queries: [{ sql: 'DELETE FROM epak WHERE id = 11', rowNumber: 99 }] });
+        assert.equal(forged.status, 403);
+    });
+
+    test('the approved rows of the operator\'s own open run get through', async () => {
+        const { status, body } = await bob.post('/api/transaction', { epakId: 'e-1', runId, queries: queriesFor(operations, 'e-1') });
+        assert.equal(status, 500);
+        assert.match(body.error, /no database in tests/);
+    });
+
+    test('a new approval retires runs started under the old one', async () => {
+        assert.equal((await erin.post('/api/batch/approvals', { batch: sheetPath })).status, 200);
+
+        const { status, body } = await bob.post('/api/transaction', { epakId: 'e-1', runId, queries: queriesFor(operations, 'e-1') });
+        assert.equal(status, 403);
+        assert.match(body.error, /was approved again/);
+    });
+
+    test('a finished run takes no more writes, and only its operator or an approver can finish it', async () => {
+        const started = await startRun(bob);
+        assert.equal(started.status, 200, started.body.error);
+
+        assert.equal((await dave.post(`/api/journal/runs/${started.body.runId}/finish`, {})).status, 403);
+        assert.equal((await bob.post(`/api/journal/runs/${started.body.runId}/finish`, {})).status, 200);
+
+        const { status, body } = await bob.post('/api/transaction', { epakId: 'e-1', runId: started.body.runId, queries: queriesFor(operations, 'e-1') });
+        assert.equal(status, 403);
+        assert.match(body.error, /has finished/);
+    });
+
+    test('nothing was written', () => {
+        assert.ok(!sent.some(sql => /^\s*(UPDATE|INSERT|DELETE)/i.test(sql)), sent.join('\n'));
+    });
+});
+
+describe('/api/query', () => {
+    let bob;
+
+    before(async () => {
+        bob = await session('bob', 'fixerpass123');
+    });
+
+    const query = (sql, params) => bob.post('/api/query', { query: sql, params });
+
+    test('runs a read with its identifiers and values filled in by the driver', async () => {
+        const { status } = await query('SELECT * FROM ?? WHERE ?? = ?', ['epak', 'id', 'x\' OR 1 = 1; DROP TABLE epak; -- ']);
+        assert.equal(status, 200);
+        assert.equal(sent[sent.length - 1], 'SELECT * FROM `epak` WHERE `id` = \'x\\\' OR 1 = 1; DROP TABLE epak; -- \'');
+    });
+
+    test('refuses writes, stacked statements and executable comments', async () => {
+        for (const sql of ['DELETE FROM epak WHERE id = 1', 'SELECT 1; DROP TABLE epak', '/*! DELETE FROM epak */']) {
+            const { status, body } = await query(sql);
+            assert.equal(status, 403, sql);
+            assert.ok(body.violations.length > 0);
+        }
+    });
+
+    test('checks the text after the parameters are filled in, not the template', async () => {
+        const count = sent.length;
+        const attempts = [
+            // ?? is filled in inside comments, and a newline in an identifier is not escaped
+            ['# ??\nSELECT 1 /* */', ['\nDELETE FROM epak WHERE 1 /*']],
+            ['# ??\nSELECT 1', ['\nDELETE FROM epak WHERE 1 #']]
+        ];
+        for (const [sql, params] of attempts) {
+            const { status } = await query(sql, params);
+            assert.equal(status, 403, JSON.stringify([sql, params]));
+        }
+        assert.deepEqual(sent.slice(count), []);
+    });
+});
@@ -0,0 +1,78 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const SqlClassifier = require('../sqlClassifier');
+const SafetyPolicy = require('../safetyPolicy');
+
+const { TYPES } = SqlClassifier;
+
+const types = sql => SqlClassifier.classify(sql).map(statement => statement.type);
+
+describe('SqlClassifier', () => {
+    test('labels reads, writes and DDL by their leading keyword', () => {
+        assert.deepEqual(types('SELECT * FROM epak'), [TYPES.SELECT]);
+        assert.deepEqual(types('  (SELECT 1)'), [TYPES.SELECT]);
+        assert.deepEqual(types('show tables'), [TYPES.SELECT]);
+        assert.deepEqual(types('WITH t AS (SELECT 1) SELECT * FROM t'), [TYPES.SELECT]);
+        assert.deepEqual(types('WITH t AS (SELECT 1) DELETE FROM epak'), [TYPES.DELETE]);
+        assert.deepEqual(types('REPLACE INTO epak SET id = 1'), [TYPES.INSERT]);
+        assert.deepEqual(types('truncate epak'), [TYPES.DDL]);
+        assert.deepEqual(types('SET @a = 1'), [TYPES.OTHER]);
+        assert.deepEqual(types('SELECT * FROM epak INTO OUTFILE \'/tmp/x\''), [TYPES.OTHER]);
+    });
+
+    test('splits on semicolons outside strings, identifiers and comments', () => {
+        assert.deepEqual(types('SELECT \'a;b\', `c;d`, "e;f" -- g;h\n FROM epak'), [TYPES.SELECT]);
+        assert.deepEqual(types('SELECT 1 /* ; DROP TABLE epak */'), [TYPES.SELECT]);
+        assert.deepEqual(types('SELECT 1; DELETE FROM epak'), [TYPES.SELECT, TYPES.DELETE]);
+        assert.deepEqual(types('SELECT 1;;'), [TYPES.SELECT]);
+    });
+
+    test('skips comments before the first keyword', () => {
+        assert.deepEqual(types('/* note */ -- line\n# hash\nDELETE FROM epak WHERE id = 1'), [TYPES.DELETE]);
+        assert.deepEqual(types('--\nUPDATE epak SET status = 1'), [TYPES.UPDATE]);
+    });
+
+    test('counts the code inside executable comments, which MySQL runs', () => {
+        assert.deepEqual(types('/*! DELETE FROM epak */'), [TYPES.DELETE]);
+        assert.deepEqual(types('/*!50000 DROP TABLE epak */'), [TYPES.DDL]);
+        assert.deepEqual(types('SELECT 1 /*!; DELETE FROM epak */'), [TYPES.SELECT, TYPES.DELETE]);
+    });
+
+    test('keeps quotes escaped by doubling or backslash inside the string', () => {
+        assert.deepEqual(types('SELECT \'it\'\'s; \\\'still\\\' a string\' FROM epak'), [TYPES.SELECT]);
+    });
+
+    test('refuses unterminated strings, identifiers and comments', () => {
+        for (const sql of ['SELECT \'open', 'SELECT `open', 'SELECT 1 /* open', 'SELECT 1 /*! open']) {
+            assert.throws(() => SqlClassifier.classify(sql), /Unterminated/, sql);
+        }
+    });
+});
+
+describe('SafetyPolicy.checkQuery', () => {
+    const policy = new SafetyPolicy();
+    const rules = sql => policy.checkQuery(sql).map(violation => violation.rule);
+
+    test('lets a single read through', () => {
+        assert.deepEqual(rules('SELECT * FROM epak WHERE id = 5'), []);
+        assert.deepEqual(rules('DESCRIBE epak;'), []);
+    });
+
+    test('refuses writes, DDL, other statements and stacked statements', () => {
+        assert.deepEqual(rules('UPDATE epak SET status = 1 WHERE id = 5'), ['read-only']);
+        assert.deepEqual(rules('SET autocommit = 0'), ['read-only']);
+        assert.deepEqual(rules('SELECT * FROM epak INTO DUMPFILE \'/tmp/x\''), ['read-only']);
+        assert.deepEqual(rules('DROP TABLE epak'), ['no-ddl']);
+        assert.deepEqual(rules('SELECT 1; DELETE FROM epak'), ['single-statement']);
+    });
+
+    test('refuses writes hidden in comments MySQL executes', () => {
+        assert.deepEqual(rules('/*!40101 DELETE FROM epak */'), ['read-only']);
+        assert.deepEqual(rules('SELECT 1 /*!; DELETE FROM epak */'), ['single-statement']);
+    });
+
+    test('refuses text it cannot read, and empty text', () => {
+        assert.deepEqual(rules('SELECT \'open'), ['statement-type']);
+        assert.deepEqual(rules('-- nothing'), ['statement-type']);
+    });
+});
@@ -0,0 +1,196 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FixOperation = require('../fixOperation');
+const SafetyPolicy = require('../safetyPolicy');
+const TransactionExecutor = require('../transactionExecutor');
+
+const { OUTCOME } = TransactionExecutor;
+const { SafetyViolationError } = SafetyPolicy;
+
+/**
+ * In-memory stand-in for a mysql2 pool with one connection.
+ * respond(sql, params) answers every query: precondition probes and row snapshots get rows,
+ * writes get a result header. Calls and transaction steps are recorded in order.
+ */
+function fakePool(respond) {
+    const calls = [];
+    const connection = {
+        async beginTransaction() { calls.push('BEGIN'); },
+        async commit() { calls.push('COMMIT'); },
+        async rollback() { calls.push('ROLLBACK'); },
+        release() { calls.push('RELEASE'); },
+        async query(sql, params) {
+            const text = typeof sql === 'object' ? sql.sql : sql;
+            calls.push(text);
+            return [await respond(text, params)];
+        }
+    };
+    return {
+        calls,
+        async getConnection() {
+            calls.push('CONNECT');
+            return connection;
+        }
+    };
+}
+
+function row(fields, rowNumber) {
+    const op = new FixOperation({ epakUuid: 'e-1', ...fields, rowNumber });
+    const summary = op.toSummary();
+    return { sql: summary.sql, statement: summary.statement, rowNumber, flags: summary.flags, precondition: summary.preconditionCheck };
+}
+
+const signerRow = row({
+    table: 'epak_workflowstate_signer',
+    operation: 'UPDATE',
+    values: { status: 'Signed' },
+    where: { id: 31 },
+    precondition: 'NOT EXISTS epak_workflowstate_signer WHERE id = 31 AND status = \'Signed\''
+}, 2);
+
+const epakRow = row({
+    table: 'epak',
+    operation: 'UPDATE',
+    values: { status: 'Completed' },
+    where: { id: 11 }
+}, 3);
+
+const isProbe = sql => /^SELECT 1 FROM/.test(sql);
+const isSnapshot = sql => /^SELECT \* FROM/.test(sql);
+
+describe('TransactionExecutor', () => {
+    let rollbacksPath;
+    let policy;
+
+    beforeEach(() => {
+        rollbacksPath = fs.mkdtempSync(path.join(os.tmpdir(), 'epak-rollbacks-'));
+        policy = new SafetyPolicy();
+    });
+
+    afterEach(() => {
+        fs.rmSync(rollbacksPath, { recursive: true, force: true });
+    });
+
+    test('a row whose precondition no longer holds is reported already applied and never sent', async () => {
+        const pool = fakePool(sql => isProbe(sql) ? [{ 1: 1 }] : []);
+        const executor = new TransactionExecutor(pool, { rollbacksPath, policy });
+
+        const outcome = await executor.run([signerRow], { epakId: 'e-1' });
+
+        assert.equal(outcome.outcomes[0].status, OUTCOME.ALREADY_APPLIED);
+        assert.equal(outcome.rollback, null);
+        assert.ok(!pool.calls.some(call => /^UPDATE/.test(call)), 'the UPDATE must not run');
+        assert.ok(!pool.calls.includes('COMMIT'));
+        assert.ok(pool.calls.includes('ROLLBACK'));
+        assert.deepEqual(fs.readdirSync(rollbacksPath), []);
+    });
+
+    test('the precondition probe locks its row inside the transaction before the write', async () => {
+        const pool = fakePool(sql => isProbe(sql) || isSnapshot(sql) ? [] : { affectedRows: 1 });
+        const executor = new TransactionExecutor(pool, { rollbacksPath, policy });
+
+        await executor.run([signerRow], { epakId: 'e-1' });
+
+        const probe = pool.calls.findIndex(isProbe);
+        assert.ok(pool.calls[probe].endsWith('FOR UPDATE'));
+        assert.ok(pool.calls.indexOf('BEGIN') < probe);
+        assert.ok(probe < pool.calls.findIndex(call => /^UPDATE/.test(call)));
+    });
+
+    test('writes the rollback script before committing', async () => {
+        let filesAtCommit = null;
+        const pool = fakePool(sql => isSnapshot(sql) ? [{ id: 11, status: 'Pending' }] : isProbe(sql) ? [] : { affectedRows: 1 });
+        const connection = await pool.getConnection();
+        const commit = connection.commit;
+        connection.commit = async () => {
+            filesAtCommit = fs.readdirSync(rollbacksPath);
+            return commit();
+        };
+        const executor = new TransactionExecutor(pool, { rollbacksPath, policy });
+
+        const outcome = await executor.run([signerRow, epakRow], { epakId: 'e-1' });
+
+        assert.deepEqual(outcome.outcomes.map(o => o.status), [OUTCOME.EXECUTED, OUTCOME.EXECUTED]);
+        assert.ok(outcome.rollback);
+        assert.ok(filesAtCommit.includes(path.basename(outcome.rollback.sqlPath)));
+        assert.match(fs.readFileSync(outcome.rollback.sqlPath, 'utf8'), /UPDATE `?epak`? SET .*'Pending'/);
+    });
+
+    test('a failing statement rolls everything back and names the row', async () => {
+        const pool = fakePool(sql => {
+            if (/^UPDATE \?\? SET/.test(sql) && pool.calls.filter(call => /^UPDATE/.test(call)).length === 2) {
+                throw new Error('Lock wait timeout exceeded');
+            }
+            return isProbe(sql) || isSnapshot(sql) ? [] : { affectedRows: 1 };
+        });
+        const executor = new TransactionExecutor(pool, { rollbacksPath, policy });
+
+        await assert.rejects(executor.run([signerRow, epakRow], { epakId: 'e-1' }), error => {
+            assert.equal(error.rowNumber, 3);
+            const outcomes = TransactionExecutor.failureOutcomes([signerRow, epakRow], error);
+            assert.deepEqual(outcomes.map(o => o.status), [OUTCOME.FAILED, OUTCOME.FAILED]);
+            assert.equal(outcomes[0].reason, 'Rolled back (row 3 failed)');
+            assert.equal(outcomes[1].reason, 'Lock wait timeout exceeded');
+            return true;
+        });
+        assert.ok(!pool.calls.includes('COMMIT'));
+        assert.deepEqual(pool.calls.slice(-2), ['ROLLBACK', 'RELEASE']);
+        assert.deepEqual(fs.readdirSync(rollbacksPath), []);
+    });
+
+    test('a failed COMMIT discards the rollback script it would have left behind', async () => {
+        const pool = fakePool(sql => isSnapshot(sql) ? [{ id: 11, status: 'Pending' }] : { affectedRows: 1 });
+        const connection = await pool.getConnection();
+        connection.commit = async () => {
+            throw new Error('Deadlock found when trying to get lock');
+        };
+        const executor = new TransactionExecutor(pool, { rollbacksPath, policy });
+
+        await assert.rejects(executor.run([epakRow], { epakId: 'e-1' }), /Deadlock/);
+        assert.ok(pool.calls.includes('ROLLBACK'));
+        assert.deepEqual(fs.readdirSync(rollbacksPath), []);
+    });
+
+    test('a statement matching more rows than the policy allows is rolled back', async () => {
+        const matched = Array.from({ length: 51 }, (_, i) => ({ id: i + 1 }));
+        const pool = fakePool(sql => isSnapshot(sql) ? matched : isProbe(sql) ? [] : { affectedRows: 51 });
+        const executor = new TransactionExecutor(pool, { rollbacksPath, policy });
+
+        await assert.rejects(executor.run([epakRow], { epakId: 'e-1' }), SafetyViolationError);
+        assert.ok(!pool.calls.some(call => /^UPDATE/.test(call)), 'the UPDATE must not run');
+        assert.ok(pool.calls.includes('ROLLBACK'));
+        assert.ok(!pool.calls.includes('COMMIT'));
+    });
+
+    test('statements that break the safety policy never reach the database', async () => {
+        const pool = fakePool(() => ({ affectedRows: 1 }));
+        const executor = new TransactionExecutor(pool, { rollbacksPath, policy });
+
+        await assert.rejects(executor.run([{ sql: 'UPDATE users SET role = \'admin\' WHERE id = 1', rowNumber: 2 }]), error => {
+            assert.ok(error instanceof SafetyViolationError);
+            assert.deepEqual(error.violations.map(v => v.rule), ['allowed-tables']);
+            return true;
+        });
+        assert.deepEqual(pool.calls, []);
+    });
+
+    test('a dry run always rolls back', async () => {
+        const pool = fakePool(sql => isSnapshot(sql) ? [{ id: 11, status: 'Pending' }] : isProbe(sql) ? [] : { affectedRows: 1 });
+        const executor = new TransactionExecutor(pool, { rollbacksPath, policy });
+
+        const outcome = await executor.run([epakRow], { epakId: 'e-1', dryRun: true });
+
+        assert.equal(outcome.rollback, null);
+        assert.equal(outcome.preview.length, 1);
+        assert.ok(pool.calls.includes('ROLLBACK'));
+        assert.ok(!pool.calls.includes('COMMIT'));
+        assert.deepEqual(fs.readdirSync(rollbacksPath), []);
+    });
+
+    test('refuses a precondition that is not structured', () => {
+        assert.throws(() => TransactionExecutor.normalize({ ...epakRow, precondition: 'NOT EXISTS epak WHERE 1=1; DELETE FROM epak' }), /Invalid precondition/);
+    });
+});
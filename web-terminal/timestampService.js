@@ -0,0 +1,227 @@
+/**
+ * Timestamp Service
+ * Renders DATETIME values in the database's time zone, so rows written by the
+ * fix-sheet generator, the web terminal and rollback scripts match what NOW()
+ * writes for main.sh (DATETIME columns have no zone - the app reads them as DB-local time).
+ *
+ * Loaded by Node (require) and by the browser terminal (served as /timestampService.js).
+ *
+ * Time zones: 'UTC', a fixed offset ('+05:30') or an IANA name ('Asia/Kolkata').
+ * Configure with EPAK_DB_TIMEZONE; otherwise detect() reads @@session.time_zone on connect.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TimestampService = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+
+    const OFFSET = /^([+-])(\d{1,2}):(\d{2})$/;
+
+    /**
+     * SQL run on connect (NOW() and UTC_TIMESTAMP() come from the same statement, so the diff is exact)
+     */
+    const DETECT_SQL = 'SELECT @@session.time_zone AS sessionTimeZone, @@system_time_zone AS systemTimeZone, ' +
+                       'TIMESTAMPDIFF(MINUTE, UTC_TIMESTAMP(), NOW()) AS offsetMinutes';
+
+    let defaultService = null;
+
+    class TimestampService {
+
+        /**
+         * @param {string} timeZone - 'UTC', '+05:30' or an IANA name
+         * @param {string} source - Where the zone came from (shown to operators)
+         */
+        constructor(timeZone = 'UTC', source = 'default') {
+            const zone = TimestampService.parseZone(timeZone);
+            if (!zone) {
+                throw new Error(`Unsupported time zone "${timeZone}" (use UTC, +HH:MM or an IANA name such as Asia/Kolkata)`);
+            }
+            this.timeZone = zone.name;
+            this.fixedOffset = zone.offsetMinutes;
+            this.source = source;
+        }
+
+        /**
+         * Fallback service (EPAK_DB_TIMEZONE, else UTC) for code that has no connection's service;
+         * each connection detects its own zone, so there is no process-wide one to replace
+         * @returns {TimestampService}
+         */
+        static getDefault() {
+            if (!defaultService) {
+                const configured = typeof process !== 'undefined' && process.env ? process.env.EPAK_DB_TIMEZONE : '';
+                defaultService = configured
+                    ? new TimestampService(configured, 'EPAK_DB_TIMEZONE')
+                    : new TimestampService('UTC', 'default (not connected)');
+            }
+            return defaultService;
+        }
+
+        /**
+         * Normalize a time zone name
+         * @param {string} timeZone
+         * @returns {{name: string, offsetMinutes: number|null}|null} offsetMinutes is null for IANA zones; null if unsupported
+         */
+        static parseZone(timeZone) {
+            const text = String(timeZone || '').trim();
+            if (/^(UTC|GMT|Z)$/i.test(text)) {
+                return { name: 'UTC', offsetMinutes: 0 };
+            }
+
+            const match = OFFSET.exec(text);
+            if (match) {
+                const minutes = (Number(match[2]) * 60 + Number(match[3])) * (match[1] === '-' ? -1 : 1);
+                if (Math.abs(minutes) > 14 * 60 || Number(match[3]) > 59) return null;
+                return minutes === 0
+                    ? { name: 'UTC', offsetMinutes: 0 }
+                    : { name: TimestampService.formatOffset(minutes), offsetMinutes: minutes };
+            }
+
+            try {
+                // Throws RangeError for unknown zones; keep the operator's spelling (ICU may alias it)
+                new Intl.DateTimeFormat('en-US', { timeZone: text });
+                return { name: text, offsetMinutes: null };
+            } catch (error) {
+                return null;
+            }
+        }
+
+        /**
+         * Build the service from a connected database
+         * @param {Function} query - async (sql) => rows
+         * @param {string} configured - EPAK_DB_TIMEZONE (wins over detection when set)
+         * @returns {Promise<TimestampService>} Carries `detected` ({ sessionTimeZone, systemTimeZone, offsetMinutes }) and `warning`
+         */
+        static async detect(query, configured = typeof process !== 'undefined' && process.env ? process.env.EPAK_DB_TIMEZONE : '') {
+            const [row] = await query(DETECT_SQL);
+            const detected = {
+                sessionTimeZone: String(row.sessionTimeZone),
+                systemTimeZone: String(row.systemTimeZone || ''),
+                offsetMinutes: Number(row.offsetMinutes)
+            };
+
+            let service;
+            if (configured) {
+                service = new TimestampService(configured, 'EPAK_DB_TIMEZONE');
+            } else if (detected.sessionTimeZone.toUpperCase() !== 'SYSTEM' && TimestampService.parseZone(detected.sessionTimeZone)) {
+                service = new TimestampService(detected.sessionTimeZone, '@@session.time_zone');
+            } else {
+                // SYSTEM: @@system_time_zone is an abbreviation (IST, CET...), so use the measured offset
+                service = new TimestampService(TimestampService.formatOffset(detected.offsetMinutes),
+                    `@@system_time_zone (${detected.systemTimeZone || 'SYSTEM'})`);
+            }
+
+            service.detected = detected;
+            service.warning = null;
+            const offset = service.offsetAt(new Date());
+            if (configured && offset !== detected.offsetMinutes) {
+                service.warning = `EPAK_DB_TIMEZONE ${service.timeZone} (${TimestampService.formatOffset(offset)}) ` +
+                    `differs from the database session time zone (${TimestampService.formatOffset(detected.offsetMinutes)}); ` +
+                    'NOW() in main.sh will not match generated timestamps';
+            }
+            return service;
+        }
+
+        /**
+         * Offset from UTC at the given instant, in minutes
+         * @param {Date} date
+         * @returns {number}
+         */
+        offsetAt(date) {
+            if (this.fixedOffset !== null) {
+                return this.fixedOffset;
+            }
+            const parts = {};
+            new Intl.DateTimeFormat('en-US', {
+                timeZone: this.timeZone,
+                hourCycle: 'h23',
+                year: 'numeric', month: '2-digit', day: '2-digit',
+                hour: '2-digit', minute: '2-digit', second: '2-digit'
+            }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+
+            const wallClock = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+                Number(parts.hour), Number(parts.minute), Number(parts.second));
+            return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+        }
+
+        /**
+         * Date → 'YYYY-MM-DD HH:MM:SS' wall-clock time in the database zone
+         * @param {Date|string|number} date
+         * @returns {string}
+         */
+        format(date) {
+            const instant = new Date(date);
+            if (isNaN(instant.getTime())) {
+                throw new Error(`Invalid date: ${date}`);
+            }
+            const shifted = new Date(instant.getTime() + this.offsetAt(instant) * 60000);
+            return shifted.toISOString().slice(0, 19).replace('T', ' ');
+        }
+
+        /**
+         * Current time as a DATETIME value
+         * @returns {string}
+         */
+        now() {
+            return this.format(new Date());
+        }
+
+        /**
+         * DATETIME wall-clock text in the database zone → Date
+         * @param {string} text - 'YYYY-MM-DD HH:MM:SS'
+         * @returns {Date}
+         */
+        parse(text) {
+            const match = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(String(text).trim());
+            if (!match) {
+                throw new Error(`Not a DATETIME value: ${text}`);
+            }
+            const asUtc = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]),
+                Number(match[4]), Number(match[5]), Number(match[6]));
+            // Correct twice so instants next to a DST change land on the right offset
+            let instant = asUtc - this.offsetAt(new Date(asUtc)) * 60000;
+            instant = asUtc - this.offsetAt(new Date(instant)) * 60000;
+            return new Date(instant);
+        }
+
+        /**
+         * e.g. "Asia/Kolkata (+05:30, from @@session.time_zone)"
+         * @returns {string}
+         */
+        describe() {
+            const offset = TimestampService.formatOffset(this.offsetAt(new Date()));
+            return this.timeZone === offset
+                ? `${this.timeZone} (from ${this.source})`
+                : `${this.timeZone} (${offset}, from ${this.source})`;
+        }
+
+        /**
+         * Plain object sent to the terminal (new TimestampService(json.timeZone, json.source) rebuilds it)
+         * @returns {{timeZone: string, source: string, offset: string, warning: string|null}}
+         */
+        toJSON() {
+            return {
+                timeZone: this.timeZone,
+                source: this.source,
+                offset: TimestampService.formatOffset(this.offsetAt(new Date())),
+                warning: this.warning || null
+            };
+        }
+
+        /**
+         * 330 → '+05:30'
+         * @param {number} minutes
+         * @returns {string}
+         */
+        static formatOffset(minutes) {
+            const sign = minutes < 0 ? '-' : '+';
+            const abs = Math.abs(minutes);
+            return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+        }
+    }
+
+    TimestampService.DETECT_SQL = DETECT_SQL;
+
+    return TimestampService;
+}));
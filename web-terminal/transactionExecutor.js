@@ -0,0 +1,301 @@
+const mysql = require('mysql2/promise');
+const RollbackGenerator = require('./rollbackGenerator');
+const FixOperation = require('./fixOperation');
+const { SafetyViolationError } = require('./safetyPolicy');
+
+/**
+ * Per-statement outcomes reported by run()
+ */
+const OUTCOME = {
+    EXECUTED: 'Executed',
+    ALREADY_APPLIED: 'Already applied',  // precondition no longer holds - the fix is already in the database
+    FAILED: 'Failed',                    // the transaction was rolled back
+    SKIPPED: 'Skipped'                   // never sent: skipped by the operator or blocked by the safety policy
+};
+
+/**
+ * Transaction Executor
+ * Runs a list of write statements in a single transaction.
+ * - Normal mode: snapshots touched rows, writes a rollback script, then COMMITs
+ * - Dry-run mode: collects affected rows and a before/after diff, then always ROLLs BACK
+ * Statements are checked against the safety policy before anything runs.
+ * Statements with a precondition are re-checked inside the transaction and skipped
+ * (reported as already applied) when it no longer holds, so re-running a sheet is safe.
+ */
+class TransactionExecutor {
+
+    /**
+     * @param {Object} pool - mysql2 connection pool
+     * @param {Object} options - { rollbacksPath, policy, timestamps (database time zone of rollback scripts) }
+     */
+    constructor(pool, options = {}) {
+        this.pool = pool;
+        this.rollbacksPath = options.rollbacksPath;
+        this.policy = options.policy || null;
+        this.timestamps = options.timestamps || null;
+    }
+
+    /**
+     * Execute statements in one transaction
+     * @param {Array<string|Object>} queries - SQL strings, { sql, rowNumber, flags } or { statement: { sql, params }, rowNumber, flags } objects;
+     *        objects may carry precondition: { exists, table, where } (FixOperation toSummary().preconditionCheck)
+     * @param {Object} options - { epakId, dryRun }
+     * @returns {Promise<{results: Array, outcomes: Array, rollback: Object|null, preview: Array|null}>}
+     *          outcomes: one { rowNumber, sql, status, affectedRows, reason } per statement;
+     *          rollback is null when every statement was already applied (nothing is committed)
+     */
+    async run(queries, options = {}) {
+        const statements = queries.map(query => TransactionExecutor.normalize(query));
+
+        if (this.policy) {
+            const violations = this.policy.checkStatements(statements);
+            if (violations.length > 0) {
+                throw new SafetyViolationError(violations);
+            }
+        }
+
+        const connection = await this.pool.getConnection();
+        let savedRollback = null;
+        let current = null;
+
+        try {
+            await connection.beginTransaction();
+
+            const rollbackGenerator = new RollbackGenerator(connection, this.rollbacksPath, this.timestamps);
+            const results = [];
+            const outcomes = [];
+
+            for (const statement of statements) {
+                current = statement;
+                if (statement.precondition && !(await TransactionExecutor.preconditionHolds(connection, statement.precondition))) {
+                    console.log(`  ↷ Already applied${statement.rowNumber ? ` (row ${statement.rowNumber})` : ''}: ${statement.precondition.text}`);
+                    outcomes.push({
+                        rowNumber: statement.rowNumber,
+                        sql: statement.sql,
+                        status: OUTCOME.ALREADY_APPLIED,
+                        affectedRows: 0,
+                        reason: `Precondition no longer holds: ${statement.precondition.text}`
+                    });
+                    continue;
+                }
+
+                const entry = await rollbackGenerator.captureBefore(statement.sql);
+                entry.rowNumber = statement.rowNumber;
+                this.enforceRowCount(entry, entry.rows.length, options.dryRun);
+
+                const [result] = await connection.query(statement.template, statement.params);
+                rollbackGenerator.recordResult(entry, result);
+                if (entry.type === 'INSERT') {
+                    this.enforceRowCount(entry, entry.affectedRows, options.dryRun);
+                }
+
+                if (options.dryRun) {
+                    await rollbackGenerator.captureAfter(entry);
+                }
+                results.push(result);
+                outcomes.push({
+                    rowNumber: statement.rowNumber,
+                    sql: statement.sql,
+                    status: OUTCOME.EXECUTED,
+                    affectedRows: result.affectedRows,
+                    reason: ''
+                });
+            }
+
+            current = null;
+
+            if (options.dryRun) {
+                // Simulation only - nothing is ever committed
+                await connection.rollback();
+                return {
+                    results,
+                    outcomes,
+                    rollback: null,
+                    preview: rollbackGenerator.entries.map(entry => TransactionExecutor.buildPreview(entry))
+                };
+            }
+
+            if (rollbackGenerator.entries.length === 0) {
+                // Every statement was already applied: nothing to commit or undo
+                await connection.rollback();
+                return { results, outcomes, rollback: null, preview: null };
+            }
+
+            // Persist the undo artifact BEFORE committing (same as main.sh)
+            savedRollback = rollbackGenerator.save({ epakId: options.epakId });
+            console.log(`Rollback script saved to: ${savedRollback.sqlPath}`);
+
+            await connection.commit();
+
+            return { results, outcomes, rollback: savedRollback, preview: null };
+        } catch (error) {
+            await connection.rollback();
+            if (savedRollback) {
+                RollbackGenerator.discard(savedRollback);
+            }
+            // Which fix sheet row broke the transaction (see failureOutcomes)
+            if (current && error.rowNumber === undefined) {
+                error.rowNumber = current.rowNumber;
+            }
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Outcomes for a transaction that was rolled back: the row that failed carries the error,
+     * the others say they were rolled back with it
+     * @param {Array<string|Object>} queries - As passed to run()
+     * @param {Error} error - Thrown by run() (rowNumber set when a statement failed)
+     * @returns {Array<{rowNumber, sql, status, affectedRows, reason}>}
+     */
+    static failureOutcomes(queries, error) {
+        const failedRows = error instanceof SafetyViolationError
+            ? error.violations.map(violation => violation.rowNumber).filter(Boolean)
+            : [error.rowNumber].filter(Boolean);
+        // Not normalize(): the error may be the query failing to normalize
+        return queries.map(query => typeof query === 'string' ? { sql: query, rowNumber: null } : query).map(query => ({
+            rowNumber: query.rowNumber || null,
+            sql: query.sql,
+            status: OUTCOME.FAILED,
+            affectedRows: 0,
+            reason: failedRows.length === 0 || failedRows.includes(query.rowNumber)
+                ? error.message
+                : `Rolled back (row ${failedRows.join(', ')} failed)`
+        }));
+    }
+
+    /**
+     * Run a precondition probe in the open transaction
+     * @param {Object} connection - mysql2 connection inside the transaction
+     * @param {{sql: string, params: Array, exists: boolean}} precondition
+     * @returns {Promise<boolean>} True if the statement still needs to run
+     */
+    static async preconditionHolds(connection, precondition) {
+        const [rows] = await connection.query(precondition.sql, precondition.params);
+        return (rows.length > 0) === precondition.exists;
+    }
+
+    /**
+     * Apply the max-affected-rows guardrail to a statement.
+     * Real runs abort (and roll back); dry runs record the violation in the preview.
+     * @param {Object} entry - RollbackGenerator entry
+     * @param {number} rowCount - Rows matched / inserted
+     * @param {boolean} dryRun
+     */
+    enforceRowCount(entry, rowCount, dryRun) {
+        if (!this.policy) return;
+
+        const violation = this.policy.checkRowCount(rowCount, entry.sql, entry.rowNumber);
+        if (!violation) return;
+
+        if (!dryRun) {
+            throw new SafetyViolationError([violation]);
+        }
+        entry.violations = (entry.violations || []).concat(violation);
+    }
+
+    /**
+     * Accept plain SQL strings, { sql, rowNumber } objects, or parameterized
+     * FixOperation statements ({ statement: { sql, params }, rowNumber }).
+     * `sql` is always the fully formatted text used for snapshots and policy checks;
+     * `template` + `params` is what gets executed.
+     * @param {string|Object} query
+     * @returns {{sql: string, template: string, params: Array|undefined, rowNumber: number|null, flags: Array<string>,
+     *          precondition: Object|null}}
+     */
+    static normalize(query) {
+        if (typeof query === 'string') {
+            return { sql: query, template: query, params: undefined, rowNumber: null, flags: [], precondition: null };
+        }
+
+        const rowNumber = query.rowNumber || null;
+        const flags = Array.isArray(query.flags) ? query.flags : [];
+        const precondition = TransactionExecutor.normalizePrecondition(query.precondition);
+        if (query.statement && Array.isArray(query.statement.params)) {
+            const { sql, params } = query.statement;
+            return { sql: mysql.format(sql, params), template: sql, params, rowNumber, flags, precondition };
+        }
+        return { sql: query.sql, template: query.sql, params: undefined, rowNumber, flags, precondition };
+    }
+
+    /**
+     * Build the read-only probe for a structured precondition; the SQL is always the server's own
+     * (table and columns as ?? identifiers, values as ? parameters)
+     * @param {Object|null|undefined} precondition - { exists, table, where }
+     * @returns {Object|null} { table, sql, params, exists, text }; the table is checked against the
+     *          safety policy with the statement
+     */
+    static normalizePrecondition(precondition) {
+        if (!precondition) {
+            return null;
+        }
+        if (typeof precondition !== 'object' || Array.isArray(precondition)) {
+            throw new Error('Invalid precondition: expected { exists, table, where }');
+        }
+        let parsed;
+        try {
+            parsed = FixOperation.parsePrecondition(precondition);
+        } catch (error) {
+            throw new Error(`Invalid precondition: ${error.message}`);
+        }
+        return { table: parsed.table, ...FixOperation.preconditionStatement(parsed) };
+    }
+
+    /**
+     * Build the per-statement preview shown before EXECUTE
+     * @param {Object} entry - RollbackGenerator entry with before/after rows
+     * @returns {Object} { index, rowNumber, type, table, sql, affectedRows, matchedRows, changes, inserted, deleted, violations }
+     */
+    static buildPreview(entry) {
+        const preview = {
+            index: entry.index,
+            rowNumber: entry.rowNumber || null,
+            type: entry.type,
+            table: entry.table,
+            sql: entry.sql,
+            affectedRows: entry.affectedRows,
+            matchedRows: entry.type === 'INSERT' ? entry.affectedRows : entry.rows.length,
+            changes: [],
+            inserted: [],
+            deleted: [],
+            violations: entry.violations || []
+        };
+
+        if (entry.type === 'UPDATE') {
+            const afterById = new Map((entry.afterRows || []).map(row => [String(row.id), row]));
+            for (const before of entry.rows) {
+                const after = afterById.get(String(before.id)) || {};
+                const columns = Object.keys(before)
+                    .filter(column => !TransactionExecutor.sameValue(before[column], after[column]))
+                    .map(column => ({ column, before: before[column], after: after[column] }));
+                preview.changes.push({ id: before.id, columns });
+            }
+        } else if (entry.type === 'INSERT') {
+            preview.inserted = entry.afterRows || [];
+        } else if (entry.type === 'DELETE') {
+            preview.deleted = entry.rows;
+        }
+
+        return preview;
+    }
+
+    /**
+     * Compare two column values (Dates and JSON objects by content)
+     * @returns {boolean} True if equal
+     */
+    static sameValue(a, b) {
+        if (a instanceof Date && b instanceof Date) {
+            return a.getTime() === b.getTime();
+        }
+        if (a !== null && b !== null && typeof a === 'object' && typeof b === 'object') {
+            return JSON.stringify(a) === JSON.stringify(b);
+        }
+        return a === b;
+    }
+}
+
+TransactionExecutor.OUTCOME = OUTCOME;
+
+module.exports = TransactionExecutor;
@@ -0,0 +1,224 @@
+const fs = require('fs');
+const path = require('path');
+const { X509Certificate } = require('crypto');
+
+/**
+ * Default trust-store directory (override with EPAK_TRUST_STORE)
+ */
+const DEFAULT_DIR = path.join(__dirname, 'trust-store');
+
+const CERT_EXTENSIONS = ['.cer', '.crt', '.pem', '.der'];
+
+const MAX_CHAIN_LENGTH = 10;
+
+/**
+ * Chain statuses reported by validateChain
+ */
+const CHAIN_STATUS = {
+    TRUSTED: 'trusted',
+    UNTRUSTED_ISSUER: 'untrusted-issuer',
+    EXPIRED: 'expired-at-signing',
+    NOT_YET_VALID: 'not-yet-valid'
+};
+
+let defaultStore = null;
+
+/**
+ * Trust Store
+ * CCA India root / intermediate certificates loaded from a local directory,
+ * used to build and validate signer certificate chains.
+ * Uses Node's X509Certificate (Aadhaar eSign CAs use EC keys, which node-forge cannot read).
+ */
+class TrustStore {
+
+    /**
+     * @param {string} directory - Folder of .cer / .crt / .pem / .der files
+     */
+    constructor(directory = process.env.EPAK_TRUST_STORE || DEFAULT_DIR) {
+        this.directory = directory;
+        this.certificates = [];
+        this.errors = [];
+        this.load();
+    }
+
+    /**
+     * Shared store for the configured directory
+     * @returns {TrustStore}
+     */
+    static getDefault() {
+        const directory = process.env.EPAK_TRUST_STORE || DEFAULT_DIR;
+        if (!defaultStore || defaultStore.directory !== directory) {
+            defaultStore = new TrustStore(directory);
+        }
+        return defaultStore;
+    }
+
+    /**
+     * (Re)load every certificate file in the directory; PEM files may hold several certificates
+     */
+    load() {
+        this.certificates = [];
+        this.errors = [];
+
+        if (!fs.existsSync(this.directory)) {
+            console.warn(`⚠️  Trust store not found: ${this.directory}`);
+            return;
+        }
+
+        for (const file of fs.readdirSync(this.directory).sort()) {
+            if (!CERT_EXTENSIONS.includes(path.extname(file).toLowerCase())) continue;
+
+            const data = fs.readFileSync(path.join(this.directory, file));
+            const text = data.toString('latin1');
+            const blocks = text.includes('-----BEGIN CERTIFICATE-----')
+                ? text.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g)
+                : [data];
+
+            blocks.forEach((block, i) => {
+                try {
+                    this.certificates.push({ file, certificate: new X509Certificate(block) });
+                } catch (error) {
+                    this.errors.push(`${file}${blocks.length > 1 ? ` #${i + 1}` : ''}: ${error.message}`);
+                }
+            });
+        }
+
+        console.log(`🔐 Trust store: ${this.certificates.length} certificate(s) from ${this.directory}`);
+        this.errors.forEach(error => console.warn(`  ⚠️  Skipped ${error}`));
+    }
+
+    /**
+     * Trust-store certificate that issued (and signed) the given certificate
+     * @param {X509Certificate} certificate
+     * @returns {{file: string, certificate: X509Certificate}|null}
+     */
+    findIssuer(certificate) {
+        return this.certificates.find(entry => TrustStore.isIssuedBy(certificate, entry.certificate)) || null;
+    }
+
+    /**
+     * Trust-store entry for this exact certificate
+     * @param {X509Certificate} certificate
+     * @returns {{file: string, certificate: X509Certificate}|null}
+     */
+    find(certificate) {
+        return this.certificates.find(entry => entry.certificate.fingerprint256 === certificate.fingerprint256) || null;
+    }
+
+    /**
+     * Build the chain leaf → trust anchor and check validity at signing time
+     * @param {Buffer|string} leaf - Signer certificate (DER or PEM)
+     * @param {Object} options - { intermediates: Array<Buffer> (certificates embedded in the PKCS#7), signingTime: Date }
+     *        Without a signing time validity periods are not checked (eSign certificates live ~30 minutes,
+     *        so "now" would always read as expired)
+     * @returns {{status: string, reason: string, signingTime: string|null, path: Array<Object>}}
+     *          path entries: { subject, issuer, notBefore, notAfter, source: 'signature' | 'trust-store:<file>' }
+     */
+    validateChain(leaf, options = {}) {
+        const signingTime = options.signingTime ? new Date(options.signingTime) : null;
+        const pool = [];
+        for (const der of options.intermediates || []) {
+            try {
+                pool.push(new X509Certificate(der));
+            } catch (error) {
+                // Not a certificate we can read; ignore it
+            }
+        }
+
+        const chain = [{ certificate: new X509Certificate(leaf), source: 'signature' }];
+        let anchored = false;
+
+        while (chain.length <= MAX_CHAIN_LENGTH) {
+            const current = chain[chain.length - 1].certificate;
+
+            const stored = this.find(current);
+            if (stored) {
+                chain[chain.length - 1].source = `trust-store:${stored.file}`;
+                anchored = true;
+                break;
+            }
+            const trustedIssuer = this.findIssuer(current);
+            if (trustedIssuer) {
+                chain.push({ certificate: trustedIssuer.certificate, source: `trust-store:${trustedIssuer.file}` });
+                anchored = true;
+                break;
+            }
+
+            // Self-signed and not in the store: nowhere left to go
+            if (TrustStore.isIssuedBy(current, current)) break;
+
+            const next = pool.find(candidate =>
+                !chain.some(link => link.certificate.fingerprint256 === candidate.fingerprint256) &&
+                TrustStore.isIssuedBy(current, candidate));
+            if (!next) break;
+            chain.push({ certificate: next, source: 'signature' });
+        }
+
+        const pathInfo = chain.map(({ certificate, source }) => ({
+            subject: TrustStore.commonName(certificate.subject),
+            issuer: TrustStore.commonName(certificate.issuer),
+            notBefore: new Date(certificate.validFrom).toISOString(),
+            notAfter: new Date(certificate.validTo).toISOString(),
+            source
+        }));
+        const result = (status, reason) => ({
+            status,
+            reason,
+            signingTime: signingTime ? signingTime.toISOString() : null,
+            path: pathInfo
+        });
+
+        if (!anchored) {
+            const top = chain[chain.length - 1].certificate;
+            return result(CHAIN_STATUS.UNTRUSTED_ISSUER, this.certificates.length === 0
+                ? `Trust store is empty (${this.directory})`
+                : `Issuer "${TrustStore.commonName(top.issuer)}" is not in the trust store`);
+        }
+
+        const anchor = `Chains to "${pathInfo[pathInfo.length - 1].subject}"`;
+        if (!signingTime) {
+            return result(CHAIN_STATUS.TRUSTED, `${anchor} (signing time unknown, validity not checked)`);
+        }
+
+        for (const { certificate } of chain) {
+            if (signingTime > new Date(certificate.validTo)) {
+                return result(CHAIN_STATUS.EXPIRED,
+                    `"${TrustStore.commonName(certificate.subject)}" expired ${new Date(certificate.validTo).toISOString()}, before signing`);
+            }
+            if (signingTime < new Date(certificate.validFrom)) {
+                return result(CHAIN_STATUS.NOT_YET_VALID,
+                    `"${TrustStore.commonName(certificate.subject)}" is valid only from ${new Date(certificate.validFrom).toISOString()}`);
+            }
+        }
+
+        return result(CHAIN_STATUS.TRUSTED, anchor);
+    }
+
+    /**
+     * True if issuer's subject matches certificate's issuer and issuer's key verifies its signature
+     * @param {X509Certificate} certificate
+     * @param {X509Certificate} issuer
+     * @returns {boolean}
+     */
+    static isIssuedBy(certificate, issuer) {
+        try {
+            return certificate.checkIssued(issuer) && certificate.verify(issuer.publicKey);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * CN from an X509Certificate subject / issuer string (whole DN if there is no CN)
+     * @param {string} name - "C=IN\nO=...\nCN=..."
+     * @returns {string}
+     */
+    static commonName(name) {
+        const match = /^CN=(.*)$/m.exec(name || '');
+        return match ? match[1] : String(name || '').replace(/\n/g, ', ');
+    }
+}
+
+TrustStore.CHAIN_STATUS = CHAIN_STATUS;
+
+module.exports = TrustStore;
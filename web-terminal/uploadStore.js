@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+
+// Uploaded fix sheets (git-ignored; EPAK_UPLOADS overrides)
+const DEFAULT_DIR = path.join(__dirname, 'data-source', 'uploads');
+
+// Uploads, their revised copies and results older than this are deleted (EPAK_UPLOAD_RETENTION_DAYS, default 30)
+const DEFAULT_RETENTION_DAYS = 30;
+
+/**
+ * Upload Store
+ * Server-side copies of uploaded fix sheets. /api/resolve-fix-sheet revises them and execution
+ * results are written into them, so each copy is the record of its run; copies untouched for the
+ * retention period are pruned when the server starts and on every upload.
+ */
+class UploadStore {
+
+    /**
+     * @param {string} dir - Upload directory
+     * @param {number} retentionDays - Days a copy is kept after it last changed
+     */
+    constructor(dir = process.env.EPAK_UPLOADS || DEFAULT_DIR,
+        retentionDays = Number(process.env.EPAK_UPLOAD_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS) {
+        this.dir = dir;
+        this.retentionMs = retentionDays * 24 * 60 * 60 * 1000;
+    }
+
+    /**
+     * Keep a copy of an uploaded sheet
+     * @param {Buffer} buffer - File content
+     * @param {string} filename - Original file name (only its base name is used)
+     * @returns {string} Path of the copy: <dir>/uploaded-<timestamp>-<name>
+     */
+    save(buffer, filename) {
+        this.prune();
+        fs.mkdirSync(this.dir, { recursive: true });
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+        const filePath = path.join(this.dir, `uploaded-${timestamp}-${path.basename(filename)}`);
+        fs.writeFileSync(filePath, buffer);
+        return filePath;
+    }
+
+    /**
+     * Delete copies not modified within the retention period
+     * @returns {number} Files deleted
+     */
+    prune() {
+        if (!fs.existsSync(this.dir)) {
+            return 0;
+        }
+        const cutoff = Date.now() - this.retentionMs;
+        let deleted = 0;
+        for (const name of fs.readdirSync(this.dir)) {
+            const filePath = path.join(this.dir, name);
+            try {
+                const stat = fs.statSync(filePath);
+                if (stat.isFile() && stat.mtimeMs < cutoff) {
+                    fs.unlinkSync(filePath);
+                    deleted++;
+                }
+            } catch (error) {
+                console.warn(`⚠️  Could not prune ${filePath}: ${error.message}`);
+            }
+        }
+        if (deleted > 0) {
+            console.log(`🗂️  Pruned ${deleted} uploaded fix sheet(s) older than ${Math.round(this.retentionMs / 86400000)} day(s)`);
+        }
+        return deleted;
+    }
+}
+
+module.exports = UploadStore;
@@ -0,0 +1,258 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Default accounts file (override with EPAK_USERS)
+ */
+const DEFAULT_PATH = path.join(__dirname, 'users.json');
+
+/**
+ * Roles, lowest first; each role can do everything the roles before it can
+ *   viewer   - read: ePak state, diagnoses, batches, jobs, journal, rollbacks
+ *   fixer    - connect, run transactions, generate and execute fix sheets
+ *   approver - sign off batches for execution
+ */
+const ROLES = {
+    VIEWER: 'viewer',
+    FIXER: 'fixer',
+    APPROVER: 'approver'
+};
+const ROLE_ORDER = [ROLES.VIEWER, ROLES.FIXER, ROLES.APPROVER];
+
+const USERNAME = /^[a-z0-9][a-z0-9._-]{1,31}$/;
+const MIN_PASSWORD_LENGTH = 10;
+
+// scrypt cost parameters, stored with each hash so they can be raised later
+const SCRYPT = { N: 16384, r: 8, p: 1, keyLength: 64 };
+
+/**
+ * User Store
+ * Local operator accounts in a JSON file: { users: [{ username, role, passwordHash, createdAt, updatedAt }] }.
+ * Passwords are stored as scrypt hashes ("scrypt$N$r$p$salt$hash", base64). Managed with manage-users.js.
+ */
+class UserStore {
+
+    /**
+     * @param {string} filePath - Accounts file (created on first write)
+     */
+    constructor(filePath = process.env.EPAK_USERS || DEFAULT_PATH) {
+        this.filePath = filePath;
+    }
+
+    /**
+     * @returns {Array<Object>} Stored accounts (with hashes)
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return [];
+        }
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            return Array.isArray(data.users) ? data.users : [];
+        } catch (error) {
+            throw new Error(`Invalid user accounts file ${this.filePath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * @param {Array<Object>} users
+     */
+    save(users) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        // Readable by the server's account only: the file holds password hashes
+        fs.writeFileSync(this.filePath, JSON.stringify({ users }, null, 2) + '\n', { encoding: 'utf8', mode: 0o600 });
+    }
+
+    /**
+     * @returns {Array<{username, role, createdAt, updatedAt}>} Accounts without hashes
+     */
+    list() {
+        return this.load().map(UserStore.publicUser);
+    }
+
+    /**
+     * @param {string} username
+     * @returns {Object|null} The account without its hash
+     */
+    find(username) {
+        const name = String(username || '').trim().toLowerCase();
+        const user = this.load().find(candidate => candidate.username === name);
+        return user ? UserStore.publicUser(user) : null;
+    }
+
+    /**
+     * @returns {boolean} True once at least one account exists
+     */
+    hasUsers() {
+        return this.load().length > 0;
+    }
+
+    /**
+     * Create an account
+     * @param {string} username
+     * @param {string} password
+     * @param {string} role - ROLES value
+     * @returns {Object} The account without its hash
+     * @throws {Error} On an invalid name, role or password, or if the name is taken
+     */
+    addUser(username, password, role) {
+        const name = UserStore.normalizeUsername(username);
+        UserStore.requireRole(role);
+        UserStore.checkPassword(password);
+
+        const users = this.load();
+        if (users.some(user => user.username === name)) {
+            throw new Error(`User already exists: ${name}`);
+        }
+        const now = new Date().toISOString();
+        const user = { username: name, role, passwordHash: UserStore.hashPassword(password), createdAt: now, updatedAt: now };
+        users.push(user);
+        this.save(users);
+        return UserStore.publicUser(user);
+    }
+
+    /**
+     * @param {string} username
+     * @param {string} password
+     */
+    setPassword(username, password) {
+        UserStore.checkPassword(password);
+        this.update(username, user => { user.passwordHash = UserStore.hashPassword(password); });
+    }
+
+    /**
+     * @param {string} username
+     * @param {string} role - ROLES value
+     */
+    setRole(username, role) {
+        UserStore.requireRole(role);
+        this.update(username, user => { user.role = role; });
+    }
+
+    /**
+     * @param {string} username
+     * @throws {Error} If there is no such user
+     */
+    removeUser(username) {
+        const name = UserStore.normalizeUsername(username);
+        const users = this.load();
+        if (!users.some(user => user.username === name)) {
+            throw new Error(`Unknown user: ${name}`);
+        }
+        this.save(users.filter(user => user.username !== name));
+    }
+
+    /**
+     * Check a login
+     * @param {string} username
+     * @param {string} password
+     * @returns {Object|null} The account without its hash, or null if the name or password is wrong
+     */
+    verify(username, password) {
+        const name = String(username || '').trim().toLowerCase();
+        const user = this.load().find(candidate => candidate.username === name);
+        // Hash even for unknown names, so response time does not reveal which names exist
+        const matches = UserStore.verifyPassword(String(password || ''), user ? user.passwordHash : null);
+        return user && matches ? UserStore.publicUser(user) : null;
+    }
+
+    /**
+     * Change one account and save
+     * @param {string} username
+     * @param {Function} change - (user) => void
+     */
+    update(username, change) {
+        const name = UserStore.normalizeUsername(username);
+        const users = this.load();
+        const user = users.find(candidate => candidate.username === name);
+        if (!user) {
+            throw new Error(`Unknown user: ${name}`);
+        }
+        change(user);
+        user.updatedAt = new Date().toISOString();
+        this.save(users);
+    }
+
+    /**
+     * True if the role is at least the required one
+     * @param {string} role - The user's role
+     * @param {string} required - ROLES value
+     * @returns {boolean}
+     */
+    static hasRole(role, required) {
+        const rank = ROLE_ORDER.indexOf(role);
+        return rank !== -1 && rank >= ROLE_ORDER.indexOf(required);
+    }
+
+    /**
+     * @param {string} password
+     * @returns {string} "scrypt$N$r$p$salt$hash"
+     */
+    static hashPassword(password) {
+        const salt = crypto.randomBytes(16);
+        const hash = crypto.scryptSync(password, salt, SCRYPT.keyLength, { N: SCRYPT.N, r: SCRYPT.r, p: SCRYPT.p });
+        return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('base64'), hash.toString('base64')].join('$');
+    }
+
+    /**
+     * @param {string} password
+     * @param {string|null} stored - hashPassword() output (null: compare against a dummy hash)
+     * @returns {boolean}
+     */
+    static verifyPassword(password, stored) {
+        const parts = String(stored || '').split('$');
+        const valid = parts.length === 6 && parts[0] === 'scrypt';
+        const [N, r, p] = valid ? parts.slice(1, 4).map(Number) : [SCRYPT.N, SCRYPT.r, SCRYPT.p];
+        const salt = valid ? Buffer.from(parts[4], 'base64') : Buffer.alloc(16);
+        const expected = valid ? Buffer.from(parts[5], 'base64') : Buffer.alloc(SCRYPT.keyLength);
+
+        const actual = crypto.scryptSync(password, salt, expected.length, { N, r, p });
+        return crypto.timingSafeEqual(actual, expected) && valid;
+    }
+
+    /**
+     * @param {string} username
+     * @returns {string} Lower-cased name
+     * @throws {Error} If the name is not 2-32 letters, digits, '.', '_' or '-'
+     */
+    static normalizeUsername(username) {
+        const name = String(username || '').trim().toLowerCase();
+        if (!USERNAME.test(name)) {
+            throw new Error(`Invalid username "${username}" (2-32 letters, digits, ".", "_" or "-")`);
+        }
+        return name;
+    }
+
+    /**
+     * @param {string} password
+     * @throws {Error} If the password is too short
+     */
+    static checkPassword(password) {
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+    }
+
+    /**
+     * @param {string} role
+     * @throws {Error} If the role is unknown
+     */
+    static requireRole(role) {
+        if (!ROLE_ORDER.includes(role)) {
+            throw new Error(`Unknown role "${role}" (expected ${ROLE_ORDER.join(', ')})`);
+        }
+    }
+
+    /**
+     * @param {Object} user - Stored account
+     * @returns {{username, role, createdAt, updatedAt}}
+     */
+    static publicUser(user) {
+        return { username: user.username, role: user.role, createdAt: user.createdAt, updatedAt: user.updatedAt };
+    }
+}
+
+UserStore.ROLES = ROLES;
+
+module.exports = UserStore;
@@ -60,6 +60,8 @@ param(
 
 # Script configuration
 $script:ConfigFile = Join-Path $env:USERPROFILE ".epak-config.json"
+# Encrypted credential vault of the web terminal (the config file only names an entry)
+$script:VaultCli = Join-Path $PSScriptRoot "..\web-terminal\manage-credentials.js"
 $script:UseMySQLCnf = $false
 
 #===============================================================================
@@ -179,8 +181,35 @@ function Invoke-MySQLScript {
 # CREDENTIAL MANAGEMENT
 #===============================================================================
 
+function Read-VaultEntry {
+    param([string]$Name)
+    
+    if (-not (Get-Command node -ErrorAction SilentlyContinue) -or -not (Test-Path $script:VaultCli)) {
+        Write-Error-Custom "Credential vault entry '$Name' needs node and $script:VaultCli"
+        return $null
+    }
+    $json = & node $script:VaultCli export $Name --format json
+    if ($LASTEXITCODE -ne 0) {
+        Write-Error-Custom "Could not read credential vault entry '$Name'"
+        return $null
+    }
+    return ($json | ConvertFrom-Json)
+}
+
 function Load-Credentials {
-    # Priority 1: Environment variables
+    # Priority 1: Credential vault entry
+    if ($env:EPAK_VAULT_ENTRY) {
+        $entry = Read-VaultEntry $env:EPAK_VAULT_ENTRY
+        if (-not $entry) { return $false }
+        $script:DBHost = $entry.host
+        $script:DBName = $entry.database
+        $script:DBUser = $entry.user
+        $script:DBPass = $entry.password
+        Write-Success "Using credentials from vault entry $env:EPAK_VAULT_ENTRY"
+        return $true
+    }
+    
+    # Priority 2: Environment variables
     if ($env:EPAK_DB_HOST) {
         $script:DBHost = $env:EPAK_DB_HOST
         $script:DBName = if ($env:EPAK_DB_NAME) { $env:EPAK_DB_NAME } else { "msb" }
@@ -190,14 +219,22 @@ function Load-Credentials {
         return $true
     }
     
-    # Priority 2: Config file
+    # Priority 3: Config file (the password is in the vault entry it names)
     if (Test-Path $script:ConfigFile) {
         try {
             $config = Get-Content $script:ConfigFile | ConvertFrom-Json
             $script:DBHost = $config.DBHost
             $script:DBName = $config.DBName
             $script:DBUser = $config.DBUser
-            $script:DBPass = $config.DBPass
+            if ($config.VaultEntry) {
+                $entry = Read-VaultEntry $config.VaultEntry
+                if (-not $entry) { return $false }
+                $script:DBPass = $entry.password
+            }
+            else {
+                $script:DBPass = $config.DBPass
+                Write-Warning-Custom "$script:ConfigFile holds a plaintext password - use -Config to move it to the credential vault"
+            }
             Write-Success "Loaded credentials from $script:ConfigFile"
             return $true
         }
@@ -222,10 +259,27 @@ function Save-Credentials {
         DBHost = $Host
         DBName = $Database
         DBUser = $User
-        DBPass = $Password
         Created = (Get-Date).ToString("yyyy-MM-dd HH:mm:ss")
     }
     
+    # The password goes into the credential vault; without node it stays in the config file
+    $entryName = "cli-" + ($env:USERNAME.ToLower() -replace '[^a-z0-9._-]', '')
+    $saved = $false
+    if ((Get-Command node -ErrorAction SilentlyContinue) -and (Test-Path $script:VaultCli)) {
+        $env:EPAK_NEW_PASSWORD = $Password
+        & node $script:VaultCli set $entryName $Host $User $Database | Out-Null
+        $saved = ($LASTEXITCODE -eq 0)
+        Remove-Item Env:EPAK_NEW_PASSWORD
+    }
+    if ($saved) {
+        $config.VaultEntry = $entryName
+        Write-Success "Password saved to credential vault entry $entryName"
+    }
+    else {
+        $config.DBPass = $Password
+        Write-Warning-Custom "Credential vault unavailable - the password is stored in plain text"
+    }
+    
     try {
         $config | ConvertTo-Json | Set-Content $script:ConfigFile
         Write-Success "Configuration saved to $script:ConfigFile"
@@ -235,6 +289,18 @@ function Save-Credentials {
     }
 }
 
+function Remove-SavedCredentials {
+    # Delete the config file and the vault entry it names
+    $config = Get-Content $script:ConfigFile | ConvertFrom-Json
+    if ($config.VaultEntry -and (Get-Command node -ErrorAction SilentlyContinue) -and (Test-Path $script:VaultCli)) {
+        & node $script:VaultCli remove $config.VaultEntry | Out-Null
+        if ($LASTEXITCODE -ne 0) {
+            Write-Warning-Custom "Could not remove credential vault entry $($config.VaultEntry)"
+        }
+    }
+    Remove-Item $script:ConfigFile
+}
+
 function Show-Help {
     Write-Host ""
     Write-Host "EPak Fix Tool - Windows PowerShell Version" -ForegroundColor Cyan
@@ -255,6 +321,12 @@ function Show-Help {
     Write-Host "  .\EPak-Fix-Tool.ps1"
     Write-Host "  .\EPak-Fix-Tool.ps1 -Batch -BatchFile 'C:\epaks_to_fix.csv'"
     Write-Host "  `$env:EPAK_DB_PASS='password'; .\EPak-Fix-Tool.ps1"
+    Write-Host "  `$env:EPAK_VAULT_ENTRY='uat'; .\EPak-Fix-Tool.ps1"
+    Write-Host ""
+    Write-Host "Credentials:" -ForegroundColor Yellow
+    Write-Host "  Loaded from: 1. vault entry (EPAK_VAULT_ENTRY)  2. EPAK_DB_* variables  3. $script:ConfigFile"
+    Write-Host "  Saved passwords go into the encrypted credential vault (needs node):"
+    Write-Host "    node ..\web-terminal\manage-credentials.js list"
     Write-Host ""
     exit 0
 }
@@ -273,11 +345,21 @@ function Manage-Credentials {
         Write-Host ""
         
         $config = Get-Content $script:ConfigFile | ConvertFrom-Json
+        $savedPass = $config.DBPass
+        if ($config.VaultEntry) {
+            $entry = Read-VaultEntry $config.VaultEntry
+            if ($entry) { $savedPass = $entry.password }
+        }
         Write-Host "Current Configuration:" -ForegroundColor Yellow
         Write-Host "  Host:     $($config.DBHost)"
         Write-Host "  Database: $($config.DBName)"
         Write-Host "  User:     $($config.DBUser)"
-        Write-Host "  Password: ••••••••"
+        if ($config.VaultEntry) {
+            Write-Host "  Password: •••••••• (credential vault entry $($config.VaultEntry))"
+        }
+        else {
+            Write-Host "  Password: •••••••• (plain text - choose 1 to move it to the vault)"
+        }
         Write-Host ""
         
         Write-Host "What would you like to do?" -ForegroundColor Yellow
@@ -303,7 +385,7 @@ function Manage-Credentials {
                 
                 $newPass = Read-Host "Database Password (leave blank to keep current)" -AsSecureString
                 $newPassPlain = [Runtime.InteropServices.Marshal]::PtrToStringAuto([Runtime.InteropServices.Marshal]::SecureStringToBSTR($newPass))
-                if ([string]::IsNullOrWhiteSpace($newPassPlain)) { $newPassPlain = $config.DBPass }
+                if ([string]::IsNullOrWhiteSpace($newPassPlain)) { $newPassPlain = $savedPass }
                 
                 Save-Credentials -Host $newHost -Database $newName -User $newUser -Password $newPassPlain
                 Write-Success "Credentials updated!"
@@ -312,13 +394,13 @@ function Manage-Credentials {
                 Write-Warning-Custom "This will delete your saved credentials!"
                 $confirm = Read-Host "Are you sure? (yes/no)"
                 if ($confirm -eq "yes") {
-                    Remove-Item $script:ConfigFile
+                    Remove-SavedCredentials
                     Write-Success "Credentials deleted!"
                 }
             }
             "3" {
                 Write-Info "Testing connection..."
-                if (Test-MySQLConnection -Host $config.DBHost -Database $config.DBName -User $config.DBUser -Password $config.DBPass) {
+                if (Test-MySQLConnection -Host $config.DBHost -Database $config.DBName -User $config.DBUser -Password $savedPass) {
                     Write-Success "Connection successful!"
                 }
                 else {
@@ -370,7 +452,7 @@ function Reset-Credentials {
         $confirm = Read-Host "Are you sure? (yes/no)"
         
         if ($confirm -eq "yes") {
-            Remove-Item $script:ConfigFile
+            Remove-SavedCredentials
             Write-Success "Credentials deleted!"
         }
         else {